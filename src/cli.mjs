@@ -15,6 +15,9 @@ import { graphCommand } from "./cli/commands/graph.mjs";
 import { daemonCommand } from "./cli/commands/daemon.mjs";
 import { eventCommand } from "./cli/commands/event.mjs";
 import { cronCommand } from "./cli/commands/cron.mjs";
+import { queueCommand } from "./cli/commands/queue.mjs";
+import { receiptsCommand } from "./cli/commands/receipts.mjs";
+import { snapshotCommand } from "./cli/commands/snapshot.mjs";
 import { auditCommand } from "./cli/commands/audit.mjs";
 import { hooksCommand } from "./cli/commands/hooks.mjs";
 import { workflowCommand } from "./cli/commands/workflow.mjs";
@@ -55,6 +58,9 @@ export const cli = defineCommand({
       "gitvan daemon start --worktrees all",
       'gitvan event simulate commit --files "src/**"',
       "gitvan cron list --verbose",
+      "gitvan queue list --status dead",
+      "gitvan receipts --since 7d --stats",
+      "gitvan snapshot pull --remote origin",
       "gitvan audit build --output audit.json",
       "gitvan hooks list",
       "gitvan hooks evaluate --dry-run",
@@ -81,6 +87,9 @@ export const cli = defineCommand({
     daemon: daemonCommand,
     event: eventCommand,
     cron: cronCommand,
+    queue: queueCommand,
+    receipts: receiptsCommand,
+    snapshot: snapshotCommand,
     audit: auditCommand,
     hooks: hooksCommand,
     workflow: workflowCommand,
@@ -6,12 +6,26 @@
 
 import { defineCommand } from "citty";
 import { startCronScheduler, scanJobs } from "../../jobs/cron.mjs";
+import {
+  cronMatches,
+  formatInTimezone,
+  nextCronRun,
+  upcomingCronRuns,
+} from "../../utils/cron-expression.mjs";
 import { loadConfig } from "../../runtime/config.mjs";
 import { createLogger } from "../../utils/logger.mjs";
-import consola from "consola";
 
 const logger = createLogger("cron-cli");
 
+/**
+ * Default timezone for jobs that do not declare one
+ * @param {object} config - GitVan configuration
+ * @returns {string} IANA timezone name
+ */
+function defaultTimezone(config) {
+  return config.cron?.timezone || config.runtime?.timezone || "UTC";
+}
+
 /**
  * List cron jobs subcommand
  */
@@ -28,15 +42,24 @@ const listSubcommand = defineCommand({
     },
     "show-schedule": {
       type: "boolean",
-      description: "Show next execution times",
+      description: "Show upcoming execution times",
       default: false,
     },
+    count: {
+      type: "number",
+      description: "Number of upcoming execution times to show",
+      default: 5,
+    },
   },
   async run({ args }) {
     try {
       const config = await loadConfig();
-      const jobs = await scanJobs({ cwd: config.rootDir || process.cwd() });
+      const jobs = await scanJobs({
+        cwd: config.rootDir || process.cwd(),
+        timezone: defaultTimezone(config),
+      });
       const cronJobs = jobs.filter((job) => job.cron);
+      const now = new Date();
 
       console.log("⏰ GitVan Cron Jobs");
       console.log("=".repeat(40));
@@ -51,16 +74,39 @@ const listSubcommand = defineCommand({
         console.log(
           `   📝 Description: ${job.description || "No description"}`
         );
-        console.log(`   ⏰ Schedule: ${job.cron}`);
+        console.log(`   ⏰ Schedule: ${job.cron} (${job.timezone})`);
 
         if (args.verbose) {
           console.log(`   📁 File: ${job.file}`);
           console.log(`   ⏰ Modified: ${job.modified}`);
         }
 
-        if (args["show-schedule"]) {
-          // TODO: Calculate next execution time
-          console.log(`   🔮 Next Run: Not implemented`);
+        try {
+          const runs = upcomingCronRuns(
+            job.cron,
+            args["show-schedule"] ? args.count : 1,
+            now,
+            { timezone: job.timezone }
+          );
+          if (runs.length === 0) {
+            console.log(`   🔮 Next Run: never`);
+          } else if (args["show-schedule"]) {
+            console.log(`   🔮 Upcoming Runs:`);
+            for (const run of runs) {
+              console.log(
+                `      - ${formatInTimezone(
+                  run,
+                  job.timezone
+                )} (${run.toISOString()})`
+              );
+            }
+          } else {
+            console.log(
+              `   🔮 Next Run: ${formatInTimezone(runs[0], job.timezone)}`
+            );
+          }
+        } catch (error) {
+          console.log(`   ❌ Invalid schedule: ${error.message}`);
         }
 
         console.log();
@@ -107,16 +153,20 @@ const startSubcommand = defineCommand({
   },
   async run({ args }) {
     try {
-      const config = await loadConfig();
-
       console.log("🚀 Starting GitVan cron scheduler...");
       console.log(`📁 Root Directory: ${args["root-dir"]}`);
       console.log(`⏰ Check Interval: ${args["check-interval"]}s`);
       console.log(`🔄 Max Concurrent: ${args["max-concurrent"]}`);
 
+      const config = await loadConfig(args["root-dir"]);
       const schedulerOptions = {
         rootDir: args["root-dir"],
-        checkInterval: args["check-interval"] * 1000, // Convert to milliseconds
+        cron: {
+          enabled: true,
+          interval: args["check-interval"] * 1000, // Convert to milliseconds
+          // Same default as list and dry-run, so they show the times used here
+          timezone: defaultTimezone(config),
+        },
         maxConcurrent: args["max-concurrent"],
         verbose: args.verbose,
       };
@@ -160,8 +210,16 @@ const dryRunSubcommand = defineCommand({
   },
   async run({ args }) {
     try {
-      const config = await loadConfig();
-      const jobs = await scanJobs({ cwd: args["root-dir"] });
+      const config = await loadConfig(args["root-dir"]);
+      const simulationTime = new Date(args.at);
+      if (Number.isNaN(simulationTime.getTime())) {
+        throw new Error(`Invalid --at time: ${args.at}`);
+      }
+
+      const jobs = await scanJobs({
+        cwd: args["root-dir"],
+        timezone: defaultTimezone(config),
+      });
       const cronJobs = jobs.filter((job) => job.cron);
 
       console.log("🧪 Dry Run - Cron Job Simulation");
@@ -174,16 +232,41 @@ const dryRunSubcommand = defineCommand({
         return;
       }
 
-      const simulationTime = new Date(args.at);
       const jobsToRun = [];
 
       for (const job of cronJobs) {
-        // TODO: Implement actual cron schedule parsing and matching
-        // For now, just show all jobs as potential candidates
-        jobsToRun.push(job);
+        const options = { timezone: job.timezone };
+        let matches;
+        let nextRun;
+        try {
+          matches = cronMatches(job.cron, simulationTime, options);
+          nextRun = nextCronRun(job.cron, simulationTime, options);
+        } catch (error) {
+          console.log(`❌ Invalid schedule: ${job.name}`);
+          console.log(`   ⏰ Schedule: ${job.cron}`);
+          console.log(`   💥 Error: ${error.message}`);
+          console.log();
+          continue;
+        }
 
-        console.log(`✅ Would run: ${job.name}`);
-        console.log(`   ⏰ Schedule: ${job.cron}`);
+        if (matches) {
+          jobsToRun.push(job);
+          console.log(`✅ Would run: ${job.name}`);
+        } else if (args.verbose) {
+          console.log(`⏭️ Would not run: ${job.name}`);
+        } else {
+          continue;
+        }
+
+        console.log(`   ⏰ Schedule: ${job.cron} (${job.timezone})`);
+        console.log(
+          `   🕐 Local Time: ${formatInTimezone(simulationTime, job.timezone)}`
+        );
+        console.log(
+          `   🔮 Next Run: ${
+            nextRun ? formatInTimezone(nextRun, job.timezone) : "never"
+          }`
+        );
         console.log(
           `   📝 Description: ${job.description || "No description"}`
         );
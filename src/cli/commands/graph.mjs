@@ -6,8 +6,19 @@
  */
 
 import { defineCommand } from "citty";
-import { useTurtle } from "../../composables/turtle.mjs";
+import { useTurtle, getGraphCache } from "../../composables/turtle.mjs";
 import { withGitVan } from "../../composables/ctx.mjs";
+import { loadOptions } from "../../config/loader.mjs";
+import {
+  GRAPH_DIFF_FORMATS,
+  diffRevisions,
+  formatGraphDiff,
+} from "../../utils/graph-diff.mjs";
+import {
+  GraphReasoner,
+  REASONING_PROFILES,
+  formatInferred,
+} from "../../utils/graph-reasoning.mjs";
 import { join } from "pathe";
 
 /**
@@ -356,6 +367,129 @@ const statsSubcommand = defineCommand({
   },
 });
 
+/**
+ * Diff the graph between two revisions subcommand
+ */
+const diffSubcommand = defineCommand({
+  meta: {
+    name: "diff",
+    description: "Show triples added and removed between two revisions",
+  },
+  args: {
+    from: {
+      type: "positional",
+      description: "Base revision",
+      required: true,
+    },
+    to: {
+      type: "positional",
+      description: "Target revision",
+      default: "HEAD",
+    },
+    "graph-dir": {
+      type: "string",
+      description: "Graph directory path",
+      default: "graph",
+    },
+    format: {
+      type: "string",
+      description: `Output format (${GRAPH_DIFF_FORMATS.join(", ")})`,
+      default: "text",
+    },
+  },
+  async run({ args }) {
+    if (!GRAPH_DIFF_FORMATS.includes(args.format)) {
+      console.error(
+        `❌ Unknown format: ${args.format} (expected ${GRAPH_DIFF_FORMATS.join(
+          ", "
+        )})`
+      );
+      process.exit(1);
+    }
+
+    const cwd = process.cwd();
+    const config = await loadOptions({ rootDir: cwd });
+
+    try {
+      const diff = await diffRevisions({
+        cwd,
+        graphDir: args["graph-dir"],
+        from: args.from,
+        to: args.to,
+        namedGraphs: config.graph.namedGraphs,
+        cache: config.graph.cache
+          ? getGraphCache(
+              join(cwd, config.graph.cacheDir),
+              config.graph.cacheMaxEntries
+            )
+          : undefined,
+      });
+      process.stdout.write(formatGraphDiff(diff, { format: args.format }));
+    } catch (error) {
+      console.error(`❌ Failed to diff graph: ${error.message}`);
+      process.exit(1);
+    }
+  },
+});
+
+/**
+ * Show inferred triples and their provenance subcommand
+ */
+const inferredSubcommand = defineCommand({
+  meta: {
+    name: "inferred",
+    description: "Show the triples inferred by reasoning and their provenance",
+  },
+  args: {
+    reasoning: {
+      type: "string",
+      description: `Reasoning (${REASONING_PROFILES.join(
+        ", "
+      )} or an N3 rule file)`,
+      default: "rdfs",
+    },
+    "graph-dir": {
+      type: "string",
+      description: "Graph directory path",
+      default: "graph",
+    },
+    json: {
+      type: "boolean",
+      description: "Print the provenance as JSON",
+      default: false,
+    },
+  },
+  async run({ args }) {
+    const cwd = process.cwd();
+
+    try {
+      const turtle = await useTurtle({ graphDir: args["graph-dir"] });
+      // Keep stdout to the N-Triples output
+      const reasoner = new GraphReasoner({
+        cwd,
+        maxCacheEntries: turtle.config.cacheMaxEntries,
+        logger: { ...console, info: () => {} },
+      });
+      const result = await reasoner.materialize(turtle.store, args.reasoning);
+
+      if (args.json) {
+        console.log(
+          JSON.stringify(
+            { cached: result.cached, provenance: result.provenance },
+            null,
+            2
+          )
+        );
+        return;
+      }
+      process.stdout.write(formatInferred(result));
+    } catch (error) {
+      console.error(`❌ Failed to infer graph: ${error.message}`);
+      process.exit(1);
+    }
+  },
+});
+
 /**
  * Main graph command with all subcommands
  */
@@ -372,6 +506,8 @@ export const graphCommand = defineCommand({
     "init-default": initDefaultSubcommand,
     "list-files": listFilesSubcommand,
     stats: statsSubcommand,
+    diff: diffSubcommand,
+    inferred: inferredSubcommand,
   },
 });
 
@@ -87,6 +87,7 @@ export const hooksCommand = defineCommand({
           "gitvan hooks evaluate",
           "gitvan hooks evaluate --dry-run",
           "gitvan hooks evaluate --verbose",
+          "gitvan hooks evaluate --base last-evaluated",
         ],
       },
       args: {
@@ -108,6 +109,11 @@ export const hooksCommand = defineCommand({
           type: "string",
           description: "Evaluate hooks in specific domain only",
         },
+        base: {
+          type: "string",
+          description:
+            "Base for resultDelta hooks: a git revision, merge-base or last-evaluated (default: HEAD~1)",
+        },
       },
       async run({ args }) {
         const cli = new HooksCLI();
@@ -120,6 +126,7 @@ export const hooksCommand = defineCommand({
             const options = {
               dryRun: args["dry-run"],
               verbose: args.verbose,
+              baseRevision: args.base,
             };
 
             if (args.category) {
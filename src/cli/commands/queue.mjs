@@ -0,0 +1,264 @@
+/**
+ * GitVan Queue Command - Citty Implementation
+ *
+ * Inspect, retry and purge entries of the durable job queue
+ */
+
+import { defineCommand } from "citty";
+import { createJobQueue } from "../../runtime/queue.mjs";
+import { loadConfig } from "../../runtime/config.mjs";
+import { createLogger } from "../../utils/logger.mjs";
+
+const logger = createLogger("queue-cli");
+
+const STATUS_ICONS = {
+  queued: "⏳",
+  running: "🏃",
+  completed: "✅",
+  failed: "❌",
+  dead: "💀",
+  unreadable: "⚠️",
+};
+
+/**
+ * Open the queue of a repository
+ * @param {object} args - Command arguments
+ * @returns {Promise<import("../../git-native/queue-manager.mjs").QueueManager>}
+ */
+async function openQueue(args) {
+  const rootDir = args["root-dir"] || process.cwd();
+  const config = await loadConfig(rootDir);
+  const queue = createJobQueue({ rootDir, config, logger });
+  await queue.initialize();
+  return queue;
+}
+
+/**
+ * One-line summary of a queue entry
+ * @param {object} entry - Queue entry
+ * @returns {string}
+ */
+function formatEntry(entry) {
+  const icon = STATUS_ICONS[entry.status] || "•";
+  const name =
+    entry.job ||
+    entry.metadata?.name ||
+    (entry.status === "unreadable" ? "(unreadable)" : "(closure)");
+  const attempts = entry.job ? ` ${entry.attempts}/${entry.maxAttempts}` : "";
+  return `${icon} ${entry.id}  ${name}  [${entry.priority}] ${entry.status}${attempts}`;
+}
+
+const rootDirArg = {
+  "root-dir": {
+    type: "string",
+    description: "Repository root",
+    default: process.cwd(),
+  },
+};
+
+/**
+ * List queue entries subcommand
+ */
+const listSubcommand = defineCommand({
+  meta: {
+    name: "list",
+    description: "List queue entries",
+  },
+  args: {
+    ...rootDirArg,
+    status: {
+      type: "string",
+      description:
+        "Only entries with this status (queued, running, completed, failed, dead, unreadable)",
+    },
+    priority: {
+      type: "string",
+      description: "Only entries with this priority (high, medium, low)",
+    },
+    job: {
+      type: "string",
+      description: "Only entries of this job ID",
+    },
+    json: {
+      type: "boolean",
+      description: "Print entries as JSON",
+      default: false,
+    },
+  },
+  async run({ args }) {
+    try {
+      const queue = await openQueue(args);
+      const entries = await queue.list({
+        status: args.status,
+        priority: args.priority,
+        job: args.job,
+      });
+
+      if (args.json) {
+        console.log(JSON.stringify(entries, null, 2));
+        return;
+      }
+
+      console.log("📬 GitVan Queue");
+      console.log("=".repeat(40));
+
+      if (entries.length === 0) {
+        console.log("No queue entries found");
+        return;
+      }
+
+      for (const entry of entries) {
+        console.log(formatEntry(entry));
+        if (entry.error) {
+          console.log(`   Last error: ${entry.error}`);
+        }
+      }
+
+      console.log();
+      console.log(`📊 Total: ${entries.length} entries`);
+    } catch (error) {
+      logger.error("Failed to list queue:", error);
+      console.error("❌ Failed to list queue:", error.message);
+      process.exit(1);
+    }
+  },
+});
+
+/**
+ * Show a queue entry subcommand
+ */
+const showSubcommand = defineCommand({
+  meta: {
+    name: "show",
+    description: "Show a queue entry with its payload and errors",
+  },
+  args: {
+    id: {
+      type: "positional",
+      description: "Entry ID",
+      required: true,
+    },
+    ...rootDirArg,
+  },
+  async run({ args }) {
+    try {
+      const queue = await openQueue(args);
+      const entry = await queue.get(args.id);
+
+      if (!entry) {
+        console.error(`❌ Queue entry not found: ${args.id}`);
+        process.exit(1);
+      }
+
+      console.log(JSON.stringify(entry, null, 2));
+    } catch (error) {
+      logger.error("Failed to show queue entry:", error);
+      console.error("❌ Failed to show queue entry:", error.message);
+      process.exit(1);
+    }
+  },
+});
+
+/**
+ * Retry a failed or dead entry subcommand
+ */
+const retrySubcommand = defineCommand({
+  meta: {
+    name: "retry",
+    description: "Requeue a failed or dead-lettered entry",
+  },
+  args: {
+    id: {
+      type: "positional",
+      description: "Entry ID",
+      required: true,
+    },
+    ...rootDirArg,
+    run: {
+      type: "boolean",
+      description: "Execute the entry now instead of leaving it to the daemon",
+      default: false,
+    },
+  },
+  async run({ args }) {
+    try {
+      const queue = await openQueue(args);
+
+      // Without --run the daemon picks the entry up on its next tick
+      const entry = await queue.retry(args.id, { schedule: args.run });
+      console.log(`🔁 Requeued ${entry.id} (${entry.job})`);
+
+      if (args.run) {
+        await queue.onIdle();
+        const result = await queue.get(entry.id);
+        console.log(formatEntry(result));
+        if (result.status !== "completed") {
+          process.exit(1);
+        }
+      }
+    } catch (error) {
+      logger.error("Failed to retry queue entry:", error);
+      console.error("❌ Failed to retry queue entry:", error.message);
+      process.exit(1);
+    }
+  },
+});
+
+/**
+ * Purge entries subcommand
+ */
+const purgeSubcommand = defineCommand({
+  meta: {
+    name: "purge",
+    description: "Delete finished entries from the queue",
+  },
+  args: {
+    ...rootDirArg,
+    status: {
+      type: "string",
+      description:
+        "Comma-separated statuses to purge (unreadable removes entries that cannot be parsed)",
+      default: "completed,failed,dead",
+    },
+    id: {
+      type: "string",
+      description: "Purge a single entry by ID",
+    },
+  },
+  async run({ args }) {
+    try {
+      const queue = await openQueue(args);
+
+      const count = await queue.purge(
+        args.id
+          ? { ids: [args.id] }
+          : { status: args.status.split(",").map((s) => s.trim()) }
+      );
+
+      console.log(`🧹 Purged ${count} queue entries`);
+    } catch (error) {
+      logger.error("Failed to purge queue:", error);
+      console.error("❌ Failed to purge queue:", error.message);
+      process.exit(1);
+    }
+  },
+});
+
+/**
+ * Main queue command with all subcommands
+ */
+export const queueCommand = defineCommand({
+  meta: {
+    name: "queue",
+    description:
+      "Inspect and manage the durable job queue (list, show, retry, purge)",
+  },
+  subCommands: {
+    list: listSubcommand,
+    show: showSubcommand,
+    retry: retrySubcommand,
+    purge: purgeSubcommand,
+  },
+});
+
+export default queueCommand;
@@ -0,0 +1,124 @@
+/**
+ * GitVan Receipts Command - Citty Implementation
+ *
+ * Query, export and aggregate receipts stored in git notes
+ */
+
+import { defineCommand } from "citty";
+import {
+  queryReceipts,
+  aggregateReceipts,
+  formatRows,
+  DEFAULT_RECEIPT_REFS,
+  RECEIPT_COLUMNS,
+  AGGREGATE_COLUMNS,
+} from "../../runtime/receipt-query.mjs";
+import { createLogger } from "../../utils/logger.mjs";
+
+const logger = createLogger("receipts-cli");
+
+/**
+ * Main receipts command
+ */
+export const receiptsCommand = defineCommand({
+  meta: {
+    name: "receipts",
+    description:
+      "Query receipts from git notes with filters, export formats and aggregates",
+  },
+  args: {
+    "root-dir": {
+      type: "string",
+      description: "Repository root",
+      default: process.cwd(),
+    },
+    id: {
+      type: "string",
+      description: "Hook or job ID, * matches any characters",
+    },
+    status: {
+      type: "string",
+      description: "Only receipts with this status (success, error, skipped)",
+    },
+    since: {
+      type: "string",
+      description:
+        "Only receipts since this time (ISO date or 30m, 12h, 7d, 2w)",
+    },
+    until: {
+      type: "string",
+      description:
+        "Only receipts until this time (ISO date or 30m, 12h, 7d, 2w)",
+    },
+    range: {
+      type: "string",
+      description: "Only receipts on commits in this range (e.g. v1.0..HEAD)",
+    },
+    branch: {
+      type: "string",
+      description: "Only receipts on commits reachable from this branch",
+    },
+    ref: {
+      type: "string",
+      description: "Comma-separated notes refs to read",
+      default: DEFAULT_RECEIPT_REFS.join(","),
+    },
+    limit: {
+      type: "number",
+      description: "Keep only the most recent N receipts",
+    },
+    format: {
+      type: "string",
+      description: "Output format (table, json, ndjson, csv)",
+      default: "table",
+    },
+    stats: {
+      type: "boolean",
+      description: "Show success rate and p50/p95 duration per hook or job",
+      default: false,
+    },
+  },
+  async run({ args }) {
+    try {
+      const receipts = await queryReceipts({
+        cwd: args["root-dir"],
+        refs: args.ref.split(",").map((ref) => ref.trim()),
+        id: args.id,
+        status: args.status,
+        since: args.since,
+        until: args.until,
+        range: args.range,
+        branch: args.branch,
+        limit: args.limit ? Number(args.limit) : undefined,
+      });
+
+      const rows = args.stats ? aggregateReceipts(receipts) : receipts;
+      const columns = args.stats ? AGGREGATE_COLUMNS : RECEIPT_COLUMNS;
+
+      if (args.format !== "table") {
+        const output = formatRows(rows, columns, args.format);
+        if (output) console.log(output);
+        return;
+      }
+
+      if (receipts.length === 0) {
+        console.log("⚠️  No receipts found");
+        return;
+      }
+
+      console.log(
+        args.stats ? "📊 GitVan Receipt Statistics" : "🧾 GitVan Receipts"
+      );
+      console.log("=".repeat(40));
+      console.log(formatRows(rows, columns, "table"));
+      console.log();
+      console.log(`📊 Total: ${receipts.length} receipts`);
+    } catch (error) {
+      logger.error("Failed to query receipts:", error);
+      console.error("❌ Failed to query receipts:", error.message);
+      process.exit(1);
+    }
+  },
+});
+
+export default receiptsCommand;
@@ -0,0 +1,174 @@
+/**
+ * GitVan Snapshot Command - Citty Implementation
+ *
+ * Share git-backed snapshots with other clones through a git remote
+ */
+
+import { defineCommand } from "citty";
+import { SnapshotStore } from "../../git-native/snapshot-store.mjs";
+import { createLogger } from "../../utils/logger.mjs";
+import { parseDuration } from "../../utils/time.mjs";
+
+const logger = createLogger("snapshot-cli");
+
+/**
+ * Open the git-backed snapshot store of a repository
+ * @param {object} args - Command arguments
+ * @returns {Promise<SnapshotStore>}
+ */
+async function openStore(args) {
+  const store = new SnapshotStore({
+    cwd: args["root-dir"] || process.cwd(),
+    logger,
+    snapshot: { backend: "git", ref: args.ref },
+  });
+  await store.initialize();
+  return store;
+}
+
+const sharedArgs = {
+  "root-dir": {
+    type: "string",
+    description: "Repository root",
+    default: process.cwd(),
+  },
+  ref: {
+    type: "string",
+    description: "Ref holding the snapshots",
+    default: "refs/gitvan/snapshots",
+  },
+};
+
+const remoteArg = {
+  remote: {
+    type: "string",
+    description: "Git remote to share snapshots through",
+    default: "origin",
+  },
+};
+
+/**
+ * Push snapshots subcommand
+ */
+const pushSubcommand = defineCommand({
+  meta: {
+    name: "push",
+    description: "Push snapshots to a remote, merging its snapshots first",
+  },
+  args: {
+    ...sharedArgs,
+    ...remoteArg,
+    force: {
+      type: "boolean",
+      description: "Replace the remote snapshots, e.g. after gc",
+      default: false,
+    },
+  },
+  async run({ args }) {
+    try {
+      const store = await openStore(args);
+      const { merged } = await store.push(args.remote, { force: args.force });
+
+      if (merged > 0) {
+        console.log(`🔀 Merged ${merged} snapshots from ${args.remote}`);
+      }
+      const { entries } = store.getStatistics();
+      console.log(`📤 Pushed ${entries} snapshots to ${args.remote}`);
+    } catch (error) {
+      logger.error("Failed to push snapshots:", error);
+      console.error("❌ Failed to push snapshots:", error.message);
+      process.exit(1);
+    }
+  },
+});
+
+/**
+ * Pull snapshots subcommand
+ */
+const pullSubcommand = defineCommand({
+  meta: {
+    name: "pull",
+    description: "Fetch snapshots from a remote and merge them locally",
+  },
+  args: {
+    ...sharedArgs,
+    ...remoteArg,
+  },
+  async run({ args }) {
+    try {
+      const store = await openStore(args);
+      const { added } = await store.pull(args.remote);
+
+      const { entries } = store.getStatistics();
+      console.log(
+        `📥 Pulled ${added} new snapshots from ${args.remote} (${entries} total)`
+      );
+    } catch (error) {
+      logger.error("Failed to pull snapshots:", error);
+      console.error("❌ Failed to pull snapshots:", error.message);
+      process.exit(1);
+    }
+  },
+});
+
+/**
+ * Garbage collect snapshots subcommand
+ */
+const gcSubcommand = defineCommand({
+  meta: {
+    name: "gc",
+    description: "Remove old snapshots and drop their history",
+  },
+  args: {
+    ...sharedArgs,
+    "max-age": {
+      type: "string",
+      description: "Remove snapshots older than this (e.g. 12h, 7d, 2w)",
+      default: "30d",
+    },
+  },
+  async run({ args }) {
+    try {
+      const maxAgeMs = parseDuration(args["max-age"]);
+      if (maxAgeMs === undefined) {
+        throw new Error(
+          `Invalid --max-age "${args["max-age"]}", expected a duration like 7d`
+        );
+      }
+
+      const store = await openStore(args);
+      const removed = await store.gc(maxAgeMs);
+
+      const { entries } = store.getStatistics();
+      console.log(
+        `🧹 Removed ${removed} snapshots older than ${args["max-age"]} (${entries} left)`
+      );
+      if (removed > 0) {
+        console.log(
+          "💡 Run `gitvan snapshot push --force` to prune the shared snapshots too"
+        );
+      }
+    } catch (error) {
+      logger.error("Failed to garbage collect snapshots:", error);
+      console.error("❌ Failed to garbage collect snapshots:", error.message);
+      process.exit(1);
+    }
+  },
+});
+
+/**
+ * Main snapshot command with all subcommands
+ */
+export const snapshotCommand = defineCommand({
+  meta: {
+    name: "snapshot",
+    description: "Share git-backed snapshots across clones (push, pull, gc)",
+  },
+  subCommands: {
+    push: pushSubcommand,
+    pull: pullSubcommand,
+    gc: gcSubcommand,
+  },
+});
+
+export default snapshotCommand;
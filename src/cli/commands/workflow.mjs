@@ -23,6 +23,8 @@ export const workflowCommand = defineCommand({
       "gitvan workflow list",
       "gitvan workflow run my-workflow",
       "gitvan workflow run my-workflow --dry-run",
+      "gitvan workflow plan my-workflow --format dot",
+      "gitvan workflow resume exec_1700000000000_abc123def",
       "gitvan workflow validate my-workflow",
       "gitvan workflow create my-workflow 'My Workflow'",
       "gitvan workflow stats",
@@ -76,6 +78,7 @@ export const workflowCommand = defineCommand({
           "gitvan workflow run my-workflow --dry-run",
           "gitvan workflow run my-workflow --verbose",
           "gitvan workflow run my-workflow --input key=value",
+          "gitvan workflow run my-workflow --concurrency 2",
         ],
       },
       args: {
@@ -99,9 +102,14 @@ export const workflowCommand = defineCommand({
           description:
             "Input parameters in key=value format (can be used multiple times)",
         },
+        concurrency: {
+          type: "string",
+          description: "Maximum number of independent steps running at once",
+        },
       },
       async run({ args }) {
         const cli = new WorkflowCLI();
+        let result;
 
         try {
           await withGitVan({ cwd: process.cwd() }, async () => {
@@ -126,14 +134,114 @@ export const workflowCommand = defineCommand({
               inputs,
               dryRun: args["dry-run"],
               verbose: args.verbose,
+              concurrency:
+                args.concurrency !== undefined
+                  ? Number(args.concurrency)
+                  : undefined,
             };
 
-            await cli.run(args.workflowId, runOptions);
+            result = await cli.run(args.workflowId, runOptions);
           });
         } catch (error) {
           console.error(`❌ Failed to run workflow: ${error.message}`);
           process.exit(1);
         }
+
+        // The failure was printed with the result, the exit status reports it
+        if (result?.status === "failed") {
+          process.exit(1);
+        }
+      },
+    }),
+
+    /**
+     * Show the execution plan of a workflow
+     */
+    plan: defineCommand({
+      meta: {
+        name: "plan",
+        description:
+          "Show the dependency levels and critical path of a workflow",
+        usage: "gitvan workflow plan <workflow-id> [options]",
+        examples: [
+          "gitvan workflow plan my-workflow",
+          "gitvan workflow plan my-workflow --format dot | dot -Tsvg > plan.svg",
+        ],
+      },
+      args: {
+        workflowId: {
+          type: "positional",
+          description: "Workflow ID to plan",
+          required: true,
+        },
+        format: {
+          type: "string",
+          description: "Output format (text, dot)",
+          default: "text",
+        },
+      },
+      async run({ args }) {
+        const cli = new WorkflowCLI();
+
+        try {
+          await withGitVan({ cwd: process.cwd() }, async () => {
+            const context = useGitVan();
+            await cli.initialize(context);
+            await cli.plan(args.workflowId, { format: args.format });
+          });
+        } catch (error) {
+          console.error(`❌ Failed to plan workflow: ${error.message}`);
+          process.exit(1);
+        }
+      },
+    }),
+
+    /**
+     * Resume an interrupted workflow execution
+     */
+    resume: defineCommand({
+      meta: {
+        name: "resume",
+        description: "Resume a workflow execution from its last checkpoint",
+        usage: "gitvan workflow resume <execution-id> [options]",
+        examples: [
+          "gitvan workflow resume exec_1700000000000_abc123def",
+          "gitvan workflow resume exec_1700000000000_abc123def --verbose",
+        ],
+      },
+      args: {
+        executionId: {
+          type: "positional",
+          description: "Execution ID printed by workflow run",
+          required: true,
+        },
+        verbose: {
+          type: "boolean",
+          description: "Show detailed execution information",
+          default: false,
+        },
+      },
+      async run({ args }) {
+        const cli = new WorkflowCLI();
+        let result;
+
+        try {
+          await withGitVan({ cwd: process.cwd() }, async () => {
+            const context = useGitVan();
+            await cli.initialize(context);
+            result = await cli.resume(args.executionId, {
+              verbose: args.verbose,
+            });
+          });
+        } catch (error) {
+          console.error(`❌ Failed to resume workflow: ${error.message}`);
+          process.exit(1);
+        }
+
+        // The failure was printed with the result, the exit status reports it
+        if (result?.status === "failed") {
+          process.exit(1);
+        }
       },
     }),
 
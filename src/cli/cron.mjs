@@ -3,7 +3,12 @@
  * Provides commands for listing, starting, and managing cron jobs
  */
 
-import { startCronScheduler, scanJobs } from "../jobs/cron.mjs";
+import {
+  startCronScheduler,
+  scanJobs,
+  shouldRunJob,
+  calculateNextRun,
+} from "../jobs/cron.mjs";
 import { loadConfig } from "../runtime/config.mjs";
 import { createLogger } from "../utils/logger.mjs";
 
@@ -56,7 +61,14 @@ async function listCronJobs(config) {
 
     for (const job of cronJobs) {
       console.log(`📅 ${job.id || job.name}`);
-      console.log(`   Cron: ${job.cron}`);
+      console.log(`   Cron: ${job.cron} (${job.timezone})`);
+      let next;
+      try {
+        next = calculateNextRun(job)?.toISOString() ?? "never";
+      } catch (error) {
+        next = `invalid schedule (${error.message})`;
+      }
+      console.log(`   Next: ${next}`);
       console.log(`   File: ${job.relativePath}`);
       if (job.meta?.desc) {
         console.log(`   Desc: ${job.meta.desc}`);
@@ -87,8 +99,7 @@ async function dryRunCronJobs(config, at) {
     const matchingJobs = [];
 
     for (const job of cronJobs) {
-      // Simple cron matching logic (would need proper cron parser in production)
-      if (shouldRunAtTime(job.cron, checkTime)) {
+      if (shouldRunJob(job, checkTime)) {
         matchingJobs.push(job);
       }
     }
@@ -108,27 +119,6 @@ async function dryRunCronJobs(config, at) {
   }
 }
 
-/**
- * Check if cron job should run at given time
- * @param {string} cron - Cron expression
- * @param {Date} time - Time to check
- * @returns {boolean} True if should run
- */
-function shouldRunAtTime(cron, time) {
-  // Simplified cron matching - in production would use proper cron parser
-  const parts = cron.trim().split(/\s+/);
-  if (parts.length !== 5) return false;
-
-  const [min, hour, day, month, weekday] = parts;
-
-  // Simple patterns
-  if (min === "*" && hour === "*") return true; // Every minute
-  if (min === "0" && hour === "*") return true; // Every hour
-  if (min === "0" && hour === "0") return true; // Daily
-
-  return false;
-}
-
 /**
  * Get cron scheduler status
  * @param {object} config - GitVan config
@@ -290,6 +290,9 @@ export const packCommand = defineCommand({
             if (result.previousVersion) {
               consola.info(`Updated from ${result.previousVersion} to ${result.pack.manifest.version}`);
             }
+            for (const conflict of result.conflicts || []) {
+              consola.warn(`Conflict in ${conflict.rej || conflict.target}`);
+            }
           } else if (result.status === 'CURRENT') {
             consola.info(result.message);
           } else if (result.status === 'ERROR') {
@@ -195,6 +195,13 @@ export const packCommand = defineCommand({
               consola.warn(`  ! ${conflict}`);
             }
           }
+
+          if (plan.plan.skipped && plan.plan.skipped.length > 0) {
+            consola.info('\nSkipped:');
+            for (const entry of plan.plan.skipped) {
+              consola.info(`  - ${entry.type} ${entry.src} (${entry.reason})`);
+            }
+          }
         } catch (error) {
           consola.error('Failed to plan pack:', error.message);
           logger.error('Pack plan error:', error);
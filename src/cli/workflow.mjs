@@ -65,7 +65,8 @@ export class WorkflowCLI {
    * @param {object} [options.inputs] - Input parameters
    * @param {boolean} [options.dryRun] - Dry run mode
    * @param {boolean} [options.verbose] - Verbose output
-   * @returns {Promise<void>}
+   * @param {number} [options.concurrency] - Maximum independent steps running at once
+   * @returns {Promise<object|undefined>} Execution result, or undefined for a dry run
    */
   async run(workflowId, options = {}) {
     try {
@@ -89,57 +90,145 @@ export class WorkflowCLI {
         return;
       }
 
+      if (options.concurrency !== undefined) {
+        if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+          throw new Error("--concurrency must be a positive integer");
+        }
+        this.engine.maxConcurrency = options.concurrency;
+      }
+
       const startTime = performance.now();
       const result = await this.engine.executeWorkflow(workflowId);
       const endTime = performance.now();
 
-      this.logger.info("✅ Workflow execution completed");
-      this.logger.info(`   Duration: ${(endTime - startTime).toFixed(2)}ms`);
-      this.logger.info(`   Status: ${result.status}`);
-      this.logger.info(`   Steps executed: ${result.steps.length}`);
-
-      if (result.steps.length > 0) {
-        this.logger.info("   Step results:");
-        result.steps.forEach((step, index) => {
-          const status = step.success ? "✅" : "❌";
-          this.logger.info(
-            `     ${status} Step ${index + 1}: ${step.stepId || "Unknown"}`
-          );
-          if (step.error) {
-            this.logger.info(`       Error: ${step.error}`);
-          }
-        });
-      }
+      this._printResult(result, endTime - startTime, options);
+      return result;
+    } catch (error) {
+      this.logger.error(`❌ Workflow execution failed: ${error.message}`);
+      throw error;
+    }
+  }
 
-      if (options.verbose) {
-        this.logger.info("\n📊 Execution Details:");
-        this.logger.info("─".repeat(30));
+  /**
+   * Print the execution plan of a workflow
+   * @param {string} workflowId - Workflow ID to plan
+   * @param {object} options - Plan options
+   * @param {string} [options.format] - Output format: text or dot
+   * @returns {Promise<void>}
+   */
+  async plan(workflowId, options = {}) {
+    const format = options.format || "text";
+    if (!["text", "dot"].includes(format)) {
+      throw new Error(`Unsupported plan format: ${format} (use text or dot)`);
+    }
 
-        for (const step of result.steps) {
-          const status = step.success ? "✅" : "❌";
-          this.logger.info(
-            `${status} ${step.stepId || step.id || "Unknown"} (${
-              step.type || "unknown"
-            })`
-          );
-          if (step.error) {
-            this.logger.info(`   Error: ${step.error}`);
-          }
-        }
+    try {
+      const { title, plan, levels, criticalPath, maxConcurrency } =
+        await this.engine.planWorkflow(workflowId);
 
-        this.logger.info("\n📤 Workflow Summary:");
-        this.logger.info("─".repeat(20));
-        this.logger.info(`Workflow ID: ${result.workflowId}`);
-        this.logger.info(`Title: ${result.title}`);
-        this.logger.info(`Status: ${result.status}`);
-        this.logger.info(`Executed At: ${result.executedAt}`);
+      if (format === "dot") {
+        console.log(this.engine.planner.formatDot(plan, title));
+        return;
       }
+
+      this.logger.info(`📋 Execution plan: ${title}`);
+      this.logger.info("─".repeat(50));
+      this.logger.info(
+        `   ${plan.length} steps in ${levels.length} levels (max ${maxConcurrency} at a time)`
+      );
+      this.logger.info(
+        `   Estimated duration: ${criticalPath.duration}ms (critical path)`
+      );
+      this.logger.info("");
+      this.logger.info(this.engine.planner.formatText(plan));
     } catch (error) {
-      this.logger.error(`❌ Workflow execution failed: ${error.message}`);
+      this.logger.error(`❌ Failed to plan workflow: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Resume an interrupted workflow execution from its last checkpoint
+   * @param {string} executionId - Execution ID printed by `workflow run`
+   * @param {object} options - Execution options
+   * @param {boolean} [options.verbose] - Verbose output
+   * @returns {Promise<object>} Execution result
+   */
+  async resume(executionId, options = {}) {
+    try {
+      this.logger.info(`⏯️ Resuming execution: ${executionId}`);
+
+      const startTime = performance.now();
+      const result = await this.engine.resumeWorkflow(executionId);
+      const endTime = performance.now();
+
+      this._printResult(result, endTime - startTime, options);
+      return result;
+    } catch (error) {
+      this.logger.error(`❌ Workflow resume failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Print a workflow execution result
+   * @private
+   */
+  _printResult(result, duration, options = {}) {
+    if (result.status === "failed") {
+      this.logger.error(`❌ Workflow execution failed at ${result.failedStep}`);
+    } else {
+      this.logger.info("✅ Workflow execution completed");
+    }
+    this.logger.info(`   Duration: ${duration.toFixed(2)}ms`);
+    this.logger.info(`   Execution ID: ${result.executionId}`);
+    this.logger.info(`   Status: ${result.status}`);
+    this.logger.info(`   Steps executed: ${result.steps.length}`);
+
+    if (result.steps.length > 0) {
+      this.logger.info("   Step results:");
+      result.steps.forEach((step, index) => {
+        const status = step.success ? "✅" : "❌";
+        this.logger.info(
+          `     ${status} Step ${index + 1}: ${step.stepId || "Unknown"}`
+        );
+        if (step.error) {
+          this.logger.info(`       Error: ${step.error}`);
+        }
+      });
+    }
+
+    if (result.status === "failed") {
+      this.logger.info(
+        `   Resume with: gitvan workflow resume ${result.executionId}`
+      );
+    }
+
+    if (options.verbose) {
+      this.logger.info("\n📊 Execution Details:");
+      this.logger.info("─".repeat(30));
+
+      for (const step of result.steps) {
+        const status = step.success ? "✅" : "❌";
+        this.logger.info(
+          `${status} ${step.stepId || step.id || "Unknown"} (${
+            step.type || "unknown"
+          })`
+        );
+        if (step.error) {
+          this.logger.info(`   Error: ${step.error}`);
+        }
+      }
+
+      this.logger.info("\n📤 Workflow Summary:");
+      this.logger.info("─".repeat(20));
+      this.logger.info(`Workflow ID: ${result.workflowId}`);
+      this.logger.info(`Title: ${result.title}`);
+      this.logger.info(`Status: ${result.status}`);
+      this.logger.info(`Executed At: ${result.executedAt}`);
+    }
+  }
+
   /**
    * Validate a workflow
    * @param {string} workflowId - Workflow ID to validate
@@ -527,6 +616,13 @@ esac
     this.logger.info("   gitvan workflow run <workflow-id> --input key=value");
     this.logger.info("   gitvan workflow run <workflow-id> --dry-run");
     this.logger.info("");
+    this.logger.info("🗺️ Show execution plan:");
+    this.logger.info("   gitvan workflow plan <workflow-id>");
+    this.logger.info("   gitvan workflow plan <workflow-id> --format dot");
+    this.logger.info("");
+    this.logger.info("⏯️ Resume an interrupted execution:");
+    this.logger.info("   gitvan workflow resume <execution-id>");
+    this.logger.info("");
     this.logger.info("🔗 Connect with Cursor CLI:");
     this.logger.info("   gitvan workflow cursor <workflow-id> --interactive");
     this.logger.info(
@@ -600,6 +696,31 @@ export async function handleWorkflowCommand(args, options = {}) {
         await cli.validate(validateWorkflowId);
         break;
 
+      case "plan": {
+        const planWorkflowId = args[1];
+        if (!planWorkflowId) {
+          throw new Error("Workflow ID required for plan command");
+        }
+
+        const formatIndex = args.indexOf("--format");
+        await cli.plan(planWorkflowId, {
+          format: formatIndex !== -1 ? args[formatIndex + 1] : "text",
+        });
+        break;
+      }
+
+      case "resume": {
+        const executionId = args[1];
+        if (!executionId) {
+          throw new Error("Execution ID required for resume command");
+        }
+
+        await cli.resume(executionId, {
+          verbose: args.includes("--verbose"),
+        });
+        break;
+      }
+
       case "stats":
         await cli.stats();
         break;
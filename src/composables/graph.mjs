@@ -12,14 +12,24 @@ const rdfEngine = new RdfEngine();
  * This is the primary composable for performing SPARQL queries, SHACL validation,
  * set operations, and other graph manipulations.
  *
+ * Stores may hold named graphs (e.g. one per file when `useTurtle` loads with
+ * `namedGraphs`). By default, patterns outside `GRAPH` match every graph, so
+ * queries written against a single default graph keep working.
+ *
  * @param {import('n3').Store} store - An N3.Store instance, typically loaded via `useTurtle`.
+ * @param {object} [options]
+ * @param {boolean} [options.unionDefaultGraph=true] - Query the union of all graphs as the default graph.
  * @returns {object} An API object for operating on the graph.
  */
-export function useGraph(store) {
+export function useGraph(store, options = {}) {
   if (!store || typeof store.getQuads !== "function") {
     throw new Error("[useGraph] An N3.Store instance must be provided.");
   }
 
+  const queryDefaults = {
+    unionDefaultGraph: options.unionDefaultGraph !== false,
+  };
+
   const self = {
     /**
      * The raw N3.Store instance being operated on.
@@ -45,7 +55,7 @@ export function useGraph(store) {
      * @returns {Promise<object>} A result object with a `type` and other properties.
      */
     query(sparql, options) {
-      return rdfEngine.query(store, sparql, options);
+      return rdfEngine.query(store, sparql, { ...queryDefaults, ...options });
     },
 
     /**
@@ -54,7 +64,7 @@ export function useGraph(store) {
      * @returns {Promise<Array<object>>} An array of result bindings.
      */
     async select(sparql) {
-      const res = await rdfEngine.query(store, sparql);
+      const res = await rdfEngine.query(store, sparql, queryDefaults);
       if (res.type !== "select")
         throw new Error("Query is not a SELECT query.");
       return res.results;
@@ -66,11 +76,29 @@ export function useGraph(store) {
      * @returns {Promise<boolean>} The boolean result of the query.
      */
     async ask(sparql) {
-      const res = await rdfEngine.query(store, sparql);
+      const res = await rdfEngine.query(store, sparql, queryDefaults);
       if (res.type !== "ask") throw new Error("Query is not an ASK query.");
       return res.boolean;
     },
 
+    /**
+     * Lists the named graphs in the store.
+     * @returns {string[]} Sorted graph IRIs.
+     */
+    graphs() {
+      return rdfEngine.graphNames(store);
+    },
+
+    /**
+     * Returns a new graph instance restricted to the given named graphs.
+     * @param {string|string[]} graphs - Graph IRIs; "default" selects the default graph.
+     * @returns {object} A new `useGraph` instance over the selected graphs.
+     */
+    scope(graphs) {
+      const names = Array.isArray(graphs) ? graphs : [graphs];
+      return useGraph(rdfEngine.selectGraphs(store, names), options);
+    },
+
     /**
      * Validates the graph against a set of SHACL shapes.
      * @param {string|import('n3').Store} shapesInput - The SHACL shapes as a Turtle string or an N3.Store.
@@ -82,13 +110,17 @@ export function useGraph(store) {
 
     /**
      * Serializes the graph to a string in the specified format.
-     * @param {{format: 'Turtle'|'N-Quads', prefixes?: object}} options
+     * Turtle drops graph names; use TriG or N-Quads to keep a dataset intact.
+     * @param {{format: 'Turtle'|'TriG'|'N-Quads', prefixes?: object}} options
      * @returns {Promise<string>}
      */
     async serialize({ format = "Turtle", prefixes = {} }) {
       if (format === "Turtle") {
         return await rdfEngine.serializeTurtle(store, { prefixes });
       }
+      if (format === "TriG") {
+        return await rdfEngine.serializeTriG(store, { prefixes });
+      }
       if (format === "N-Quads") {
         return await rdfEngine.serializeNQuads(store);
       }
@@ -129,7 +161,7 @@ export function useGraph(store) {
     union(...otherGraphs) {
       const otherStores = otherGraphs.map((g) => g.store || g);
       const resultStore = rdfEngine.union(store, ...otherStores);
-      return useGraph(resultStore);
+      return useGraph(resultStore, options);
     },
 
     /**
@@ -140,7 +172,7 @@ export function useGraph(store) {
     difference(otherGraph) {
       const otherStore = otherGraph.store || otherGraph;
       const resultStore = rdfEngine.difference(store, otherStore);
-      return useGraph(resultStore);
+      return useGraph(resultStore, options);
     },
 
     /**
@@ -151,7 +183,7 @@ export function useGraph(store) {
     intersection(otherGraph) {
       const otherStore = otherGraph.store || otherGraph;
       const resultStore = rdfEngine.intersection(store, otherStore);
-      return useGraph(resultStore);
+      return useGraph(resultStore, options);
     },
   };
 
@@ -24,6 +24,7 @@ import N3 from "n3";
 import { useGitVan, tryUseGitVan } from "../core/context.mjs";
 import { loadOptions } from "../config/loader.mjs";
 import { createPersistenceHelper } from "../utils/persistence-helper.mjs";
+import { GraphCache, blobOid } from "../utils/graph-cache.mjs";
 
 // Namespace constants for RDF vocabularies
 const RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
@@ -48,6 +49,109 @@ const readList = (store, head) => {
   return out;
 };
 
+// RDF syntaxes loaded from the graph directory, by file extension
+const GRAPH_FILE_FORMATS = {
+  ".ttl": "Turtle",
+  ".trig": "TriG",
+  ".nq": "N-Quads",
+};
+
+/**
+ * Check whether a file name is an RDF file the graph loader reads
+ * @param {string} name - File name
+ * @returns {boolean}
+ */
+export function isGraphFile(name) {
+  return Object.keys(GRAPH_FILE_FORMATS).some((ext) => name.endsWith(ext));
+}
+
+/**
+ * Named graph IRI for a file of the graph directory
+ *
+ * The `graph://` URI root resolves it back to the file.
+ * @param {string} name - File name
+ * @returns {string}
+ */
+export function graphNameForFile(name) {
+  return `graph://${name}`;
+}
+
+const graphFileFormat = (name) =>
+  GRAPH_FILE_FORMATS[
+    Object.keys(GRAPH_FILE_FORMATS).find((ext) => name.endsWith(ext))
+  ];
+
+// Move default-graph quads into the file's own named graph
+const intoFileGraph = (quads, name) => {
+  const graph = N3.DataFactory.namedNode(graphNameForFile(name));
+  return quads.map((quad) =>
+    quad.graph.termType === "DefaultGraph"
+      ? N3.DataFactory.quad(quad.subject, quad.predicate, quad.object, graph)
+      : quad
+  );
+};
+
+/**
+ * Parse a graph directory file into quads
+ *
+ * TriG and N-Quads files keep the graphs they declare. With `namedGraphs`,
+ * default-graph quads go into the file's own graph (see graphNameForFile).
+ * @param {{name: string, content: string}} file - Graph file
+ * @param {object} [options]
+ * @param {boolean} [options.namedGraphs=false] - Load the file into its own named graph
+ * @returns {import('n3').Quad[]}
+ */
+export function parseGraphFile(file, options = {}) {
+  const quads = new N3.Parser({ format: graphFileFormat(file.name) }).parse(
+    file.content
+  );
+  return options.namedGraphs ? intoFileGraph(quads, file.name) : quads;
+}
+
+/**
+ * Load a graph directory file into quads through a graph cache
+ *
+ * The content is only read and parsed when its blob is not cached.
+ * @param {object} file - Graph file
+ * @param {string} file.name - File name
+ * @param {string} [file.content] - File content
+ * @param {string} [file.oid] - Git blob OID; computed from the content when omitted
+ * @param {() => Promise<string>} [file.read] - Reads the content when it is not given
+ * @param {object} [options]
+ * @param {boolean} [options.namedGraphs=false] - Load the file into its own named graph
+ * @param {GraphCache} [options.cache] - Cache to load through; parses directly when omitted
+ * @returns {Promise<import('n3').Quad[]>}
+ */
+export async function loadGraphFile(file, options = {}) {
+  const read = async () => file.content ?? (await file.read());
+  if (!options.cache) {
+    return parseGraphFile({ name: file.name, content: await read() }, options);
+  }
+
+  const quads = await options.cache.load(
+    file.oid || blobOid(file.content),
+    graphFileFormat(file.name),
+    read
+  );
+  return options.namedGraphs ? intoFileGraph(quads, file.name) : quads;
+}
+
+// One cache per directory, so its memory layer is shared by every useTurtle call
+const graphCaches = new Map();
+
+/**
+ * Get the graph cache for a cache directory
+ * @param {string} dir - Cache directory
+ * @param {number} [maxDiskEntries] - Entries kept on disk
+ * @returns {GraphCache}
+ */
+export function getGraphCache(dir, maxDiskEntries) {
+  if (!graphCaches.has(dir)) {
+    graphCaches.set(dir, new GraphCache({ dir, maxDiskEntries }));
+  }
+  return graphCaches.get(dir);
+}
+
 /**
  * Bind context and resolve graph configuration
  * Integrates with GitVan config system for robust graph path resolution
@@ -79,20 +183,34 @@ async function bindContext(opts = {}) {
     uriRoots["graph://"] = `${graphDir}/`;
   }
 
-  return { root, graphDir, uriRoots, config };
+  // Per-file named graphs with precedence: opts > config > defaults
+  const namedGraphs = opts.namedGraphs ?? config.graph.namedGraphs ?? false;
+
+  // Parsed-file cache, on unless disabled: opts > config > defaults
+  const cacheEnabled = opts.cache ?? config.graph.cache ?? true;
+  const cacheDir =
+    opts.cacheDir || join(root, config.graph.cacheDir || ".gitvan/cache/graph");
+  const cache = cacheEnabled
+    ? getGraphCache(cacheDir, config.graph.cacheMaxEntries)
+    : null;
+
+  return { root, graphDir, uriRoots, namedGraphs, cache, config };
 }
 
 /**
  * Turtle/RDF operations composable
  *
  * Provides Turtle file loading, parsing, and querying capabilities within the GitVan context.
- * This function loads all .ttl files from a directory, parses them into an N3 store,
- * and provides methods to query the RDF data and extract knowledge hooks.
+ * This function loads all .ttl, .trig and .nq files from a directory, parses them into
+ * an N3 store, and provides methods to query the RDF data and extract knowledge hooks.
  *
  * @async
  * @function useTurtle
  * @param {Object} [options={}] - Turtle options
  * @param {string} [options.graphDir] - Directory containing Turtle files
+ * @param {boolean} [options.namedGraphs] - Load each file into its own `graph://<file>` named graph
+ * @param {boolean} [options.cache] - Reuse parsed files from the on-disk cache keyed by blob OID; on unless `graph.cache` is false
+ * @param {string} [options.cacheDir] - Directory of the parsed-file cache
  * @returns {Promise<Object>} Turtle operations interface
  * @returns {Function} returns.loadFiles - Load Turtle files from directory
  * @returns {Function} returns.getHooks - Get knowledge hooks from loaded data
@@ -118,7 +236,8 @@ async function bindContext(opts = {}) {
  * ```
  */
 export async function useTurtle(options = {}) {
-  const { root, graphDir, uriRoots, config } = await bindContext(options);
+  const { root, graphDir, uriRoots, namedGraphs, cache, config } =
+    await bindContext(options);
 
   // Create persistence helper for this instance
   const persistence = createPersistenceHelper({
@@ -130,20 +249,21 @@ export async function useTurtle(options = {}) {
   // --- Internal loader ---
   const load = async () => {
     try {
-      const fileNames = (await readdir(graphDir)).filter((f) =>
-        f.endsWith(".ttl")
-      );
+      const fileNames = (await readdir(graphDir)).filter(isGraphFile);
       const files = await Promise.all(
-        fileNames.map(async (name) => ({
-          name,
-          content: await readFile(join(graphDir, name), "utf8"),
-        }))
+        fileNames.map(async (name) => {
+          const buffer = await readFile(join(graphDir, name));
+          return {
+            name,
+            content: buffer.toString("utf8"),
+            oid: blobOid(buffer),
+          };
+        })
       );
       const store = new N3.Store();
-      const parser = new N3.Parser();
       for (const file of files) {
         try {
-          store.addQuads(parser.parse(file.content));
+          store.addQuads(await loadGraphFile(file, { namedGraphs, cache }));
         } catch (error) {
           // Skip malformed turtle files gracefully
           console.warn(
@@ -170,14 +290,17 @@ export async function useTurtle(options = {}) {
   return {
     /** The raw N3.Store instance. */
     store,
-    /** An array of the raw file contents that were loaded. */
+    /** An array of the raw file contents that were loaded, with their blob OIDs. */
     files,
+    /** The parsed-file cache, or null when caching is disabled. */
+    cache,
     /** Configuration used by this instance. */
     config: {
       root,
       graphDir,
       uriRoots,
       ...config.graph,
+      namedGraphs,
     },
 
     /** Helper to traverse and read an RDF list */
@@ -337,6 +460,7 @@ export async function useTurtle(options = {}) {
 
         const loadedStore = persistence.parseTurtle(turtleContent, {
           baseIRI: options.baseIRI || config.graph.baseIRI,
+          graph: namedGraphs ? graphNameForFile(`${fileName}.ttl`) : undefined,
         });
 
         if (merge) {
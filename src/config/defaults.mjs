@@ -73,8 +73,10 @@ export const GitVanDefaults = {
   // Daemon configuration
   daemon: {
     pollMs: 1500,
+    rescanMs: 30000,
     lookback: 600,
     maxPerTick: 50,
+    refs: ["HEAD"],
   },
 
   // Events configuration
@@ -93,5 +95,10 @@ export const GitVanDefaults = {
     },
     autoLoad: true,
     validateOnLoad: false,
+    namedGraphs: false,
+    // Parsed-file cache keyed by blob OID; set to false to always reparse
+    cache: true,
+    cacheDir: ".gitvan/cache/graph",
+    cacheMaxEntries: 2048,
   },
 };
@@ -57,18 +57,40 @@ export class RdfEngine {
 
   // ============== Parse & Serialize (deterministic) ==============
 
+  /**
+   * @param {string} ttl
+   * @param {{baseIRI?:string, graph?:string}} [options] - `graph` places the triples in that named graph
+   */
   parseTurtle(ttl, options = {}) {
     if (typeof ttl !== "string" || !ttl.length)
       throw new Error("parseTurtle: non-empty string required");
     const parser = new Parser({ baseIRI: options.baseIRI || this.baseIRI });
-    return new Store(parser.parse(ttl));
+    return new Store(this._intoGraph(parser.parse(ttl), options.graph));
   }
 
-  parseNQuads(nq) {
+  /**
+   * @param {string} nq
+   * @param {{graph?:string}} [options] - `graph` receives the default-graph quads
+   */
+  parseNQuads(nq, options = {}) {
     if (typeof nq !== "string" || !nq.length)
       throw new Error("parseNQuads: non-empty string required");
     const parser = new Parser({ format: "N-Quads" });
-    return new Store(parser.parse(nq));
+    return new Store(this._intoGraph(parser.parse(nq), options.graph));
+  }
+
+  /**
+   * @param {string} trig
+   * @param {{baseIRI?:string, graph?:string}} [options] - `graph` receives the default-graph quads
+   */
+  parseTriG(trig, options = {}) {
+    if (typeof trig !== "string" || !trig.length)
+      throw new Error("parseTriG: non-empty string required");
+    const parser = new Parser({
+      format: "TriG",
+      baseIRI: options.baseIRI || this.baseIRI,
+    });
+    return new Store(this._intoGraph(parser.parse(trig), options.graph));
   }
 
   async serializeTurtle(store, options = {}) {
@@ -79,7 +101,13 @@ export class RdfEngine {
       format: "Turtle",
       prefixes,
     });
-    const quads = this._maybeSort([...store]);
+    // Turtle has no graph names; named-graph triples join the default graph
+    const triples = new Store(
+      [...store].map((qd) =>
+        quad(qd.subject, qd.predicate, qd.object, defaultGraph())
+      )
+    );
+    const quads = this._maybeSort([...triples]);
     writer.addQuads(quads);
     return new Promise((resolve, reject) =>
       writer.end((e, out) => (e ? reject(e) : resolve(out)))
@@ -95,12 +123,50 @@ export class RdfEngine {
     );
   }
 
+  async serializeTriG(store, options = {}) {
+    const prefixes = options.prefixes || this._extractPrefixes(store);
+
+    const writer = new Writer({ format: "TriG", prefixes });
+    const quads = this._maybeSort([...store]);
+    writer.addQuads(quads);
+    return new Promise((resolve, reject) =>
+      writer.end((e, out) => (e ? reject(e) : resolve(out)))
+    );
+  }
+
+  // ============== Named Graphs ==============
+
+  /** Sorted IRIs of the named graphs in the store. */
+  graphNames(store) {
+    return store
+      .getGraphs(null, null, null)
+      .filter((g) => g.termType !== "DefaultGraph")
+      .map((g) => g.value)
+      .sort();
+  }
+
+  /**
+   * New store holding only the quads of the given graphs. Quads keep their
+   * graph, so `GRAPH ?g {}` still names them.
+   * @param {Store} store
+   * @param {string[]} graphs - Graph IRIs; "default" selects the default graph
+   */
+  selectGraphs(store, graphs) {
+    const out = new Store();
+    for (const name of graphs) {
+      const graph = name === "default" ? defaultGraph() : namedNode(name);
+      out.addQuads(store.getQuads(null, null, null, graph));
+    }
+    return out;
+  }
+
   // ============== Canonicalization & Isomorphism ==============
 
   async canonicalize(store) {
     const nquads = await this.serializeNQuads(store);
     return rdfCanonize.canonize(nquads, {
       algorithm: "URDNA2015",
+      inputFormat: "application/n-quads",
       format: "application/n-quads",
     });
   }
@@ -160,7 +226,8 @@ export class RdfEngine {
    * Query with streaming, paging, and timeout.
    * @param {Store} store
    * @param {string} sparql
-   * @param {{limit?:number,signal?:AbortSignal,deterministic?:boolean}} [opts]
+   * @param {{limit?:number,signal?:AbortSignal,deterministic?:boolean,unionDefaultGraph?:boolean}} [opts]
+   *   `unionDefaultGraph` makes patterns outside `GRAPH` match every graph.
    */
   async query(store, sparql, opts = {}) {
     if (typeof sparql !== "string" || !sparql.trim())
@@ -170,6 +237,7 @@ export class RdfEngine {
     const deterministic = opts.deterministic ?? this.deterministic;
 
     const ctx = { sources: [store] };
+    if (opts.unionDefaultGraph) ctx.unionDefaultGraph = true;
     const kind = q
       .toUpperCase()
       .match(
@@ -262,15 +330,27 @@ export class RdfEngine {
 
   /**
    * N3 reasoning with timeout. Returns a new store.
+   * Rules are N3 text (`{ ... } => { ... } .`); a store of rules is
+   * serialized as Turtle, which only carries rules without formulas.
    * @param {Store} dataStore
-   * @param {Store} rulesStore
+   * @param {string|Store} rules
+   * @param {{output?:'deductive_closure'|'derivations'}} [options] - `derivations` returns only the new triples
    */
-  async reason(dataStore, rulesStore) {
+  async reason(dataStore, rules, options = {}) {
     const run = async () => {
       const dataN3 = await this.serializeTurtle(dataStore);
-      const rulesN3 = await this.serializeTurtle(rulesStore);
-      const out = await n3reasoner(dataN3, rulesN3);
-      return this.parseTurtle(out);
+      const rulesN3 =
+        typeof rules === "string" ? rules : await this.serializeTurtle(rules);
+      // EYE reads rules from the data; its second argument is a query
+      const out = await n3reasoner(`${dataN3}\n${rulesN3}`, undefined, {
+        output: options.output || "deductive_closure",
+        outputType: "string",
+      });
+      // Quoted formulas come back as blank-node graphs; keep plain triples
+      const quads = new Parser({ format: "text/n3" })
+        .parse(out)
+        .filter((q) => q.graph.termType === "DefaultGraph");
+      return new Store(quads);
     };
     return this._withTimeout(run, this.timeoutMs, "reasoning.n3");
   }
@@ -377,6 +457,16 @@ export class RdfEngine {
     );
   }
 
+  _intoGraph(quads, graph) {
+    if (!graph) return quads;
+    const target = namedNode(graph);
+    return quads.map((qd) =>
+      qd.graph.termType === "DefaultGraph"
+        ? quad(qd.subject, qd.predicate, qd.object, target)
+        : qd
+    );
+  }
+
   _termToJSON(term) {
     if (!term) return null;
     const out = { termType: term.termType, value: term.value };
@@ -0,0 +1,219 @@
+// src/engines/SparqlEndpointClient.mjs
+// SPARQL 1.1 Protocol client for querying remote endpoints and federating results
+
+const RESULTS_JSON = "application/sparql-results+json";
+
+/**
+ * Client for SPARQL 1.1 Protocol endpoints
+ *
+ * Queries are sent with POST as `application/sparql-query` and results are
+ * read as SPARQL 1.1 Query Results JSON. Terms come back in the same
+ * `{termType, value, language?, datatype?}` shape as `RdfEngine.query`, so
+ * remote and local bindings can be compared and merged.
+ */
+export class SparqlEndpointClient {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeout=5000] - Default per-endpoint timeout in ms
+   * @param {Function} [options.fetch] - fetch implementation
+   * @param {object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 5000;
+    this.fetch = options.fetch || globalThis.fetch;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Run a SELECT or ASK query against one endpoint
+   * @param {string} url - Endpoint URL
+   * @param {string} query - SPARQL query
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Timeout in ms
+   * @param {string} [options.authentication] - Authorization header value, or `env:NAME` for a bearer token from the environment
+   * @returns {Promise<{type: "select", variables: string[], results: object[]} | {type: "ask", boolean: boolean}>} Query result
+   */
+  async query(url, query, options = {}) {
+    const timeout = options.timeout || this.timeout;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    const headers = {
+      "Content-Type": "application/sparql-query",
+      Accept: `${RESULTS_JSON}, application/json;q=0.9`,
+    };
+    const authorization = this._authorization(options.authentication);
+    if (authorization) {
+      headers.Authorization = authorization;
+    }
+
+    let response;
+    let text;
+    try {
+      response = await this.fetch(url, {
+        method: "POST",
+        headers,
+        body: query,
+        signal: controller.signal,
+      });
+      text = await response.text();
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`Timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw new Error(
+        `Endpoint responded ${response.status} ${response.statusText}`.trim()
+      );
+    }
+
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid SPARQL results JSON: ${error.message}`);
+    }
+
+    return this._parseResults(json);
+  }
+
+  /**
+   * Run a query against several endpoints concurrently and merge the results
+   *
+   * SELECT bindings are unioned with duplicates removed; ASK results are true
+   * when any endpoint answers true. Endpoints that fail or time out are
+   * reported per endpoint and do not fail the whole query.
+   *
+   * @param {Array<{url: string, timeout?: number, authentication?: string}>} endpoints - Endpoints
+   * @param {string} query - SPARQL query
+   * @returns {Promise<object>} Merged result with per-endpoint outcomes
+   */
+  async federate(endpoints, query) {
+    const outcomes = await Promise.all(
+      endpoints.map(async (endpoint) => {
+        const start = Date.now();
+        try {
+          const result = await this.query(endpoint.url, query, endpoint);
+          return {
+            endpoint: endpoint.url,
+            success: true,
+            ...result,
+            durationMs: Date.now() - start,
+          };
+        } catch (error) {
+          this.logger.warn(
+            `⚠️ Federated query failed for ${endpoint.url}: ${error.message}`
+          );
+          return {
+            endpoint: endpoint.url,
+            success: false,
+            error: error.message,
+            durationMs: Date.now() - start,
+          };
+        }
+      })
+    );
+
+    const succeeded = outcomes.filter((outcome) => outcome.success);
+    const type = succeeded[0]?.type || null;
+
+    if (type === "ask") {
+      return {
+        type,
+        boolean: succeeded.some((outcome) => outcome.boolean),
+        endpoints: outcomes,
+      };
+    }
+
+    const variables = [
+      ...new Set(succeeded.flatMap((outcome) => outcome.variables || [])),
+    ];
+    const seen = new Set();
+    const results = [];
+    for (const outcome of succeeded) {
+      for (const row of outcome.results || []) {
+        const key = JSON.stringify(variables.map((name) => row[name] ?? null));
+        if (!seen.has(key)) {
+          seen.add(key);
+          results.push(row);
+        }
+      }
+    }
+
+    return { type, variables, results, endpoints: outcomes };
+  }
+
+  /**
+   * Resolve the Authorization header for an endpoint
+   * @private
+   */
+  _authorization(authentication) {
+    if (!authentication) {
+      return null;
+    }
+    const envName = authentication.match(/^env:(\w+)$/)?.[1];
+    if (envName) {
+      const token = process.env[envName];
+      if (!token) {
+        throw new Error(`Environment variable ${envName} is not set`);
+      }
+      return `Bearer ${token}`;
+    }
+    return authentication;
+  }
+
+  /**
+   * Convert SPARQL Query Results JSON to engine-style results
+   * @private
+   */
+  _parseResults(json) {
+    if (typeof json?.boolean === "boolean") {
+      return { type: "ask", boolean: json.boolean };
+    }
+    if (!Array.isArray(json?.results?.bindings)) {
+      throw new Error("Invalid SPARQL results JSON: missing results.bindings");
+    }
+
+    return {
+      type: "select",
+      variables: json.head?.vars || [],
+      results: json.results.bindings.map((binding) =>
+        Object.fromEntries(
+          Object.entries(binding).map(([name, term]) => [
+            name,
+            this._toTerm(term),
+          ])
+        )
+      ),
+    };
+  }
+
+  /**
+   * Convert a results JSON term to `{termType, value, ...}`
+   * @private
+   */
+  _toTerm(term) {
+    switch (term.type) {
+      case "uri":
+        return { termType: "NamedNode", value: term.value };
+      case "bnode":
+        return { termType: "BlankNode", value: term.value };
+      case "literal":
+      case "typed-literal": {
+        const literal = { termType: "Literal", value: term.value };
+        if (term["xml:lang"]) literal.language = term["xml:lang"];
+        if (term.datatype) literal.datatype = term.datatype;
+        return literal;
+      }
+      default:
+        throw new Error(
+          `Invalid SPARQL results JSON: unknown term type ${term.type}`
+        );
+    }
+  }
+}
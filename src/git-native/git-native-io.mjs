@@ -17,6 +17,8 @@ export class GitNativeIO {
     this.cwd = options.cwd || process.cwd();
     this.logger = options.logger || console;
     this.config = this._mergeConfig(options.config);
+    this._jobs = options.jobs;
+    this._resolveJob = options.resolveJob;
 
     // Initialize components
     this._queueManager = null;
@@ -26,15 +28,31 @@ export class GitNativeIO {
     this._workerPool = null;
 
     this._initialized = false;
+    this._initializing = null;
   }
 
   /**
    * Initialize all components and reconcile state.
+   * Concurrent callers share one setup, and so one set of components.
    * @returns {Promise<void>}
    */
   async initialize() {
     if (this._initialized) return;
 
+    if (!this._initializing) {
+      this._initializing = this._initialize().finally(() => {
+        this._initializing = null;
+      });
+    }
+    return this._initializing;
+  }
+
+  /**
+   * Create, initialize and reconcile the components.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _initialize() {
     this.logger.info("Initializing GitNativeIO...");
 
     // Import components dynamically to avoid circular dependencies
@@ -49,6 +67,8 @@ export class GitNativeIO {
       logger: this.logger,
       queue: this.config.queue,
       paths: this.config.paths,
+      jobs: this._jobs,
+      resolveJob: this._resolveJob,
     });
 
     this._lockManager = new LockManager({
@@ -66,13 +86,14 @@ export class GitNativeIO {
     this._snapshotStore = new SnapshotStore({
       cwd: this.cwd,
       logger: this.logger,
-      snapshot: this.config.paths,
+      snapshot: { ...this.config.paths, ...this.config.snapshots },
     });
 
     this._workerPool = new WorkerPool({
       cwd: this.cwd,
       logger: this.logger,
       workers: this.config.workers,
+      receiptWriter: this._receiptWriter,
     });
 
     // Initialize all components
@@ -143,6 +164,30 @@ export class GitNativeIO {
     return this._queueManager.addJob(priority, job, metadata);
   }
 
+  /**
+   * Register the handler of a named job.
+   * @param {string} jobId
+   * @param {Function} handler
+   * @returns {Promise<void>}
+   */
+  async registerJob(jobId, handler) {
+    await this._ensureInitialized();
+    this._queueManager.registerJob(jobId, handler);
+  }
+
+  /**
+   * Enqueue a named job that is replayed after a restart.
+   * @param {string} priority
+   * @param {string} jobId
+   * @param {any} [payload]
+   * @param {{maxAttempts?:number,metadata?:Object}} [options]
+   * @returns {Promise<Object>} The persisted queue entry
+   */
+  async enqueue(priority, jobId, payload = {}, options = {}) {
+    await this._ensureInitialized();
+    return this._queueManager.enqueue(priority, jobId, payload, options);
+  }
+
   /**
    * Acquire a CAS lock stored under refs/gitvan/locks/*.
    * @param {string} lockName
@@ -157,11 +202,12 @@ export class GitNativeIO {
   /**
    * Release a previously acquired lock.
    * @param {string} lockName
+   * @param {{fingerprint?:string,force?:boolean}} [options]
    * @returns {Promise<boolean>}
    */
-  async releaseLock(lockName) {
+  async releaseLock(lockName, options = {}) {
     await this._ensureInitialized();
-    return this._lockManager.releaseLock(lockName);
+    return this._lockManager.releaseLock(lockName, options);
   }
 
   /**
@@ -330,6 +376,8 @@ export class GitNativeIO {
 
     this.logger.info("Shutting down GitNativeIO...");
 
+    this._lockManager.stopHeartbeats();
+
     await Promise.all([
       this._receiptWriter.flushAll(),
       this._workerPool.shutdown(),
@@ -382,6 +430,10 @@ export class GitNativeIO {
         locksRef: "refs/gitvan/locks",
         execRef: "refs/gitvan/executions",
       },
+      snapshots: {
+        backend: "file",
+        ref: "refs/gitvan/snapshots",
+      },
       git: {
         notesBatchSize: 100,
         gcAuto: false,
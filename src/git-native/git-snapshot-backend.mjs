@@ -0,0 +1,474 @@
+import { spawn } from "child_process";
+import { promises as fs } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { randomUUID } from "crypto";
+import { useLog } from "../composables/log.mjs";
+
+/** Fixed identity so snapshot commits work on machines without user.name */
+const SNAPSHOT_IDENTITY = {
+  GIT_AUTHOR_NAME: "GitVan",
+  GIT_AUTHOR_EMAIL: "gitvan@localhost",
+  GIT_COMMITTER_NAME: "GitVan",
+  GIT_COMMITTER_EMAIL: "gitvan@localhost",
+};
+
+/**
+ * Snapshot storage in git objects under a dedicated ref.
+ *
+ * Each snapshot is a blob at `<hash[0:2]>/<hash>.json` in the tree of the
+ * ref's tip commit, the same layout as the on-disk cache. Every change is a
+ * new commit published with `git update-ref <ref> <new> <old>`, so concurrent
+ * writers retry instead of overwriting each other. Paths are content hashes,
+ * which makes the union of two trees a conflict-free merge: that is how
+ * `pull` combines snapshots from another clone.
+ */
+export class GitSnapshotBackend {
+  /**
+   * @param {{cwd?:string,logger?:Console,ref?:string,maxRetries?:number,retryDelay?:number}} [options]
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.logger = options.logger || useLog("GitSnapshotBackend");
+    this.ref = options.ref || "refs/gitvan/snapshots";
+    this.maxRetries = options.maxRetries || 10;
+    this.retryDelay = options.retryDelay || 50;
+
+    // Serializes ref updates made by this process
+    this._updates = Promise.resolve();
+  }
+
+  /**
+   * Verify the working directory is a git repository.
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      await this._git(["rev-parse", "--git-dir"]);
+    } catch (error) {
+      throw new Error(`Not a git repository: ${this.cwd}`);
+    }
+  }
+
+  /**
+   * Tip commit of the snapshot ref.
+   * @returns {Promise<string|null>} commit OID or null if nothing was stored yet
+   */
+  async resolve() {
+    return this._resolveRef(this.ref);
+  }
+
+  /**
+   * Store snapshot content under its content hash.
+   * @param {string} contentHash
+   * @param {string} content
+   * @returns {Promise<void>}
+   */
+  async write(contentHash, content) {
+    const oid = await this._git(["hash-object", "-w", "--stdin"], {
+      input: content,
+    });
+    const path = this._getPath(contentHash);
+
+    await this._transact((parent) =>
+      this._commitChange(parent, { add: [{ path, oid }] }, `Store ${path}`)
+    );
+  }
+
+  /**
+   * Read snapshot content.
+   * @param {string} contentHash
+   * @returns {Promise<string|null>} content or null if absent
+   */
+  async read(contentHash) {
+    try {
+      return await this._git([
+        "cat-file",
+        "blob",
+        `${this.ref}:${this._getPath(contentHash)}`,
+      ]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read the content of many listed entries with one git process.
+   * @param {Array<{oid:string}>} entries
+   * @returns {Promise<string[]>}
+   */
+  async readMany(entries) {
+    if (entries.length === 0) return [];
+
+    // Each object is "<oid> <type> <size>\n<content>\n"
+    const output = await this._git(["cat-file", "--batch"], {
+      input: entries.map((entry) => entry.oid).join("\n") + "\n",
+      raw: true,
+    });
+
+    const contents = [];
+    let offset = 0;
+    for (let i = 0; i < entries.length; i++) {
+      const headerEnd = output.indexOf(10, offset);
+      const size = Number(
+        output.toString("utf8", offset, headerEnd).split(" ")[2]
+      );
+      contents.push(
+        output.toString("utf8", headerEnd + 1, headerEnd + 1 + size)
+      );
+      offset = headerEnd + 1 + size + 1;
+    }
+    return contents;
+  }
+
+  /**
+   * List stored snapshots.
+   * @param {string} [commit] - Commit to list instead of the ref tip
+   * @returns {Promise<Array<{contentHash:string,path:string,oid:string,size:number}>>}
+   */
+  async list(commit = null) {
+    const tip = commit || (await this.resolve());
+    if (!tip) return [];
+
+    const stdout = await this._git(["ls-tree", "-r", "-l", tip]);
+    return stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        // "<mode> blob <oid> <size>\t<path>"
+        const [info, path] = line.split("\t");
+        const [, , oid, size] = info.split(/\s+/);
+        return {
+          contentHash: path
+            .split("/")
+            .pop()
+            .replace(/\.json$/, ""),
+          path,
+          oid,
+          size: Number(size),
+        };
+      })
+      .filter((entry) => entry.path.endsWith(".json"));
+  }
+
+  /**
+   * Remove snapshots in a single commit.
+   * @param {string[]} contentHashes
+   * @returns {Promise<number>} removed
+   */
+  async remove(contentHashes) {
+    let removed = 0;
+
+    await this._transact(async (parent) => {
+      const present = new Set((await this.list(parent)).map((e) => e.path));
+      const paths = contentHashes
+        .map((hash) => this._getPath(hash))
+        .filter((path) => present.has(path));
+
+      removed = paths.length;
+      if (removed === 0) return parent;
+      return this._commitChange(
+        parent,
+        { remove: paths },
+        `Remove ${removed} snapshots`
+      );
+    });
+
+    return removed;
+  }
+
+  /**
+   * Replace the ref history with a single commit of the current tree so
+   * removed snapshots become unreachable and `git gc` can drop them.
+   * @returns {Promise<string|null>} new tip
+   */
+  async compact() {
+    return this._transact(async (parent) => {
+      if (!parent) return null;
+      const tree = await this._git(["rev-parse", `${parent}^{tree}`]);
+      return this._commitTree(tree, [], "Compact snapshots");
+    });
+  }
+
+  /**
+   * Publish the snapshot ref to a remote.
+   * A rejected push is retried once after pulling the remote snapshots.
+   * @param {string} [remote]
+   * @param {{force?:boolean}} [options] - force replaces the remote ref, e.g. after compact()
+   * @returns {Promise<{merged:number}>} snapshots merged from the remote first
+   */
+  async push(remote = "origin", options = {}) {
+    if (!(await this.resolve())) {
+      throw new Error(`No snapshots to push: ${this.ref} does not exist`);
+    }
+
+    const refspec = `${this.ref}:${this.ref}`;
+    if (options.force) {
+      await this._git(["push", remote, `+${refspec}`]);
+      return { merged: 0 };
+    }
+
+    try {
+      await this._git(["push", remote, refspec]);
+      return { merged: 0 };
+    } catch (error) {
+      if (!/rejected|non-fast-forward|fetch first/.test(error.stderr)) {
+        throw error;
+      }
+    }
+
+    this.logger.debug(`Push of ${this.ref} rejected, merging ${remote} first`);
+    const { added } = await this.pull(remote);
+    await this._git(["push", remote, refspec]);
+    return { merged: added };
+  }
+
+  /**
+   * Fetch the remote snapshot ref and merge it into the local one.
+   * @param {string} [remote]
+   * @returns {Promise<{added:number}>} snapshots that were only on the remote
+   */
+  async pull(remote = "origin") {
+    const tracking = `refs/gitvan/remotes/${remote}/${this.ref.replace(/^refs\//, "")}`;
+
+    try {
+      await this._git([
+        "fetch",
+        "--no-tags",
+        remote,
+        `+${this.ref}:${tracking}`,
+      ]);
+    } catch (error) {
+      if (/couldn't find remote ref/i.test(error.stderr)) {
+        this.logger.debug(`Remote ${remote} has no ${this.ref}`);
+        return { added: 0 };
+      }
+      throw error;
+    }
+
+    const theirs = await this._resolveRef(tracking);
+    return this._merge(theirs, `Merge snapshots from ${remote}`);
+  }
+
+  /**
+   * Merge another snapshot commit into the ref by taking the union of trees.
+   * @private
+   * @param {string} theirs
+   * @param {string} message
+   * @returns {Promise<{added:number}>}
+   */
+  async _merge(theirs, message) {
+    let added = 0;
+
+    await this._transact(async (ours) => {
+      const incoming = await this.list(theirs);
+      const present = new Set((await this.list(ours)).map((e) => e.path));
+      const missing = incoming.filter((entry) => !present.has(entry.path));
+      added = missing.length;
+
+      if (!ours || (await this._isAncestor(ours, theirs))) return theirs;
+      if (await this._isAncestor(theirs, ours)) return ours;
+
+      const tree = await this._buildTree(ours, { add: missing });
+      return this._commitTree(tree, [ours, theirs], message);
+    });
+
+    return { added };
+  }
+
+  /**
+   * Apply a ref update computed from the current tip, retrying when another
+   * writer moved the ref in between.
+   * @private
+   * @param {(parent:string|null) => Promise<string|null>} compute - returns the new tip
+   * @returns {Promise<string|null>} tip after the update
+   */
+  _transact(compute) {
+    const run = async () => {
+      for (let attempt = 0; ; attempt++) {
+        const current = await this.resolve();
+        const next = await compute(current);
+        if (!next || next === current) return current;
+
+        try {
+          await this._git(["update-ref", this.ref, next, current || ""]);
+          return next;
+        } catch (error) {
+          if (attempt >= this.maxRetries) {
+            throw new Error(
+              `Failed to update ${this.ref} after ${attempt + 1} attempts: ${error.message}`
+            );
+          }
+          this.logger.debug(`${this.ref} moved, retrying update`);
+          await new Promise((resolve) =>
+            setTimeout(resolve, this.retryDelay * (attempt + 1))
+          );
+        }
+      }
+    };
+
+    const result = this._updates.then(run, run);
+    this._updates = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Commit a tree change on top of parent, or return parent if nothing changed.
+   * @private
+   * @param {string|null} parent
+   * @param {{add?:Array<{path:string,oid:string}>,remove?:string[]}} change
+   * @param {string} message
+   * @returns {Promise<string>}
+   */
+  async _commitChange(parent, change, message) {
+    const tree = await this._buildTree(parent, change);
+    if (
+      parent &&
+      tree === (await this._git(["rev-parse", `${parent}^{tree}`]))
+    ) {
+      return parent;
+    }
+    return this._commitTree(tree, parent ? [parent] : [], message);
+  }
+
+  /**
+   * Write a tree from a base commit plus additions and removals, using a
+   * private index file so the repository's own index is never touched.
+   * @private
+   * @param {string|null} base
+   * @param {{add?:Array<{path:string,oid:string}>,remove?:string[]}} change
+   * @returns {Promise<string>} tree OID
+   */
+  async _buildTree(base, { add = [], remove = [] }) {
+    const env = {
+      GIT_INDEX_FILE: join(tmpdir(), `gitvan-snapshots-${randomUUID()}.index`),
+    };
+
+    try {
+      await this._git(["read-tree", base ? `${base}^{tree}` : "--empty"], {
+        env,
+      });
+      if (remove.length > 0) {
+        await this._git(["update-index", "--force-remove", "-z", "--stdin"], {
+          env,
+          input: remove.map((path) => `${path}\0`).join(""),
+        });
+      }
+      if (add.length > 0) {
+        await this._git(["update-index", "--add", "--index-info"], {
+          env,
+          input: add
+            .map(({ oid, path }) => `100644 ${oid}\t${path}\n`)
+            .join(""),
+        });
+      }
+      return await this._git(["write-tree"], { env });
+    } finally {
+      await fs.rm(env.GIT_INDEX_FILE, { force: true });
+    }
+  }
+
+  /**
+   * Create a commit object.
+   * @private
+   * @param {string} tree
+   * @param {string[]} parents
+   * @param {string} message
+   * @returns {Promise<string>} commit OID
+   */
+  async _commitTree(tree, parents, message) {
+    const args = ["commit-tree", tree, "-m", message];
+    for (const parent of parents) args.push("-p", parent);
+    return this._git(args, { env: SNAPSHOT_IDENTITY });
+  }
+
+  /**
+   * Whether commit a is an ancestor of (or equal to) commit b.
+   * @private
+   * @param {string} a
+   * @param {string} b
+   * @returns {Promise<boolean>}
+   */
+  async _isAncestor(a, b) {
+    try {
+      await this._git(["merge-base", "--is-ancestor", a, b]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get ref OID or null if ref doesn't exist.
+   * @private
+   * @param {string} ref
+   * @returns {Promise<string|null>}
+   */
+  async _resolveRef(ref) {
+    try {
+      return await this._git([
+        "rev-parse",
+        "--verify",
+        "-q",
+        `${ref}^{commit}`,
+      ]);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sharded tree path of a snapshot.
+   * @private
+   * @param {string} contentHash
+   * @returns {string}
+   */
+  _getPath(contentHash) {
+    return `${contentHash.substring(0, 2)}/${contentHash}.json`;
+  }
+
+  /**
+   * Run a git command.
+   * @private
+   * @param {string[]} args
+   * @param {{input?:string,env?:Record<string,string>,raw?:boolean}} [options]
+   * @returns {Promise<any>} trimmed stdout, or a Buffer with raw
+   */
+  _git(args, options = {}) {
+    return new Promise((resolve, reject) => {
+      const child = spawn("git", args, {
+        cwd: this.cwd,
+        env: { ...process.env, ...options.env },
+        stdio: [
+          options.input === undefined ? "ignore" : "pipe",
+          "pipe",
+          "pipe",
+        ],
+      });
+
+      const chunks = [];
+      let stderr = "";
+
+      child.stdout.on("data", (data) => chunks.push(data));
+      child.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+
+      child.on("error", reject);
+      child.on("close", (code) => {
+        const stdout = Buffer.concat(chunks);
+        if (code === 0) {
+          resolve(options.raw ? stdout : stdout.toString().trim());
+        } else {
+          const error = new Error(`git ${args[0]} failed: ${stderr.trim()}`);
+          error.stderr = stderr;
+          reject(error);
+        }
+      });
+
+      if (options.input !== undefined) {
+        child.stdin.end(options.input);
+      }
+    });
+  }
+}
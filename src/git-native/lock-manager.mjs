@@ -1,19 +1,27 @@
-import { exec } from "child_process";
+import { execFile, spawn } from "child_process";
 import { promisify } from "util";
-import { spawn } from "child_process";
 import { randomUUID } from "crypto";
+import { hostname } from "os";
 import { useLog } from "../composables/log.mjs";
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 /**
  * Git-Native CAS locks using atomic ref operations.
  * Uses Git's built-in atomicity for distributed locking without external dependencies.
- * Let-it-crash discipline: expired locks are removed on read.
+ *
+ * Every write goes through `git update-ref <ref> <new> <old>`: an empty old
+ * value only creates the ref if it is absent, and an old OID only replaces
+ * the exact lock record that was read. Two contenders can never both win.
+ *
+ * A lock is a lease: it expires `timeout` ms after it was last renewed.
+ * With `heartbeat: true` the lease is renewed every third of its length
+ * while the holder is alive, so a crashed holder loses the lock once its
+ * lease runs out. Let-it-crash discipline: expired locks are removed on read.
  */
 export class LockManager {
   /**
-   * @param {{cwd?:string,logger?:Console,lock?:{defaultTimeout?:number,lockPrefix?:string}}} [options]
+   * @param {{cwd?:string,logger?:Console,lock?:{defaultTimeout?:number,lockPrefix?:string,retryDelay?:number,fingerprint?:string,heartbeat?:boolean}}} [options]
    */
   constructor(options = {}) {
     this.cwd = options.cwd || process.cwd();
@@ -22,7 +30,12 @@ export class LockManager {
     this.lockPrefix = options.lock?.lockPrefix || "refs/gitvan/locks";
     this.retryDelay = options.lock?.retryDelay || 100;
     this.maxRetries = options.lock?.maxRetries || 10;
+    this.heartbeat = options.lock?.heartbeat === true;
 
+    // Identifies this holder when no fingerprint is passed explicitly
+    this.fingerprint = options.lock?.fingerprint || randomUUID();
+
+    this._heartbeats = new Map();
     this._initialized = false;
   }
 
@@ -37,7 +50,7 @@ export class LockManager {
 
     // Verify we're in a git repository
     try {
-      await execAsync("git rev-parse --git-dir", { cwd: this.cwd });
+      await this._git(["rev-parse", "--git-dir"]);
     } catch (error) {
       throw new Error(`Not a git repository: ${this.cwd}`);
     }
@@ -50,88 +63,128 @@ export class LockManager {
    * Acquire a lock using Git's atomic ref operations.
    * @param {string} lockName
    * @param {import("../types.js").LockOptions} [options]
-   * @returns {Promise<boolean>}
+   * @returns {Promise<boolean>} False if the lock is held and the wait timed out
    */
   async acquireLock(lockName, options = {}) {
     await this._ensureInitialized();
 
+    const lockRef = `${this.lockPrefix}/${lockName}`;
+    const fingerprint = options.fingerprint || this.fingerprint;
     const timeout = options.timeout || this.defaultTimeout;
-    const fingerprint = options.fingerprint || randomUUID();
     const exclusive = options.exclusive !== false;
+    const deadline = Date.now() + (options.wait || 0);
+
+    while (true) {
+      if (
+        await this._tryAcquire(lockRef, { fingerprint, timeout, exclusive })
+      ) {
+        this.logger.debug(`Acquired lock: ${lockName} (${fingerprint})`);
+        if (options.heartbeat ?? this.heartbeat) {
+          this._startHeartbeat(lockName, fingerprint, timeout);
+        }
+        return true;
+      }
 
-    const lockRef = `${this.lockPrefix}/${lockName}`;
-    const lockId = randomUUID();
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        this.logger.debug(
+          `Failed to acquire lock ${lockName}: held by another owner`,
+        );
+        return false;
+      }
 
-    // Create lock metadata
-    const lockData = {
-      id: lockId,
-      acquiredAt: Date.now(),
-      timeout,
-      fingerprint,
-      exclusive,
-      pid: process.pid,
-      hostname: require("os").hostname(),
-    };
+      // Jitter keeps waiting processes from retrying in lockstep
+      const delay = this.retryDelay * (0.5 + Math.random());
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(delay, remaining)),
+      );
+    }
+  }
 
-    // Use Git's atomic ref creation (fails if ref exists)
-    try {
-      const lockBlob = await this._createBlob(JSON.stringify(lockData));
-      await execAsync(`git update-ref ${lockRef} ${lockBlob}`, {
-        cwd: this.cwd,
-      });
+  /**
+   * Renew the lease of a held lock.
+   * @param {string} lockName
+   * @param {{fingerprint?:string}} [options]
+   * @returns {Promise<boolean>} False if the lock is no longer held by the fingerprint
+   */
+  async renewLock(lockName, options = {}) {
+    await this._ensureInitialized();
 
-      this.logger.debug(`Acquired lock: ${lockName} (${lockId})`);
-      return true;
-    } catch (error) {
-      // Lock already exists - check if expired
-      const isExpired = await this._isLockExpired(lockRef);
-      if (isExpired) {
-        // Remove expired lock and retry
-        await this._removeExpiredLock(lockRef);
-        try {
-          const lockBlob = await this._createBlob(JSON.stringify(lockData));
-          await execAsync(`git update-ref ${lockRef} ${lockBlob}`, {
-            cwd: this.cwd,
-          });
-          this.logger.debug(`Acquired expired lock: ${lockName} (${lockId})`);
-          return true;
-        } catch (retryError) {
-          this.logger.debug(
-            `Failed to acquire lock ${lockName} after retry: ${retryError.message}`
-          );
-          return false;
-        }
+    const lockRef = `${this.lockPrefix}/${lockName}`;
+    const fingerprint = options.fingerprint || this.fingerprint;
+
+    for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      const current = await this._readLock(lockRef);
+      if (!current || !this._holders(current.record).includes(fingerprint)) {
+        return false;
       }
-      this.logger.debug(`Failed to acquire lock ${lockName}: ${error.message}`);
-      return false;
+
+      const record = { ...current.record, renewedAt: Date.now() };
+      if (await this._compareAndSwap(lockRef, record, current.oid)) {
+        return true;
+      }
+      // Another shared holder renewed concurrently; read again
     }
+    return false;
   }
 
   /**
    * Release (delete) a lock ref.
    * @param {string} lockName
-   * @returns {Promise<boolean>}
+   * @param {{fingerprint?:string,force?:boolean}} [options] - `force` releases whoever holds the lock
+   * @returns {Promise<boolean>} False if the lock is absent or held by another fingerprint
    */
-  async releaseLock(lockName) {
+  async releaseLock(lockName, options = {}) {
     await this._ensureInitialized();
 
     const lockRef = `${this.lockPrefix}/${lockName}`;
+    const fingerprint = options.fingerprint || this.fingerprint;
+    this._stopHeartbeat(lockName, fingerprint);
 
     try {
-      // Get current lock data for CAS operation
-      const currentOid = await this._getRefOid(lockRef);
-      if (!currentOid) {
-        this.logger.debug(`Lock ${lockName} not found`);
-        return false;
-      }
+      for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+        const current = await this._readLock(lockRef);
+        if (!current) {
+          this.logger.debug(`Lock ${lockName} not found`);
+          return false;
+        }
 
-      // Delete the lock ref (CAS operation)
-      await execAsync(`git update-ref -d ${lockRef} ${currentOid}`, {
-        cwd: this.cwd,
-      });
+        const holders = this._holders(current.record);
+        if (!options.force && !holders.includes(fingerprint)) {
+          this.logger.warn(
+            `Refusing to release lock ${lockName}: not held by ${fingerprint}`,
+          );
+          return false;
+        }
 
-      this.logger.info(`Released lock: ${lockName}`);
-      return true;
+        const remaining = options.force
+          ? []
+          : holders.filter((holder) => holder !== fingerprint);
+
+        const swapped =
+          remaining.length === 0
+            ? await this._compareAndDelete(lockRef, current.oid)
+            : await this._compareAndSwap(
+                lockRef,
+                {
+                  ...current.record,
+                  fingerprint: remaining[0],
+                  holders: remaining,
+                },
+                current.oid,
+              );
+
+        if (swapped) {
+          this.logger.info(`Released lock: ${lockName}`);
+          return true;
+        }
+        // The record changed under us (renewal or shared holder); read again
+      }
+
+      this.logger.warn(
+        `Failed to release lock ${lockName}: too much contention`,
+      );
+      return false;
     } catch (error) {
       this.logger.warn(`Failed to release lock ${lockName}: ${error.message}`);
       return false;
@@ -161,28 +214,23 @@ export class LockManager {
     const lockRef = `${this.lockPrefix}/${lockName}`;
 
     try {
-      const oid = await this._getRefOid(lockRef);
-      if (!oid) return null;
-
-      const lockData = await this._getBlobContent(oid);
-      const parsed = JSON.parse(lockData);
+      const current = await this._readLock(lockRef);
+      if (!current) return null;
 
-      // Check if lock is expired
-      const now = Date.now();
-      if (now - parsed.acquiredAt > parsed.timeout) {
-        // Lock is expired, remove it
-        await this.releaseLock(lockName);
+      if (this._isExpired(current.record)) {
+        // Only removes the expired record that was read, never a newer lock
+        await this._compareAndDelete(lockRef, current.oid);
         return null;
       }
 
       return {
         name: lockName,
         ref: lockRef,
-        ...parsed,
+        ...current.record,
       };
     } catch (error) {
       this.logger.debug(
-        `Failed to get lock info for ${lockName}: ${error.message}`
+        `Failed to get lock info for ${lockName}: ${error.message}`,
       );
       return null;
     }
@@ -199,11 +247,12 @@ export class LockManager {
 
     try {
       // Get all refs under the lock prefix
-      const { stdout } = await execAsync(
-        `git for-each-ref --format="%(refname)" ${this.lockPrefix}`,
-        { cwd: this.cwd }
-      );
-      const refs = stdout.trim().split("\n").filter(Boolean);
+      const stdout = await this._git([
+        "for-each-ref",
+        "--format=%(refname)",
+        this.lockPrefix,
+      ]);
+      const refs = stdout.split("\n").filter(Boolean);
 
       for (const ref of refs) {
         const lockName = ref.replace(`${this.lockPrefix}/`, "");
@@ -229,7 +278,7 @@ export class LockManager {
     let clearedCount = 0;
 
     for (const lock of locks) {
-      if (await this.releaseLock(lock.name)) {
+      if (await this.releaseLock(lock.name, { force: true })) {
         clearedCount++;
       }
     }
@@ -242,16 +291,27 @@ export class LockManager {
   async cleanupExpiredLocks() {
     await this._ensureInitialized();
 
-    const locks = await this.listLocks();
     let cleanedCount = 0;
 
-    for (const lock of locks) {
-      const now = Date.now();
-      if (now - lock.acquiredAt > lock.timeout) {
-        if (await this.releaseLock(lock.name)) {
+    try {
+      const stdout = await this._git([
+        "for-each-ref",
+        "--format=%(refname)",
+        this.lockPrefix,
+      ]);
+
+      for (const lockRef of stdout.split("\n").filter(Boolean)) {
+        const current = await this._readLock(lockRef);
+        if (
+          current &&
+          this._isExpired(current.record) &&
+          (await this._compareAndDelete(lockRef, current.oid))
+        ) {
           cleanedCount++;
         }
       }
+    } catch (error) {
+      this.logger.debug(`No locks to clean up: ${error.message}`);
     }
 
     if (cleanedCount > 0) {
@@ -269,45 +329,177 @@ export class LockManager {
    */
   async validateFingerprint(lockName, fingerprint) {
     const lockInfo = await this.getLockInfo(lockName);
-    return lockInfo && lockInfo.fingerprint === fingerprint;
+    return Boolean(lockInfo) && this._holders(lockInfo).includes(fingerprint);
   }
 
   /**
-   * Check if lock is expired
+   * Stop all heartbeats. Held locks then expire when their lease runs out.
+   * @returns {void}
+   */
+  stopHeartbeats() {
+    for (const timer of this._heartbeats.values()) {
+      clearInterval(timer);
+    }
+    this._heartbeats.clear();
+  }
+
+  /**
+   * Try once to create or take over a lock
    * @private
-   * @param {string} lockRef
    * @returns {Promise<boolean>}
    */
-  async _isLockExpired(lockRef) {
-    try {
-      const oid = await this._getRefOid(lockRef);
-      if (!oid) return true;
+  async _tryAcquire(lockRef, { fingerprint, timeout, exclusive }) {
+    const now = Date.now();
+    const record = {
+      id: randomUUID(),
+      acquiredAt: now,
+      renewedAt: now,
+      timeout,
+      fingerprint,
+      holders: [fingerprint],
+      exclusive,
+      pid: process.pid,
+      hostname: hostname(),
+    };
 
-      const lockData = await this._getBlobContent(oid);
-      const parsed = JSON.parse(lockData);
+    // Empty old value: only succeeds if no lock exists
+    if (await this._compareAndSwap(lockRef, record, "")) {
+      return true;
+    }
 
-      return Date.now() - parsed.acquiredAt > parsed.timeout;
-    } catch (error) {
+    const current = await this._readLock(lockRef);
+    if (!current) {
+      // Released between our attempt and the read; let the caller retry
+      return false;
+    }
+
+    if (this._isExpired(current.record)) {
+      return this._compareAndSwap(lockRef, record, current.oid);
+    }
+
+    // Shared locks admit further shared holders
+    const holders = this._holders(current.record);
+    if (!exclusive && current.record.exclusive === false) {
+      return this._compareAndSwap(
+        lockRef,
+        {
+          ...current.record,
+          holders: holders.includes(fingerprint)
+            ? holders
+            : [...holders, fingerprint],
+          renewedAt: now,
+        },
+        current.oid,
+      );
+    }
+
+    return false;
+  }
+
+  /**
+   * Renew a lock every third of its lease while it is held
+   * @private
+   */
+  _startHeartbeat(lockName, fingerprint, timeout) {
+    const key = `${lockName}\0${fingerprint}`;
+    this._stopHeartbeat(lockName, fingerprint);
+
+    const timer = setInterval(
+      async () => {
+        try {
+          if (!(await this.renewLock(lockName, { fingerprint }))) {
+            this.logger.warn(
+              `Lost lock ${lockName}: lease could not be renewed`,
+            );
+            this._stopHeartbeat(lockName, fingerprint);
+          }
+        } catch (error) {
+          this.logger.warn(
+            `Failed to renew lock ${lockName}: ${error.message}`,
+          );
+        }
+      },
+      Math.max(Math.floor(timeout / 3), 10),
+    );
+
+    // Heartbeats must never keep the process alive on their own
+    timer.unref?.();
+    this._heartbeats.set(key, timer);
+  }
+
+  /**
+   * @private
+   */
+  _stopHeartbeat(lockName, fingerprint) {
+    const key = `${lockName}\0${fingerprint}`;
+    const timer = this._heartbeats.get(key);
+    if (timer) {
+      clearInterval(timer);
+      this._heartbeats.delete(key);
+    }
+  }
+
+  /**
+   * Fingerprints holding a lock record
+   * @private
+   */
+  _holders(record) {
+    return record.holders || [record.fingerprint];
+  }
+
+  /**
+   * Whether a lock record's lease has run out
+   * @private
+   */
+  _isExpired(record) {
+    const renewedAt = record.renewedAt ?? record.acquiredAt;
+    return Date.now() - renewedAt > record.timeout;
+  }
+
+  /**
+   * Read a lock ref and its record, or null if absent
+   * @private
+   * @returns {Promise<{oid:string,record:object}|null>}
+   */
+  async _readLock(lockRef) {
+    const oid = await this._getRefOid(lockRef);
+    if (!oid) return null;
+
+    try {
+      return { oid, record: JSON.parse(await this._getBlobContent(oid)) };
+    } catch {
+      // Unreadable records are treated as expired so they can be replaced
+      return { oid, record: { acquiredAt: 0, timeout: 0, fingerprint: null } };
+    }
+  }
+
+  /**
+   * Point a ref at a new record only if it still holds `oldOid`
+   * ("" requires the ref to be absent)
+   * @private
+   * @returns {Promise<boolean>} False if the ref changed concurrently
+   */
+  async _compareAndSwap(lockRef, record, oldOid) {
+    const blob = await this._createBlob(JSON.stringify(record));
+    try {
+      await this._git(["update-ref", lockRef, blob, oldOid]);
       return true;
+    } catch {
+      return false;
     }
   }
 
   /**
-   * Remove expired lock
+   * Delete a ref only if it still holds `oldOid`
    * @private
-   * @param {string} lockRef
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>}
    */
-  async _removeExpiredLock(lockRef) {
+  async _compareAndDelete(lockRef, oldOid) {
     try {
-      const oid = await this._getRefOid(lockRef);
-      if (oid) {
-        await execAsync(`git update-ref -d ${lockRef} ${oid}`, {
-          cwd: this.cwd,
-        });
-      }
-    } catch (error) {
-      // Ignore errors when removing expired locks
+      await this._git(["update-ref", "-d", lockRef, oldOid]);
+      return true;
+    } catch {
+      return false;
     }
   }
 
@@ -322,6 +514,17 @@ export class LockManager {
     }
   }
 
+  /**
+   * Run a git command and return trimmed stdout.
+   * @private
+   * @param {string[]} args
+   * @returns {Promise<string>}
+   */
+  async _git(args) {
+    const { stdout } = await execFileAsync("git", args, { cwd: this.cwd });
+    return stdout.trim();
+  }
+
   /**
    * Create a git blob from content.
    * @private
@@ -346,6 +549,7 @@ export class LockManager {
         stderr += data.toString();
       });
 
+      child.on("error", reject);
       child.on("close", (code) => {
         if (code === 0) {
           resolve(stdout.trim());
@@ -366,10 +570,7 @@ export class LockManager {
    * @returns {Promise<string>} content
    */
   async _getBlobContent(oid) {
-    const { stdout } = await execAsync(`git cat-file -p ${oid}`, {
-      cwd: this.cwd,
-    });
-    return stdout;
+    return this._git(["cat-file", "-p", oid]);
   }
 
   /**
@@ -380,10 +581,7 @@ export class LockManager {
    */
   async _getRefOid(ref) {
     try {
-      const { stdout } = await execAsync(`git rev-parse ${ref}`, {
-        cwd: this.cwd,
-      });
-      return stdout.trim();
+      return await this._git(["rev-parse", "--verify", "-q", ref]);
     } catch (error) {
       return null;
     }
@@ -1,14 +1,39 @@
 import { promises as fs } from 'fs';
-import { join, dirname } from 'path';
+import { basename, dirname, join } from 'path';
 import { randomUUID } from 'crypto';
+import { hostname } from 'os';
 import { useLog } from '../composables/log.mjs';
 
+/** Entry states that still have work to do after a restart. */
+const PENDING_STATUSES = ['queued', 'running'];
+
+/** Entry states kept in the finished mailbox. */
+const FINISHED_STATUSES = ['completed', 'failed'];
+
+/** Process that owns the entries it queues and runs. */
+const PROCESS = { pid: process.pid, host: hostname() };
+
+/** Instances of this process that are initialized and may still run entries. */
+const LIVE_INSTANCES = new Set();
+
 /**
  * Priority queues with durable mailboxes (.gitvan/queue/*) and optional git-ref mailbox.
+ *
+ * Jobs added with `enqueue` are described by name (a registered job ID plus a
+ * JSON payload), so a restarted process can re-execute queued and running
+ * entries with at-least-once semantics. Entries that keep failing are moved to
+ * the dead-letter mailbox (.gitvan/queue/dead) after `maxAttempts` attempts.
+ * Completed and failed entries move to the finished mailbox
+ * (.gitvan/queue/done), which keeps the newest `retainFinished` entries, so
+ * polling only ever reads entries that still have work to do.
+ * Before running an entry a process claims it with an exclusive claim file
+ * next to it, so processes sharing the mailboxes never run it twice at once.
+ * Entries and claims record the owning instance as well as the process, so
+ * several instances in one process leave each other's entries alone.
  */
 export class QueueManager {
   /**
-   * @param {{cwd?:string,logger?:Console,queue?:import("../types.js").QueueConfig,paths?:import("../types.js").PathConfig}} [options]
+   * @param {{cwd?:string,logger?:Console,queue?:import("../types.js").QueueConfig,paths?:import("../types.js").PathConfig,jobs?:Record<string,import("../types.js").QueueJobHandler>,resolveJob?:(jobId:string) => Promise<import("../types.js").QueueJobHandler|null>}} [options]
    */
   constructor(options = {}) {
     this.cwd = options.cwd || process.cwd();
@@ -19,7 +44,23 @@ export class QueueManager {
     // Priority queues using p-queue
     this._queues = new Map();
     this._mailboxes = new Map();
+    this._deadLetterDir = null;
+    this._finishedDir = null;
+    this._finishedCount = null;
     this._initialized = false;
+
+    // Named job handlers, plus an optional resolver for unregistered IDs
+    this._handlers = new Map(Object.entries(options.jobs || {}));
+    this._resolveJob = options.resolveJob || null;
+
+    // Owner recorded on the entries and claims of this instance
+    this._owner = { ...PROCESS, instance: randomUUID() };
+
+    // Entries executing in this process, and retries waiting for their delay
+    this._active = new Set();
+    this._retryTimers = new Map();
+    this._unresolved = new Set();
+    this._unreadable = new Set();
   }
 
   /**
@@ -53,6 +94,15 @@ export class QueueManager {
       this._mailboxes.set(priority, priorityDir);
     }
     
+    // Entries that exhausted their attempts
+    this._deadLetterDir = join(queueDir, 'dead');
+    await this._ensureDir(this._deadLetterDir);
+    
+    // Completed and failed entries, pruned to the newest retainFinished
+    this._finishedDir = join(queueDir, 'done');
+    await this._ensureDir(this._finishedDir);
+    
+    LIVE_INSTANCES.add(this._owner.instance);
     this._initialized = true;
     this.logger.info('QueueManager initialized successfully');
   }
@@ -73,6 +123,7 @@ export class QueueManager {
       id: jobId,
       priority,
       status: 'queued',
+      owner: this._owner,
       timestamp: Date.now(),
       metadata: metadata || {}
     };
@@ -86,10 +137,12 @@ export class QueueManager {
       throw new Error(`Invalid priority: ${priority}`);
     }
     
+    // Tracked until it settles, so reconcile does not fail it meanwhile
+    this._active.add(jobId);
     return queue.add(async () => {
       try {
         // Update status to running
-        await this._updateJobStatus(jobId, 'running', { startedAt: Date.now() });
+        await this._updateJobStatus(jobId, 'running', { owner: this._owner, startedAt: Date.now() });
         
         // Execute job
         const result = await job();
@@ -110,9 +163,230 @@ export class QueueManager {
         
         throw error;
       }
+    }).finally(() => {
+      this._active.delete(jobId);
     });
   }
 
+  /**
+   * Register the handler executed for a named job.
+   * @param {string} jobId
+   * @param {import("../types.js").QueueJobHandler} handler
+   */
+  registerJob(jobId, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for job "${jobId}" must be a function`);
+    }
+    this._handlers.set(jobId, handler);
+  }
+
+  /**
+   * Add a named job to the queue. The entry is persisted before it runs, so it
+   * is re-executed after a restart if the process dies first.
+   * @param {import("../types.js").JobPriority} priority
+   * @param {string} jobId - Registered job ID
+   * @param {any} [payload] - JSON-serialisable input passed to the handler
+   * @param {{maxAttempts?:number,metadata?:import("../types.js").JobMetadata}} [options]
+   * @returns {Promise<import("../types.js").JobRecord>} The persisted entry
+   */
+  async enqueue(priority, jobId, payload = {}, options = {}) {
+    await this._ensureInitialized();
+    
+    if (!this._queues.has(priority)) {
+      throw new Error(`Invalid priority: ${priority}`);
+    }
+    if (!(await this._getHandler(jobId))) {
+      throw new Error(`Unknown job "${jobId}"`);
+    }
+    
+    let serialised;
+    try {
+      serialised = JSON.stringify(payload ?? {});
+      structuredClone(payload);
+    } catch (error) {
+      throw new Error(`Payload for job "${jobId}" is not serialisable: ${error.message}`);
+    }
+    
+    const jobRecord = {
+      id: randomUUID(),
+      priority,
+      job: jobId,
+      payload: JSON.parse(serialised),
+      status: 'queued',
+      owner: this._owner,
+      attempts: 0,
+      maxAttempts: options.maxAttempts || this.config.maxAttempts || 3,
+      errors: [],
+      timestamp: Date.now(),
+      metadata: options.metadata || {}
+    };
+    
+    await this._persistJob(jobRecord);
+    this._schedule(jobRecord);
+    
+    return jobRecord;
+  }
+
+  /**
+   * List persisted entries, including dead letters.
+   * @param {{status?:string,priority?:string,job?:string}} [filter]
+   * @returns {Promise<import("../types.js").JobRecord[]>} Entries, oldest first
+   */
+  async list(filter = {}) {
+    await this._ensureInitialized();
+    
+    const entries = [];
+    for (const [, filePath] of await this._entryFiles()) {
+      const jobRecord = await this._readEntry(filePath);
+      if (!jobRecord) continue;
+      if (filter.status && jobRecord.status !== filter.status) continue;
+      if (filter.priority && jobRecord.priority !== filter.priority) continue;
+      if (filter.job && jobRecord.job !== filter.job) continue;
+      entries.push(jobRecord);
+    }
+    
+    return entries.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Read a single entry.
+   * @param {string} jobId - Entry ID
+   * @returns {Promise<import("../types.js").JobRecord|null>}
+   */
+  async get(jobId) {
+    await this._ensureInitialized();
+    
+    const filePath = await this._findEntry(jobId);
+    return filePath ? this._readEntry(filePath) : null;
+  }
+
+  /**
+   * Put a failed or dead entry back on its queue with a fresh attempt budget.
+   * @param {string} jobId - Entry ID
+   * @param {{schedule?:boolean}} [options] - Pass schedule: false to leave execution to another process
+   * @returns {Promise<import("../types.js").JobRecord>} The requeued entry
+   */
+  async retry(jobId, options = {}) {
+    await this._ensureInitialized();
+    
+    const filePath = await this._findEntry(jobId);
+    if (!filePath) {
+      throw new Error(`Job ${jobId} not found in any mailbox`);
+    }
+    
+    const jobRecord = await this._readEntry(filePath);
+    if (jobRecord.status === 'unreadable') {
+      throw new Error(`Job ${jobId} is unreadable: ${jobRecord.error}`);
+    }
+    if (!jobRecord.job) {
+      throw new Error(`Job ${jobId} has no job name and cannot be retried`);
+    }
+    if (PENDING_STATUSES.includes(jobRecord.status)) {
+      throw new Error(`Job ${jobId} is already ${jobRecord.status}`);
+    }
+    
+    Object.assign(jobRecord, {
+      status: 'queued',
+      owner: this._owner,
+      attempts: 0,
+      retriedAt: Date.now()
+    });
+    delete jobRecord.completedAt;
+    delete jobRecord.deadAt;
+    
+    // Finished entries and dead letters move back to their priority mailbox
+    await this._persistJob(jobRecord);
+    if (dirname(filePath) !== this._mailboxes.get(jobRecord.priority)) {
+      await fs.unlink(filePath);
+    }
+    
+    if (options.schedule !== false) {
+      this._schedule(jobRecord);
+    }
+    this.logger.info(`Requeued job ${jobRecord.id} (${jobRecord.job})`);
+    return jobRecord;
+  }
+
+  /**
+   * Delete entries from the mailboxes.
+   * @param {{status?:string|string[],ids?:string[]}} [filter] - Defaults to completed, failed and dead entries; "unreadable" removes entries that cannot be parsed
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purge(filter = {}) {
+    await this._ensureInitialized();
+    
+    const statuses = [].concat(filter.status || ['completed', 'failed', 'dead']);
+    let purgedCount = 0;
+    
+    for (const [, filePath] of await this._entryFiles()) {
+      const jobRecord = await this._readEntry(filePath);
+      if (!jobRecord) continue;
+      if (filter.ids ? !filter.ids.includes(jobRecord.id) : !statuses.includes(jobRecord.status)) {
+        continue;
+      }
+      if (this._active.has(jobRecord.id)) continue;
+      
+      this._cancelRetry(jobRecord.id);
+      await fs.unlink(filePath);
+      this._unreadable.delete(filePath);
+      purgedCount++;
+    }
+    
+    this.logger.info(`Purged ${purgedCount} queue entries`);
+    return purgedCount;
+  }
+
+  /**
+   * Schedule persisted named entries that are queued but not running in this
+   * instance. Entries owned by another live instance are left to that instance.
+   * Only the priority mailboxes are read, so the cost does not grow with history.
+   * @returns {Promise<number>} Number of entries scheduled
+   */
+  async pickup() {
+    await this._ensureInitialized();
+    
+    let scheduledCount = 0;
+    const queued = [];
+    for (const [, filePath] of await this._entryFiles(this._mailboxes)) {
+      const jobRecord = await this._readEntry(filePath);
+      if (jobRecord?.status === 'queued') queued.push(jobRecord);
+    }
+    
+    for (const jobRecord of queued.sort((a, b) => a.timestamp - b.timestamp)) {
+      if (!jobRecord.job || this._active.has(jobRecord.id) || this._retryTimers.has(jobRecord.id)) {
+        continue;
+      }
+      if (this._ownerAlive(jobRecord.owner)) {
+        continue;
+      }
+      if (!(await this._getHandler(jobRecord.job))) {
+        // Warn once, pickup runs on every daemon tick
+        if (!this._unresolved.has(jobRecord.id)) {
+          this._unresolved.add(jobRecord.id);
+          this.logger.warn(`No handler registered for job ${jobRecord.job}, leaving ${jobRecord.id} queued`);
+        }
+        continue;
+      }
+      this._schedule(jobRecord);
+      scheduledCount++;
+    }
+    
+    return scheduledCount;
+  }
+
+  /**
+   * Wait until every queue is empty and no retry is pending.
+   * @returns {Promise<void>}
+   */
+  async onIdle() {
+    do {
+      await Promise.all(Array.from(this._queues.values()).map(queue => queue.onIdle()));
+      if (this._retryTimers.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    } while (this._retryTimers.size > 0 || this._active.size > 0);
+  }
+
   /**
    * Current queue status per priority.
    * @returns {Record<import("../types.js").JobPriority, import("../types.js").QueueStatus>}
@@ -146,38 +420,36 @@ export class QueueManager {
     }
   }
 
-  /** Remove completed/failed job files from mailboxes. */
+  /** Remove completed/failed job files from the finished mailbox. */
   async clearCompleted() {
     await this._ensureInitialized();
     
     let clearedCount = 0;
     
-    for (const [priority, mailboxDir] of this._mailboxes) {
-      const files = await fs.readdir(mailboxDir);
+    for (const [, filePath] of await this._entryFiles([['done', this._finishedDir]])) {
+      const jobRecord = await this._readEntry(filePath);
       
-      for (const file of files) {
-        if (!file.endsWith('.json')) continue;
-        
-        const filePath = join(mailboxDir, file);
-        try {
-          const content = await fs.readFile(filePath, 'utf8');
-          const jobRecord = JSON.parse(content);
-          
-          if (jobRecord.status === 'completed' || jobRecord.status === 'failed') {
-            await fs.unlink(filePath);
-            clearedCount++;
-          }
-        } catch (error) {
-          this.logger.warn(`Failed to process job file ${file}: ${error.message}`);
-        }
+      if (FINISHED_STATUSES.includes(jobRecord?.status)) {
+        await fs.rm(filePath, { force: true });
+        clearedCount++;
       }
     }
+    this._finishedCount = null;
     
     this.logger.info(`Cleared ${clearedCount} completed job files`);
     return clearedCount;
   }
 
-  /** Recover interrupted jobs and normalize queue state. */
+  /**
+   * Recover interrupted jobs and normalize queue state.
+   * Named entries that were queued or running are executed again; an entry
+   * interrupted on its last attempt is dead-lettered instead, so a job that
+   * crashes the process cannot loop forever. Closure jobs added with
+   * `addJob` cannot be re-run and are marked as failed. Entries whose owner
+   * process is still alive, or runs on another host, are left alone.
+   * Finished entries left in a priority mailbox move to the finished mailbox.
+   * @returns {Promise<number>} Number of recovered entries
+   */
   async reconcile() {
     await this._ensureInitialized();
     
@@ -193,27 +465,68 @@ export class QueueManager {
         
         const filePath = join(mailboxDir, file);
         try {
-          const content = await fs.readFile(filePath, 'utf8');
-          const jobRecord = JSON.parse(content);
+          // Unreadable entries are reported by _readEntry and left for purge
+          const jobRecord = await this._readEntry(filePath);
+          
+          // Written before finished entries had their own mailbox
+          if (FINISHED_STATUSES.includes(jobRecord?.status)) {
+            await this._finish(jobRecord, filePath);
+            continue;
+          }
           
           // Recover queued or running jobs
-          if (jobRecord.status === 'queued' || jobRecord.status === 'running') {
-            // Mark as recovered
-            jobRecord.recovered = true;
-            jobRecord.recoveredAt = Date.now();
-            
-            // Update file
-            await fs.writeFile(filePath, JSON.stringify(jobRecord, null, 2));
+          if (!jobRecord || !PENDING_STATUSES.includes(jobRecord.status) || this._active.has(jobRecord.id)) {
+            continue;
+          }
+          if (this._ownerAlive(jobRecord.owner)) {
+            continue;
+          }
+          
+          // Mark as recovered and take ownership
+          jobRecord.recovered = true;
+          jobRecord.recoveredAt = Date.now();
+          jobRecord.owner = this._owner;
+          await this._releaseStaleClaim(filePath);
+          
+          if (!jobRecord.job) {
+            // Closure jobs died with their process, later restarts skip them
+            Object.assign(jobRecord, {
+              status: 'failed',
+              completedAt: jobRecord.recoveredAt,
+              error: 'Interrupted before completion'
+            });
+            await this._finish(jobRecord, filePath);
             recoveredCount++;
+            continue;
+          } else if (jobRecord.status === 'running') {
+            jobRecord.errors = [...(jobRecord.errors || []), {
+              attempt: jobRecord.attempts,
+              error: 'Interrupted before completion',
+              at: jobRecord.recoveredAt
+            }];
+            jobRecord.status = 'queued';
             
-            this.logger.info(`Recovered job ${jobRecord.id} (${priority})`);
+            if (jobRecord.attempts >= jobRecord.maxAttempts) {
+              await this._deadLetter(jobRecord, filePath);
+              recoveredCount++;
+              continue;
+            }
           }
+          
+          // Update file
+          await this._writeEntry(filePath, jobRecord);
+          recoveredCount++;
+          
+          this.logger.info(`Recovered job ${jobRecord.id} (${priority})`);
         } catch (error) {
           this.logger.warn(`Failed to reconcile job file ${file}: ${error.message}`);
         }
       }
     }
     
+    // Re-execute recovered named jobs
+    await this.pickup();
+    
     this.logger.info(`Recovered ${recoveredCount} jobs`);
     return recoveredCount;
   }
@@ -227,9 +540,15 @@ export class QueueManager {
     
     this.logger.info('Shutting down QueueManager...');
     
+    // Pending retries stay queued on disk and run after the next reconcile
+    for (const jobId of [...this._retryTimers.keys()]) {
+      this._cancelRetry(jobId);
+    }
+    
     // Wait for all queues to finish
     await Promise.all(Array.from(this._queues.values()).map(queue => queue.onIdle()));
     
+    LIVE_INSTANCES.delete(this._owner.instance);
     this._initialized = false;
     this.logger.info('QueueManager shutdown complete');
   }
@@ -271,7 +590,26 @@ export class QueueManager {
     const mailboxDir = this._mailboxes.get(jobRecord.priority);
     const filePath = join(mailboxDir, `${jobRecord.id}.json`);
     
-    await fs.writeFile(filePath, JSON.stringify(jobRecord, null, 2));
+    await this._writeEntry(filePath, jobRecord);
+  }
+
+  /**
+   * Write an entry atomically: readers see the old or the new entry, and a
+   * crash mid-write leaves at most a stray temp file, never a torn entry.
+   * @private
+   * @param {string} filePath
+   * @param {import("../types.js").JobRecord} jobRecord
+   * @returns {Promise<void>}
+   */
+  async _writeEntry(filePath, jobRecord) {
+    const tmp = `${filePath}.${randomUUID()}.tmp`;
+    try {
+      await fs.writeFile(tmp, JSON.stringify(jobRecord, null, 2));
+      await fs.rename(tmp, filePath);
+    } catch (error) {
+      await fs.rm(tmp, { force: true });
+      throw error;
+    }
   }
 
   /**
@@ -284,26 +622,379 @@ export class QueueManager {
    */
   async _updateJobStatus(jobId, status, updates = {}) {
     // Find the job file across all mailboxes
-    for (const [priority, mailboxDir] of this._mailboxes) {
+    for (const mailboxDir of this._mailboxes.values()) {
       const filePath = join(mailboxDir, `${jobId}.json`);
       
+      let content;
       try {
-        const content = await fs.readFile(filePath, 'utf8');
-        const jobRecord = JSON.parse(content);
-        
-        // Update the record
-        Object.assign(jobRecord, updates);
-        jobRecord.status = status;
-        
-        // Write back
-        await fs.writeFile(filePath, JSON.stringify(jobRecord, null, 2));
-        return;
+        content = await fs.readFile(filePath, 'utf8');
       } catch (error) {
         // File doesn't exist in this mailbox, continue
-        continue;
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      
+      // Update the record
+      const jobRecord = JSON.parse(content);
+      Object.assign(jobRecord, updates);
+      jobRecord.status = status;
+      
+      // Write back, finished entries leave the priority mailbox
+      if (FINISHED_STATUSES.includes(status)) {
+        await this._finish(jobRecord, filePath);
+      } else {
+        await this._writeEntry(filePath, jobRecord);
       }
+      return;
     }
     
     throw new Error(`Job ${jobId} not found in any mailbox`);
   }
-}
\ No newline at end of file
+
+  /**
+   * Whether the instance that owns an entry may still be working on it.
+   * Entries without an owner predate owner tracking and count as orphaned.
+   * @private
+   * @param {import("../types.js").QueueOwner} [owner]
+   * @returns {boolean}
+   */
+  _ownerAlive(owner) {
+    if (!owner) return false;
+    if (owner.pid === PROCESS.pid && owner.host === PROCESS.host) {
+      // Our own entries are orphaned unless this instance still tracks them,
+      // another instance's until it shuts down
+      return owner.instance !== this._owner.instance && LIVE_INSTANCES.has(owner.instance);
+    }
+    // Processes on other hosts cannot be checked
+    if (owner.host !== PROCESS.host) return true;
+    
+    try {
+      process.kill(owner.pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM: the process exists but belongs to another user
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Handler for a named job, from the registry or the resolver.
+   * @private
+   * @param {string} jobId
+   * @returns {Promise<import("../types.js").QueueJobHandler|null>}
+   */
+  async _getHandler(jobId) {
+    if (this._handlers.has(jobId)) {
+      return this._handlers.get(jobId);
+    }
+    if (!this._resolveJob) return null;
+    
+    const handler = await this._resolveJob(jobId);
+    if (handler) {
+      this._handlers.set(jobId, handler);
+    }
+    return handler || null;
+  }
+
+  /**
+   * Add a persisted named entry to its priority queue.
+   * @private
+   * @param {import("../types.js").JobRecord} jobRecord
+   */
+  _schedule(jobRecord) {
+    const queue = this._queues.get(jobRecord.priority);
+    this._active.add(jobRecord.id);
+    
+    queue.add(() => this._execute(jobRecord.id)).catch(error => {
+      this.logger.error(`Queue entry ${jobRecord.id} could not be executed: ${error.message}`);
+    }).finally(() => {
+      this._active.delete(jobRecord.id);
+    });
+  }
+
+  /**
+   * Claim a named entry, run one attempt and record the outcome.
+   * @private
+   * @param {string} jobId - Entry ID
+   * @returns {Promise<void>}
+   */
+  async _execute(jobId) {
+    const filePath = await this._findEntry(jobId);
+    if (!filePath || !(await this._claim(filePath))) return;
+    
+    let retry;
+    try {
+      retry = await this._runAttempt(jobId, filePath);
+    } finally {
+      await fs.rm(this._claimPath(filePath), { force: true });
+    }
+    
+    // The retry claims the entry again, so it waits for this claim to go
+    if (retry) {
+      this._scheduleRetry(retry);
+    }
+  }
+
+  /**
+   * Run one attempt of a claimed entry. The entry is read after claiming it,
+   * so an attempt another process finished meanwhile is not repeated.
+   * @private
+   * @param {string} jobId - Entry ID
+   * @param {string} filePath - Entry file
+   * @returns {Promise<import("../types.js").JobRecord|undefined>} The entry, if it is due for a retry
+   */
+  async _runAttempt(jobId, filePath) {
+    const jobRecord = await this._readEntry(filePath);
+    
+    // Purged or already handled while waiting in the queue
+    if (!jobRecord || jobRecord.status !== 'queued') return;
+    
+    const handler = await this._getHandler(jobRecord.job);
+    if (!handler) {
+      this.logger.warn(`No handler registered for job ${jobRecord.job}, leaving ${jobId} queued`);
+      return;
+    }
+    
+    // Count the attempt before running, so a crash mid-run still uses it up
+    jobRecord.attempts = (jobRecord.attempts || 0) + 1;
+    await this._updateJobStatus(jobId, 'running', {
+      owner: this._owner,
+      attempts: jobRecord.attempts,
+      startedAt: Date.now()
+    });
+    
+    try {
+      const result = await handler(jobRecord.payload, {
+        id: jobId,
+        job: jobRecord.job,
+        attempt: jobRecord.attempts,
+        metadata: jobRecord.metadata
+      });
+      
+      await this._updateJobStatus(jobId, 'completed', {
+        completedAt: Date.now(),
+        result
+      });
+    } catch (error) {
+      const errors = [...(jobRecord.errors || []), {
+        attempt: jobRecord.attempts,
+        error: error.message,
+        at: Date.now()
+      }];
+      
+      if (jobRecord.attempts >= jobRecord.maxAttempts) {
+        await this._deadLetter({ ...jobRecord, errors, error: error.message }, filePath);
+        return;
+      }
+      
+      this.logger.warn(`Job ${jobRecord.job} (${jobId}) failed attempt ${jobRecord.attempts}/${jobRecord.maxAttempts}: ${error.message}`);
+      await this._updateJobStatus(jobId, 'queued', { errors, error: error.message });
+      return jobRecord;
+    }
+  }
+
+  /**
+   * Path of the claim file guarding an entry.
+   * @private
+   * @param {string} filePath - Entry file
+   * @returns {string}
+   */
+  _claimPath(filePath) {
+    return filePath.replace(/\.json$/, '.claim');
+  }
+
+  /**
+   * Claim an entry for this process by creating its claim file exclusively.
+   * @private
+   * @param {string} filePath - Entry file
+   * @returns {Promise<boolean>} False if another attempt holds the claim
+   */
+  async _claim(filePath) {
+    try {
+      await fs.writeFile(this._claimPath(filePath), JSON.stringify(this._owner), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the claim an exited process left on an entry.
+   * @private
+   * @param {string} filePath - Entry file
+   * @returns {Promise<void>}
+   */
+  async _releaseStaleClaim(filePath) {
+    const claimPath = this._claimPath(filePath);
+    let owner;
+    try {
+      owner = JSON.parse(await fs.readFile(claimPath, 'utf8'));
+    } catch {
+      // No claim, or one cut short by a crash, has no owner
+    }
+    if (!this._ownerAlive(owner)) {
+      await fs.rm(claimPath, { force: true });
+    }
+  }
+
+  /**
+   * Re-schedule a failed entry after the configured retry delay.
+   * @private
+   * @param {import("../types.js").JobRecord} jobRecord
+   */
+  _scheduleRetry(jobRecord) {
+    const delay = (this.config.retryDelay ?? 1000) * jobRecord.attempts;
+    const timer = setTimeout(() => {
+      this._retryTimers.delete(jobRecord.id);
+      this._schedule(jobRecord);
+    }, delay);
+    timer.unref?.();
+    this._retryTimers.set(jobRecord.id, timer);
+  }
+
+  /**
+   * Cancel a pending retry.
+   * @private
+   * @param {string} jobId
+   */
+  _cancelRetry(jobId) {
+    clearTimeout(this._retryTimers.get(jobId));
+    this._retryTimers.delete(jobId);
+  }
+
+  /**
+   * Move an entry that exhausted its attempts to the dead-letter mailbox.
+   * @private
+   * @param {import("../types.js").JobRecord} jobRecord
+   * @param {string} filePath - Current location of the entry
+   * @returns {Promise<void>}
+   */
+  async _deadLetter(jobRecord, filePath) {
+    jobRecord.status = 'dead';
+    jobRecord.deadAt = Date.now();
+    
+    await this._writeEntry(join(this._deadLetterDir, `${jobRecord.id}.json`), jobRecord);
+    await fs.unlink(filePath);
+    
+    this.logger.error(`Job ${jobRecord.job} (${jobRecord.id}) moved to dead letters after ${jobRecord.attempts} attempts`);
+  }
+
+  /**
+   * Move a completed or failed entry to the finished mailbox, then prune the
+   * oldest finished entries beyond `retainFinished`.
+   * @private
+   * @param {import("../types.js").JobRecord} jobRecord
+   * @param {string} filePath - Current location of the entry
+   * @returns {Promise<void>}
+   */
+  async _finish(jobRecord, filePath) {
+    await this._writeEntry(join(this._finishedDir, `${jobRecord.id}.json`), jobRecord);
+    await fs.rm(filePath, { force: true });
+    
+    this._finishedCount = this._finishedCount === null
+      ? (await fs.readdir(this._finishedDir)).filter(file => file.endsWith('.json')).length
+      : this._finishedCount + 1;
+    if (this._finishedCount > (this.config.retainFinished ?? 1000)) {
+      await this._pruneFinished();
+    }
+  }
+
+  /**
+   * Remove the oldest finished entries beyond `retainFinished`.
+   * @private
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async _pruneFinished() {
+    const entries = [];
+    for (const [, filePath] of await this._entryFiles([['done', this._finishedDir]])) {
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats) entries.push({ filePath, finishedAt: stats.mtimeMs });
+    }
+    
+    entries.sort((a, b) => a.finishedAt - b.finishedAt);
+    const pruned = entries.slice(0, Math.max(0, entries.length - (this.config.retainFinished ?? 1000)));
+    await Promise.all(pruned.map(({ filePath }) => fs.rm(filePath, { force: true })));
+    
+    this._finishedCount = entries.length - pruned.length;
+    return pruned.length;
+  }
+
+  /**
+   * Entry files as [mailbox, path] pairs, finished entries and dead letters last.
+   * @private
+   * @param {Iterable<[string, string]>} [mailboxes] - Mailboxes to read, all by default
+   * @returns {Promise<Array<[string, string]>>}
+   */
+  async _entryFiles(mailboxes = this._allMailboxes()) {
+    const entries = [];
+    
+    for (const [mailbox, mailboxDir] of mailboxes) {
+      const files = await fs.readdir(mailboxDir);
+      for (const file of files) {
+        if (file.endsWith('.json')) {
+          entries.push([mailbox, join(mailboxDir, file)]);
+        }
+      }
+    }
+    
+    return entries;
+  }
+
+  /**
+   * Priority, finished and dead-letter mailboxes as [mailbox, directory] pairs.
+   * @private
+   * @returns {Array<[string, string]>}
+   */
+  _allMailboxes() {
+    return [...this._mailboxes.entries(), ['done', this._finishedDir], ['dead', this._deadLetterDir]];
+  }
+
+  /**
+   * Path of an entry in any mailbox.
+   * @private
+   * @param {string} jobId
+   * @returns {Promise<string|null>}
+   */
+  async _findEntry(jobId) {
+    for (const [, mailboxDir] of this._allMailboxes()) {
+      const filePath = join(mailboxDir, `${jobId}.json`);
+      try {
+        await fs.access(filePath);
+        return filePath;
+      } catch {
+        continue;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse an entry file. An entry that cannot be parsed is returned with the
+   * status "unreadable", so it shows up in listings until it is purged.
+   * @private
+   * @param {string} filePath
+   * @returns {Promise<import("../types.js").JobRecord|null>} Null if the file is gone
+   */
+  async _readEntry(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      
+      // Report once, pickup reads the mailboxes on every daemon tick
+      if (!this._unreadable.has(filePath)) {
+        this._unreadable.add(filePath);
+        this.logger.error(`Unreadable queue entry ${filePath}: ${error.message}`);
+      }
+      const stats = await fs.stat(filePath).catch(() => null);
+      return {
+        id: basename(filePath, '.json'),
+        priority: basename(dirname(filePath)),
+        status: 'unreadable',
+        error: error.message,
+        timestamp: stats ? stats.mtimeMs : 0
+      };
+    }
+  }
+}
@@ -1,15 +1,23 @@
 import { promises as fs } from "fs";
-import { join, dirname } from "path";
+import { join, dirname, basename } from "path";
 import { createHash } from "crypto";
 import { exec } from "child_process";
 import { promisify } from "util";
 import { useLog } from "../composables/log.mjs";
+import { GitSnapshotBackend } from "./git-snapshot-backend.mjs";
 
 const execAsync = promisify(exec);
 
+/** Storage backends understood by SnapshotStore */
+const SNAPSHOT_BACKENDS = ["file", "git"];
+
 /**
  * Content-addressed snapshot cache (sharded on disk), keyed by SHA-256 of payload.
  * Each snapshot records key, contentHash, metadata, commit, and branch.
+ *
+ * With `backend: "git"` the shards live in git objects under
+ * `refs/gitvan/snapshots` instead of .gitvan/cache, so they can be shared
+ * with other clones through push(), pull() and gc().
  */
 export class SnapshotStore {
   /**
@@ -25,6 +33,22 @@ export class SnapshotStore {
     this.tempDir = this.config.tempDir || ".gitvan/tmp";
     this.maxCacheSize = this.config.maxCacheSize || 1073741824; // 1GB
     this.compressionEnabled = this.config.compressionEnabled !== false;
+    this.backend = this.config.backend || "file";
+
+    if (!SNAPSHOT_BACKENDS.includes(this.backend)) {
+      throw new Error(
+        `Unknown snapshot backend "${this.backend}", expected one of: ${SNAPSHOT_BACKENDS.join(", ")}`
+      );
+    }
+
+    this._gitBackend =
+      this.backend === "git"
+        ? new GitSnapshotBackend({
+            cwd: this.cwd,
+            logger: this.logger,
+            ref: this.config.ref,
+          })
+        : null;
 
     // Statistics
     this._stats = {
@@ -49,9 +73,13 @@ export class SnapshotStore {
 
     this.logger.info("Initializing SnapshotStore...");
 
-    // Create cache directories
-    await this._ensureDir(join(this.cwd, this.cacheDir));
-    await this._ensureDir(join(this.cwd, this.tempDir));
+    if (this._gitBackend) {
+      await this._gitBackend.initialize();
+    } else {
+      // Create cache directories
+      await this._ensureDir(join(this.cwd, this.cacheDir));
+      await this._ensureDir(join(this.cwd, this.tempDir));
+    }
 
     // Load existing cache statistics
     await this._loadCacheStats();
@@ -71,7 +99,6 @@ export class SnapshotStore {
     await this._ensureInitialized();
 
     const contentHash = this._computeContentHash(data);
-    const snapshotPath = this._getSnapshotPath(contentHash);
 
     // Create snapshot header
     const header = {
@@ -89,8 +116,7 @@ export class SnapshotStore {
       data,
     };
 
-    // Write to disk
-    await fs.writeFile(snapshotPath, JSON.stringify(snapshotData, null, 2));
+    await this._writeEntry(contentHash, JSON.stringify(snapshotData, null, 2));
 
     // Update statistics
     this._stats.entries++;
@@ -113,9 +139,8 @@ export class SnapshotStore {
 
     if (contentHash) {
       // Direct lookup by content hash
-      const snapshotPath = this._getSnapshotPath(contentHash);
       try {
-        const snapshotData = await this._loadSnapshot(snapshotPath);
+        const snapshotData = JSON.parse(await this._readEntry(contentHash));
         if (snapshotData.header.key === key) {
           this._stats.hits++;
           this._updateHitRate();
@@ -160,11 +185,10 @@ export class SnapshotStore {
     await this._ensureInitialized();
 
     if (contentHash) {
-      const snapshotPath = this._getSnapshotPath(contentHash);
       try {
-        const snapshotData = await this._loadSnapshot(snapshotPath);
+        const snapshotData = JSON.parse(await this._readEntry(contentHash));
         if (snapshotData.header.key === key) {
-          await fs.unlink(snapshotPath);
+          await this._deleteEntries([contentHash]);
 
           // Update statistics
           this._stats.entries--;
@@ -196,28 +220,19 @@ export class SnapshotStore {
   async listSnapshots() {
     await this._ensureInitialized();
 
-    const cacheDir = join(this.cwd, this.cacheDir);
     const snapshots = [];
+    const entries = await this._listEntries();
+    const contents = await this._readEntries(entries);
 
-    try {
-      const files = await fs.readdir(cacheDir);
-
-      for (const file of files) {
-        if (!file.endsWith(".json")) continue;
-
-        const filePath = join(cacheDir, file);
-        try {
-          const snapshotData = await this._loadSnapshot(filePath);
-          snapshots.push(snapshotData.header);
-        } catch (error) {
-          this.logger.warn(
-            `Failed to load snapshot file ${file}: ${error.message}`
-          );
-        }
+    entries.forEach((entry, index) => {
+      try {
+        snapshots.push(JSON.parse(contents[index]).header);
+      } catch (error) {
+        this.logger.warn(
+          `Failed to load snapshot ${entry.name}: ${error.message}`
+        );
       }
-    } catch (error) {
-      this.logger.debug(`No snapshots found: ${error.message}`);
-    }
+    });
 
     return snapshots.sort((a, b) => b.timestamp - a.timestamp);
   }
@@ -290,21 +305,10 @@ export class SnapshotStore {
   async clearCache() {
     await this._ensureInitialized();
 
-    const cacheDir = join(this.cwd, this.cacheDir);
-    let removedCount = 0;
+    const entries = await this._listEntries();
+    const removedCount = entries.length;
 
-    try {
-      const files = await fs.readdir(cacheDir);
-
-      for (const file of files) {
-        if (file.endsWith(".json")) {
-          await fs.unlink(join(cacheDir, file));
-          removedCount++;
-        }
-      }
-    } catch (error) {
-      this.logger.debug(`No cache files to clear: ${error.message}`);
-    }
+    await this._deleteEntries(entries.map((entry) => entry.contentHash));
 
     // Reset statistics
     this._stats = {
@@ -321,6 +325,55 @@ export class SnapshotStore {
     return removedCount;
   }
 
+  /**
+   * Publish git-backed snapshots to a remote.
+   * @param {string} [remote]
+   * @param {{force?:boolean}} [options] - force replaces the remote ref, e.g. after gc()
+   * @returns {Promise<{merged:number}>} snapshots merged from the remote first
+   */
+  async push(remote = "origin", options = {}) {
+    await this._ensureInitialized();
+    const result = await this._requireGitBackend().push(remote, options);
+    await this._loadCacheStats();
+    return result;
+  }
+
+  /**
+   * Merge git-backed snapshots from a remote into the local ref.
+   * @param {string} [remote]
+   * @returns {Promise<{added:number}>} snapshots that were only on the remote
+   */
+  async pull(remote = "origin") {
+    await this._ensureInitialized();
+    const result = await this._requireGitBackend().pull(remote);
+    await this._loadCacheStats();
+    return result;
+  }
+
+  /**
+   * Remove git-backed snapshots older than maxAgeMs and drop the ref history
+   * so their blobs become unreachable.
+   * @param {number} [maxAgeMs=2592000000]
+   * @returns {Promise<number>} removed
+   */
+  async gc(maxAgeMs = 30 * 24 * 60 * 60 * 1000) {
+    await this._ensureInitialized();
+    const backend = this._requireGitBackend();
+
+    const cutoff = Date.now() - maxAgeMs;
+    const expired = (await this.listSnapshots()).filter(
+      (snapshot) =>
+        typeof snapshot.timestamp === "number" && snapshot.timestamp < cutoff
+    );
+
+    await this._deleteEntries(expired.map((snapshot) => snapshot.contentHash));
+    await backend.compact();
+    await this._loadCacheStats();
+
+    this.logger.info(`Garbage collected ${expired.length} snapshots`);
+    return expired.length;
+  }
+
   /**
    * Ensure the system is initialized.
    * @private
@@ -371,21 +424,149 @@ export class SnapshotStore {
     const shard = contentHash.substring(0, 2);
     const shardDir = join(this.cwd, this.cacheDir, shard);
 
-    // Ensure shard directory exists
-    this._ensureDir(shardDir);
-
     return join(shardDir, `${contentHash}.json`);
   }
 
   /**
-   * Load snapshot data from file.
+   * List snapshot files in the cache directory and its shard directories.
    * @private
-   * @param {string} filePath
-   * @returns {Promise<any>}
+   * @returns {Promise<string[]>}
    */
-  async _loadSnapshot(filePath) {
-    const content = await fs.readFile(filePath, "utf8");
-    return JSON.parse(content);
+  async _listSnapshotFiles() {
+    const cacheDir = join(this.cwd, this.cacheDir);
+    const files = [];
+
+    let entries;
+    try {
+      entries = await fs.readdir(cacheDir, { withFileTypes: true });
+    } catch (error) {
+      this.logger.debug(`No snapshots found: ${error.message}`);
+      return files;
+    }
+
+    for (const entry of entries) {
+      const entryPath = join(cacheDir, entry.name);
+      if (entry.isDirectory()) {
+        for (const name of await fs.readdir(entryPath)) {
+          if (name.endsWith(".json")) files.push(join(entryPath, name));
+        }
+      } else if (entry.name.endsWith(".json")) {
+        files.push(entryPath);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Write serialized snapshot data to the backend.
+   * @private
+   * @param {string} contentHash
+   * @param {string} content
+   * @returns {Promise<void>}
+   */
+  async _writeEntry(contentHash, content) {
+    if (this._gitBackend) {
+      await this._gitBackend.write(contentHash, content);
+      return;
+    }
+
+    const snapshotPath = this._getSnapshotPath(contentHash);
+    await this._ensureDir(dirname(snapshotPath));
+    await fs.writeFile(snapshotPath, content);
+  }
+
+  /**
+   * Read serialized snapshot data from the backend.
+   * @private
+   * @param {string} contentHash
+   * @returns {Promise<string>}
+   */
+  async _readEntry(contentHash) {
+    if (this._gitBackend) {
+      const content = await this._gitBackend.read(contentHash);
+      if (content === null) {
+        throw new Error(`Snapshot not found: ${contentHash}`);
+      }
+      return content;
+    }
+
+    return fs.readFile(this._getSnapshotPath(contentHash), "utf8");
+  }
+
+  /**
+   * Read serialized snapshot data of listed entries; unreadable entries
+   * come back empty so callers can report them individually.
+   * @private
+   * @param {Array<{name:string,oid?:string}>} entries
+   * @returns {Promise<string[]>}
+   */
+  async _readEntries(entries) {
+    if (this._gitBackend) {
+      return this._gitBackend.readMany(entries);
+    }
+
+    return Promise.all(
+      entries.map((entry) => fs.readFile(entry.name, "utf8").catch(() => ""))
+    );
+  }
+
+  /**
+   * Delete snapshots from the backend.
+   * @private
+   * @param {string[]} contentHashes
+   * @returns {Promise<void>}
+   */
+  async _deleteEntries(contentHashes) {
+    if (contentHashes.length === 0) return;
+
+    if (this._gitBackend) {
+      await this._gitBackend.remove(contentHashes);
+      return;
+    }
+
+    for (const contentHash of contentHashes) {
+      await fs.unlink(this._getSnapshotPath(contentHash));
+    }
+  }
+
+  /**
+   * List stored snapshots with their size.
+   * @private
+   * @returns {Promise<Array<{name:string,contentHash:string,size:number,oid?:string}>>}
+   */
+  async _listEntries() {
+    if (this._gitBackend) {
+      return (await this._gitBackend.list()).map((entry) => ({
+        ...entry,
+        name: `${this._gitBackend.ref}:${entry.path}`,
+      }));
+    }
+
+    const entries = [];
+    for (const filePath of await this._listSnapshotFiles()) {
+      const stats = await fs.stat(filePath);
+      entries.push({
+        name: filePath,
+        contentHash: basename(filePath, ".json"),
+        size: stats.size,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Git backend, required by the sharing operations.
+   * @private
+   * @returns {GitSnapshotBackend}
+   */
+  _requireGitBackend() {
+    if (!this._gitBackend) {
+      throw new Error(
+        'Snapshot sharing requires the git backend (snapshot.backend: "git")'
+      );
+    }
+    return this._gitBackend;
   }
 
   /**
@@ -404,20 +585,13 @@ export class SnapshotStore {
    * @returns {Promise<void>}
    */
   async _loadCacheStats() {
-    const cacheDir = join(this.cwd, this.cacheDir);
-
     try {
-      const files = await fs.readdir(cacheDir);
       let totalSize = 0;
       let entryCount = 0;
 
-      for (const file of files) {
-        if (file.endsWith(".json")) {
-          const filePath = join(cacheDir, file);
-          const stats = await fs.stat(filePath);
-          totalSize += stats.size;
-          entryCount++;
-        }
+      for (const entry of await this._listEntries()) {
+        totalSize += entry.size;
+        entryCount++;
       }
 
       this._stats.size = totalSize;
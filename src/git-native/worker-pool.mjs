@@ -7,10 +7,19 @@ import { useLog } from "../composables/log.mjs";
 /**
  * Worker pool with isolated thread execution using worker_threads.
  * Executes jobs in separate threads to avoid blocking the main thread.
+ *
+ * Jobs run in a vm context inside the worker whose globals (console, timers,
+ * `require`) are shims created in that context, so job code cannot reach
+ * `process` or other host objects through them. Modules listed in
+ * `allowedModules` are loaded through `import()` or `require` as host modules
+ * and are trusted with the host realm. Workers are started with
+ * `resourceLimits`; a job that runs past its timeout or exceeds the limits
+ * gets its worker terminated and replaced, and the job is rejected with a
+ * structured failure receipt.
  */
 export class WorkerPool {
   /**
-   * @param {{cwd?:string,logger?:Console,workers?:import("../types.js").WorkerConfig}} [options]
+   * @param {{cwd?:string,logger?:Console,workers?:import("../types.js").WorkerConfig,receiptWriter?:{writeReceipt:Function}}} [options]
    */
   constructor(options = {}) {
     this.cwd = options.cwd || process.cwd();
@@ -21,6 +30,11 @@ export class WorkerPool {
     this.maxThreads = this.config.threads || 2;
     this.maxJobs = this.config.maxJobs || 10;
     this.timeout = this.config.timeout || 30000;
+    this.resourceLimits = this.config.resourceLimits || {};
+    this.allowedModules = this.config.allowedModules || [];
+
+    // Failure receipts for killed jobs
+    this.receiptWriter = options.receiptWriter || null;
 
     // Worker management
     this._workers = new Map();
@@ -28,6 +42,7 @@ export class WorkerPool {
     this._busyWorkers = new Set();
     this._jobQueue = [];
     this._activeJobs = 0;
+    this._running = new Map();
 
     // Statistics
     this._stats = {
@@ -41,11 +56,12 @@ export class WorkerPool {
   }
 
   /**
-   * Initialize worker pool.
+   * Initialize worker pool, or start it again after shutdown().
    * @returns {Promise<void>}
    */
   async initialize() {
     if (this._initialized) return;
+    this._shuttingDown = false;
 
     this.logger.info("Initializing WorkerPool...");
 
@@ -63,13 +79,18 @@ export class WorkerPool {
 
   /**
    * Execute a job in a worker thread.
+   * The function is serialized, so it cannot close over variables; it can
+   * `import()` or `require` modules from the pool's allow-list.
    * @template T
    * @param {() => Promise<T>} jobFunction
-   * @param {{timeout?:number}} [options]
+   * @param {{timeout?:number,name?:string}} [options] - timeout is the wall-clock limit after which the worker is killed
    * @returns {Promise<T>}
    */
   async executeJob(jobFunction, options = {}) {
-    await this._ensureInitialized();
+    // A pool that was shut down stays closed until initialize() is called
+    if (!this._shuttingDown) {
+      await this._ensureInitialized();
+    }
 
     if (this._shuttingDown) {
       throw new Error("WorkerPool is shutting down");
@@ -79,21 +100,24 @@ export class WorkerPool {
     const timeout = options.timeout || this.timeout;
 
     return new Promise((resolve, reject) => {
+      const job = {
+        jobId,
+        name: options.name || jobId,
+        jobFunction,
+        timeout,
+        resolve,
+        reject,
+      };
+
       // Check if we can execute immediately
       if (
         this._availableWorkers.length > 0 &&
         this._activeJobs < this.maxJobs
       ) {
-        this._executeJobImmediate(jobId, jobFunction, timeout, resolve, reject);
+        this._executeJobImmediate(job);
       } else {
         // Queue the job
-        this._jobQueue.push({
-          jobId,
-          jobFunction,
-          timeout,
-          resolve,
-          reject,
-        });
+        this._jobQueue.push(job);
       }
     });
   }
@@ -111,7 +135,8 @@ export class WorkerPool {
   }
 
   /**
-   * Shutdown worker pool.
+   * Shutdown worker pool; later jobs are rejected until initialize() is
+   * called again.
    * @returns {Promise<void>}
    */
   async shutdown() {
@@ -120,11 +145,13 @@ export class WorkerPool {
     this.logger.info("Shutting down WorkerPool...");
     this._shuttingDown = true;
 
-    // Reject all queued jobs
-    for (const job of this._jobQueue) {
+    // Reject all queued and running jobs
+    for (const job of [...this._jobQueue, ...this._running.values()]) {
+      clearTimeout(job.timeoutHandle);
       job.reject(new Error("WorkerPool is shutting down"));
     }
     this._jobQueue = [];
+    this._running.clear();
 
     // Terminate all workers
     const terminationPromises = Array.from(this._workers.values()).map(
@@ -140,9 +167,9 @@ export class WorkerPool {
     this._workers.clear();
     this._availableWorkers = [];
     this._busyWorkers.clear();
+    this._activeJobs = 0;
 
     this._initialized = false;
-    this._shuttingDown = false;
     this.logger.info("WorkerPool shutdown complete");
   }
 
@@ -167,7 +194,14 @@ export class WorkerPool {
     const workerScript = join(this.cwd, ".gitvan", "worker-thread.mjs");
 
     const worker = new Worker(workerScript, {
-      workerData: { workerId, cwd: this.cwd },
+      workerData: {
+        workerId,
+        cwd: this.cwd,
+        allowedModules: this.allowedModules,
+      },
+      resourceLimits: this.resourceLimits,
+      // Lets the vm context resolve dynamic import() through the allow-list
+      execArgv: ["--experimental-vm-modules"],
     });
 
     // Set up worker event handlers
@@ -189,21 +223,20 @@ export class WorkerPool {
     this._availableWorkers.push(workerId);
 
     this.logger.debug(`Created worker ${workerId}`);
+
+    // A replacement worker can take queued jobs right away
+    this._processJobQueue();
   }
 
   /**
    * Execute job immediately with available worker.
    * @private
-   * @param {string} jobId
-   * @param {Function} jobFunction
-   * @param {number} timeout
-   * @param {Function} resolve
-   * @param {Function} reject
+   * @param {{jobId:string,name:string,jobFunction:Function,timeout:number,resolve:Function,reject:Function}} job
    * @returns {void}
    */
-  _executeJobImmediate(jobId, jobFunction, timeout, resolve, reject) {
+  _executeJobImmediate(job) {
     if (this._availableWorkers.length === 0) {
-      reject(new Error("No available workers"));
+      job.reject(new Error("No available workers"));
       return;
     }
 
@@ -211,42 +244,29 @@ export class WorkerPool {
     const worker = this._workers.get(workerId);
 
     if (!worker) {
-      reject(new Error("Worker not found"));
+      job.reject(new Error("Worker not found"));
       return;
     }
 
     this._busyWorkers.add(workerId);
     this._activeJobs++;
 
-    // Set up timeout
-    const timeoutHandle = setTimeout(() => {
-      this.logger.warn(`Job ${jobId} timed out after ${timeout}ms`);
-      this._freeWorker(workerId);
-      reject(new Error(`Job timed out after ${timeout}ms`));
-    }, timeout);
-
-    // Set up job completion handler
-    const jobHandler = (message) => {
-      if (message.jobId === jobId) {
-        clearTimeout(timeoutHandle);
-        this._freeWorker(workerId);
-
-        if (message.success) {
-          resolve(message.result);
-        } else {
-          reject(new Error(message.error));
-        }
-      }
-    };
-
-    // Listen for job completion
-    worker.once("message", jobHandler);
+    // Wall-clock limit: the worker is killed, not just abandoned
+    const running = { ...job, workerId, startedAt: Date.now() };
+    running.timeoutHandle = setTimeout(() => {
+      this.logger.warn(`Job ${job.jobId} timed out after ${job.timeout}ms`);
+      this._killJob(
+        workerId,
+        "timeout",
+        new Error(`Job timed out after ${job.timeout}ms`)
+      );
+    }, job.timeout);
+    this._running.set(workerId, running);
 
     // Send job to worker
     worker.postMessage({
-      jobId,
-      jobFunction: jobFunction.toString(),
-      timeout,
+      jobId: job.jobId,
+      jobFunction: job.jobFunction.toString(),
     });
   }
 
@@ -258,9 +278,20 @@ export class WorkerPool {
    * @returns {void}
    */
   _handleWorkerMessage(workerId, message) {
-    // Messages are handled by individual job handlers
-    // This is just for logging
     this.logger.debug(`Worker ${workerId} message: ${JSON.stringify(message)}`);
+
+    const running = this._running.get(workerId);
+    if (!running || message.jobId !== running.jobId) return;
+
+    clearTimeout(running.timeoutHandle);
+    this._running.delete(workerId);
+    this._freeWorker(workerId);
+
+    if (message.success) {
+      running.resolve(message.result);
+    } else {
+      running.reject(new Error(message.error));
+    }
   }
 
   /**
@@ -271,17 +302,12 @@ export class WorkerPool {
    * @returns {void}
    */
   _handleWorkerError(workerId, error) {
-    this._freeWorker(workerId);
-
-    // Reject any pending jobs for this worker
-    for (const job of this._jobQueue) {
-      if (job.workerId === workerId) {
-        job.reject(error);
-      }
-    }
-
-    // Remove from queue
-    this._jobQueue = this._jobQueue.filter((job) => job.workerId !== workerId);
+    // The worker exits after an uncaught error; the exit handler replaces it
+    const reason =
+      error.code === "ERR_WORKER_OUT_OF_MEMORY"
+        ? "resource-limit"
+        : "worker-error";
+    this._failRunningJob(workerId, reason, error);
   }
 
   /**
@@ -292,13 +318,21 @@ export class WorkerPool {
    * @returns {void}
    */
   _handleWorkerExit(workerId, code) {
-    this._freeWorker(workerId);
+    this._failRunningJob(
+      workerId,
+      "worker-exit",
+      new Error(`Worker exited with code ${code}`)
+    );
 
     // Remove worker from pool
     this._workers.delete(workerId);
+    this._busyWorkers.delete(workerId);
+    this._availableWorkers = this._availableWorkers.filter(
+      (id) => id !== workerId
+    );
 
     // Create replacement worker if not shutting down
-    if (!this._shuttingDown) {
+    if (!this._shuttingDown && this._initialized) {
       this._createWorker().catch((error) => {
         this.logger.error(
           `Failed to create replacement worker: ${error.message}`
@@ -307,6 +341,85 @@ export class WorkerPool {
     }
   }
 
+  /**
+   * Terminate the worker running a job and fail the job.
+   * @private
+   * @param {string} workerId
+   * @param {"timeout"|"resource-limit"|"worker-error"|"worker-exit"} reason
+   * @param {Error} error
+   * @returns {void}
+   */
+  _killJob(workerId, reason, error) {
+    const worker = this._workers.get(workerId);
+    this._failRunningJob(workerId, reason, error);
+
+    // Keep the worker out of rotation until its exit spawns a replacement
+    this._availableWorkers = this._availableWorkers.filter(
+      (id) => id !== workerId
+    );
+    worker?.terminate().catch(() => {});
+  }
+
+  /**
+   * Reject the job running on a worker with a failure receipt.
+   * @private
+   * @param {string} workerId
+   * @param {string} reason
+   * @param {Error} error
+   * @returns {void}
+   */
+  _failRunningJob(workerId, reason, error) {
+    const running = this._running.get(workerId);
+    if (!running) return;
+
+    clearTimeout(running.timeoutHandle);
+    this._running.delete(workerId);
+    this._busyWorkers.delete(workerId);
+    this._activeJobs--;
+
+    const receipt = {
+      jobId: running.jobId,
+      name: running.name,
+      workerId,
+      success: false,
+      reason,
+      error: error.message,
+      code: error.code,
+      duration: Date.now() - running.startedAt,
+      timeout: running.timeout,
+      resourceLimits: this.resourceLimits,
+    };
+
+    this.logger.error(
+      `Job ${running.name} failed in worker ${workerId} (${reason}): ${error.message}`
+    );
+
+    if (this.receiptWriter) {
+      this.receiptWriter
+        .writeReceipt(`worker:${running.name}`, receipt, {
+          duration: receipt.duration,
+          error: error.message,
+          reason,
+        })
+        .catch((receiptError) => {
+          this.logger.warn(
+            `Failed to write failure receipt for job ${running.name}: ${receiptError.message}`
+          );
+        });
+    }
+
+    const failure = new Error(
+      reason === "resource-limit"
+        ? `Job exceeded worker resource limits: ${error.message}`
+        : error.message
+    );
+    failure.code = error.code || `WORKER_JOB_${reason.toUpperCase()}`;
+    failure.receipt = receipt;
+    running.reject(failure);
+
+    this._processJobQueue();
+  }
+
   /**
    * Free a worker and process queued jobs.
    * @private
@@ -337,19 +450,12 @@ export class WorkerPool {
       this._availableWorkers.length > 0 &&
       this._activeJobs < this.maxJobs
     ) {
-      const job = this._jobQueue.shift();
-      this._executeJobImmediate(
-        job.jobId,
-        job.jobFunction,
-        job.timeout,
-        job.resolve,
-        job.reject
-      );
+      this._executeJobImmediate(this._jobQueue.shift());
     }
   }
 
   /**
-   * Ensure worker script exists.
+   * Ensure worker script exists and is current.
    * @private
    * @returns {Promise<void>}
    */
@@ -357,12 +463,14 @@ export class WorkerPool {
     const workerScriptPath = join(this.cwd, ".gitvan", "worker-thread.mjs");
 
     try {
-      await fs.access(workerScriptPath);
-      return; // Script already exists
+      const existing = await fs.readFile(workerScriptPath, "utf8");
+      if (existing === WORKER_SCRIPT) return;
     } catch (error) {
-      // Script doesn't exist, create it
-      await this._createWorkerScript(workerScriptPath);
+      // Script doesn't exist yet
     }
+
+    // Missing, or written by an older version without the sandbox
+    await this._createWorkerScript(workerScriptPath);
   }
 
   /**
@@ -372,56 +480,169 @@ export class WorkerPool {
    * @returns {Promise<void>}
    */
   async _createWorkerScript(scriptPath) {
-    const workerScript = `import { parentPort, workerData } from 'worker_threads';
+    await fs.mkdir(dirname(scriptPath), { recursive: true });
+    await fs.writeFile(scriptPath, WORKER_SCRIPT);
+
+    this.logger.debug(`Created worker script: ${scriptPath}`);
+  }
+}
+
+/**
+ * Worker thread entrypoint written to .gitvan/worker-thread.mjs.
+ * Job functions are evaluated in a vm context whose globals are shims created
+ * inside that context. The shims pass only strings and numbers to the host,
+ * so no host object, and with it the host `Function` and `process`, becomes
+ * reachable from job code. Allow-listed modules are the exception: they are
+ * host modules, so allowing one trusts jobs with the host realm. The thread's
+ * resource limits and the pool's kill switch contain a misbehaving job.
+ */
+const WORKER_SCRIPT = `import { parentPort, workerData } from 'worker_threads';
+import { createRequire } from 'module';
+import { join } from 'path';
+import vm from 'vm';
 
 // Worker thread entrypoint for GitNativeIO
 // Executes jobs in isolation without blocking the main thread
 
-parentPort.on('message', async (message) => {
-  const { jobId, jobFunction, timeout } = message;
-  
+const normalize = (specifier) => specifier.replace(/^node:/, '');
+const allowed = new Set((workerData.allowedModules || []).map(normalize));
+const requireFromCwd = createRequire(join(workerData.cwd, 'noop.js'));
+
+const context = vm.createContext({});
+
+// Errors handed to jobs are created in the context, a host error would
+// expose the host Function through its constructor
+const ContextError = vm.runInContext('Error', context);
+
+function loadModule(load, specifier) {
+  specifier = String(specifier);
+  if (!allowed.has(normalize(specifier))) {
+    throw new ContextError('Module "' + specifier + '" is not in the worker allow-list');
+  }
   try {
-    // Create the job function from string with proper scoping
-    const fn = new Function('return (' + jobFunction + ')')();
-    
-    // Execute the job with timeout
-    const result = await Promise.race([
-      fn(),
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Job timeout')), timeout)
-      )
-    ]);
-    
-    // Send success result
-    parentPort.postMessage({
-      jobId,
-      success: true,
-      result
-    });
-    
+    return load(specifier);
   } catch (error) {
-    // Send error result
-    parentPort.postMessage({
-      jobId,
-      success: false,
-      error: error.message
-    });
+    throw new ContextError(error && error.message ? error.message : String(error));
   }
-});
+}
 
-// Handle worker termination
-process.on('SIGTERM', () => {
-  process.exit(0);
-});
+// Resolves from .gitvan/worker-thread.mjs, so packages come from the project
+async function sandboxImport(specifier) {
+  let namespace;
+  try {
+    namespace = await loadModule((name) => import(name), specifier);
+  } catch (error) {
+    throw error instanceof ContextError ? error : new ContextError(error && error.message ? error.message : String(error));
+  }
+  return namespace;
+}
 
-process.on('SIGINT', () => {
-  process.exit(0);
-});
-`;
+// Timers live in the host; the context only sees their numeric IDs
+const timers = new Map();
+let nextTimer = 1;
+
+const bridge = {
+  log(level, text) {
+    console[level](String(text));
+  },
+  setTimer(kind, callback, delay) {
+    const id = nextTimer++;
+    const run = () => {
+      if (kind !== 'interval') timers.delete(id);
+      callback();
+    };
+    timers.set(id, kind === 'immediate'
+      ? { kind, handle: setImmediate(run) }
+      : { kind, handle: (kind === 'interval' ? setInterval : setTimeout)(run, Number(delay) || 0) });
+    return id;
+  },
+  clearTimer(id) {
+    const timer = timers.get(id);
+    if (!timer) return;
+    timers.delete(id);
+    if (timer.kind === 'immediate') clearImmediate(timer.handle);
+    else clearInterval(timer.handle);
+  },
+  require(specifier) {
+    return loadModule(requireFromCwd, specifier);
+  }
+};
 
-    await fs.mkdir(dirname(scriptPath), { recursive: true });
-    await fs.writeFile(scriptPath, workerScript);
+// Defines the globals and returns the job runner; the bridge stays in its closure
+const install = vm.runInContext(\`(function install(bridge) {
+  'use strict';
+  const { log, setTimer, clearTimer, require: load } = bridge;
 
-    this.logger.debug(`Created worker script: ${scriptPath}`);
+  const format = (value) => {
+    if (typeof value === 'string') return value;
+    try {
+      const json = JSON.stringify(value);
+      return json === undefined ? String(value) : json;
+    } catch {
+      return Object.prototype.toString.call(value);
+    }
+  };
+  const logger = (level) => (...args) => { log(level, args.map(format).join(' ')); };
+  const later = (kind) => (callback, delay, ...args) => {
+    if (typeof callback !== 'function') throw new TypeError('Timer callback must be a function');
+    return setTimer(kind, () => { callback(...args); }, delay);
+  };
+  const cancel = (id) => { clearTimer(Number(id)); };
+
+  Object.assign(globalThis, {
+    console: {
+      log: logger('log'),
+      info: logger('info'),
+      warn: logger('warn'),
+      error: logger('error'),
+      debug: logger('debug')
+    },
+    setTimeout: later('timeout'),
+    setInterval: later('interval'),
+    setImmediate: (callback, ...args) => later('immediate')(callback, 0, ...args),
+    clearTimeout: cancel,
+    clearInterval: cancel,
+    clearImmediate: cancel,
+    queueMicrotask: (callback) => { Promise.resolve().then(() => callback()); },
+    require: (specifier) => load(specifier)
+  });
+
+  // Awaits the job in the context, so host code never resolves a job's thenable
+  return (job, done) => {
+    Promise.resolve()
+      .then(() => job())
+      .then(
+        (result) => { done(true, result); },
+        (error) => { done(false, error && error.message ? String(error.message) : format(error)); }
+      );
+  };
+})\`, context);
+
+const runJob = install(bridge);
+
+parentPort.on('message', (message) => {
+  const { jobId, jobFunction } = message;
+  
+  const done = (success, value) => {
+    try {
+      parentPort.postMessage(success
+        ? { jobId, success: true, result: value }
+        : { jobId, success: false, error: value });
+    } catch (error) {
+      // Results that cannot be cloned fail the job
+      parentPort.postMessage({ jobId, success: false, error: error.message });
+    }
+  };
+  
+  try {
+    // Create the job function inside the sandbox context
+    const fn = vm.runInContext('(' + jobFunction + ')', context, {
+      filename: 'gitvan-job-' + jobId + '.js',
+      importModuleDynamically: sandboxImport
+    });
+    runJob(fn, done);
+  } catch (error) {
+    done(false, error && error.message ? String(error.message) : String(error));
   }
-}
+});
+`;
@@ -18,6 +18,8 @@
  * @license Apache-2.0
  */
 
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
 import { HookParser } from "./HookParser.mjs";
 import { PredicateEvaluator } from "./PredicateEvaluator.mjs";
 import { DAGPlanner } from "../workflow/dag-planner.mjs";
@@ -26,6 +28,14 @@ import { ContextManager } from "../workflow/context-manager.mjs";
 import { useTurtle } from "../composables/turtle.mjs";
 import { useGraph } from "../composables/graph.mjs";
 import { GitNativeIO } from "../git-native/git-native-io.mjs";
+import {
+  HOOK_EVALUATIONS_REF,
+  loadGraphAtRevision,
+  resolveBaseRevision,
+} from "../utils/graph-history.mjs";
+import { GraphReasoner } from "../utils/graph-reasoning.mjs";
+
+const execFileAsync = promisify(execFile);
 
 /**
  * Main orchestrator for the Knowledge Hook Engine
@@ -47,31 +57,44 @@ export class HookOrchestrator {
    * @param {Object} [options.context] - GitVan context
    * @param {Object} [options.logger=console] - Logger instance
    * @param {number} [options.timeoutMs=300000] - Evaluation timeout in milliseconds
+   * @param {string} [options.baseRevision="HEAD~1"] - Base for resultDelta comparisons:
+   *   a git revision, "merge-base" or "last-evaluated"
+   * @param {string} [options.baseBranch="main"] - Branch used by the "merge-base" base
    */
   constructor(options = {}) {
     this.graphDir = options.graphDir || "./hooks";
+    this.cwd = options.cwd || process.cwd();
+    this.baseRevision = options.baseRevision || "HEAD~1";
+    this.baseBranch = options.baseBranch || "main";
     this.context = options.context;
     this.logger = options.logger || console;
     this.timeoutMs = options.timeoutMs || 300000; // 5 minutes default
 
     // Initialize Git-Native I/O Layer
     this.gitNativeIO = new GitNativeIO({
-      cwd: options.cwd || process.cwd(),
+      cwd: this.cwd,
       logger: this.logger,
       ...options.gitNativeIO,
     });
 
     // Initialize components
     this.parser = new HookParser({ logger: this.logger });
-    this.predicateEvaluator = new PredicateEvaluator({ logger: this.logger });
+    this.predicateEvaluator = new PredicateEvaluator({
+      logger: this.logger,
+      cwd: this.cwd,
+    });
     this.planner = new DAGPlanner({ logger: this.logger });
     this.runner = new StepRunner({ logger: this.logger });
     this.contextManager = new ContextManager({ logger: this.logger });
+    this.reasoner = new GraphReasoner({ cwd: this.cwd, logger: this.logger });
 
     // Initialize RDF components
     this.turtle = null;
     this.graph = null;
     this.previousGraph = null;
+    this.previousRevision = null;
+    this._revisionGraphs = new Map();
+    this._reasonedGraphs = new Map();
   }
 
   /**
@@ -79,6 +102,7 @@ export class HookOrchestrator {
    * @param {object} [options] - Evaluation options
    * @param {boolean} [options.dryRun] - Dry run mode
    * @param {boolean} [options.verbose] - Verbose output
+   * @param {string} [options.baseRevision] - Override the resultDelta base for this run
    * @returns {Promise<object>} Evaluation result with triggered hooks and executions
    */
   async evaluate(options = {}) {
@@ -90,7 +114,7 @@ export class HookOrchestrator {
       await this._initializeRDFComponents();
 
       // Load previous state for comparison
-      await this._loadPreviousState();
+      await this._loadPreviousState(options);
 
       // Parse all hook definitions
       const hooks = await this._parseAllHooks(options);
@@ -108,7 +132,8 @@ export class HookOrchestrator {
       const evaluationResult = await this._finalizeEvaluation(
         evaluationResults,
         executionResults || [],
-        startTime
+        startTime,
+        options
       );
 
       this.logger.info("✅ Knowledge Hook evaluation completed");
@@ -199,23 +224,109 @@ export class HookOrchestrator {
 
   /**
    * Load previous state for comparison
+   *
+   * Rebuilds the knowledge graph from the Turtle files as they were at the
+   * configured base revision so resultDelta predicates can diff against history.
    * @private
    */
-  async _loadPreviousState() {
+  async _loadPreviousState(options = {}) {
     this.logger.info("📚 Loading previous state for comparison");
+    // Revision graphs are only shared within one evaluation, so a
+    // long-lived orchestrator does not keep a graph per evaluated commit
+    this._revisionGraphs = new Map();
 
     try {
-      // Load previous commit's state
-      // This would integrate with Git to get the previous state
-      // For now, we'll simulate this
-      this.previousGraph = null; // Would be loaded from Git history
-      this.logger.info("📚 Previous state loaded");
+      const revision = await resolveBaseRevision({
+        cwd: this.cwd,
+        base: options.baseRevision || this.baseRevision,
+        baseBranch: this.baseBranch,
+      });
+
+      this.previousRevision = revision;
+      this.previousGraph = revision
+        ? await this._loadGraphAtRevision(revision)
+        : null;
+
+      if (revision) {
+        this.logger.info(`📚 Previous state loaded from ${revision}`);
+      } else {
+        this.logger.info("📚 No base revision found, skipping previous state");
+      }
     } catch (error) {
       this.logger.warn(`⚠️ Failed to load previous state: ${error.message}`);
       this.previousGraph = null;
     }
   }
 
+  /**
+   * Load (and cache) the knowledge graph at a given revision
+   * @private
+   */
+  async _loadGraphAtRevision(revision) {
+    if (!this._revisionGraphs.has(revision)) {
+      const { store } = await loadGraphAtRevision({
+        cwd: this.cwd,
+        graphDir: this.graphDir,
+        revision,
+        namedGraphs: this.turtle?.config.namedGraphs,
+        cache: this.turtle?.cache,
+        logger: this.logger,
+      });
+      this._revisionGraphs.set(revision, useGraph(store));
+    }
+    return this._revisionGraphs.get(revision);
+  }
+
+  /**
+   * Resolve the graph a hook's predicate should be compared against
+   *
+   * A resultDelta predicate may pin its own base via gh:previousCommit;
+   * all other hooks share the orchestrator-wide previous graph.
+   * @private
+   */
+  async _getPreviousGraphFor(hook) {
+    const pinned = hook.predicateDefinition?.definition?.previousCommit;
+    if (!pinned) {
+      return this.previousGraph;
+    }
+
+    const revision = await resolveBaseRevision({
+      cwd: this.cwd,
+      base: pinned,
+      baseBranch: this.baseBranch,
+    });
+    if (!revision) {
+      this.logger.warn(
+        `⚠️ Base revision ${pinned} for hook ${hook.id} not found`
+      );
+      return null;
+    }
+    return this._loadGraphAtRevision(revision);
+  }
+
+  /**
+   * Materialize the inferred triples of a graph for a hook's gv:reasoning
+   *
+   * Reasoned graphs are shared by the hooks of one evaluation; across
+   * evaluations the reasoner's cache skips graphs it has already seen.
+   * @private
+   */
+  async _reasonedGraph(graph, reasoning) {
+    if (!graph || !reasoning || reasoning === "none") {
+      return graph;
+    }
+
+    if (!this._reasonedGraphs.has(graph)) {
+      this._reasonedGraphs.set(graph, new Map());
+    }
+    const byReasoning = this._reasonedGraphs.get(graph);
+    if (!byReasoning.has(reasoning)) {
+      const { store } = await this.reasoner.materialize(graph.store, reasoning);
+      byReasoning.set(reasoning, useGraph(store));
+    }
+    return byReasoning.get(reasoning);
+  }
+
   /**
    * Parse all hook definitions
    * @private
@@ -269,6 +380,7 @@ export class HookOrchestrator {
     }
 
     const results = [];
+    this._reasonedGraphs = new Map();
 
     for (const hook of hooks) {
       try {
@@ -277,8 +389,11 @@ export class HookOrchestrator {
         }
         const evaluation = await this.predicateEvaluator.evaluate(
           hook,
-          this.graph,
-          this.previousGraph,
+          await this._reasonedGraph(this.graph, hook.reasoning),
+          await this._reasonedGraph(
+            await this._getPreviousGraphFor(hook),
+            hook.reasoning
+          ),
           options
         );
 
@@ -399,6 +514,10 @@ export class HookOrchestrator {
               const executionResult = {
                 hookId: hook.id,
                 success: true,
+                predicate: {
+                  type: evaluation.predicateType,
+                  context: evaluation.context,
+                },
                 stepResults,
                 outputs: this.contextManager.getOutputs(),
                 executionId,
@@ -497,7 +616,12 @@ export class HookOrchestrator {
    * Finalize evaluation
    * @private
    */
-  async _finalizeEvaluation(evaluationResults, executionResults, startTime) {
+  async _finalizeEvaluation(
+    evaluationResults,
+    executionResults,
+    startTime,
+    options = {}
+  ) {
     const endTime = performance.now();
     const duration = endTime - startTime;
 
@@ -527,30 +651,57 @@ export class HookOrchestrator {
       })),
       executions: executions,
       metadata: {
+        baseRevision: this.previousRevision,
         startTime: new Date(startTime).toISOString(),
         endTime: new Date(endTime).toISOString(),
         evaluationResults: evaluationResults.map((r) => ({
           hookId: r.hook.id,
           triggered: r.triggered,
           predicateType: r.evaluation.predicateType,
+          ...(r.evaluation.context?.violations && {
+            violations: r.evaluation.context.violations,
+          }),
         })),
       },
     };
 
     // Write evaluation receipt to Git Notes
-    await this._writeEvaluationReceipt(result);
+    if (!options.dryRun) {
+      await this._writeEvaluationReceipt(result);
+    }
 
     return result;
   }
 
   /**
    * Write evaluation receipt to Git Notes
+   *
+   * The note marks HEAD as evaluated, which the "last-evaluated" base uses to
+   * find the commit to diff against on the next run.
    * @private
    */
   async _writeEvaluationReceipt(result) {
     try {
       this.logger.info("📝 Writing evaluation receipt to Git Notes");
-      // Implementation would integrate with Git Notes for auditability
+      const receipt = {
+        timestamp: new Date().toISOString(),
+        baseRevision: this.previousRevision,
+        hooksEvaluated: result.hooksEvaluated,
+        hooksTriggered: result.hooksTriggered,
+        triggeredHooks: result.triggeredHooks.map((hook) => hook.id),
+      };
+      await execFileAsync(
+        "git",
+        [
+          "notes",
+          `--ref=${HOOK_EVALUATIONS_REF}`,
+          "append",
+          "-m",
+          JSON.stringify(receipt),
+          "HEAD",
+        ],
+        { cwd: this.cwd }
+      );
     } catch (error) {
       this.logger.warn(
         `⚠️ Failed to write evaluation receipt: ${error.message}`
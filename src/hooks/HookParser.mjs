@@ -58,11 +58,18 @@ export class HookParser {
       // Validate hook structure
       await this._validateHook(predicate, workflows);
 
+      // Reasoning applied to the graph before the predicate runs (gv:reasoning)
+      const reasoning = turtle.getOne(
+        hookDef.node,
+        "https://gitvan.dev/ontology#reasoning"
+      );
+
       const hook = {
         id: hookId,
         title: hookDef.title,
         predicate: hookDef.pred,
         predicateDefinition: predicate,
+        reasoning: reasoning ? reasoning.value : "none",
         workflows: workflows,
         metadata: {
           parsedAt: new Date().toISOString(),
@@ -94,6 +101,10 @@ export class HookParser {
       type: "unknown",
       definition: null,
       parameters: {},
+      // Named graphs the predicate is scoped to (gh:graph); empty means all
+      graphs: turtle
+        .getAll(hookDef.pred, GH + "graph")
+        .map((graph) => graph.value),
     };
 
     // Check predicate type
@@ -203,9 +214,11 @@ export class HookParser {
     const GH = "https://gitvan.dev/graph-hook#";
 
     const shapesText = turtle.getOne(hookDef.pred, GH + "shapesText");
+    const shapesPath = turtle.getOne(hookDef.pred, GH + "shapesPath");
 
     return {
       shapes: shapesText ? shapesText.value : null,
+      shapesPath: shapesPath ? shapesPath.value : null,
       description: "Validates graph conformance against SHACL shapes",
     };
   }
@@ -2,7 +2,10 @@
 // The "brain" of the Knowledge Hook Engine
 // Executes SPARQL queries to determine if a hook's logical condition has been met
 
+import { readFile } from "node:fs/promises";
+import { isAbsolute, resolve } from "node:path";
 import { useGraph } from "../composables/graph.mjs";
+import { SparqlEndpointClient } from "../engines/SparqlEndpointClient.mjs";
 
 /**
  * Predicate evaluator that determines if hook conditions are met
@@ -12,9 +15,15 @@ export class PredicateEvaluator {
   /**
    * @param {object} options
    * @param {object} [options.logger] - Logger instance
+   * @param {string} [options.cwd] - Base directory for relative shapes file paths
+   * @param {SparqlEndpointClient} [options.endpointClient] - Client for federated predicates
    */
   constructor(options = {}) {
     this.logger = options.logger || console;
+    this.cwd = options.cwd || process.cwd();
+    this.endpointClient =
+      options.endpointClient ||
+      new SparqlEndpointClient({ logger: this.logger });
   }
 
   /**
@@ -37,6 +46,12 @@ export class PredicateEvaluator {
       let result = false;
       let context = {};
 
+      // gh:graph restricts the predicate to those named graphs
+      if (predicate.graphs?.length) {
+        currentGraph = currentGraph.scope(predicate.graphs);
+        previousGraph = previousGraph?.scope(predicate.graphs) ?? null;
+      }
+
       switch (predicate.type) {
         case "resultDelta":
           const deltaResult = await this._evaluateResultDelta(
@@ -157,7 +172,9 @@ export class PredicateEvaluator {
       }
     }
 
-    const changed = currentHash !== previousHash;
+    const delta = this._diffQueryResults(previousResult, currentResult);
+    // Rows returned in a different order are not a change
+    const changed = delta.added.length > 0 || delta.removed.length > 0;
 
     return {
       changed: changed,
@@ -170,10 +187,51 @@ export class PredicateEvaluator {
         previousResultSize: previousHash
           ? this._getResultSize(previousResult)
           : 0,
+        added: delta.added,
+        removed: delta.removed,
+        addedCount: delta.added.length,
+        removedCount: delta.removed.length,
       },
     };
   }
 
+  /**
+   * Compute the rows (or quads) added and removed between two query results
+   * @private
+   */
+  _diffQueryResults(previousResult, currentResult) {
+    const rowsOf = (result) => {
+      if (!result) return [];
+      if (result.results) return result.results;
+      if (result.quads) {
+        return result.quads.map((q) => ({
+          subject: q.subject.value,
+          predicate: q.predicate.value,
+          object: q.object.value,
+          graph: q.graph.value,
+        }));
+      }
+      if (result.type === "ask") return [{ boolean: result.boolean }];
+      return [];
+    };
+
+    const previousRows = new Map(
+      rowsOf(previousResult).map((row) => [JSON.stringify(row), row])
+    );
+    const currentRows = new Map(
+      rowsOf(currentResult).map((row) => [JSON.stringify(row), row])
+    );
+
+    return {
+      added: [...currentRows]
+        .filter(([key]) => !previousRows.has(key))
+        .map(([, row]) => row),
+      removed: [...previousRows]
+        .filter(([key]) => !currentRows.has(key))
+        .map(([, row]) => row),
+    };
+  }
+
   /**
    * Evaluate ASK predicate - boolean condition evaluation
    * @private
@@ -256,25 +314,64 @@ export class PredicateEvaluator {
   async _evaluateSHACL(predicate, currentGraph) {
     this.logger.info("🔍 Evaluating SHACL predicate");
 
-    if (!predicate.definition.shapes) {
+    if (!predicate.definition.shapes && !predicate.definition.shapesPath) {
       throw new Error("SHACL predicate missing shapes definition");
     }
 
-    // This would integrate with SHACL validation
-    // For now, simulate validation
-    const conforms = true; // Would be actual SHACL validation result
-    const violations = []; // Would be actual violations
+    const shapes = await this._resolveShapes(predicate.definition);
+    const report = await currentGraph.validate(shapes.turtle);
+
+    const violations = report.results.map((r) => ({
+      focusNode: r.focusNode,
+      path: r.path,
+      severity: r.severity ? r.severity.split("#").pop() : null,
+      message: r.message,
+      sourceShape: r.sourceShape,
+      value: r.value,
+    }));
 
     return {
-      conforms: conforms,
+      conforms: report.conforms,
       context: {
-        shapes: predicate.definition.shapes,
+        shapes: shapes.source,
+        conforms: report.conforms,
         violations: violations,
         violationCount: violations.length,
       },
     };
   }
 
+  /**
+   * Resolve SHACL shapes from inline Turtle, or else from the Turtle file at
+   * shapesPath
+   * @private
+   * @param {{shapes?: string, shapesPath?: string}} definition - Predicate definition
+   * @returns {Promise<{turtle: string, source: string}>}
+   */
+  async _resolveShapes({ shapes, shapesPath }) {
+    if (shapes) {
+      return { turtle: shapes, source: "inline" };
+    }
+
+    const filePath = shapesPath.startsWith("file://")
+      ? shapesPath.slice("file://".length)
+      : shapesPath;
+    const absolutePath = isAbsolute(filePath)
+      ? filePath
+      : resolve(this.cwd, filePath);
+
+    try {
+      return {
+        turtle: await readFile(absolutePath, "utf8"),
+        source: absolutePath,
+      };
+    } catch (error) {
+      throw new Error(
+        `SHACL shapes file could not be read: ${absolutePath} (${error.message})`
+      );
+    }
+  }
+
   /**
    * Hash query result for comparison
    * @private
@@ -400,7 +497,10 @@ export class PredicateEvaluator {
           break;
 
         case "shaclAllConform":
-          if (!predicate.definition.shapes) {
+          if (
+            !predicate.definition.shapes &&
+            !predicate.definition.shapesPath
+          ) {
             throw new Error("SHACL predicate missing shapes");
           }
           break;
@@ -565,7 +665,8 @@ export class PredicateEvaluator {
   }
 
   /**
-   * Evaluate Federated predicate - queries multiple data sources
+   * Evaluate Federated predicate - runs the query against every listed
+   * SPARQL 1.1 Protocol endpoint and merges the bindings
    * @private
    */
   async _evaluateFederated(predicate, currentGraph) {
@@ -574,49 +675,47 @@ export class PredicateEvaluator {
     try {
       const query = predicate.definition.query;
       const queryWithPrefixes = this._injectPrefixes(query, currentGraph);
-      const endpoints = predicate.definition.endpoints || [];
-
-      // Execute federated query across multiple endpoints
-      const federatedResults = [];
-
-      for (const endpoint of endpoints) {
-        try {
-          const endpointResults = await currentGraph.query(queryWithPrefixes, {
-            queryType: "federated",
-            endpoint: endpoint.url,
-            timeout: endpoint.timeout || 5000,
-          });
-
-          federatedResults.push({
-            endpoint: endpoint.url,
-            results: endpointResults,
-            success: true,
-          });
-        } catch (error) {
-          this.logger.warn(
-            `⚠️ Federated query failed for ${endpoint.url}: ${error.message}`
-          );
-          federatedResults.push({
-            endpoint: endpoint.url,
-            results: [],
-            success: false,
-            error: error.message,
-          });
-        }
+      const endpoints = (predicate.definition.endpoints || []).filter(
+        (endpoint) => endpoint.url
+      );
+
+      if (endpoints.length === 0) {
+        throw new Error("Federated predicate has no endpoints");
+      }
+      if (!/\b(SELECT|ASK)\b/i.test(query)) {
+        throw new Error("Federated predicate query must be SELECT or ASK");
       }
 
-      // Check if any results were generated
-      const hasResults = federatedResults.some(
-        (result) => result.success && result.results.length > 0
+      const federated = await this.endpointClient.federate(
+        endpoints,
+        queryWithPrefixes
       );
+      const federatedResults = federated.endpoints.map((outcome) => ({
+        endpoint: outcome.endpoint,
+        success: outcome.success,
+        results: outcome.results || [],
+        boolean: outcome.boolean,
+        error: outcome.error,
+        durationMs: outcome.durationMs,
+      }));
+
+      const hasResults =
+        federated.type === "ask"
+          ? federated.boolean
+          : federated.results.length > 0;
 
       return {
         hasResults,
         context: {
           query,
+          bindings: federated.results || [],
+          boolean: federated.boolean,
           federatedResults,
           endpointCount: endpoints.length,
           successfulEndpoints: federatedResults.filter((r) => r.success).length,
+          failedEndpoints: federatedResults
+            .filter((r) => !r.success)
+            .map((r) => ({ endpoint: r.endpoint, error: r.error })),
         },
       };
     } catch (error) {
@@ -0,0 +1,135 @@
+/**
+ * GitVan v2 Cron State - Last successful fire time of each cron job
+ * Stored in git as one blob per job under refs/gitvan/schedule/<job-id>
+ */
+
+import { execFile, spawn } from "node:child_process";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+/** Default ref namespace for cron state */
+export const DEFAULT_SCHEDULE_ROOT = "refs/gitvan/schedule";
+
+/**
+ * Reads and records cron fire times in git refs
+ *
+ * Each ref points at a JSON blob, so the state survives daemon restarts,
+ * is shared by every worktree of the repository and can be pushed like
+ * any other ref.
+ */
+export class CronState {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.cwd] - Repository working directory
+   * @param {string} [options.root] - Ref namespace (default refs/gitvan/schedule)
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.root = options.root || DEFAULT_SCHEDULE_ROOT;
+  }
+
+  /**
+   * Ref holding the state of a job
+   * @param {string} jobId - Job ID, possibly nested like "reports/daily"
+   * @returns {string} Ref name
+   */
+  refFor(jobId) {
+    // Encode slashes and dots so nested IDs never collide as ref directories
+    const name = encodeURIComponent(jobId).replace(/\./g, "%2E");
+    return `${this.root}/${name}`;
+  }
+
+  /**
+   * Read the recorded state of a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<{jobId: string, lastFire: string, cron: string, timezone: string, catchup?: boolean}|null>} State, or null if the job never fired
+   */
+  async get(jobId) {
+    const oid = await this._git([
+      "rev-parse",
+      "--verify",
+      "-q",
+      this.refFor(jobId),
+    ]).catch(() => null);
+    if (!oid) {
+      return null;
+    }
+    const content = await this._git(["cat-file", "blob", oid]);
+    return JSON.parse(content);
+  }
+
+  /**
+   * Last successful fire time of a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Date|null>} Fire time, or null if the job never fired
+   */
+  async getLastFire(jobId) {
+    const state = await this.get(jobId);
+    return state ? new Date(state.lastFire) : null;
+  }
+
+  /**
+   * Record a successful fire
+   * @param {string} jobId - Job ID
+   * @param {Date} fireTime - Scheduled time that was run
+   * @param {object} [details] - Extra fields stored with the state
+   * @returns {Promise<void>}
+   */
+  async recordFire(jobId, fireTime, details = {}) {
+    const state = {
+      jobId,
+      lastFire: fireTime.toISOString(),
+      ...details,
+    };
+    const oid = await this._writeBlob(JSON.stringify(state, null, 2) + "\n");
+    await this._git([
+      "update-ref",
+      "-m",
+      `gitvan cron: ${jobId} fired at ${state.lastFire}`,
+      this.refFor(jobId),
+      oid,
+    ]);
+  }
+
+  /**
+   * Run a git command and return trimmed stdout
+   * @private
+   */
+  async _git(args) {
+    const { stdout } = await execFileAsync("git", args, { cwd: this.cwd });
+    return stdout.trim();
+  }
+
+  /**
+   * Write a blob from content
+   * @private
+   */
+  _writeBlob(content) {
+    return new Promise((resolve, reject) => {
+      const child = spawn("git", ["hash-object", "-w", "--stdin"], {
+        cwd: this.cwd,
+        stdio: ["pipe", "pipe", "pipe"],
+      });
+
+      let stdout = "";
+      let stderr = "";
+      child.stdout.on("data", (data) => {
+        stdout += data.toString();
+      });
+      child.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+      child.on("error", reject);
+      child.on("close", (code) => {
+        if (code === 0) {
+          resolve(stdout.trim());
+        } else {
+          reject(new Error(`git hash-object failed: ${stderr.trim()}`));
+        }
+      });
+
+      child.stdin.end(content);
+    });
+  }
+}
@@ -7,10 +7,23 @@ import { discoverJobs, loadJobDefinition } from "../runtime/jobs.mjs";
 import { runJobWithContext } from "../runtime/boot.mjs";
 import { writeReceipt } from "../runtime/receipt.mjs";
 import { createLogger } from "../utils/logger.mjs";
+import {
+  cronMatches,
+  nextCronRun,
+  parseCron,
+  resolveTimezone,
+} from "../utils/cron-expression.mjs";
+import { CronState } from "./cron-state.mjs";
 import { join } from "pathe";
 
 const logger = createLogger("cron-scheduler");
 
+/** Missed-run policies: `skip` drops missed fires, `run-once` runs the latest, `run-all` runs each */
+export const CATCHUP_POLICIES = ["skip", "run-once", "run-all"];
+
+/** Upper bound on missed fires replayed by `run-all` after a long downtime */
+export const MAX_CATCHUP_RUNS = 100;
+
 /**
  * Start the cron scheduler
  * @param {object} config - GitVan configuration
@@ -42,13 +55,17 @@ export async function startCronScheduler(config = {}) {
     try {
       const jobDef = await loadJobDefinition(jobInfo.file);
       if (jobDef && jobDef.cron) {
-        cronJobs.push({
+        const job = {
           ...jobInfo,
           definition: jobDef,
           cron: jobDef.cron,
+          timezone: resolveTimezone(jobDef.timezone || cron.timezone),
+          catchup: resolveCatchupPolicy(jobDef.catchup),
           lastRun: null,
-          nextRun: calculateNextRun(jobDef.cron),
-        });
+        };
+        parseCron(job.cron);
+        job.nextRun = calculateNextRun(job);
+        cronJobs.push(job);
       }
     } catch (error) {
       logger.warn(`Failed to load job ${jobInfo.id}:`, error.message);
@@ -62,8 +79,149 @@ export async function startCronScheduler(config = {}) {
     return;
   }
 
+  const state = new CronState({ cwd: rootDir, root: config.scheduleRoot });
+  await catchUpCronJobs(cronJobs, config, { state });
+
   // Start the scheduler loop
-  return runCronLoop(cronJobs, config);
+  return runCronLoop(cronJobs, config, state);
+}
+
+/**
+ * Validate a job's catch-up policy
+ * @param {string} [policy] - Policy name (defaults to skip)
+ * @returns {string} Policy name
+ */
+export function resolveCatchupPolicy(policy) {
+  const resolved = policy || "skip";
+  if (!CATCHUP_POLICIES.includes(resolved)) {
+    throw new Error(
+      `Invalid catchup policy "${policy}", expected one of: ${CATCHUP_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Work out which missed fires of a job to run
+ * @param {object} job - Job with `cron`, `timezone` and `catchup`
+ * @param {Date|null} lastFire - Last successful fire time
+ * @param {Date} now - Current time; fires in the current minute are left to the loop
+ * @returns {{policy: string, missed: Date[], runs: Date[], truncated: boolean}} Catch-up plan;
+ *   `skip` plans nothing and `missed` holds at most MAX_CATCHUP_RUNS fires
+ */
+export function planCatchup(job, lastFire, now) {
+  const policy = resolveCatchupPolicy(job.catchup);
+  const plan = { policy, missed: [], runs: [], truncated: false };
+  if (!lastFire || policy === "skip") {
+    return plan;
+  }
+
+  const currentMinute = Math.floor(now.getTime() / 60000) * 60000;
+  // Scan windows ending at the current minute that double until they reach
+  // the last fire or hold more fires than are replayed, so a long downtime
+  // does not walk every missed fire
+  for (let windowMs = 3_600_000; ; windowMs *= 2) {
+    const from = Math.max(lastFire.getTime(), currentMinute - windowMs);
+    const missed = [];
+    let truncated = false;
+    let cursor = new Date(from);
+    while (true) {
+      const fire = nextCronRun(job.cron, cursor, { timezone: job.timezone });
+      if (!fire || fire.getTime() >= currentMinute) {
+        break;
+      }
+      missed.push(fire);
+      if (missed.length > MAX_CATCHUP_RUNS) {
+        missed.shift();
+        truncated = true;
+      }
+      cursor = fire;
+    }
+
+    if (truncated || from === lastFire.getTime()) {
+      plan.missed = missed;
+      plan.truncated = truncated;
+      break;
+    }
+  }
+
+  if (policy === "run-once") {
+    plan.runs = plan.missed.slice(-1);
+  } else if (policy === "run-all") {
+    plan.runs = [...plan.missed];
+  }
+  return plan;
+}
+
+/**
+ * Apply each job's catch-up policy to the fires missed while the scheduler
+ * was not running
+ * @param {Array} cronJobs - Array of cron job definitions
+ * @param {object} config - Configuration
+ * @param {object} options
+ * @param {CronState} options.state - Cron state store
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Array<{jobId: string, policy: string, missed: number, ran: number}>>} Catch-up summary per job
+ */
+export async function catchUpCronJobs(cronJobs, config, options) {
+  const { state, now = new Date() } = options;
+  const summary = [];
+
+  for (const job of cronJobs) {
+    let lastFire;
+    try {
+      lastFire = await state.getLastFire(job.id);
+    } catch (error) {
+      logger.warn(`Could not read cron state for ${job.id}:`, error.message);
+      continue;
+    }
+
+    const plan = planCatchup(job, lastFire, now);
+    if (plan.missed.length === 0) {
+      continue;
+    }
+
+    const missedCount = plan.truncated
+      ? `more than ${MAX_CATCHUP_RUNS}`
+      : plan.missed.length;
+    logger.info(
+      `Cron job ${job.id} missed ${missedCount} run(s) since ${lastFire.toISOString()} (catchup: ${plan.policy})`
+    );
+    if (plan.truncated && plan.policy === "run-all") {
+      logger.warn(
+        `Only the latest ${MAX_CATCHUP_RUNS} missed runs of ${job.id} will be replayed`
+      );
+    }
+
+    let ran = 0;
+    for (const scheduledFor of plan.runs) {
+      const success = await executeCronJob(job, config, {
+        state,
+        scheduledFor,
+        catchup: {
+          policy: plan.policy,
+          missedRuns: plan.missed.length,
+          truncated: plan.truncated,
+        },
+      });
+      ran++;
+      if (!success) {
+        // Later fires would run against the same failing conditions
+        break;
+      }
+    }
+
+    summary.push({
+      jobId: job.id,
+      policy: plan.policy,
+      missed: plan.missed.length,
+      ran,
+    });
+  }
+
+  return summary;
 }
 
 /**
@@ -72,7 +230,7 @@ export async function startCronScheduler(config = {}) {
  * @param {object} config - Configuration
  * @returns {Promise<void>}
  */
-async function runCronLoop(cronJobs, config) {
+async function runCronLoop(cronJobs, config, state) {
   const { cron = { interval: 60000 } } = config;
 
   logger.info("Cron scheduler started");
@@ -83,9 +241,12 @@ async function runCronLoop(cronJobs, config) {
 
       for (const job of cronJobs) {
         if (shouldRunJob(job, now)) {
-          await executeCronJob(job, config);
+          await executeCronJob(job, config, {
+            state,
+            scheduledFor: new Date(Math.floor(now.getTime() / 60000) * 60000),
+          });
           job.lastRun = now;
-          job.nextRun = calculateNextRun(job.cron, now);
+          job.nextRun = calculateNextRun(job, now);
         }
       }
 
@@ -100,48 +261,49 @@ async function runCronLoop(cronJobs, config) {
 /**
  * Check if a job should run at the given time
  * @param {object} job - Job definition with cron info
+ * @param {string} job.cron - Cron expression
+ * @param {string} [job.timezone] - IANA timezone the expression is written in
  * @param {Date} now - Current time
- * @returns {boolean} True if job should run
+ * @returns {boolean} True if the schedule fires during the minute containing `now`
  */
-function shouldRunJob(job, now) {
-  // Simple cron matching - in production would use proper cron parser
-  const cronParts = job.cron.trim().split(/\s+/);
-  if (cronParts.length !== 5) return false;
-
-  const [minute, hour, day, month, weekday] = cronParts;
-
-  // Get current time components
-  const currentMinute = now.getMinutes();
-  const currentHour = now.getHours();
-  const currentDay = now.getDate();
-  const currentMonth = now.getMonth() + 1; // 0-based to 1-based
-  const currentWeekday = now.getDay();
-
-  // Simple pattern matching
-  if (minute === "*" && hour === "*") return true; // Every minute
-  if (minute === "0" && hour === "*") return true; // Every hour
-  if (minute === "0" && hour === "0") return true; // Daily at midnight
-
-  // Check specific times
-  if (minute !== "*" && parseInt(minute) !== currentMinute) return false;
-  if (hour !== "*" && parseInt(hour) !== currentHour) return false;
-  if (day !== "*" && parseInt(day) !== currentDay) return false;
-  if (month !== "*" && parseInt(month) !== currentMonth) return false;
-  if (weekday !== "*" && parseInt(weekday) !== currentWeekday) return false;
-
-  return true;
+export function shouldRunJob(job, now) {
+  try {
+    return cronMatches(job.cron, now, { timezone: job.timezone });
+  } catch (error) {
+    logger.warn(`Invalid schedule for ${job.id}:`, error.message);
+    return false;
+  }
 }
 
 /**
  * Execute a cron job
  * @param {object} job - Job definition
  * @param {object} config - Configuration
- * @returns {Promise<void>}
+ * @param {object} [options]
+ * @param {CronState} [options.state] - Cron state store; successful fires are recorded in it
+ * @param {Date} [options.scheduledFor] - Fire time this execution stands for
+ * @param {object} [options.catchup] - Catch-up details when replaying a missed fire
+ * @returns {Promise<boolean>} True if the job succeeded
  */
-async function executeCronJob(job, config) {
+async function executeCronJob(job, config, options = {}) {
   const { rootDir = process.cwd() } = config;
-
-  logger.info(`Executing cron job: ${job.id}`);
+  const { state, scheduledFor = new Date(), catchup } = options;
+
+  logger.info(
+    catchup
+      ? `Executing missed cron job: ${job.id} (scheduled for ${scheduledFor.toISOString()})`
+      : `Executing cron job: ${job.id}`
+  );
+
+  const meta = {
+    cron: job.cron,
+    timezone: job.timezone,
+    scheduled: true,
+    scheduledFor: scheduledFor.toISOString(),
+    ...(catchup && { catchup: true, catchupPolicy: catchup.policy }),
+    ...(catchup && { missedRuns: catchup.missedRuns }),
+  };
+  const startTime = Date.now();
 
   try {
     const ctx = {
@@ -150,17 +312,18 @@ async function executeCronJob(job, config) {
       now: () => new Date().toISOString(),
       cron: {
         schedule: job.cron,
+        timezone: job.timezone,
+        scheduledFor: scheduledFor.toISOString(),
         lastRun: job.lastRun,
         nextRun: job.nextRun,
+        catchup: catchup || null,
       },
     };
 
-    const startTime = Date.now();
     const result = await runJobWithContext(ctx, job.definition);
     const duration = Date.now() - startTime;
 
-    // Write receipt
-    writeReceipt({
+    await recordReceipt({
       id: `cron-${job.id}`,
       status: "success",
       commit: "HEAD",
@@ -169,62 +332,67 @@ async function executeCronJob(job, config) {
         ...result,
         duration,
       },
-      meta: {
-        cron: job.cron,
-        scheduled: true,
-      },
+      meta,
     });
 
+    if (state) {
+      try {
+        await state.recordFire(job.id, scheduledFor, {
+          cron: job.cron,
+          timezone: job.timezone,
+          ...(catchup && { catchup: true }),
+        });
+      } catch (error) {
+        logger.warn(
+          `Could not record cron state for ${job.id}:`,
+          error.message
+        );
+      }
+    }
+
     logger.info(`Cron job ${job.id} completed successfully`);
+    return true;
   } catch (error) {
     logger.error(`Cron job ${job.id} failed:`, error.message);
 
     // Write failure receipt
-    writeReceipt({
+    await recordReceipt({
       id: `cron-${job.id}`,
       status: "error",
       commit: "HEAD",
       action: "cron",
       result: {
         error: error.message,
-        duration: Date.now() - Date.now(),
-      },
-      meta: {
-        cron: job.cron,
-        scheduled: true,
+        duration: Date.now() - startTime,
       },
+      meta,
     });
+    return false;
   }
 }
 
 /**
- * Calculate next run time for a cron expression
- * @param {string} cron - Cron expression
- * @param {Date} from - Starting time (defaults to now)
- * @returns {Date} Next run time
+ * Write a receipt without letting a receipt failure fail the job
+ * @param {object} receipt - Receipt data
+ * @returns {Promise<void>}
  */
-function calculateNextRun(cron, from = new Date()) {
-  // Simplified calculation - in production would use proper cron parser
-  const cronParts = cron.trim().split(/\s+/);
-  if (cronParts.length !== 5) return new Date(from.getTime() + 60000);
-
-  const [minute, hour, day, month, weekday] = cronParts;
-
-  // Simple logic for common patterns
-  if (minute === "*" && hour === "*") {
-    return new Date(from.getTime() + 60000); // Next minute
-  }
-
-  if (minute === "0" && hour === "*") {
-    return new Date(from.getTime() + 3600000); // Next hour
-  }
-
-  if (minute === "0" && hour === "0") {
-    return new Date(from.getTime() + 86400000); // Next day
+async function recordReceipt(receipt) {
+  try {
+    await writeReceipt(receipt);
+  } catch (error) {
+    logger.warn(`Could not write receipt ${receipt.id}:`, error.message);
   }
+}
 
-  // Default to next minute for other patterns
-  return new Date(from.getTime() + 60000);
+/**
+ * Calculate the next run time of a cron job
+ * @param {object|string} job - Job with `cron` and optional `timezone`, or a cron expression
+ * @param {Date} from - Starting time (defaults to now)
+ * @returns {Date|null} Next run time, or null if the schedule never fires
+ */
+export function calculateNextRun(job, from = new Date()) {
+  const { cron, timezone } = typeof job === "string" ? { cron: job } : job;
+  return nextCronRun(cron, from, { timezone });
 }
 
 /**
@@ -239,10 +407,12 @@ function sleep(ms) {
 /**
  * Scan jobs for cron schedules
  * @param {object} options - Scan options
+ * @param {string} [options.cwd] - Project root
+ * @param {string} [options.timezone] - Timezone for jobs that do not set one
  * @returns {Promise<Array>} Array of jobs with cron info
  */
 export async function scanJobs(options = {}) {
-  const { cwd = process.cwd() } = options;
+  const { cwd = process.cwd(), timezone } = options;
   const jobsDir = join(cwd, "jobs");
 
   const allJobs = discoverJobs(jobsDir);
@@ -255,6 +425,7 @@ export async function scanJobs(options = {}) {
         cronJobs.push({
           ...jobInfo,
           cron: jobDef.cron,
+          timezone: jobDef.timezone || timezone || "UTC",
           meta: jobDef.meta || {},
         });
       }
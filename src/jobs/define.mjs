@@ -9,6 +9,8 @@
  * @param {object} definition.meta - Job metadata
  * @param {function} definition.run - Job run function
  * @param {string} definition.cron - Optional cron schedule
+ * @param {string} definition.timezone - Optional IANA timezone for the cron schedule (default UTC)
+ * @param {string} definition.catchup - Optional missed-run policy: skip, run-once or run-all (default skip)
  * @param {object} definition.inputs - Optional input schema
  * @returns {object} Job definition object
  */
@@ -1,9 +1,12 @@
 import { Pack } from './pack.mjs';
+import { evaluateWhen } from './when.mjs';
 import { createLogger } from '../utils/logger.mjs';
-import { join, resolve, dirname } from 'pathe';
-import { existsSync, readFileSync, writeFileSync, mkdirSync, copyFileSync } from 'node:fs';
+import { join, resolve, dirname, relative } from 'pathe';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
 import nunjucks from 'nunjucks';
 import grayMatter from './helpers/gray-matter.mjs';
+import { mergeThreeWay, formatRejects, isMergeable, CONFLICT_STYLES } from './operations/three-way-merge.mjs';
 
 export class PackApplier {
   constructor(options = {}) {
@@ -11,10 +14,15 @@ export class PackApplier {
     this.logger = createLogger('pack:applier');
   }
 
-  async apply(packPath, targetDir, inputs = {}) {
+  async apply(packPath, targetDir, inputs = {}, options = {}) {
     const pack = new Pack(packPath, { ...this.options, inputs });
     await pack.load();
 
+    const conflictStyle = options.conflictStyle || this.options.conflictStyle || 'markers';
+    if (!CONFLICT_STYLES.includes(conflictStyle)) {
+      throw new Error(`Unknown conflict style: ${conflictStyle}`);
+    }
+
     this.logger.info(`Applying pack ${pack.manifest.id} v${pack.manifest.version}`);
 
     try {
@@ -40,6 +48,27 @@ export class PackApplier {
         };
       }
 
+      // Files written at install time are the base of three-way merges.
+      // Receipts written before targets were relative hold absolute paths.
+      const receipt = options.receipt || pack.readReceipt(targetDir);
+      const merge = {
+        targetDir,
+        previous: new Map((receipt?.artifacts || []).map(a => [
+          relative(targetDir, resolve(targetDir, a.target)),
+          a
+        ])),
+        style: conflictStyle,
+        artifacts: [],
+        conflicts: []
+      };
+
+      // Entries whose when condition is false are skipped
+      const when = {
+        inputs: resolvedInputs,
+        mode: this.options.mode || await pack.detectMode(targetDir),
+        targetDir
+      };
+
       // Apply pack components
       const results = [];
       const errors = [];
@@ -47,33 +76,51 @@ export class PackApplier {
       // Apply templates
       for (const template of pack.manifest.provides.templates || []) {
         try {
-          const result = await this.applyTemplate(pack, template, targetDir, resolvedInputs);
+          if (!evaluateWhen(template.when, when)) {
+            results.push(this.skipByWhen('template', template));
+            this.keepPrevious(merge, join(targetDir, template.target));
+            continue;
+          }
+          const result = await this.applyTemplate(pack, template, targetDir, resolvedInputs, merge);
           results.push(result);
           pack.receipts.push(result);
         } catch (e) {
           errors.push({ step: 'template', template: template.src, error: e.message });
+          this.keepPrevious(merge, join(targetDir, template.target));
         }
       }
 
       // Apply files
       for (const file of pack.manifest.provides.files || []) {
         try {
-          const result = await this.applyFile(pack, file, targetDir, resolvedInputs);
+          if (!evaluateWhen(file.when, when)) {
+            results.push(this.skipByWhen('file', file));
+            this.keepPrevious(merge, join(targetDir, file.target));
+            continue;
+          }
+          const result = await this.applyFile(pack, file, targetDir, resolvedInputs, merge);
           results.push(result);
           pack.receipts.push(result);
         } catch (e) {
           errors.push({ step: 'file', file: file.src, error: e.message });
+          this.keepPrevious(merge, join(targetDir, file.target));
         }
       }
 
       // Apply jobs
       for (const job of pack.manifest.provides.jobs || []) {
         try {
-          const result = await this.applyJob(pack, job, targetDir, resolvedInputs);
+          if (!evaluateWhen(job.when, when)) {
+            results.push(this.skipByWhen('job', job));
+            this.keepPrevious(merge, this.jobTargetPath(job, targetDir));
+            continue;
+          }
+          const result = await this.applyJob(pack, job, targetDir, resolvedInputs, merge);
           results.push(result);
           pack.receipts.push(result);
         } catch (e) {
           errors.push({ step: 'job', job: job.src, error: e.message });
+          this.keepPrevious(merge, this.jobTargetPath(job, targetDir));
         }
       }
 
@@ -90,14 +137,21 @@ export class PackApplier {
 
       // Write receipt
       const status = errors.length === 0 ? 'OK' : (results.length > 0 ? 'PARTIAL' : 'ERROR');
-      await pack.writeReceipt(targetDir, status);
+      await pack.writeReceipt(targetDir, status, merge.artifacts);
 
       if (errors.length === 0) {
-        this.logger.info(`Pack ${pack.manifest.id} applied successfully`);
+        if (merge.conflicts.length > 0) {
+          this.logger.warn(`Pack ${pack.manifest.id} applied with ${merge.conflicts.length} conflicting files`);
+        } else {
+          this.logger.info(`Pack ${pack.manifest.id} applied successfully`);
+        }
         return {
           status: 'OK',
-          message: `Pack applied successfully`,
+          message: merge.conflicts.length > 0
+            ? `Pack applied with conflicts in ${merge.conflicts.length} files`
+            : `Pack applied successfully`,
           applied: results,
+          conflicts: merge.conflicts,
           pack
         };
       } else if (results.length > 0) {
@@ -106,6 +160,7 @@ export class PackApplier {
           status: 'PARTIAL',
           message: `Pack partially applied with errors`,
           applied: results,
+          conflicts: merge.conflicts,
           errors,
           pack
         };
@@ -128,7 +183,17 @@ export class PackApplier {
     }
   }
 
-  async applyTemplate(pack, template, targetDir, inputs) {
+  skipByWhen(type, entry) {
+    return {
+      action: 'skip',
+      target: entry.target,
+      source: entry.src,
+      type,
+      reason: `when condition is false: ${entry.when}`
+    };
+  }
+
+  async applyTemplate(pack, template, targetDir, inputs, merge) {
     const srcPath = join(pack.path, 'templates', template.src);
     const targetPath = join(targetDir, template.target);
 
@@ -152,6 +217,7 @@ export class PackApplier {
 
     // Check if target exists and handle mode
     if (existsSync(targetPath) && template.mode === 'skip') {
+      this.keepPrevious(merge, targetPath);
       return {
         action: 'skip',
         target: template.target,
@@ -162,8 +228,8 @@ export class PackApplier {
     // Ensure target directory exists
     mkdirSync(dirname(targetPath), { recursive: true });
 
-    // Write rendered content
-    writeFileSync(targetPath, rendered, 'utf8');
+    // Write rendered content, merging local edits
+    const action = await this.writeArtifact(pack, targetPath, rendered, merge, template.src);
 
     // Make executable if specified
     if (template.executable) {
@@ -171,14 +237,14 @@ export class PackApplier {
     }
 
     return {
-      action: 'write',
+      action,
       target: template.target,
       source: template.src,
       type: 'template'
     };
   }
 
-  async applyFile(pack, file, targetDir, inputs) {
+  async applyFile(pack, file, targetDir, inputs, merge) {
     const srcPath = join(pack.path, 'assets', file.src);
     const targetPath = join(targetDir, file.target);
 
@@ -188,6 +254,7 @@ export class PackApplier {
 
     // Check if target exists and handle mode
     if (existsSync(targetPath) && file.mode === 'skip') {
+      this.keepPrevious(merge, targetPath);
       return {
         action: 'skip',
         target: file.target,
@@ -198,35 +265,34 @@ export class PackApplier {
     // Ensure target directory exists
     mkdirSync(dirname(targetPath), { recursive: true });
 
-    // Copy file
-    copyFileSync(srcPath, targetPath);
+    // Copy file, merging local edits
+    const action = await this.writeArtifact(pack, targetPath, readFileSync(srcPath), merge, file.src);
 
     return {
-      action: 'copy',
+      action: action === 'write' ? 'copy' : action,
       target: file.target,
       source: file.src,
       type: 'file'
     };
   }
 
-  async applyJob(pack, job, targetDir, inputs) {
+  async applyJob(pack, job, targetDir, inputs, merge) {
     const srcPath = join(pack.path, 'jobs', job.src);
-    const jobsDir = join(targetDir, job.targetDir || 'jobs');
     const jobId = job.id || job.src.replace('.mjs', '');
-    const targetPath = join(jobsDir, `${jobId}.mjs`);
+    const targetPath = this.jobTargetPath(job, targetDir);
 
     if (!existsSync(srcPath)) {
       throw new Error(`Job not found: ${job.src}`);
     }
 
     // Ensure jobs directory exists
-    mkdirSync(jobsDir, { recursive: true });
+    mkdirSync(dirname(targetPath), { recursive: true });
 
-    // Copy job file
-    copyFileSync(srcPath, targetPath);
+    // Copy job file, merging local edits
+    const action = await this.writeArtifact(pack, targetPath, readFileSync(srcPath), merge, job.src);
 
     return {
-      action: 'copy',
+      action: action === 'write' ? 'copy' : action,
       target: targetPath,
       source: job.src,
       type: 'job',
@@ -234,6 +300,95 @@ export class PackApplier {
     };
   }
 
+  jobTargetPath(job, targetDir) {
+    const jobId = job.id || job.src.replace('.mjs', '');
+    return join(targetDir, job.targetDir || 'jobs', `${jobId}.mjs`);
+  }
+
+  // Receipt entries of skipped or failed artifacts are carried forward, so
+  // the next apply still has their install-time base to merge against
+  keepPrevious(merge, targetPath) {
+    const target = merge && relative(merge.targetDir, targetPath);
+    const previous = merge?.previous.get(target);
+    if (previous && !merge.artifacts.some(a => a.target === target)) {
+      merge.artifacts.push({ ...previous, target });
+    }
+  }
+
+  async writeArtifact(pack, targetPath, content, merge, source) {
+    const text = isMergeable(content) ? content.toString('utf8') : null;
+    const target = merge && relative(merge.targetDir, targetPath);
+    const previous = merge?.previous.get(target);
+    let action = 'write';
+    let written = content;
+    let base = text;
+    let hunks = [];
+
+    if (previous && existsSync(targetPath)) {
+      const local = readFileSync(targetPath);
+      const localText = isMergeable(local) ? local.toString('utf8') : null;
+
+      if (text !== null && localText !== null && typeof previous.base === 'string') {
+        if (text === previous.base) {
+          // Unchanged in the pack, whatever was edited locally stays
+          action = 'keep';
+          written = local;
+        } else {
+          const result = await mergeThreeWay({
+            base: previous.base,
+            local: localText,
+            incoming: text,
+            labels: { incoming: `${pack.manifest.id}@${pack.manifest.version}` },
+            style: merge.style
+          });
+          action = result.clean ? 'merge' : 'conflict';
+          written = result.content;
+          hunks = result.conflicts;
+        }
+      } else if (!previous.conflict && hashContent(local) === previous.hash) {
+        // Untouched since the last apply, take the pack version as is
+      } else {
+        // Binary content, or no base recorded: keep local edits, and the
+        // base that was last applied
+        action = 'conflict';
+        written = local;
+        base = previous.base;
+      }
+    }
+
+    if (action !== 'keep') {
+      writeFileSync(targetPath, written);
+    }
+
+    if (action === 'conflict') {
+      const conflict = { target: targetPath, hunks: hunks.length, style: merge.style };
+      if (merge.style === 'rej' && hunks.length > 0) {
+        conflict.rej = `${targetPath}.rej`;
+        writeFileSync(conflict.rej, formatRejects(targetPath, hunks, {
+          pack: pack.manifest.id,
+          version: pack.manifest.version
+        }));
+      } else if (hunks.length === 0) {
+        conflict.reason = 'Local edits cannot be merged automatically';
+      }
+      merge.conflicts.push(conflict);
+      this.logger.warn(`Conflict merging ${targetPath}`);
+    }
+
+    // A conflicted file holds local content, so its hash must not pass for
+    // an untouched copy of the pack version on the next apply
+    merge?.artifacts.push({
+      type: 'file',
+      target,
+      source,
+      hash: hashContent(action === 'conflict' ? content : written),
+      base,
+      ...(action === 'conflict' ? { conflict: true } : {})
+    });
+
+    return action;
+  }
+
   async applyNpmDependencies(pack, targetDir, inputs) {
     const packageJsonPath = join(targetDir, 'package.json');
     const npmDeps = pack.manifest.dependencies.npm;
@@ -289,4 +444,8 @@ export class PackApplier {
       modified
     };
   }
-}
\ No newline at end of file
+}
+
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
@@ -105,7 +105,7 @@ export class PackManager {
     }
 
     // Check for breaking changes
-    const updateRisks = await this.assessUpdateRisks(existing, pack, plan);
+    const updateRisks = await this.assessUpdateRisks(existing, pack, plan, targetDir);
 
     if (updateRisks.length > 0 && !this.options.force) {
       return {
@@ -116,8 +116,8 @@ export class PackManager {
       };
     }
 
-    // Perform update
-    const result = await this.applier.apply(packPath, targetDir, inputs);
+    // Perform update, merging local edits against the installed content
+    const result = await this.applier.apply(packPath, targetDir, inputs, { receipt: existing });
 
     return {
       ...result,
@@ -152,17 +152,19 @@ export class PackManager {
     // Remove artifacts in reverse order (if available)
     const artifacts = receipt.artifacts || [];
     if (artifacts.length > 0) {
-      for (const artifact of artifacts.reverse()) {
+      for (const entry of artifacts.reverse()) {
+        // Receipts record targets relative to the directory the pack was applied to
+        const artifact = { ...entry, target: resolve(targetDir, entry.target || entry.path) };
         try {
           if (await this.canRemoveArtifact(artifact, options)) {
             await this.removeArtifact(artifact);
-            results.removed.push(artifact.target || artifact.path);
+            results.removed.push(artifact.target);
           } else {
-            this.logger.warn(`Skipping modified artifact: ${artifact.target || artifact.path}`);
+            this.logger.warn(`Skipping modified artifact: ${artifact.target}`);
           }
         } catch (error) {
           results.errors.push({
-            artifact: artifact.target || artifact.path,
+            artifact: artifact.target,
             error: error.message
           });
         }
@@ -196,7 +198,7 @@ export class PackManager {
     return results;
   }
 
-  async assessUpdateRisks(existingReceipt, newPack, plan) {
+  async assessUpdateRisks(existingReceipt, newPack, plan, targetDir) {
     const risks = [];
 
     // Version comparison
@@ -215,8 +217,11 @@ export class PackManager {
       });
     }
 
-    // Check for file overwrites
-    const overwrites = plan.impacts.modifies.filter(m => m.risk === 'overwrite');
+    // Check for file overwrites, files installed by the pack are merged instead
+    const installed = new Set((existingReceipt.artifacts || [])
+      .filter(a => typeof a.base === 'string')
+      .map(a => resolve(targetDir, a.target)));
+    const overwrites = plan.impacts.modifies.filter(m => m.risk === 'overwrite' && !installed.has(resolve(m.path)));
     if (overwrites.length > 0) {
       risks.push({
         type: 'file-overwrites',
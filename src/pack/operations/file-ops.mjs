@@ -3,6 +3,7 @@ import { dirname, basename, join } from 'pathe';
 import { createLogger } from '../../utils/logger.mjs';
 import { createHash, randomBytes } from 'node:crypto';
 import { glob } from 'tinyglobby';
+import { mergeThreeWay } from './three-way-merge.mjs';
 
 export class FileOperations {
   constructor(options = {}) {
@@ -13,7 +14,7 @@ export class FileOperations {
   }
 
   async apply(step) {
-    const { src, target, action, preservePermissions = true } = step;
+    const { src, target, action, preservePermissions = true, base, conflictStyle } = step;
 
     // Handle glob patterns in source
     const sources = await this.resolveSources(src);
@@ -27,7 +28,9 @@ export class FileOperations {
         src: sourcePath,
         target: sources.length === 1 ? target : this.resolveTargetForMultiple(sourcePath, src, target),
         action,
-        preservePermissions
+        preservePermissions,
+        base,
+        conflictStyle
       });
       results.push(result);
     }
@@ -36,7 +39,7 @@ export class FileOperations {
   }
 
   async applySingle(step) {
-    const { src, target, action, preservePermissions } = step;
+    const { src, target, action, preservePermissions, base, conflictStyle } = step;
 
     if (!existsSync(src)) {
       throw new Error(`Source file not found: ${src}`);
@@ -70,7 +73,7 @@ export class FileOperations {
           if (existsSync(target)) {
             const existing = readFileSync(target, 'utf8');
             const newContent = readFileSync(src, 'utf8');
-            const merged = this.mergeContent(existing, newContent);
+            const merged = await this.mergeContent(existing, newContent, base, conflictStyle);
             await this.atomicWriteContent(target, merged, { preservePermissions });
             this.logger.debug(`Merged: ${src} -> ${target}`);
           } else {
@@ -106,9 +109,14 @@ export class FileOperations {
     }
   }
 
-  mergeContent(existing, newContent) {
-    // Simple merge strategy: append with separator
-    return existing + '\n\n' + newContent;
+  async mergeContent(existing, newContent, base, conflictStyle) {
+    if (typeof base !== 'string') {
+      // No common ancestor: append with separator
+      return existing + '\n\n' + newContent;
+    }
+
+    const { content } = await mergeThreeWay({ base, local: existing, incoming: newContent, style: conflictStyle });
+    return content;
   }
 
   async resolveSources(src) {
@@ -0,0 +1,170 @@
+/**
+ * GitVan v2 Three-Way Merge - Merge pack updates into locally edited files
+ * Uses git merge-file with the content a pack wrote at install time as base
+ */
+
+import { execFile } from "node:child_process";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { promisify } from "node:util";
+import { join } from "pathe";
+
+const execFileAsync = promisify(execFile);
+
+/** How hunks that cannot be merged are surfaced */
+export const CONFLICT_STYLES = ["markers", "rej"];
+
+const DEFAULT_LABELS = { local: "local", base: "base", incoming: "pack" };
+
+/**
+ * Whether content can be merged line by line
+ * @param {string|Buffer} content - File content
+ * @returns {boolean}
+ */
+export function isMergeable(content) {
+  return typeof content === "string"
+    ? !content.includes("\0")
+    : !content.includes(0);
+}
+
+/**
+ * Merge pack changes (base -> incoming) into the local content
+ *
+ * With the "markers" style conflicting hunks are written as git conflict
+ * markers. With the "rej" style the local side is kept and the hunks are
+ * only returned, to be reported with formatRejects().
+ * @param {object} options
+ * @param {string} options.base - Content the pack wrote at install time
+ * @param {string} options.local - Content currently on disk
+ * @param {string} options.incoming - Content the new pack version writes
+ * @param {object} [options.labels] - Conflict marker labels
+ * @param {string} [options.style] - "markers" or "rej"
+ * @returns {Promise<{content: string, clean: boolean, conflicts: Array<{line: number, local: string[], incoming: string[]}>}>}
+ */
+export async function mergeThreeWay(options) {
+  const { base, local, incoming, style = "markers" } = options;
+  const labels = { ...DEFAULT_LABELS, ...options.labels };
+
+  if (!CONFLICT_STYLES.includes(style)) {
+    throw new Error(
+      `Unknown conflict style "${style}" (expected ${CONFLICT_STYLES.join(" or ")})`
+    );
+  }
+
+  const dir = await mkdtemp(join(tmpdir(), "gitvan-merge-"));
+  try {
+    const files = {
+      local: join(dir, "local"),
+      base: join(dir, "base"),
+      incoming: join(dir, "incoming"),
+    };
+    await writeFile(files.local, local, "utf8");
+    await writeFile(files.base, base, "utf8");
+    await writeFile(files.incoming, incoming, "utf8");
+
+    const args = [
+      "merge-file",
+      "-p",
+      "-L",
+      labels.local,
+      "-L",
+      labels.base,
+      "-L",
+      labels.incoming,
+      files.local,
+      files.base,
+      files.incoming,
+    ];
+    const merged = await mergeFile(args);
+    const conflicts = parseConflicts(merged);
+
+    if (conflicts.length === 0) {
+      return { content: merged, clean: true, conflicts };
+    }
+
+    const content =
+      style === "rej"
+        ? await mergeFile([...args.slice(0, 2), "--ours", ...args.slice(2)])
+        : merged;
+    return { content, clean: false, conflicts };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Format unmerged hunks as a .rej report
+ * @param {string} target - Path of the merged file
+ * @param {Array<{line: number, local: string[], incoming: string[]}>} conflicts - Hunks from mergeThreeWay()
+ * @param {object} [source]
+ * @param {string} [source.pack] - Pack ID
+ * @param {string} [source.version] - Pack version
+ * @returns {string} Report in unified diff form, local -> pack
+ */
+export function formatRejects(target, conflicts, source = {}) {
+  const from = source.pack
+    ? `${source.pack}${source.version ? `@${source.version}` : ""}`
+    : "pack";
+  const lines = [`--- ${target} (local)`, `+++ ${target} (${from})`];
+
+  for (const conflict of conflicts) {
+    lines.push(
+      `@@ -${conflict.line},${conflict.local.length} +${conflict.line},${conflict.incoming.length} @@`,
+      ...conflict.local.map((line) => `-${line}`),
+      ...conflict.incoming.map((line) => `+${line}`)
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Run git merge-file, which exits with the number of conflicts
+ * @private
+ */
+async function mergeFile(args) {
+  try {
+    const { stdout } = await execFileAsync("git", args, {
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout;
+  } catch (error) {
+    if (Number.isInteger(error.code) && error.code > 0 && error.code < 128) {
+      return error.stdout;
+    }
+    throw new Error(`git merge-file failed: ${error.stderr || error.message}`);
+  }
+}
+
+/**
+ * Find conflict blocks in merge output
+ *
+ * Line numbers refer to the output with each conflict resolved to its
+ * local side, which is what the "rej" style writes.
+ * @private
+ */
+function parseConflicts(merged) {
+  const conflicts = [];
+  let line = 0;
+  let current = null;
+  let side = null;
+
+  for (const text of merged.split("\n")) {
+    if (!current && text.startsWith("<<<<<<< ")) {
+      current = { line: line + 1, local: [], incoming: [] };
+      side = "local";
+    } else if (current && side === "local" && text === "=======") {
+      side = "incoming";
+    } else if (current && side === "incoming" && text.startsWith(">>>>>>> ")) {
+      line += current.local.length;
+      conflicts.push(current);
+      current = null;
+    } else if (current) {
+      current[side].push(text);
+    } else {
+      line++;
+    }
+  }
+
+  return conflicts;
+}
@@ -251,15 +251,23 @@ export class Pack {
     }
   }
 
-  async checkIdempotency(targetDir) {
+  readReceipt(targetDir) {
     const receiptPath = join(targetDir, '.gitvan', 'packs', this.manifest.id, 'receipt.json');
 
     if (!existsSync(receiptPath)) {
-      return false;
+      return null;
     }
 
+    return JSON.parse(readFileSync(receiptPath, 'utf8'));
+  }
+
+  async checkIdempotency(targetDir) {
     try {
-      const receipt = JSON.parse(readFileSync(receiptPath, 'utf8'));
+      const receipt = this.readReceipt(targetDir);
+      if (!receipt) {
+        return false;
+      }
+
       const currentFingerprint = await this.computeFingerprint();
 
       if (receipt.fingerprint === currentFingerprint) {
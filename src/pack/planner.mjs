@@ -5,6 +5,7 @@
 
 import { Pack } from './pack.mjs';
 import { PackApplier } from './applier.mjs';
+import { evaluateWhen } from './when.mjs';
 import { createLogger } from '../utils/logger.mjs';
 import { resolve, join } from 'pathe';
 import { existsSync, statSync, readFileSync } from 'node:fs';
@@ -63,8 +64,10 @@ export class PackPlanner {
       targetDir,
       mode,
       inputs,
-      steps: []
+      steps: [],
+      skipped: []
     };
+    const context = { inputs, mode, targetDir };
 
     // Dependencies step
     if (pack.manifest.dependencies?.npm) {
@@ -78,7 +81,7 @@ export class PackPlanner {
 
     // File copy steps
     for (const file of pack.manifest.provides?.files || []) {
-      if (await this.evaluateWhen(file.when, { inputs, mode })) {
+      if (await this.shouldInclude(plan, 'file', file, context)) {
         const srcPath = join(pack.path, 'assets', file.src);
         const targetPath = join(targetDir, file.target);
 
@@ -96,7 +99,7 @@ export class PackPlanner {
 
     // Template steps
     for (const template of pack.manifest.provides?.templates || []) {
-      if (await this.evaluateWhen(template.when, { inputs, mode })) {
+      if (await this.shouldInclude(plan, 'template', template, context)) {
         const srcPath = join(pack.path, 'templates', template.src);
         const targetPath = join(targetDir, template.target);
 
@@ -115,6 +118,8 @@ export class PackPlanner {
 
     // Job installation steps
     for (const job of pack.manifest.provides?.jobs || []) {
+      if (!await this.shouldInclude(plan, 'job', job, context)) continue;
+
       const srcPath = join(pack.path, 'jobs', job.src);
       const jobsDir = join(targetDir, job.targetDir || 'jobs');
       const targetPath = join(jobsDir, job.id ? `${job.id}.mjs` : job.src);
@@ -166,7 +171,7 @@ export class PackPlanner {
 
     // Schedule registration steps
     for (const schedule of pack.manifest.provides?.schedules || []) {
-      if (await this.evaluateWhen(schedule.when, { inputs, mode })) {
+      if (await this.shouldInclude(plan, 'schedule', schedule, context)) {
         plan.steps.push({
           type: 'schedule',
           action: 'register',
@@ -350,20 +355,29 @@ export class PackPlanner {
     return conflicts;
   }
 
-  async evaluateWhen(expr, context) {
-    if (!expr) return true;
+  async shouldInclude(plan, type, entry, context) {
+    const name = entry.src || entry.job;
 
-    // Simple evaluation - would need proper expression parser
-    if (typeof expr === 'string') {
-      if (expr.includes('mode')) {
-        return expr.includes(context.mode);
-      }
-      if (expr.includes('inputs.')) {
-        const key = expr.split('.')[1];
-        return context.inputs[key] !== undefined;
-      }
+    let applies;
+    try {
+      applies = await this.evaluateWhen(entry.when, context);
+    } catch (error) {
+      throw new Error(`Invalid when condition on ${type} ${name}: ${error.message}`);
     }
 
-    return true;
+    if (!applies) {
+      plan.skipped.push({
+        type,
+        src: name,
+        target: entry.target,
+        when: entry.when,
+        reason: `when condition is false: ${entry.when}`
+      });
+    }
+    return applies;
+  }
+
+  async evaluateWhen(expr, context) {
+    return evaluateWhen(expr, context);
   }
 }
\ No newline at end of file
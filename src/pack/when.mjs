@@ -0,0 +1,96 @@
+/**
+ * GitVan v2 Pack Conditions - Evaluate `when` clauses of pack entries
+ * Uses the sandboxed expression language with pack-specific probes
+ *
+ * Scope: `inputs`, `mode`
+ * Functions:
+ * - exists("path") - whether a file or directory exists in the target
+ * - dependency("name") - version range of a package.json dependency, or null
+ * - hasDependency("name") - whether package.json declares the dependency
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { isAbsolute, relative, resolve } from "pathe";
+import { evaluateExpression } from "../utils/expression.mjs";
+
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+
+/**
+ * Functions callable from `when` expressions, bound to a target directory
+ * @param {string} targetDir - Directory the pack is applied to
+ * @returns {object} Expression functions
+ */
+export function createWhenFunctions(targetDir) {
+  let packageJson;
+  const dependencies = () => {
+    if (packageJson === undefined) {
+      const path = resolve(targetDir, "package.json");
+      packageJson = existsSync(path)
+        ? JSON.parse(readFileSync(path, "utf8"))
+        : {};
+    }
+    return packageJson;
+  };
+
+  const dependency = (name) => {
+    const pkg = dependencies();
+    for (const field of DEPENDENCY_FIELDS) {
+      if (Object.prototype.hasOwnProperty.call(pkg[field] || {}, name)) {
+        return pkg[field][name];
+      }
+    }
+    return null;
+  };
+
+  return {
+    exists(path) {
+      if (typeof path !== "string" || path === "") {
+        throw new Error("exists() expects a relative path");
+      }
+      const target = resolve(targetDir, path);
+      const rel = relative(targetDir, target);
+      // Conditions may only look inside the target directory
+      if (isAbsolute(path) || rel.startsWith("..")) {
+        throw new Error(`exists() path must stay inside the target: ${path}`);
+      }
+      return existsSync(target);
+    },
+    dependency,
+    hasDependency(name) {
+      return dependency(name) !== null;
+    },
+  };
+}
+
+/**
+ * Evaluate the `when` clause of a pack entry
+ * @param {string|boolean|undefined} when - Condition, absent means always
+ * @param {object} context
+ * @param {object} [context.inputs] - Resolved pack inputs
+ * @param {string} [context.mode] - Application mode
+ * @param {string} context.targetDir - Directory the pack is applied to
+ * @returns {boolean} Whether the entry applies
+ */
+export function evaluateWhen(when, context) {
+  if (when === undefined || when === null) return true;
+  if (typeof when === "boolean") return when;
+  if (typeof when !== "string") {
+    throw new Error(
+      `Invalid when condition: expected a string or boolean, got ${typeof when}`
+    );
+  }
+
+  const scope = { inputs: context.inputs || {}, mode: context.mode };
+  const functions = createWhenFunctions(context.targetDir);
+  try {
+    return Boolean(evaluateExpression(when, scope, functions));
+  } catch (error) {
+    if (error.message.startsWith("Invalid expression")) throw error;
+    throw new Error(`Invalid expression "${when}": ${error.message}`);
+  }
+}
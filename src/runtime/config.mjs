@@ -11,10 +11,13 @@ const DEFAULT_CONFIG = {
   locksRoot: 'refs/gitvan/locks',
   runsRoot: 'refs/gitvan/runs',
   scheduleRoot: 'refs/gitvan/schedule',
+  cursorRoot: 'refs/gitvan/daemon',
   daemon: {
     pollMs: 1500,
+    rescanMs: 30000,
     lookback: 600,
-    maxPerTick: 50
+    maxPerTick: 50,
+    refs: ['HEAD']
   },
   llm: {
     provider: 'ollama',
@@ -131,6 +134,14 @@ export function validateConfig(config) {
     if (typeof config.daemon.maxPerTick !== 'number' || config.daemon.maxPerTick < 1) {
       errors.push('daemon.maxPerTick must be a number >= 1')
     }
+
+    if (config.daemon.rescanMs !== undefined && (typeof config.daemon.rescanMs !== 'number' || config.daemon.rescanMs < 100)) {
+      errors.push('daemon.rescanMs must be a number >= 100')
+    }
+
+    if (config.daemon.refs !== undefined && (!Array.isArray(config.daemon.refs) || config.daemon.refs.length === 0)) {
+      errors.push('daemon.refs must be a non-empty array of ref patterns')
+    }
   }
 
   return errors
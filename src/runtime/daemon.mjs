@@ -1,15 +1,20 @@
 import { withGitVan } from "../composables/ctx.mjs";
 import { useGit } from "../composables/git/index.mjs";
 import { useExec } from "../composables/exec.mjs";
-import { acquireLock, worktreeLockRef, releaseLock } from "./locks.mjs";
+import { acquireLock, hookLockRef, releaseLock } from "./locks.mjs";
 import { writeReceipt } from "./receipt.mjs";
-import { recentShas, sleep, eventFires } from "./utils.mjs";
+import { sleep, eventFires } from "./utils.mjs";
 import { discoverJobs } from "./jobs.mjs";
 import { loadConfig } from "./config.mjs";
+import { createJobQueue } from "./queue.mjs";
+import { RefCursor } from "./ref-cursor.mjs";
+import { watchRefs } from "./ref-watcher.mjs";
 import { join } from "pathe";
 
 /**
  * Start daemon for specified worktrees
+ *
+ * Resolves once `opts.signal` is aborted and every loop has stopped.
  */
 export async function startDaemon(opts = {}, registry = null, sel = "current") {
   const config = await loadConfig(opts.rootDir);
@@ -25,6 +30,7 @@ export async function startDaemon(opts = {}, registry = null, sel = "current") {
     
     // Convert jobs to hooks for compatibility
     const hooks = jobs.map(job => ({
+      id: job.name,
       name: job.name,
       file: job.file,
       run: job.run,
@@ -42,7 +48,7 @@ export async function startDaemon(opts = {}, registry = null, sel = "current") {
         ? (await git.listWorktrees()).filter((w) => sel.includes(w.path))
         : [
             {
-              path: await git.worktreeRoot,
+              path: await git.worktreeRoot(),
               branch: await git.currentBranch(),
               isMain: true,
             },
@@ -50,11 +56,40 @@ export async function startDaemon(opts = {}, registry = null, sel = "current") {
 
   console.log(`Starting daemon for ${wts.length} worktree(s)`);
 
+  // Replay queue entries left queued or running by a previous daemon
+  const queue = createJobQueue({
+    rootDir: mergedOpts.rootDir || process.cwd(),
+    config: mergedOpts,
+  });
+  await queue.reconcile();
+
   // Start daemon loop for each worktree
   const promises = wts.map((wt) => loopWorktree(mergedOpts, registry, wt));
+  promises.push(loopQueue(mergedOpts, queue));
   await Promise.all(promises);
 }
 
+/**
+ * Pick up queue entries added or retried by other processes
+ *
+ * Runs until `opts.signal` is aborted, then waits for running entries.
+ */
+async function loopQueue(opts, queue) {
+  const wakeup = createWakeup();
+  opts.signal?.addEventListener("abort", () => wakeup.notify());
+
+  while (!opts.signal?.aborted) {
+    try {
+      await queue.pickup();
+    } catch (err) {
+      console.error("Error picking up queue entries:", err.message);
+    }
+    await wakeup.wait(opts.daemon?.pollMs || 1500);
+  }
+
+  await queue.shutdown();
+}
+
 /**
  * Run an action specification
  */
@@ -75,9 +110,16 @@ async function runAction(spec) {
 
 /**
  * Daemon loop for a single worktree
+ *
+ * Keeps a cursor of the ref states it has processed and only evaluates
+ * commits that became reachable since, instead of re-scanning recent
+ * history on every tick. Between ticks it sleeps until a watched ref
+ * changes, rescanning every `daemon.rescanMs` in case an event was missed.
+ * Runs until `opts.signal` is aborted.
  */
-async function loopWorktree(opts, registry, wt) {
+export async function loopWorktree(opts, registry, wt) {
   const ctx = {
+    cwd: wt.path,
     repoRoot: opts.rootDir,
     worktreeRoot: wt.path,
     root: wt.path,
@@ -91,89 +133,217 @@ async function loopWorktree(opts, registry, wt) {
 
   console.log(`Starting daemon loop for worktree: ${wt.path} (${wt.branch})`);
 
-  await withGitVan(ctx, async () => {
-    for (;;) {
-      try {
-        const shas = recentShas(opts.daemon?.lookback || 600);
-        let ran = 0;
-        const maxPerTick = opts.daemon?.maxPerTick || 50;
-
-        for (const sha of shas) {
-          if (ran >= maxPerTick) break;
-
-          for (const hook of registry.hooks) {
-            if (ran >= maxPerTick) break;
-
-            try {
-              const fires = await eventFires(hook, sha);
-              if (!fires) continue;
-
-              const git = useGit();
-              const lockRef = worktreeLockRef(
-                opts.locksRoot || "refs/gitvan/locks",
-                await git.worktreeId(),
-                hook.id,
-                sha,
-              );
-
-              const acquired = acquireLock(lockRef, sha);
-              if (!acquired) {
-                console.debug(`Lock already held for ${hook.id}@${sha}`);
-                continue;
-              }
-
-              console.log(
-                `Processing ${hook.id} for commit ${sha.slice(0, 8)}`,
-              );
-
-              let res;
-              if (hook.job && registry.jobs[hook.job]) {
-                // Run named job
-                res = await registry.jobs[hook.job].run({
-                  payload: ctx.payload,
-                });
-              } else if (hook.run) {
-                // Run inline action
-                res = await runAction(hook.run);
-              } else {
-                console.warn(`No action defined for hook ${hook.id}`);
-                continue;
-              }
-
-              writeReceipt({
-                resultsRef: opts.resultsRef || "refs/notes/gitvan/results",
-                id: `${hook.id}@${await git.worktreeId()}`,
-                status: res.ok ? "OK" : "ERROR",
-                commit: sha,
-                action: hook.job ? "job" : hook.run?.exec || "unknown",
-                result: res,
-                artifact: res.artifact,
-                meta: {
-                  worktree: wt.path,
-                  branch: wt.branch,
-                  hookType: hook.type,
-                  pattern: hook.pattern,
-                },
-              });
-
-              releaseLock(lockRef);
-              ran++;
-            } catch (err) {
-              console.error(
-                `Error processing hook ${hook.id} for ${sha}:`,
-                err.message,
-              );
-            }
+  const cursor = new RefCursor({ cwd: wt.path, root: opts.cursorRoot });
+  const refs = opts.daemon?.refs || ["HEAD"];
+  const maxPerTick = opts.daemon?.maxPerTick || 50;
+  const wakeup = createWakeup();
+
+  let idleMs = opts.daemon?.rescanMs || 30000;
+  let watcher;
+  try {
+    watcher = await watchRefs(wt.path, () => wakeup.notify());
+  } catch (err) {
+    console.warn(
+      `Cannot watch refs of ${wt.path}, polling instead:`,
+      err.message,
+    );
+    idleMs = opts.daemon?.pollMs || 1500;
+  }
+
+  opts.signal?.addEventListener("abort", () => wakeup.notify());
+
+  try {
+    await withGitVan(ctx, async () => {
+      // Taken before the first await, after which the context is gone
+      const git = useGit();
+
+      while (!opts.signal?.aborted) {
+        try {
+          const tips = await cursor.tips(refs);
+          const state =
+            (await cursor.get(ctx.worktree.id)) ||
+            (await cursor.start(
+              ctx.worktree.id,
+              tips,
+              opts.daemon?.lookback || 600,
+            ));
+
+          const pending = await cursor.pending(state, tips);
+          const batch = pending.slice(0, maxPerTick);
+
+          for (const sha of batch) {
+            await processCommit(opts, registry, ctx, wt, sha, git);
+          }
+
+          if (pending.length > batch.length) {
+            // Catch up over several ticks without evaluating a commit twice
+            await cursor.save(ctx.worktree.id, state.refs, [
+              ...state.boundary,
+              ...batch,
+            ]);
+            continue;
           }
+
+          if (batch.length > 0 || !sameRefs(state.refs, tips)) {
+            await cursor.save(ctx.worktree.id, tips);
+          }
+
+          await wakeup.wait(idleMs);
+        } catch (err) {
+          console.error(`Error in daemon loop for ${wt.path}:`, err.message);
+          await sleep(5000); // Wait longer on errors
         }
+      }
+    });
+  } finally {
+    watcher?.close();
+  }
+}
 
-        await sleep(opts.daemon?.pollMs || 1500);
-      } catch (err) {
-        console.error(`Error in daemon loop for ${wt.path}:`, err.message);
-        await sleep(5000); // Wait longer on errors
+/**
+ * Evaluate every hook against one new commit and record that it was processed
+ *
+ * The GitVan context does not survive awaits, so callers pass the worktree's
+ * git composable, taken while the context was still active, and it is
+ * passed on to every helper.
+ */
+export async function processCommit(
+  opts,
+  registry,
+  ctx,
+  wt,
+  sha,
+  git = useGit(),
+) {
+  const ran = [];
+  const failed = [];
+
+  for (const hook of registry.hooks) {
+    try {
+      const fires = await eventFires(hook, sha, git);
+      if (!fires) continue;
+
+      const lockRef = hookLockRef(
+        opts.locksRoot || "refs/gitvan/locks",
+        ctx.worktree.id,
+        hook.id,
+        sha,
+      );
+
+      const acquired = await acquireLock(lockRef, sha, git);
+      if (!acquired) {
+        console.debug(`Lock already held for ${hook.id}@${sha}`);
+        continue;
+      }
+
+      try {
+        console.log(`Processing ${hook.id} for commit ${sha.slice(0, 8)}`);
+
+        let res;
+        if (hook.job && registry.jobs[hook.job]) {
+          // Run named job
+          res = await registry.jobs[hook.job].run({
+            payload: ctx.payload,
+          });
+        } else if (hook.run) {
+          // Run inline action
+          res = await runAction(hook.run);
+        } else {
+          console.warn(`No action defined for hook ${hook.id}`);
+          continue;
+        }
+
+        await writeReceipt(
+          {
+            id: `${hook.id}@${ctx.worktree.id}`,
+            status: res.ok ? "OK" : "ERROR",
+            commit: sha,
+            action: hook.job ? "job" : hook.run?.exec || "unknown",
+            result: res,
+            artifact: res.artifact,
+            meta: {
+              worktree: wt.path,
+              branch: wt.branch,
+              hookType: hook.type,
+              pattern: hook.pattern,
+            },
+          },
+          {
+            ref: opts.resultsRef || "refs/notes/gitvan/results",
+            sha,
+            git,
+          },
+        );
+
+        (res.ok ? ran : failed).push(hook.id);
+      } finally {
+        await releaseLock(lockRef, git);
       }
+    } catch (err) {
+      failed.push(hook.id);
+      console.error(
+        `Error processing hook ${hook.id} for ${sha}:`,
+        err.message,
+      );
     }
-  });
+  }
+
+  // One receipt per processed commit, queryable with `gitvan receipts --id daemon@*`
+  await git.noteAppend(
+    opts.resultsRef || "refs/notes/gitvan/results",
+    JSON.stringify({
+      schema: "gitvan.receipt.v1",
+      role: "receipt",
+      id: `daemon@${ctx.worktree.id}`,
+      status: failed.length > 0 ? "ERROR" : "OK",
+      ts: new Date().toISOString(),
+      commit: sha,
+      branch: wt.branch,
+      hooks: { ran, failed },
+    }),
+    sha,
+  );
+}
+
+/**
+ * Whether two ref maps point at the same commits
+ */
+function sameRefs(a, b) {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k])
+  );
+}
+
+/**
+ * Sleep that ends early when notified; notifications during work are kept
+ */
+function createWakeup() {
+  let notified = false;
+  let release = null;
+
+  return {
+    notify() {
+      notified = true;
+      if (release) release();
+    },
+    wait(ms) {
+      if (notified) {
+        notified = false;
+        return Promise.resolve();
+      }
+      return new Promise((resolve) => {
+        const timer = setTimeout(done, ms);
+        function done() {
+          clearTimeout(timer);
+          release = null;
+          notified = false;
+          resolve();
+        }
+        release = done;
+      });
+    },
+  };
 }
 
 // Legacy GitVanDaemon class for backward compatibility
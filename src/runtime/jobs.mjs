@@ -84,7 +84,7 @@ export function findJobFile(jobsDir, jobName) {
     (j) =>
       j.id.includes(jobName) ||
       j.name.includes(jobName) ||
-      j.id.endsWith(`/${jobName}`),
+      j.id.endsWith(`/${jobName}`)
   );
 
   return job?.file || null;
@@ -118,6 +118,11 @@ export async function loadJobDefinition(jobFile) {
       };
     }
 
+    // defineJob() objects exported as default
+    if (jobMod.default && typeof jobMod.default.run === "function") {
+      return jobMod.default;
+    }
+
     // Look for common job export patterns
     if (jobMod.run && typeof jobMod.run === "function") {
       return jobMod;
@@ -9,14 +9,13 @@ import { useGit } from "../composables/git/index.mjs";
  * Acquires an atomic lock using Git refs
  * @param {string} lockRef - Git ref to use as lock (e.g., 'refs/gitvan/locks/template:path')
  * @param {string} sha - Git SHA to store in the lock
+ * @param {object} [git] - Git composable of the repository; defaults to the current context
  * @returns {Promise<boolean>} True if lock acquired, false if already locked
  */
-export async function acquireLock(lockRef, sha) {
-  const git = useGit();
+export async function acquireLock(lockRef, sha, git = useGit()) {
   try {
     // Atomically create the ref. This fails if the ref already exists.
-    await git.updateRefCreate(lockRef, sha);
-    return true;
+    return (await git.updateRefCreate(lockRef, sha)) !== false;
   } catch {
     return false; // Lock is held by another process
   }
@@ -25,12 +24,12 @@ export async function acquireLock(lockRef, sha) {
 /**
  * Releases a lock by deleting the Git ref
  * @param {string} lockRef - Git ref to release
+ * @param {object} [git] - Git composable of the repository; defaults to the current context
  * @returns {Promise<void>}
  */
-export async function releaseLock(lockRef) {
-  const git = useGit();
+export async function releaseLock(lockRef, git = useGit()) {
   try {
-    await git.delRef(lockRef);
+    await git.runVoid(["update-ref", "-d", lockRef]);
   } catch {
     // Ignore errors if the ref is already gone
   }
@@ -57,3 +56,23 @@ export function worktreeLockRef(worktreePath) {
   const normalizedPath = worktreePath.replace(/[^a-zA-Z0-9._-]/g, "_");
   return `refs/gitvan/locks/worktree:${normalizedPath}`;
 }
+
+/**
+ * Generate the lock ref a hook holds while it runs for one commit
+ * @param {string} locksRoot - Ref namespace for locks (e.g., 'refs/gitvan/locks')
+ * @param {string} worktreeId - Worktree identifier
+ * @param {string} hookId - Hook identifier
+ * @param {string} sha - Commit SHA the hook runs for
+ * @returns {string} Lock ref path
+ */
+export function hookLockRef(locksRoot, worktreeId, hookId, sha) {
+  // Each part becomes one ref component; dots are escaped too, since
+  // components may not start with "." or end with ".lock"
+  const component = (part) => String(part).replace(/[^a-zA-Z0-9_-]/g, "_");
+  return [
+    locksRoot,
+    component(worktreeId),
+    component(hookId),
+    component(sha),
+  ].join("/");
+}
@@ -0,0 +1,46 @@
+/**
+ * GitVan v2 Job Queue - Durable queue of named jobs from the jobs/ directory
+ * Entries name a job ID and a JSON payload so a restarted daemon can replay them
+ */
+
+import { join } from "pathe";
+import { QueueManager } from "../git-native/queue-manager.mjs";
+import { discoverJobs, loadJobDefinition } from "./jobs.mjs";
+import { runJobWithContext } from "./boot.mjs";
+
+/**
+ * Create a queue whose job IDs resolve to the repository's job files
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Repository root
+ * @param {object} [options.config] - Loaded GitVan config
+ * @param {object} [options.logger] - Logger passed to the queue
+ * @returns {QueueManager} Queue manager, not yet initialized
+ */
+export function createJobQueue(options = {}) {
+  const { rootDir = process.cwd(), config = {}, logger } = options;
+  const jobsDir = join(rootDir, config.jobs?.directory || "jobs");
+
+  return new QueueManager({
+    cwd: rootDir,
+    logger,
+    queue: config.queue,
+    paths: config.paths,
+    resolveJob: async (jobId) => {
+      const job = discoverJobs(jobsDir).find((j) => j.id === jobId);
+      const definition = job && (await loadJobDefinition(job.file));
+      if (!definition || typeof definition.run !== "function") {
+        return null;
+      }
+
+      return (payload, entry) => {
+        const ctx = {
+          root: rootDir,
+          env: process.env,
+          now: () => new Date().toISOString(),
+          queue: entry,
+        };
+        return runJobWithContext(ctx, definition, payload);
+      };
+    },
+  });
+}
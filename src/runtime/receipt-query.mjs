@@ -0,0 +1,414 @@
+/**
+ * GitVan v2 Receipt Query - Filter, format and aggregate receipts stored in git notes
+ * Reads the NDJSON notes written by writeReceipt() and the git-native ReceiptWriter
+ */
+
+import { execFile, spawn } from "node:child_process";
+import { promisify } from "node:util";
+import { parseDuration } from "../utils/time.mjs";
+
+const execFileAsync = promisify(execFile);
+
+/** Notes refs holding job receipts (writeReceipt) and hook receipts (ReceiptWriter) */
+export const DEFAULT_RECEIPT_REFS = [
+  "refs/notes/gitvan/results",
+  "refs/gitvan/notes",
+];
+
+/** Output formats understood by formatRows() */
+export const RECEIPT_FORMATS = ["table", "json", "ndjson", "csv"];
+
+/** Normalized receipt statuses */
+export const RECEIPT_STATUSES = ["success", "error", "skipped"];
+
+const STATUS_ALIASES = {
+  ok: "success",
+  success: "success",
+  completed: "success",
+  error: "error",
+  failed: "error",
+  failure: "error",
+  skip: "skipped",
+  skipped: "skipped",
+};
+
+/** Columns of the receipt listing */
+export const RECEIPT_COLUMNS = [
+  "timestamp",
+  "id",
+  "status",
+  "duration",
+  "commit",
+  "branch",
+  "ref",
+];
+
+/** Columns of the per-ID aggregates */
+export const AGGREGATE_COLUMNS = [
+  "id",
+  "total",
+  "success",
+  "error",
+  "skipped",
+  "successRate",
+  "p50",
+  "p95",
+];
+
+/**
+ * Parse a --since/--until value
+ * @param {string} value - ISO date or a duration ago such as "30m", "12h", "7d", "2w"
+ * @param {Date} [now] - Reference time for relative values
+ * @returns {Date} Parsed time
+ */
+export function parseReceiptTime(value, now = new Date()) {
+  const ago = parseDuration(value);
+  if (ago !== undefined) {
+    return new Date(now.getTime() - ago);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(
+      `Invalid time "${value}", expected an ISO date or a duration like 7d`
+    );
+  }
+  return date;
+}
+
+/**
+ * Map the receipt shapes written across GitVan onto one record
+ * @param {object} raw - Parsed NDJSON line
+ * @param {object} source - Where the line was read from
+ * @param {string} source.ref - Notes ref
+ * @param {string} source.commit - Annotated commit
+ * @returns {object} Normalized receipt with the original under `raw`
+ */
+export function normalizeReceipt(raw, { ref, commit }) {
+  const result = raw.result && typeof raw.result === "object" ? raw.result : {};
+  const details = raw.metadata || raw.meta || {};
+
+  let status;
+  if (raw.status !== undefined) {
+    const value = String(raw.status).toLowerCase();
+    status = STATUS_ALIASES[value] || value;
+  } else if (result.success === false || result.ok === false || details.error) {
+    status = "error";
+  } else {
+    status = "success";
+  }
+
+  const duration =
+    raw.duration ??
+    result.duration ??
+    details.duration ??
+    raw.details?.duration;
+
+  return {
+    timestamp: raw.ts || raw.timestamp || null,
+    id: raw.id || raw.hookId || raw.executionId || "unknown",
+    status,
+    duration: typeof duration === "number" ? duration : null,
+    commit: raw.commit && raw.commit !== "HEAD" ? raw.commit : commit,
+    branch: raw.branch || details.branch || null,
+    ref,
+    raw,
+  };
+}
+
+/**
+ * Read and filter receipts from git notes
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Repository working directory
+ * @param {string[]} [options.refs] - Notes refs to read
+ * @param {string} [options.id] - Hook or job ID, `*` matches any characters
+ * @param {string} [options.status] - success, error or skipped
+ * @param {string|Date} [options.since] - Only receipts at or after this time
+ * @param {string|Date} [options.until] - Only receipts at or before this time
+ * @param {string} [options.range] - Commit range such as "v1.0..HEAD"
+ * @param {string} [options.branch] - Only receipts on commits reachable from this branch
+ * @param {number} [options.limit] - Keep the most recent N receipts
+ * @param {Date} [options.now] - Reference time for relative times
+ * @returns {Promise<object[]>} Normalized receipts, oldest first
+ */
+export async function queryReceipts(options = {}) {
+  const {
+    cwd = process.cwd(),
+    refs = DEFAULT_RECEIPT_REFS,
+    now = new Date(),
+  } = options;
+
+  const status = options.status && STATUS_ALIASES[options.status.toLowerCase()];
+  if (options.status && !status) {
+    throw new Error(
+      `Invalid status "${options.status}", expected one of: ${RECEIPT_STATUSES.join(", ")}`
+    );
+  }
+  const since = options.since && toDate(options.since, now);
+  const until = options.until && toDate(options.until, now);
+  const idPattern = options.id && globToRegExp(options.id);
+
+  let commits = null;
+  for (const revs of [options.range, options.branch]) {
+    if (!revs) continue;
+    const reachable = new Set(await revList(cwd, revs));
+    commits = commits
+      ? new Set([...commits].filter((sha) => reachable.has(sha)))
+      : reachable;
+  }
+
+  const receipts = [];
+  for (const ref of refs) {
+    const notes = (await listNotes(cwd, ref)).filter(
+      (note) => !commits || commits.has(note.commit)
+    );
+    const contents = await readBlobs(
+      cwd,
+      notes.map((note) => note.blob)
+    );
+
+    notes.forEach((note, index) => {
+      for (const line of contents[index].split("\n")) {
+        if (!line.trim()) continue;
+        let raw;
+        try {
+          raw = JSON.parse(line);
+        } catch {
+          continue; // Free-form notes are not receipts
+        }
+        if (!raw || typeof raw !== "object") continue;
+        receipts.push(normalizeReceipt(raw, { ref, commit: note.commit }));
+      }
+    });
+  }
+
+  const filtered = receipts
+    .filter((receipt) => {
+      if (idPattern && !idPattern.test(receipt.id)) return false;
+      if (status && receipt.status !== status) return false;
+      if (since || until) {
+        const at = new Date(receipt.timestamp);
+        if (Number.isNaN(at.getTime())) return false;
+        if (since && at < since) return false;
+        if (until && at > until) return false;
+      }
+      return true;
+    })
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+
+  return options.limit ? filtered.slice(-options.limit) : filtered;
+}
+
+/**
+ * Success rate and duration percentiles per hook or job ID
+ * @param {object[]} receipts - Normalized receipts
+ * @returns {object[]} One row per ID, sorted by ID
+ */
+export function aggregateReceipts(receipts) {
+  const groups = new Map();
+  for (const receipt of receipts) {
+    if (!groups.has(receipt.id)) groups.set(receipt.id, []);
+    groups.get(receipt.id).push(receipt);
+  }
+
+  return [...groups.keys()].sort().map((id) => {
+    const group = groups.get(id);
+    const count = (status) => group.filter((r) => r.status === status).length;
+    const durations = group
+      .map((r) => r.duration)
+      .filter((d) => d !== null)
+      .sort((a, b) => a - b);
+
+    return {
+      id,
+      total: group.length,
+      success: count("success"),
+      error: count("error"),
+      skipped: count("skipped"),
+      successRate: count("success") / group.length,
+      p50: percentile(durations, 50),
+      p95: percentile(durations, 95),
+    };
+  });
+}
+
+/**
+ * Render rows as table, JSON, NDJSON or CSV
+ * @param {object[]} rows - Rows to render
+ * @param {string[]} columns - Columns in output order
+ * @param {string} [format] - One of RECEIPT_FORMATS
+ * @returns {string} Rendered output without a trailing newline
+ */
+export function formatRows(rows, columns, format = "table") {
+  const pick = (row) =>
+    Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
+
+  switch (format) {
+    case "json":
+      return JSON.stringify(rows.map(pick), null, 2);
+    case "ndjson":
+      return rows.map((row) => JSON.stringify(pick(row))).join("\n");
+    case "csv":
+      return [
+        columns.join(","),
+        ...rows.map((row) =>
+          columns.map((column) => csvCell(row[column])).join(",")
+        ),
+      ].join("\n");
+    case "table": {
+      const cells = rows.map((row) =>
+        columns.map((column) => tableCell(column, row[column]))
+      );
+      const widths = columns.map((column, i) =>
+        Math.max(column.length, ...cells.map((row) => row[i].length))
+      );
+      const line = (values) =>
+        values
+          .map((value, i) => value.padEnd(widths[i]))
+          .join("  ")
+          .trimEnd();
+      return [
+        line(columns),
+        line(widths.map((w) => "-".repeat(w))),
+        ...cells.map(line),
+      ].join("\n");
+    }
+    default:
+      throw new Error(
+        `Invalid format "${format}", expected one of: ${RECEIPT_FORMATS.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @private
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(rank, 1) - 1];
+}
+
+/** @private */
+function toDate(value, now) {
+  return value instanceof Date ? value : parseReceiptTime(value, now);
+}
+
+/** @private */
+function globToRegExp(glob) {
+  const source = glob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+/** @private */
+function tableCell(column, value) {
+  if (value === null || value === undefined) return "-";
+  if (column === "commit") return String(value).slice(0, 8);
+  if (column === "successRate") return `${(value * 100).toFixed(1)}%`;
+  if (column === "duration" || column === "p50" || column === "p95") {
+    return `${value}ms`;
+  }
+  return String(value);
+}
+
+/** @private */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Commits listed by git rev-list
+ * @private
+ */
+async function revList(cwd, revs) {
+  try {
+    const { stdout } = await execFileAsync("git", ["rev-list", revs], {
+      cwd,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout.split("\n").filter(Boolean);
+  } catch (error) {
+    throw new Error(
+      `Invalid revision "${revs}": ${error.stderr?.trim() || error.message}`
+    );
+  }
+}
+
+/**
+ * Notes of a ref as {blob, commit} pairs, empty if the ref does not exist
+ * @private
+ */
+async function listNotes(cwd, ref) {
+  try {
+    const { stdout } = await execFileAsync(
+      "git",
+      ["notes", `--ref=${ref}`, "list"],
+      {
+        cwd,
+        maxBuffer: 64 * 1024 * 1024,
+      }
+    );
+    return stdout
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [blob, commit] = line.split(" ");
+        return { blob, commit };
+      });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Read many blobs through a single git cat-file --batch process
+ * @private
+ */
+function readBlobs(cwd, oids) {
+  if (oids.length === 0) return Promise.resolve([]);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn("git", ["cat-file", "--batch"], {
+      cwd,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+
+    const chunks = [];
+    let stderr = "";
+    child.stdout.on("data", (data) => chunks.push(data));
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code !== 0) {
+        reject(new Error(`git cat-file failed: ${stderr.trim()}`));
+        return;
+      }
+
+      // Each object is "<oid> <type> <size>\n<content>\n"
+      const output = Buffer.concat(chunks);
+      const blobs = [];
+      let offset = 0;
+      for (let i = 0; i < oids.length; i++) {
+        const headerEnd = output.indexOf(10, offset);
+        const size = Number(
+          output.toString("utf8", offset, headerEnd).split(" ")[2]
+        );
+        blobs.push(
+          output.toString("utf8", headerEnd + 1, headerEnd + 1 + size)
+        );
+        offset = headerEnd + 1 + size + 1;
+      }
+      resolve(blobs);
+    });
+
+    child.stdin.end(oids.join("\n") + "\n");
+  });
+}
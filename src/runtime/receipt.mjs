@@ -11,23 +11,23 @@ import { useGit } from "../composables/git/index.mjs";
  * @param {Object} options - Receipt options
  * @param {string} options.ref - Git notes ref (default: 'refs/notes/gitvan/results')
  * @param {string} options.sha - Git SHA to attach note to (default: 'HEAD')
+ * @param {Object} [options.git] - Git composable of the repository; defaults to the current context
  * @returns {Promise<void>}
  */
 export async function writeReceipt(
   receipt,
-  { ref = "refs/notes/gitvan/results", sha = "HEAD" } = {}
+  { ref = "refs/notes/gitvan/results", sha = "HEAD", git = useGit() } = {}
 ) {
-  const git = useGit();
   const payload = {
     schema: "gitvan.receipt.v1",
     role: "receipt",
     ts: git.nowISO(),
-    commit: await git.currentHead(),
+    commit: sha === "HEAD" ? await git.currentHead() : sha,
     ...receipt,
   };
 
   // Append to avoid overwriting other receipts on the same commit
-  await git.noteAppend(ref, JSON.stringify(payload));
+  await git.noteAppend(ref, JSON.stringify(payload), sha);
 }
 
 /**
@@ -0,0 +1,225 @@
+/**
+ * GitVan v2 Ref Cursor - Ref states a daemon worktree loop has processed
+ * Stored in git as one blob per worktree under refs/gitvan/daemon/<worktree-id>
+ */
+
+import { execFile, spawn } from "node:child_process";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+/** Default ref namespace for daemon cursors */
+export const DEFAULT_CURSOR_ROOT = "refs/gitvan/daemon";
+
+/**
+ * Reads and records the ref tips a worktree loop has caught up with
+ *
+ * A cursor maps each watched ref to the SHA it pointed at when its new
+ * commits were last processed. While a loop is catching up over several
+ * ticks, `boundary` holds the SHAs processed so far so they are not
+ * evaluated again.
+ */
+export class RefCursor {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.cwd] - Worktree directory
+   * @param {string} [options.root] - Ref namespace (default refs/gitvan/daemon)
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.root = options.root || DEFAULT_CURSOR_ROOT;
+  }
+
+  /**
+   * Ref holding the cursor of a worktree
+   * @param {string} worktreeId - Worktree ID
+   * @returns {string} Ref name
+   */
+  refFor(worktreeId) {
+    const name = encodeURIComponent(worktreeId).replace(/\./g, "%2E");
+    return `${this.root}/${name}`;
+  }
+
+  /**
+   * Read the cursor of a worktree
+   * @param {string} worktreeId - Worktree ID
+   * @returns {Promise<{worktreeId: string, refs: Record<string, string>, boundary: string[], updatedAt: string}|null>} Cursor, or null before the first run
+   */
+  async get(worktreeId) {
+    const oid = await this._git([
+      "rev-parse",
+      "--verify",
+      "-q",
+      this.refFor(worktreeId),
+    ]).catch(() => null);
+    if (!oid) {
+      return null;
+    }
+    const content = await this._git(["cat-file", "blob", oid]);
+    return JSON.parse(content);
+  }
+
+  /**
+   * Record the processed ref states of a worktree
+   * @param {string} worktreeId - Worktree ID
+   * @param {Record<string, string>} refs - Ref name to processed SHA
+   * @param {string[]} [boundary] - SHAs processed beyond refs while catching up
+   * @returns {Promise<object>} Saved cursor
+   */
+  async save(worktreeId, refs, boundary = []) {
+    const cursor = {
+      worktreeId,
+      refs,
+      boundary,
+      updatedAt: new Date().toISOString(),
+    };
+    const oid = await this._writeBlob(JSON.stringify(cursor, null, 2) + "\n");
+    await this._git([
+      "update-ref",
+      "-m",
+      `gitvan daemon: ${worktreeId} processed up to ${cursor.updatedAt}`,
+      this.refFor(worktreeId),
+      oid,
+    ]);
+    return cursor;
+  }
+
+  /**
+   * Current commit of each watched ref
+   * @param {string[]} patterns - "HEAD" or for-each-ref patterns like "refs/tags/*"
+   * @returns {Promise<Record<string, string>>} Ref name to commit SHA
+   */
+  async tips(patterns) {
+    const tips = {};
+    for (const pattern of patterns) {
+      if (pattern === "HEAD") {
+        const head = await this._git([
+          "rev-parse",
+          "--verify",
+          "-q",
+          "HEAD",
+        ]).catch(() => null);
+        if (head) tips.HEAD = head;
+        continue;
+      }
+
+      const stdout = await this._git([
+        "for-each-ref",
+        "--format=%(refname) %(objectname) %(*objectname)",
+        pattern,
+      ]);
+      for (const line of stdout.split("\n").filter(Boolean)) {
+        // Annotated tags are peeled to the commit they point at
+        const [name, oid, peeled] = line.split(" ");
+        tips[name] = peeled || oid;
+      }
+    }
+    return tips;
+  }
+
+  /**
+   * Create the cursor of a worktree that has never run
+   *
+   * Nothing is marked processed except history older than the last
+   * `lookback` commits, so a new daemon evaluates recent commits once
+   * instead of the whole history.
+   * @param {string} worktreeId - Worktree ID
+   * @param {Record<string, string>} tips - Current ref tips
+   * @param {number} [lookback] - Recent commits to evaluate
+   * @returns {Promise<object>} Saved cursor
+   */
+  async start(worktreeId, tips, lookback = 600) {
+    const heads = [...new Set(Object.values(tips))];
+    const floor =
+      heads.length > 0
+        ? await this._git([
+            "rev-list",
+            "--topo-order",
+            `--skip=${lookback}`,
+            "--max-count=1",
+            ...heads,
+          ])
+        : "";
+    return this.save(worktreeId, {}, floor ? [floor] : []);
+  }
+
+  /**
+   * Commits reachable from the tips but not from a processed state, oldest first
+   * @param {object} cursor - Saved cursor
+   * @param {Record<string, string>} tips - Current ref tips
+   * @returns {Promise<string[]>} Commit SHAs
+   */
+  async pending(cursor, tips) {
+    const heads = [...new Set(Object.values(tips))];
+    if (heads.length === 0) return [];
+
+    const seen = [
+      ...new Set([...Object.values(cursor.refs), ...(cursor.boundary || [])]),
+    ];
+    // Rewritten history can leave processed SHAs that no longer exist
+    const known = [];
+    for (const sha of seen) {
+      if (await this._exists(sha)) known.push(sha);
+    }
+
+    const args = ["rev-list", "--topo-order", "--reverse", ...heads];
+    if (known.length > 0) args.push("--not", ...known);
+    const stdout = await this._git(args);
+    return stdout.split("\n").filter(Boolean);
+  }
+
+  /**
+   * Whether a commit exists
+   * @private
+   */
+  async _exists(sha) {
+    return this._git(["cat-file", "-e", `${sha}^{commit}`]).then(
+      () => true,
+      () => false
+    );
+  }
+
+  /**
+   * Run a git command and return trimmed stdout
+   * @private
+   */
+  async _git(args) {
+    const { stdout } = await execFileAsync("git", args, {
+      cwd: this.cwd,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return stdout.trim();
+  }
+
+  /**
+   * Write a blob from content
+   * @private
+   */
+  _writeBlob(content) {
+    return new Promise((resolve, reject) => {
+      const child = spawn("git", ["hash-object", "-w", "--stdin"], {
+        cwd: this.cwd,
+        stdio: ["pipe", "pipe", "pipe"],
+      });
+
+      let stdout = "";
+      let stderr = "";
+      child.stdout.on("data", (data) => {
+        stdout += data.toString();
+      });
+      child.stderr.on("data", (data) => {
+        stderr += data.toString();
+      });
+      child.on("error", reject);
+      child.on("close", (code) => {
+        if (code === 0) {
+          resolve(stdout.trim());
+        } else {
+          reject(new Error(`git hash-object failed: ${stderr.trim()}`));
+        }
+      });
+
+      child.stdin.end(content);
+    });
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * GitVan v2 Ref Watcher - Wake the daemon when refs of a worktree change
+ * Watches loose refs, packed-refs and the worktree HEAD instead of polling
+ */
+
+import { watch } from "node:fs";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { join, resolve } from "pathe";
+
+const execFileAsync = promisify(execFile);
+
+/** Ref namespaces written by GitVan itself, which never carry new commits */
+const IGNORED_REFS = /^(gitvan|notes)([/\\]|$)/;
+
+/**
+ * Watch the refs of a worktree
+ * @param {string} worktree - Worktree directory
+ * @param {() => void} onChange - Called once per burst of ref updates
+ * @param {object} [options]
+ * @param {number} [options.debounceMs] - Quiet time before onChange fires
+ * @returns {Promise<{close: () => void}>} Watcher handle
+ */
+export async function watchRefs(worktree, onChange, options = {}) {
+  const { debounceMs = 100 } = options;
+  const { stdout } = await execFileAsync(
+    "git",
+    ["rev-parse", "--git-dir", "--git-common-dir"],
+    { cwd: worktree }
+  );
+  const [gitDir, commonDir] = stdout
+    .trim()
+    .split("\n")
+    .map((dir) => resolve(worktree, dir));
+
+  let timer = null;
+  const trigger = () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  };
+
+  const watchers = [
+    // Loose refs, e.g. refs/heads/main written by commit, fetch or receive-pack
+    watch(join(commonDir, "refs"), { recursive: true }, (_, filename) => {
+      if (!filename || !IGNORED_REFS.test(filename)) trigger();
+    }),
+    // packed-refs is rewritten by gc, pack-refs and some fetches
+    watch(commonDir, (_, filename) => {
+      if (filename === "packed-refs") trigger();
+      else if (filename === "HEAD" && gitDir === commonDir) trigger();
+    }),
+  ];
+  if (gitDir !== commonDir) {
+    // A linked worktree keeps its own HEAD
+    watchers.push(
+      watch(gitDir, (_, filename) => {
+        if (filename === "HEAD") trigger();
+      })
+    );
+  }
+
+  return {
+    close() {
+      clearTimeout(timer);
+      for (const watcher of watchers) watcher.close();
+    },
+  };
+}
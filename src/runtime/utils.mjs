@@ -23,17 +23,14 @@ export function sleep(ms) {
 /**
  * Check if event should fire for given commit
  */
-export async function eventFires(eventDef, sha) {
-  const git = useGit();
-
+export async function eventFires(eventDef, sha, git = useGit()) {
   try {
     // Get commit details
-    const commitInfo = await git.show(sha);
-    const message = await git.run(`log --format=%s -n 1 ${sha}`);
-    const author = await git.run(`log --format=%ae -n 1 ${sha}`);
+    const message = await git.run(["log", "--format=%s", "-n", "1", sha]);
+    const author = await git.run(["log", "--format=%ae", "-n", "1", sha]);
 
     // Check if it's a merge commit
-    const parents = (await git.run(`log --format=%P -n 1 ${sha}`))
+    const parents = (await git.run(["log", "--format=%P", "-n", "1", sha]))
       .split(" ")
       .filter(Boolean);
     const isMerge = parents.length > 1;
@@ -42,7 +39,14 @@ export async function eventFires(eventDef, sha) {
     let changedPaths = [];
     try {
       changedPaths = (
-        await git.run(`diff-tree --no-commit-id --name-only -r ${sha}`)
+        await git.run([
+          "diff-tree",
+          "--root",
+          "--no-commit-id",
+          "--name-only",
+          "-r",
+          sha,
+        ])
       )
         .split("\n")
         .filter(Boolean);
@@ -54,7 +58,7 @@ export async function eventFires(eventDef, sha) {
     // Get branch info
     let branch = "";
     try {
-      branch = (await git.run(`name-rev --name-only ${sha}`)).replace(
+      branch = (await git.run(["name-rev", "--name-only", sha])).replace(
         /^remotes\/origin\//,
         ""
       );
@@ -66,7 +70,7 @@ export async function eventFires(eventDef, sha) {
     let isTag = false;
     let tag = "";
     try {
-      tag = await git.run(`describe --tags --exact-match ${sha}`);
+      tag = await git.run(["describe", "--tags", "--exact-match", sha]);
       isTag = true;
     } catch {
       // Not a tagged commit
@@ -133,7 +137,7 @@ export async function getWorktreeInfo() {
 export async function commitExists(sha) {
   const git = useGit();
   try {
-    await git.run(`cat-file -e ${sha}`);
+    await git.run(["cat-file", "-e", sha]);
     return true;
   } catch {
     return false;
@@ -73,6 +73,10 @@ export const ConfigSchema = z.object({
       uriRoots: z.record(z.string(), z.string()).default({}),
       autoLoad: z.boolean().default(true),
       validateOnLoad: z.boolean().default(false),
+      namedGraphs: z.boolean().default(false),
+      cache: z.boolean().default(true),
+      cacheDir: z.string().default(".gitvan/cache/graph"),
+      cacheMaxEntries: z.number().int().positive().default(2048),
     })
     .default({}),
 
@@ -21,6 +21,8 @@ export const JobDef = z.object({
   id: z.string().optional(),
   kind: z.enum(["atomic", "batch", "daemon"]).default("atomic"),
   cron: z.string().optional(),
+  timezone: z.string().optional(),
+  catchup: z.enum(["skip", "run-once", "run-all"]).optional(),
   meta: JobMeta.optional(),
   on: EventPredicate.optional(),
   run: z.function(),
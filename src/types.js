@@ -12,13 +12,18 @@
  * @property {number} concurrency
  * @property {number} interval
  * @property {number} intervalCap
+ * @property {number} [maxAttempts] - Attempts before a named job is dead-lettered (default 3)
+ * @property {number} [retryDelay] - Delay in ms before a failed attempt is retried, multiplied by the attempt number (default 1000)
+ * @property {number} [retainFinished] - Completed and failed entries kept in the finished mailbox, oldest pruned first (default 1000)
  */
 
 /**
  * @typedef {Object} WorkerConfig
  * @property {number} threads
  * @property {number} maxJobs
- * @property {number} timeout
+ * @property {number} timeout - Wall-clock limit per job in ms; the worker is killed and replaced when it is reached
+ * @property {import("worker_threads").ResourceLimits} [resourceLimits] - Heap and stack limits of each worker thread
+ * @property {string[]} [allowedModules] - Modules job functions may `require` or `import()`; they are host modules, so jobs that load one can reach the host realm
  */
 
 /**
@@ -49,7 +54,7 @@
  * @typedef {Object} GitNativeIOOptions
  * @property {string} [cwd]
  * @property {Console} [logger]
- * @property {{queue?:QueueConfig,workers?:WorkerConfig,fs?:FSConfig,paths?:PathConfig,git?:GitConfig}} [config]
+ * @property {{queue?:QueueConfig,workers?:WorkerConfig,fs?:FSConfig,paths?:PathConfig,snapshots?:SnapshotOptions,git?:GitConfig}} [config]
  */
 
 /**
@@ -58,11 +63,24 @@
  * @property {Record<string,any>} [tags]
  */
 
+/**
+ * @typedef {Object} QueueOwner
+ * @property {number} pid
+ * @property {string} host
+ * @property {string} [instance] - QueueManager instance within the process
+ */
+
 /**
  * @typedef {Object} JobRecord
  * @property {string} id
  * @property {JobPriority} priority
- * @property {"queued"|"running"|"completed"|"failed"} status
+ * @property {"queued"|"running"|"completed"|"failed"|"dead"|"unreadable"} status - "unreadable" marks an entry file that cannot be parsed
+ * @property {string} [job] - Registered job ID of a named entry
+ * @property {any} [payload] - JSON payload passed to the job handler
+ * @property {number} [attempts]
+ * @property {number} [maxAttempts]
+ * @property {QueueOwner} [owner] - Queue instance that last queued or ran the entry
+ * @property {{attempt:number,error:string,at:number}[]} [errors]
  * @property {number} timestamp
  * @property {number} [startedAt]
  * @property {number} [completedAt]
@@ -71,6 +89,15 @@
  * @property {JobMetadata} [metadata]
  * @property {any} [result]
  * @property {string} [error]
+ * @property {number} [deadAt]
+ */
+
+/**
+ * Executes a named queue entry. Thrown errors count as a failed attempt.
+ * @callback QueueJobHandler
+ * @param {any} payload
+ * @param {{id:string,job:string,attempt:number,metadata:JobMetadata}} entry
+ * @returns {Promise<any>}
  */
 
 /**
@@ -119,9 +146,11 @@
 
 /**
  * @typedef {Object} LockOptions
- * @property {number} [timeout]
- * @property {string|null} [fingerprint]
+ * @property {number} [timeout] Lease in ms, renewed by the heartbeat
+ * @property {string|null} [fingerprint] Holder identity (defaults to the manager's)
  * @property {boolean} [exclusive=true]
+ * @property {number} [wait=0] How long to wait for a held lock, in ms
+ * @property {boolean} [heartbeat=false] Renew the lease while held
  */
 
 /**
@@ -130,10 +159,13 @@
  * @property {string} ref
  * @property {string} id
  * @property {number} acquiredAt
+ * @property {number} renewedAt
  * @property {number} timeout
  * @property {string} fingerprint
+ * @property {Array<string>} holders
  * @property {boolean} exclusive
  * @property {number} pid
+ * @property {string} hostname
  */
 
 /**
@@ -177,6 +209,8 @@
  * @property {string} [tempDir]
  * @property {number} [maxCacheSize]
  * @property {boolean} [compressionEnabled]
+ * @property {"file"|"git"} [backend] - "git" stores snapshots as git objects so they can be pushed and fetched
+ * @property {string} [ref] - Ref holding git-backed snapshots (default refs/gitvan/snapshots)
  */
 
 /**
@@ -220,7 +254,7 @@
 /**
  * @typedef {Object} ShaclAllConformPredicate
  * @property {"shaclAllConform"} type
- * @property {{shapesText?:string,shapesPath?:string}} definition
+ * @property {{shapes?:string,shapesPath?:string}} definition - Inline shapes Turtle, or the path of a shapes file
  */
 
 /** @typedef {AskPredicate|SelectThresholdPredicate|ResultDeltaPredicate|ShaclAllConformPredicate} PredicateDefinition */
@@ -0,0 +1,423 @@
+// src/utils/cron-expression.mjs
+// Cron expression parsing, matching and next-run computation with timezones
+//
+// Supported syntax (five fields: minute hour day-of-month month day-of-week):
+//   *  ?                  any value
+//   5  1-5  */15  10-40/10  3/6   values, ranges and steps
+//   1,15,30               lists of any of the above
+//   JAN-DEC  SUN-SAT      month and weekday names (case-insensitive)
+//   0 or 7                Sunday
+//   @yearly @annually @monthly @weekly @daily @midnight @hourly
+//
+// When both day-of-month and day-of-week are restricted, a day matches if
+// either field matches (the classic Vixie cron rule).
+//
+// Daylight saving time:
+//   - A wall-clock time skipped by a spring-forward transition fires once,
+//     shifted forward by the length of the gap (02:30 becomes 03:30).
+//     Schedules with a wildcard hour just skip the missing times.
+//   - A wall-clock time repeated by a fall-back transition fires once, on
+//     its first occurrence. Schedules with a wildcard hour fire on both,
+//     so they keep following elapsed time.
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const MONTH_NAMES = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+
+const WEEKDAY_NAMES = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: WEEKDAY_NAMES, offset: 0 },
+];
+
+const MINUTE_MS = 60_000;
+const DAY_MS = 86_400_000;
+
+// Long enough for "Feb 29 that is a Monday" style schedules to come around
+const SEARCH_YEARS = 28;
+
+const parseCache = new Map();
+const formatterCache = new Map();
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression or macro
+ * @returns {{expression: string, minutes: number[], hours: number[], days: Set<number>, months: Set<number>, weekdays: Set<number>, dayWildcard: boolean, weekdayWildcard: boolean, hourWildcard: boolean}} Parsed schedule
+ */
+export function parseCron(expression) {
+  if (parseCache.has(expression)) {
+    return parseCache.get(expression);
+  }
+
+  const fail = (reason) => {
+    throw new Error(`Invalid cron expression "${expression}": ${reason}`);
+  };
+
+  if (typeof expression !== "string" || !expression.trim()) {
+    fail("expected a non-empty string");
+  }
+
+  let source = expression.trim();
+  if (source.startsWith("@")) {
+    const macro = MACROS[source.toLowerCase()];
+    if (!macro) {
+      fail(`unknown macro ${source}`);
+    }
+    source = macro;
+  }
+
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    fail(`expected 5 fields, got ${parts.length}`);
+  }
+
+  const values = parts.map((part, index) =>
+    parseField(part, FIELDS[index], fail)
+  );
+
+  // 7 is an alias for Sunday
+  if (values[4].has(7)) {
+    values[4].delete(7);
+    values[4].add(0);
+  }
+
+  const isWildcard = (part) => part === "*" || part === "?";
+  const schedule = {
+    expression,
+    minutes: [...values[0]].sort((a, b) => a - b),
+    hours: [...values[1]].sort((a, b) => a - b),
+    days: values[2],
+    months: values[3],
+    weekdays: values[4],
+    dayWildcard: isWildcard(parts[2]),
+    weekdayWildcard: isWildcard(parts[4]),
+    hourWildcard: parts[1] === "*" || parts[1].startsWith("*/"),
+  };
+
+  parseCache.set(expression, schedule);
+  return schedule;
+}
+
+/**
+ * Parse one field into the set of values it allows
+ * @private
+ */
+function parseField(part, field, fail) {
+  const values = new Set();
+
+  const toNumber = (text) => {
+    const upper = text.toUpperCase();
+    const nameIndex = field.names?.indexOf(upper) ?? -1;
+    if (nameIndex !== -1) {
+      return nameIndex + field.offset;
+    }
+    if (!/^\d+$/.test(text)) {
+      fail(`invalid ${field.name} value '${text}'`);
+    }
+    const number = Number(text);
+    if (number < field.min || number > field.max) {
+      fail(
+        `${field.name} value ${number} is out of range ${field.min}-${field.max}`
+      );
+    }
+    return number;
+  };
+
+  for (const item of part.split(",")) {
+    const [range, stepText, extra] = item.split("/");
+    if (extra !== undefined || range === "") {
+      fail(`invalid ${field.name} '${item}'`);
+    }
+
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || Number(stepText) === 0) {
+        fail(`invalid ${field.name} step '${stepText}'`);
+      }
+      step = Number(stepText);
+    }
+
+    let start;
+    let end;
+    if (range === "*" || range === "?") {
+      start = field.min;
+      end = field.name === "day of week" ? 6 : field.max;
+    } else if (range.includes("-")) {
+      const [from, to, rest] = range.split("-");
+      if (rest !== undefined) {
+        fail(`invalid ${field.name} range '${range}'`);
+      }
+      start = toNumber(from);
+      end = toNumber(to);
+      if (start > end) {
+        fail(`${field.name} range '${range}' runs backwards`);
+      }
+    } else {
+      start = toNumber(range);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Resolve and validate a timezone name
+ * @param {string} [timezone] - IANA timezone name (defaults to UTC)
+ * @returns {string} Timezone name
+ */
+export function resolveTimezone(timezone) {
+  const zone = timezone || "UTC";
+  try {
+    getFormatter(zone);
+  } catch {
+    throw new Error(`Unknown timezone "${zone}"`);
+  }
+  return zone;
+}
+
+/**
+ * Cached wall-clock formatter for a timezone
+ * @private
+ */
+function getFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatterCache.get(timezone);
+}
+
+/**
+ * Wall-clock components of an instant in a timezone
+ * @param {number} instant - Epoch milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Components
+ */
+export function wallClock(instant, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(instant)) {
+    if (type !== "literal") {
+      parts[type] = Number(value);
+    }
+  }
+  return parts;
+}
+
+/**
+ * UTC offset of a timezone at an instant, in milliseconds
+ * @private
+ */
+function offsetAt(instant, timezone) {
+  const seconds = Math.floor(instant / 1000) * 1000;
+  const wall = wallClock(seconds, timezone);
+  const asUtc = Date.UTC(
+    wall.year,
+    wall.month - 1,
+    wall.day,
+    wall.hour,
+    wall.minute,
+    wall.second
+  );
+  return asUtc - seconds;
+}
+
+/**
+ * Instants at which a wall-clock time occurs: none inside a DST gap, two
+ * inside a DST overlap, one otherwise
+ * @private
+ */
+function instantsFor(wallMs, timezone) {
+  const offsets = new Set([
+    offsetAt(wallMs - DAY_MS, timezone),
+    offsetAt(wallMs + DAY_MS, timezone),
+  ]);
+  const instants = [];
+  for (const offset of offsets) {
+    const instant = wallMs - offset;
+    if (offsetAt(instant, timezone) === offset) {
+      instants.push(instant);
+    }
+  }
+  return instants.sort((a, b) => a - b);
+}
+
+/**
+ * Whether a calendar day matches the day-of-month, month and weekday fields
+ * @private
+ */
+function dayMatches(schedule, year, month, day) {
+  if (!schedule.months.has(month)) {
+    return false;
+  }
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const domMatch = schedule.days.has(day);
+  const dowMatch = schedule.weekdays.has(weekday);
+  if (schedule.dayWildcard || schedule.weekdayWildcard) {
+    return domMatch && dowMatch;
+  }
+  return domMatch || dowMatch;
+}
+
+/**
+ * Compute the next time a cron expression fires, strictly after `from`
+ * @param {string|object} expression - Cron expression or parsed schedule
+ * @param {Date|number} [from] - Starting instant (defaults to now)
+ * @param {object} [options]
+ * @param {string} [options.timezone] - IANA timezone the expression is written in (defaults to UTC)
+ * @returns {Date|null} Next fire time, or null if the schedule never fires
+ */
+export function nextCronRun(expression, from = new Date(), options = {}) {
+  const schedule =
+    typeof expression === "string" ? parseCron(expression) : expression;
+  const timezone = resolveTimezone(options.timezone);
+  const after = new Date(from).getTime();
+
+  // Start a day early so times repeated by a fall-back transition are seen
+  const start = wallClock(after - DAY_MS, timezone);
+  const firstDay = Date.UTC(start.year, start.month - 1, start.day);
+  const lastDay = firstDay + SEARCH_YEARS * 366 * DAY_MS;
+
+  for (let dayMs = firstDay; dayMs <= lastDay; dayMs += DAY_MS) {
+    const date = new Date(dayMs);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    if (!dayMatches(schedule, year, month, day)) {
+      continue;
+    }
+
+    // Days away from a DST transition map wall-clock times with one offset
+    const offsetBefore = offsetAt(dayMs - DAY_MS, timezone);
+    const steady = offsetBefore === offsetAt(dayMs + 2 * DAY_MS, timezone);
+
+    let best = null;
+    for (const hour of schedule.hours) {
+      for (const minute of schedule.minutes) {
+        const wallMs = dayMs + hour * 3_600_000 + minute * MINUTE_MS;
+        const instants = steady
+          ? [wallMs - offsetBefore]
+          : instantsFor(wallMs, timezone);
+
+        let candidates;
+        if (instants.length === 0) {
+          // Spring-forward gap: shift forward by the gap length
+          candidates = schedule.hourWildcard ? [] : [wallMs - offsetBefore];
+        } else if (instants.length > 1 && !schedule.hourWildcard) {
+          // Fall-back overlap: fixed times fire on the first occurrence only
+          candidates = [instants[0]];
+        } else {
+          candidates = instants;
+        }
+
+        for (const candidate of candidates) {
+          if (candidate > after && (best === null || candidate < best)) {
+            best = candidate;
+          }
+        }
+      }
+    }
+
+    if (best !== null) {
+      return new Date(best);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List the next fire times of a cron expression
+ * @param {string|object} expression - Cron expression or parsed schedule
+ * @param {number} count - Number of fire times
+ * @param {Date|number} [from] - Starting instant (defaults to now)
+ * @param {object} [options]
+ * @param {string} [options.timezone] - IANA timezone (defaults to UTC)
+ * @returns {Date[]} Fire times in order
+ */
+export function upcomingCronRuns(
+  expression,
+  count,
+  from = new Date(),
+  options = {}
+) {
+  const runs = [];
+  let cursor = from;
+  while (runs.length < count) {
+    const next = nextCronRun(expression, cursor, options);
+    if (!next) break;
+    runs.push(next);
+    cursor = next;
+  }
+  return runs;
+}
+
+/**
+ * Whether a cron expression fires during the minute containing `at`
+ * @param {string|object} expression - Cron expression or parsed schedule
+ * @param {Date|number} at - Instant to check
+ * @param {object} [options]
+ * @param {string} [options.timezone] - IANA timezone (defaults to UTC)
+ * @returns {boolean} True if the expression fires in that minute
+ */
+export function cronMatches(expression, at, options = {}) {
+  const minuteStart =
+    Math.floor(new Date(at).getTime() / MINUTE_MS) * MINUTE_MS;
+  const next = nextCronRun(expression, minuteStart - 1, options);
+  return next !== null && next.getTime() < minuteStart + MINUTE_MS;
+}
+
+/**
+ * Format an instant as wall-clock time in a timezone, e.g. "2026-03-08 03:30 America/New_York"
+ * @param {Date|number} instant - Instant to format
+ * @param {string} [timezone] - IANA timezone (defaults to UTC)
+ * @returns {string} Formatted time
+ */
+export function formatInTimezone(instant, timezone = "UTC") {
+  const wall = wallClock(new Date(instant).getTime(), timezone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)} ${pad(
+    wall.hour
+  )}:${pad(wall.minute)} ${timezone}`;
+}
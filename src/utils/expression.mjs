@@ -0,0 +1,316 @@
+/**
+ * GitVan v2 Expression Utilities - Sandboxed condition expressions
+ * Parses and evaluates a small expression language without eval/new Function
+ *
+ * Supported syntax:
+ * - literals: numbers, "strings", 'strings', true, false, null
+ * - paths: inputs.db, outputs["step-1"].count, items[0]
+ * - comparisons: == != === !== < <= > >=
+ * - boolean logic: && || ! and parentheses
+ * - calls to functions explicitly provided by the caller: exists("file")
+ */
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null,
+  undefined: undefined,
+};
+
+const OPERATORS = [
+  "===",
+  "!==",
+  "==",
+  "!=",
+  "<=",
+  ">=",
+  "&&",
+  "||",
+  "<",
+  ">",
+  "!",
+  "(",
+  ")",
+  "[",
+  "]",
+  ".",
+  ",",
+];
+
+function invalid(expression, message) {
+  return new Error(`Invalid expression "${expression}": ${message}`);
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} expression - Expression source
+ * @returns {Array<{type: string, value: any, pos: number}>} Tokens
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < expression.length) {
+    const char = expression[pos];
+
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char)) {
+      const match = /^[0-9]+(\.[0-9]+)?/.exec(expression.slice(pos));
+      tokens.push({ type: "literal", value: Number(match[0]), pos });
+      pos += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = "";
+      let end = pos + 1;
+      while (end < expression.length && expression[end] !== char) {
+        if (expression[end] === "\\" && end + 1 < expression.length) end++;
+        value += expression[end];
+        end++;
+      }
+      if (end >= expression.length) {
+        throw invalid(expression, `unterminated string at position ${pos}`);
+      }
+      tokens.push({ type: "literal", value, pos });
+      pos = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(expression.slice(pos));
+      const word = match[0];
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: "literal", value: KEYWORDS[word], pos });
+      } else {
+        tokens.push({ type: "identifier", value: word, pos });
+      }
+      pos += word.length;
+      continue;
+    }
+
+    const operator = OPERATORS.find((op) => expression.startsWith(op, pos));
+    if (!operator) {
+      throw invalid(
+        expression,
+        `unexpected character '${char}' at position ${pos}`
+      );
+    }
+    tokens.push({ type: "operator", value: operator, pos });
+    pos += operator.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST, throwing on invalid syntax
+ * @param {string} expression - Expression source
+ * @returns {object} Expression AST
+ */
+export function parseExpression(expression) {
+  if (typeof expression !== "string" || expression.trim() === "") {
+    throw invalid(String(expression), "expression is empty");
+  }
+
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) =>
+    peek()?.type === "operator" && peek().value === value;
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      const token = peek();
+      throw invalid(
+        expression,
+        token
+          ? `expected '${value}' at position ${token.pos}`
+          : `expected '${value}' at end of expression`
+      );
+    }
+    index++;
+  };
+
+  const parseBinary = (operators, next) => () => {
+    let left = next();
+    while (peek()?.type === "operator" && operators.includes(peek().value)) {
+      const operator = tokens[index++].value;
+      left = { type: "binary", operator, left, right: next() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[index++];
+    if (!token) {
+      throw invalid(expression, "unexpected end of expression");
+    }
+
+    if (token.type === "literal") {
+      return { type: "literal", value: token.value };
+    }
+
+    if (token.type === "identifier") {
+      if (isOperator("(")) {
+        index++;
+        const args = [];
+        if (!isOperator(")")) {
+          args.push(parseOr());
+          while (isOperator(",")) {
+            index++;
+            args.push(parseOr());
+          }
+        }
+        expect(")");
+        return { type: "call", name: token.value, args };
+      }
+      return { type: "identifier", name: token.value };
+    }
+
+    if (token.value === "(") {
+      const inner = parseOr();
+      expect(")");
+      return inner;
+    }
+
+    throw invalid(
+      expression,
+      `unexpected token '${token.value}' at position ${token.pos}`
+    );
+  };
+
+  const parseMember = () => {
+    let node = parsePrimary();
+    while (isOperator(".") || isOperator("[")) {
+      if (tokens[index++].value === ".") {
+        const property = tokens[index++];
+        if (!property || property.type !== "identifier") {
+          throw invalid(expression, "expected property name after '.'");
+        }
+        node = {
+          type: "member",
+          object: node,
+          property: { type: "literal", value: property.value },
+        };
+      } else {
+        const property = parseOr();
+        expect("]");
+        node = { type: "member", object: node, property };
+      }
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOperator("!")) {
+      index++;
+      return { type: "not", argument: parseUnary() };
+    }
+    return parseMember();
+  };
+
+  const parseComparison = parseBinary(
+    ["===", "!==", "==", "!=", "<", "<=", ">", ">="],
+    parseUnary
+  );
+  const parseAnd = parseBinary(["&&"], parseComparison);
+  const parseOr = parseBinary(["||"], parseAnd);
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw invalid(
+      expression,
+      `unexpected token '${tokens[index].value}' at position ${tokens[index].pos}`
+    );
+  }
+  return ast;
+}
+
+function evaluateNode(node, scope, functions, expression) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+
+    case "identifier":
+      return Object.prototype.hasOwnProperty.call(scope, node.name)
+        ? scope[node.name]
+        : undefined;
+
+    case "member": {
+      const object = evaluateNode(node.object, scope, functions, expression);
+      const property = evaluateNode(
+        node.property,
+        scope,
+        functions,
+        expression
+      );
+      if (object === null || object === undefined) return undefined;
+      // Only own properties are reachable, never the prototype chain
+      return Object.prototype.hasOwnProperty.call(Object(object), property)
+        ? object[property]
+        : undefined;
+    }
+
+    case "call": {
+      if (!Object.prototype.hasOwnProperty.call(functions, node.name)) {
+        throw invalid(expression, `unknown function '${node.name}'`);
+      }
+      const args = node.args.map((arg) =>
+        evaluateNode(arg, scope, functions, expression)
+      );
+      return functions[node.name](...args);
+    }
+
+    case "not":
+      return !evaluateNode(node.argument, scope, functions, expression);
+
+    case "binary": {
+      const left = evaluateNode(node.left, scope, functions, expression);
+      if (node.operator === "&&") {
+        return left && evaluateNode(node.right, scope, functions, expression);
+      }
+      if (node.operator === "||") {
+        return left || evaluateNode(node.right, scope, functions, expression);
+      }
+
+      const right = evaluateNode(node.right, scope, functions, expression);
+      switch (node.operator) {
+        case "==":
+          return left == right;
+        case "!=":
+          return left != right;
+        case "===":
+          return left === right;
+        case "!==":
+          return left !== right;
+        case "<":
+          return left < right;
+        case "<=":
+          return left <= right;
+        case ">":
+          return left > right;
+        case ">=":
+          return left >= right;
+      }
+    }
+  }
+
+  throw invalid(expression, `unsupported node '${node.type}'`);
+}
+
+/**
+ * Evaluate an expression against a scope of values
+ * @param {string} expression - Expression source
+ * @param {object} [scope] - Values reachable by identifiers
+ * @param {object} [functions] - Functions callable from the expression
+ * @returns {any} Expression value
+ */
+export function evaluateExpression(expression, scope = {}, functions = {}) {
+  const ast = parseExpression(expression);
+  return evaluateNode(ast, scope, functions, expression);
+}
@@ -0,0 +1,233 @@
+/**
+ * GitVan v2 Graph Cache
+ * Persistent cache of parsed RDF files, keyed by git blob OID
+ *
+ * A file's blob OID changes whenever its content does, so entries never go
+ * stale: after an edit, checkout or branch switch only files whose content
+ * differs from a cached blob are parsed again. Once the directory is full,
+ * the least recently used blobs are evicted.
+ */
+
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import { join } from "pathe";
+import N3 from "n3";
+
+const { blankNode, quad } = N3.DataFactory;
+
+/** Bumped whenever the entry layout changes */
+const CACHE_VERSION = 1;
+
+/** Entries a cache directory keeps before evicting the least recently used */
+export const DEFAULT_MAX_DISK_ENTRIES = 2048;
+
+// Distinguishes the blank nodes of each materialized entry
+let loadCounter = 0;
+
+/**
+ * Compute the git blob OID (SHA-1) of file content
+ * @param {string|Buffer} content - File content
+ * @returns {string} Hex object id, as `git hash-object` prints it
+ */
+export function blobOid(content) {
+  const body = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  return createHash("sha1")
+    .update(`blob ${body.length}\0`)
+    .update(body)
+    .digest("hex");
+}
+
+/**
+ * Directory of JSON cache entries bounded by entry count
+ *
+ * Reading an entry touches its file, so modification times order entries by
+ * recency; a write that takes the directory past `maxEntries` removes the
+ * least recently used entries.
+ */
+export class CacheDirectory {
+  /**
+   * @param {string} dir - Cache directory
+   * @param {object} [options]
+   * @param {number} [options.maxEntries] - Entries kept on disk
+   * @param {string} [options.label="cache"] - Name used in warnings
+   * @param {object} [options.logger] - Logger instance
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_DISK_ENTRIES;
+    this.label = options.label || "cache";
+    this.logger = options.logger || console;
+    // Entries on disk, counted on the first write
+    this.count = null;
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   * @param {string} key - Entry key
+   * @returns {Promise<object|null>} The entry, or null on a miss
+   */
+  async read(key) {
+    const path = join(this.dir, `${key}.json`);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(path, "utf8"));
+    } catch {
+      // Missing or unreadable entries are misses
+      return null;
+    }
+    const now = new Date();
+    await fs.utimes(path, now, now).catch(() => {});
+    return entry;
+  }
+
+  /**
+   * Write an entry, then evict the least recently used ones over the limit
+   * @param {string} key - Entry key
+   * @param {object} entry - JSON-serializable entry
+   * @returns {Promise<void>}
+   */
+  async write(key, entry) {
+    const path = join(this.dir, `${key}.json`);
+    const tmp = `${path}.${process.pid}.tmp`;
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, path);
+    } catch (error) {
+      // The cache is an optimization; a failed write only costs a recompute
+      this.logger.warn(
+        `⚠️ Failed to write ${this.label} entry: ${error.message}`
+      );
+      await fs.rm(tmp, { force: true });
+      return;
+    }
+
+    this.count =
+      this.count === null ? (await this._entries()).length : this.count + 1;
+    if (this.count > this.maxEntries) {
+      await this.prune();
+    }
+  }
+
+  /**
+   * Remove the least recently used entries beyond `maxEntries`
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    const entries = await this._entries();
+    entries.sort((a, b) => a.usedAt - b.usedAt);
+    const evicted = entries.slice(
+      0,
+      Math.max(0, entries.length - this.maxEntries)
+    );
+    await Promise.all(evicted.map(({ path }) => fs.rm(path, { force: true })));
+    this.count = entries.length - evicted.length;
+    return evicted.length;
+  }
+
+  async _entries() {
+    let names;
+    try {
+      names = await fs.readdir(this.dir);
+    } catch {
+      return [];
+    }
+    const entries = [];
+    for (const name of names.filter((n) => n.endsWith(".json"))) {
+      const path = join(this.dir, name);
+      try {
+        entries.push({ path, usedAt: (await fs.stat(path)).mtimeMs });
+      } catch {
+        // Removed by another process in the meantime
+      }
+    }
+    return entries;
+  }
+}
+
+/**
+ * Parsed-file cache
+ *
+ * Entries hold N3 term ids and live in memory and, when a directory is
+ * given, on disk. Blank nodes are relabelled on every load so two files
+ * with the same content never share blank nodes.
+ */
+export class GraphCache {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Cache directory; memory only when omitted
+   * @param {number} [options.maxEntries=256] - Entries kept in memory
+   * @param {number} [options.maxDiskEntries] - Entries kept on disk
+   * @param {object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || null;
+    this.maxEntries = options.maxEntries ?? 256;
+    this.logger = options.logger || console;
+    this.disk = this.dir
+      ? new CacheDirectory(this.dir, {
+          maxEntries: options.maxDiskEntries,
+          label: "graph cache",
+          logger: this.logger,
+        })
+      : null;
+    this.memory = new Map();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Load the quads of a blob, parsing it only when it is not cached
+   * @param {string} oid - Git blob OID of the content
+   * @param {string} format - N3 parser format (Turtle, TriG or N-Quads)
+   * @param {() => string|Promise<string>} read - Reads the content on a miss
+   * @returns {Promise<import('n3').Quad[]>}
+   */
+  async load(oid, format, read) {
+    const key = `${oid}-${format.toLowerCase()}`;
+    let ids = this.memory.get(key) || (await this._readEntry(key));
+
+    if (ids) {
+      this.stats.hits++;
+    } else {
+      this.stats.misses++;
+      const quads = new N3.Parser({ format }).parse(await read());
+      ids = quads.map((q) => [
+        N3.termToId(q.subject),
+        N3.termToId(q.predicate),
+        N3.termToId(q.object),
+        N3.termToId(q.graph),
+      ]);
+      await this._writeEntry(key, ids);
+    }
+
+    this._remember(key, ids);
+    return this._materialize(ids);
+  }
+
+  _materialize(ids) {
+    const prefix = `c${loadCounter++}_`;
+    const term = (id) =>
+      id.startsWith("_:")
+        ? blankNode(`${prefix}${id.slice(2)}`)
+        : N3.termFromId(id);
+    return ids.map(([s, p, o, g]) => quad(term(s), term(p), term(o), term(g)));
+  }
+
+  _remember(key, ids) {
+    // Map iteration order doubles as recency order
+    this.memory.delete(key);
+    this.memory.set(key, ids);
+    if (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async _readEntry(key) {
+    const entry = await this.disk?.read(key);
+    return entry?.version === CACHE_VERSION ? entry.quads : null;
+  }
+
+  async _writeEntry(key, ids) {
+    await this.disk?.write(key, { version: CACHE_VERSION, quads: ids });
+  }
+}
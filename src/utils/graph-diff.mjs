@@ -0,0 +1,269 @@
+/**
+ * GitVan v2 Graph Diff
+ * Compares the knowledge graph between two git revisions
+ */
+
+import { createHash } from "node:crypto";
+import N3 from "n3";
+import { RdfEngine } from "../engines/RdfEngine.mjs";
+import { loadGraphAtRevision, resolveBaseRevision } from "./graph-history.mjs";
+
+const { blankNode, quad } = N3.DataFactory;
+
+/** Supported output formats of formatGraphDiff */
+export const GRAPH_DIFF_FORMATS = ["text", "turtle", "rdf-patch"];
+
+const POSITIONS = ["subject", "predicate", "object", "graph"];
+
+const rdfEngine = new RdfEngine();
+const ntriples = new N3.Writer({ format: "N-Quads" });
+
+const isBlank = (term) => term.termType === "BlankNode";
+
+/**
+ * Label blank nodes from their surroundings instead of their position
+ *
+ * URDNA2015 numbers blank nodes in order, so one new blank node elsewhere
+ * renumbers the rest. Each blank node is instead named after a hash of the
+ * quads that mention it (its first-degree hash), with canonical order only
+ * breaking ties. Unchanged blank nodes then keep their label across revisions.
+ * @param {import('n3').Quad[]} quads - Canonicalized quads
+ * @returns {Map<string, string>} Stable label by blank node label
+ */
+function stableBlankNodeLabels(quads) {
+  const mentions = new Map();
+  for (const q of quads) {
+    for (const position of POSITIONS) {
+      if (!isBlank(q[position])) continue;
+      if (!mentions.has(q[position].value)) {
+        mentions.set(q[position].value, new Set());
+      }
+      mentions.get(q[position].value).add(q);
+    }
+  }
+
+  const hashOf = (label) => {
+    const lines = [...mentions.get(label)]
+      .map((q) =>
+        POSITIONS.map((position) =>
+          isBlank(q[position])
+            ? q[position].value === label
+              ? "_:a"
+              : "_:z"
+            : N3.termToId(q[position])
+        ).join(" ")
+      )
+      .sort();
+    return createHash("sha256")
+      .update(lines.join("\n"))
+      .digest("hex")
+      .slice(0, 12);
+  };
+
+  // Canonical labels end in c14n<N>; order by N to break ties
+  const canonicalOrder = (label) => Number(label.match(/(\d+)$/)[1]);
+  const labels = new Map();
+  const taken = new Map();
+  for (const label of [...mentions.keys()].sort(
+    (a, b) => canonicalOrder(a) - canonicalOrder(b)
+  )) {
+    const hash = hashOf(label);
+    const n = taken.get(hash) || 0;
+    taken.set(hash, n + 1);
+    labels.set(label, n ? `b${hash}_${n}` : `b${hash}`);
+  }
+  return labels;
+}
+
+/**
+ * Canonicalize a store so equal graphs have equal quads
+ * @param {import('n3').Store} store
+ * @returns {Promise<import('n3').Store>}
+ */
+export async function canonicalizeStore(store) {
+  const nquads = await rdfEngine.canonicalize(store);
+  const quads = new N3.Parser({ format: "N-Quads" }).parse(nquads);
+  const labels = stableBlankNodeLabels(quads);
+  const term = (t) => (isBlank(t) ? blankNode(labels.get(t.value)) : t);
+  return new N3.Store(
+    quads.map((q) =>
+      quad(term(q.subject), term(q.predicate), term(q.object), term(q.graph))
+    )
+  );
+}
+
+/**
+ * Diff two graphs after canonicalizing their blank nodes
+ * @param {import('n3').Store} before
+ * @param {import('n3').Store} after
+ * @returns {Promise<{added: import('n3').Quad[], removed: import('n3').Quad[]}>}
+ */
+export async function diffGraphs(before, after) {
+  const [a, b] = await Promise.all([
+    canonicalizeStore(before),
+    canonicalizeStore(after),
+  ]);
+  return {
+    added: sortQuads([...rdfEngine.difference(b, a)]),
+    removed: sortQuads([...rdfEngine.difference(a, b)]),
+  };
+}
+
+/**
+ * Diff the knowledge graph between two revisions
+ * @param {object} options
+ * @param {string} options.from - Base revision
+ * @param {string} options.to - Target revision
+ * @param {string} options.graphDir - Graph directory (absolute or relative to cwd)
+ * @param {string} [options.cwd] - Repository working directory
+ * @param {boolean} [options.namedGraphs] - Load each file into its own named graph
+ * @param {import('./graph-cache.mjs').GraphCache} [options.cache] - Parsed-file cache
+ * @param {object} [options.logger] - Logger instance
+ * @returns {Promise<{from: string, to: string, added: import('n3').Quad[], removed: import('n3').Quad[]}>}
+ */
+export async function diffRevisions(options) {
+  const { from, to, ...loadOptions } = options;
+
+  const load = async (base) => {
+    const revision = await resolveBaseRevision({ cwd: options.cwd, base });
+    if (!revision) {
+      throw new Error(`Revision not found: ${base}`);
+    }
+    const { store } = await loadGraphAtRevision({ ...loadOptions, revision });
+    return { revision, store };
+  };
+
+  const before = await load(from);
+  const after = await load(to);
+  const { added, removed } = await diffGraphs(before.store, after.store);
+  return { from: before.revision, to: after.revision, added, removed };
+}
+
+/**
+ * Render a graph diff
+ *
+ * - text: changes grouped by subject, `+` for added and `-` for removed
+ * - turtle: a TurtlePatch, i.e. SPARQL Update DELETE DATA / INSERT DATA;
+ *   removed triples with blank nodes match them through variables
+ * - rdf-patch: an RDF Patch transaction of `D` and `A` rows
+ * @param {{from?: string, to?: string, added: import('n3').Quad[], removed: import('n3').Quad[]}} diff
+ * @param {{format?: string}} [options]
+ * @returns {string}
+ */
+export function formatGraphDiff(diff, options = {}) {
+  const format = options.format || "text";
+  if (format === "text") return formatText(diff);
+  if (format === "turtle") return formatTurtlePatch(diff);
+  if (format === "rdf-patch") return formatRdfPatch(diff);
+  throw new Error(
+    `Unsupported graph diff format: ${format} (expected ${GRAPH_DIFF_FORMATS.join(
+      ", "
+    )})`
+  );
+}
+
+function sortQuads(quads) {
+  return quads.sort((a, b) => toLine(a).localeCompare(toLine(b)));
+}
+
+// N-Triples (or N-Quads, for named graphs) line without the trailing newline
+function toLine(q) {
+  return ntriples
+    .quadToString(q.subject, q.predicate, q.object, q.graph)
+    .trimEnd();
+}
+
+function formatText({ from, to, added, removed }) {
+  const header = `${from && to ? `${from}..${to}: ` : ""}+${
+    added.length
+  } -${removed.length} triples`;
+
+  const bySubject = new Map();
+  const collect = (quads, marker) => {
+    for (const q of quads) {
+      const line = toLine(q);
+      const subject = line.slice(0, line.indexOf(" "));
+      if (!bySubject.has(subject)) bySubject.set(subject, []);
+      bySubject
+        .get(subject)
+        .push({ marker, rest: line.slice(subject.length + 1) });
+    }
+  };
+  collect(removed, "-");
+  collect(added, "+");
+
+  const sections = [...bySubject.keys()].sort().map((subject) => {
+    const changes = bySubject
+      .get(subject)
+      .sort(
+        (a, b) =>
+          a.rest.localeCompare(b.rest) || a.marker.localeCompare(b.marker)
+      )
+      .map(({ marker, rest }) => `  ${marker} ${rest}`);
+    return [subject, ...changes].join("\n");
+  });
+
+  return [header, ...sections].join("\n\n") + "\n";
+}
+
+// Triples of a SPARQL data block, with named-graph quads in GRAPH blocks
+function dataBlock(quads, term = (t) => t) {
+  const byGraph = new Map();
+  for (const q of quads) {
+    const graph = q.graph.termType === "DefaultGraph" ? "" : q.graph.value;
+    if (!byGraph.has(graph)) byGraph.set(graph, []);
+    byGraph
+      .get(graph)
+      .push(
+        ntriples
+          .quadToString(term(q.subject), q.predicate, term(q.object))
+          .trimEnd()
+      );
+  }
+
+  const lines = [];
+  for (const [graph, triples] of [...byGraph].sort(([a], [b]) =>
+    a.localeCompare(b)
+  )) {
+    if (graph) {
+      lines.push(`  GRAPH <${graph}> {`);
+      lines.push(...triples.map((triple) => `    ${triple}`));
+      lines.push("  }");
+    } else {
+      lines.push(...triples.map((triple) => `  ${triple}`));
+    }
+  }
+  return lines.join("\n");
+}
+
+function formatTurtlePatch({ from, to, added, removed }) {
+  const hasBlank = (q) => isBlank(q.subject) || isBlank(q.object);
+  // DELETE DATA cannot name blank nodes, so those triples match by pattern
+  const asVariable = (t) => (isBlank(t) ? N3.DataFactory.variable(t.value) : t);
+
+  const operations = [];
+  const ground = removed.filter((q) => !hasBlank(q));
+  const patterns = removed.filter(hasBlank);
+  if (ground.length) {
+    operations.push(`DELETE DATA {\n${dataBlock(ground)}\n}`);
+  }
+  if (patterns.length) {
+    operations.push(`DELETE WHERE {\n${dataBlock(patterns, asVariable)}\n}`);
+  }
+  if (added.length) {
+    operations.push(`INSERT DATA {\n${dataBlock(added)}\n}`);
+  }
+
+  const header = from && to ? `# gitvan graph diff ${from}..${to}\n` : "";
+  return `${header}${operations.join(" ;\n")}\n`;
+}
+
+function formatRdfPatch({ removed, added }) {
+  const rows = [
+    "TX .",
+    ...removed.map((q) => `D ${toLine(q)}`),
+    ...added.map((q) => `A ${toLine(q)}`),
+    "TC .",
+  ];
+  return rows.join("\n") + "\n";
+}
@@ -0,0 +1,153 @@
+/**
+ * GitVan v2 Graph History Utilities
+ * Rebuilds the Turtle knowledge graph as it existed at a past git revision
+ */
+
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { relative, resolve } from "node:path";
+import N3 from "n3";
+import { isGraphFile, loadGraphFile } from "../composables/turtle.mjs";
+
+const execFileAsync = promisify(execFile);
+
+/** Notes ref recording which commits have had their hooks evaluated */
+export const HOOK_EVALUATIONS_REF = "refs/notes/gitvan/hook-evaluations";
+
+async function git(cwd, args) {
+  const { stdout } = await execFileAsync("git", args, {
+    cwd,
+    maxBuffer: 64 * 1024 * 1024,
+    encoding: "utf8",
+  });
+  return stdout;
+}
+
+/**
+ * Resolve a base revision to a commit SHA
+ *
+ * Supported bases:
+ * - any git revision (e.g. "HEAD~1", a branch, a tag or a SHA)
+ * - "merge-base": the merge-base of HEAD and `baseBranch`
+ * - "last-evaluated": the most recent ancestor of HEAD with a hook evaluation note
+ *
+ * @param {object} options
+ * @param {string} [options.cwd] - Repository working directory
+ * @param {string} [options.base="HEAD~1"] - Base revision or strategy name
+ * @param {string} [options.baseBranch="main"] - Branch used by the merge-base strategy
+ * @param {string} [options.notesRef] - Notes ref used by the last-evaluated strategy
+ * @returns {Promise<string|null>} Commit SHA or null if the base does not exist
+ */
+export async function resolveBaseRevision(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const base = options.base || "HEAD~1";
+
+  try {
+    if (base === "merge-base") {
+      const baseBranch = options.baseBranch || "main";
+      return (await git(cwd, ["merge-base", "HEAD", baseBranch])).trim();
+    }
+
+    if (base === "last-evaluated") {
+      return await findLastEvaluatedCommit(
+        cwd,
+        options.notesRef || HOOK_EVALUATIONS_REF
+      );
+    }
+
+    return (
+      await git(cwd, ["rev-parse", "--verify", "--quiet", `${base}^{commit}`])
+    ).trim();
+  } catch {
+    // Unknown revision, shallow history or first commit
+    return null;
+  }
+}
+
+/**
+ * Find the most recent ancestor of HEAD carrying a note in the given ref
+ * @param {string} cwd - Repository working directory
+ * @param {string} notesRef - Notes ref to inspect
+ * @returns {Promise<string|null>} Commit SHA or null
+ */
+async function findLastEvaluatedCommit(cwd, notesRef) {
+  let listing;
+  try {
+    listing = await git(cwd, ["notes", `--ref=${notesRef}`, "list"]);
+  } catch {
+    return null;
+  }
+
+  // Each line is "<note-blob> <annotated-commit>"
+  const annotated = new Set(
+    listing
+      .split("\n")
+      .map((line) => line.trim().split(/\s+/)[1])
+      .filter(Boolean)
+  );
+  if (annotated.size === 0) return null;
+
+  const history = (await git(cwd, ["rev-list", "HEAD"]))
+    .split("\n")
+    .filter(Boolean);
+  return history.find((sha) => annotated.has(sha)) || null;
+}
+
+/**
+ * Load every RDF file of a graph directory as it was at a given revision
+ * @param {object} options
+ * @param {string} options.revision - Commit SHA or revision to read from
+ * @param {string} options.graphDir - Graph directory (absolute or relative to cwd)
+ * @param {string} [options.cwd] - Repository working directory
+ * @param {boolean} [options.namedGraphs] - Load each file into its own named graph, as useTurtle does
+ * @param {import('./graph-cache.mjs').GraphCache} [options.cache] - Cache that skips reading and parsing known blobs
+ * @param {object} [options.logger] - Logger instance
+ * @returns {Promise<{store: import('n3').Store, files: Array<{name: string, oid: string}>, revision: string}>}
+ */
+export async function loadGraphAtRevision(options) {
+  const cwd = options.cwd || process.cwd();
+  const logger = options.logger || console;
+  const { revision } = options;
+
+  const topLevel = (await git(cwd, ["rev-parse", "--show-toplevel"])).trim();
+  const dirInRepo = relative(topLevel, resolve(cwd, options.graphDir))
+    .split("\\")
+    .join("/");
+
+  // Mirror useTurtle: only RDF files directly inside the graph directory.
+  // ls-tree takes paths relative to its cwd, so list from the top level.
+  const listing = await git(topLevel, [
+    "ls-tree",
+    revision,
+    "--",
+    dirInRepo ? `${dirInRepo}/` : ".",
+  ]);
+  const entries = listing
+    .split("\n")
+    .map((line) => line.match(/^\d+ blob ([0-9a-f]+)\t(.+)$/))
+    .filter((match) => match && isGraphFile(match[2]))
+    .map(([, oid, path]) => ({ oid, path }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const store = new N3.Store();
+  const files = [];
+  for (const { oid, path } of entries) {
+    const name = path.split("/").pop();
+    files.push({ name, oid });
+    try {
+      store.addQuads(
+        await loadGraphFile(
+          { name, oid, read: () => git(topLevel, ["cat-file", "blob", oid]) },
+          { namedGraphs: options.namedGraphs, cache: options.cache }
+        )
+      );
+    } catch (error) {
+      // Skip malformed turtle files gracefully, as the live loader does
+      logger.warn(
+        `Warning: Failed to parse turtle file ${name}@${revision}: ${error.message}`
+      );
+    }
+  }
+
+  return { store, files, revision };
+}
@@ -0,0 +1,293 @@
+/**
+ * GitVan v2 Graph Reasoning
+ * Materializes the triples entailed by RDFS, OWL RL or custom N3 rules
+ *
+ * Inferred triples go into their own named graph and are cached on disk,
+ * keyed by a hash of the canonical input graph and a hash of the rules, so
+ * an unchanged graph is only reasoned over once per rule set. The cache
+ * evicts its least recently used entries like the graph cache does.
+ */
+
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import { join, resolve } from "pathe";
+import N3 from "n3";
+import rdfCanonize from "rdf-canonize";
+import { RdfEngine } from "../engines/RdfEngine.mjs";
+import { CacheDirectory } from "./graph-cache.mjs";
+
+const { blankNode, namedNode, quad } = N3.DataFactory;
+
+/** Reasoning profiles with built-in rules; any other value is a rule file */
+export const REASONING_PROFILES = ["none", "rdfs", "owl-rl"];
+
+/** Named graph that receives the inferred triples */
+export const INFERRED_GRAPH = "urn:gitvan:inferred";
+
+/** Bumped whenever the entry layout changes */
+const CACHE_VERSION = 1;
+
+const SKOLEM = "urn:gitvan:skolem:";
+
+const PREFIXES = `@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+@prefix log: <http://www.w3.org/2000/10/swap/log#> .
+`;
+
+// RDFS entailment rules rdfs2, 3, 5, 7, 9 and 11
+const RDFS_RULES = `
+{ ?p rdfs:domain ?c . ?x ?p ?y } => { ?x a ?c } .
+{ ?p rdfs:range ?c . ?x ?p ?y } => { ?y a ?c } .
+{ ?p rdfs:subPropertyOf ?q . ?q rdfs:subPropertyOf ?r } => { ?p rdfs:subPropertyOf ?r } .
+{ ?p rdfs:subPropertyOf ?q . ?x ?p ?y } => { ?x ?q ?y } .
+{ ?c rdfs:subClassOf ?d . ?x a ?c } => { ?x a ?d } .
+{ ?c rdfs:subClassOf ?d . ?d rdfs:subClassOf ?e } => { ?c rdfs:subClassOf ?e } .
+`;
+
+// The OWL 2 RL rules on properties, equality, class expressions and schema,
+// without datatype and inconsistency rules
+const OWL_RL_RULES = `${RDFS_RULES}
+{ ?p owl:inverseOf ?q . ?x ?p ?y } => { ?y ?q ?x } .
+{ ?p owl:inverseOf ?q . ?x ?q ?y } => { ?y ?p ?x } .
+{ ?p a owl:SymmetricProperty . ?x ?p ?y } => { ?y ?p ?x } .
+{ ?p a owl:TransitiveProperty . ?x ?p ?y . ?y ?p ?z } => { ?x ?p ?z } .
+{ ?p a owl:FunctionalProperty . ?x ?p ?y1 . ?x ?p ?y2 . ?y1 log:notEqualTo ?y2 } => { ?y1 owl:sameAs ?y2 } .
+{ ?p a owl:InverseFunctionalProperty . ?x1 ?p ?y . ?x2 ?p ?y . ?x1 log:notEqualTo ?x2 } => { ?x1 owl:sameAs ?x2 } .
+{ ?c owl:equivalentClass ?d } => { ?c rdfs:subClassOf ?d . ?d rdfs:subClassOf ?c } .
+{ ?p owl:equivalentProperty ?q } => { ?p rdfs:subPropertyOf ?q . ?q rdfs:subPropertyOf ?p } .
+{ ?x owl:sameAs ?y } => { ?y owl:sameAs ?x } .
+{ ?x owl:sameAs ?y . ?y owl:sameAs ?z } => { ?x owl:sameAs ?z } .
+{ ?s owl:sameAs ?s2 . ?s ?p ?o } => { ?s2 ?p ?o } .
+{ ?o owl:sameAs ?o2 . ?s ?p ?o } => { ?s ?p ?o2 } .
+{ ?c owl:hasValue ?v ; owl:onProperty ?p . ?x a ?c } => { ?x ?p ?v } .
+{ ?c owl:hasValue ?v ; owl:onProperty ?p . ?x ?p ?v } => { ?x a ?c } .
+{ ?c owl:someValuesFrom ?d ; owl:onProperty ?p . ?x ?p ?y . ?y a ?d } => { ?x a ?c } .
+{ ?c owl:someValuesFrom owl:Thing ; owl:onProperty ?p . ?x ?p ?y } => { ?x a ?c } .
+{ ?c owl:allValuesFrom ?d ; owl:onProperty ?p . ?x a ?c ; ?p ?y } => { ?y a ?d } .
+`;
+
+const BUILT_IN_RULES = {
+  rdfs: PREFIXES + RDFS_RULES,
+  "owl-rl": PREFIXES + OWL_RL_RULES,
+};
+
+const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+
+// Distinguishes the blank nodes invented by each materialized entry
+let loadCounter = 0;
+
+/**
+ * Reasoner that materializes and caches inferred graphs
+ */
+export class GraphReasoner {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.cwd] - Directory custom rule files resolve against
+   * @param {string|false} [options.cacheDir] - Inferred-graph cache directory; `false` disables the disk cache
+   * @param {number} [options.maxCacheEntries] - Entries the disk cache keeps before evicting the least recently used
+   * @param {number} [options.maxMemoryEntries=256] - Entries kept in memory
+   * @param {object} [options.logger] - Logger instance
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.cacheDir =
+      options.cacheDir === false
+        ? null
+        : options.cacheDir || join(this.cwd, ".gitvan/cache/inferred");
+    this.maxMemoryEntries = options.maxMemoryEntries ?? 256;
+    this.logger = options.logger || console;
+    this.disk = this.cacheDir
+      ? new CacheDirectory(this.cacheDir, {
+          maxEntries: options.maxCacheEntries,
+          label: "inferred graph cache",
+          logger: this.logger,
+        })
+      : null;
+    this.rdfEngine = new RdfEngine({ logger: this.logger });
+    this.memory = new Map();
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Resolve a reasoning option to its N3 rules
+   * @param {string} reasoning - none, rdfs, owl-rl or the path of an N3 rule file
+   * @returns {Promise<{reasoning: string, source: string, text: string, hash: string}|null>} Rules, or null for none
+   */
+  async resolveRules(reasoning) {
+    if (!reasoning || reasoning === "none") return null;
+
+    let source = reasoning;
+    let text = BUILT_IN_RULES[reasoning];
+    if (!text) {
+      source = resolve(this.cwd, reasoning);
+      try {
+        text = await fs.readFile(source, "utf8");
+      } catch {
+        throw new Error(
+          `Unknown reasoning: ${reasoning} (expected ${REASONING_PROFILES.join(
+            ", "
+          )} or an N3 rule file)`
+        );
+      }
+    }
+    return { reasoning, source, text, hash: sha256(text) };
+  }
+
+  /**
+   * Materialize the triples a graph entails under the given reasoning
+   *
+   * Blank nodes are skolemized by their canonical labels while reasoning,
+   * so cached inferences apply to any graph isomorphic to the input.
+   * @param {import('n3').Store} store - Input graph
+   * @param {string} reasoning - none, rdfs, owl-rl or the path of an N3 rule file
+   * @returns {Promise<{store: import('n3').Store, inferred: import('n3').Quad[], provenance: object|null, cached: boolean}>}
+   *   The input plus inferred triples, the inferred triples alone, and where they came from
+   */
+  async materialize(store, reasoning) {
+    const rules = await this.resolveRules(reasoning);
+    if (!rules) {
+      return { store, inferred: [], provenance: null, cached: false };
+    }
+
+    const canonicalIds = new Map();
+    const canonical = await rdfCanonize.canonize(
+      await this.rdfEngine.serializeNQuads(store),
+      {
+        algorithm: "RDFC-1.0",
+        inputFormat: "application/n-quads",
+        format: "application/n-quads",
+        canonicalIdMap: canonicalIds,
+      }
+    );
+    const inputHash = sha256(canonical);
+    const key = `${inputHash}-${rules.hash}`;
+
+    let entry = this.memory.get(key) || (await this._readEntry(key));
+    const cached = Boolean(entry);
+    if (cached) {
+      this.stats.hits++;
+    } else {
+      this.stats.misses++;
+      entry = await this._infer(canonical, rules, inputHash);
+      await this._writeEntry(key, entry);
+    }
+    this._remember(key, entry);
+
+    const originals = new Map(
+      [...canonicalIds].map(([label, canonicalLabel]) => [
+        canonicalLabel,
+        label,
+      ])
+    );
+    const inferred = this._materialize(entry.quads, originals);
+    return {
+      store: new N3.Store([...store, ...inferred]),
+      inferred,
+      provenance: entry.provenance,
+      cached,
+    };
+  }
+
+  _remember(key, entry) {
+    // Map iteration order doubles as recency order
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    if (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async _infer(canonical, rules, inputHash) {
+    const skolemize = (t) =>
+      t.termType === "BlankNode" ? namedNode(SKOLEM + t.value) : t;
+    // Rules see every named graph as one graph
+    const input = new N3.Store(
+      new N3.Parser({ format: "N-Quads", blankNodePrefix: "" })
+        .parse(canonical)
+        .map((q) =>
+          quad(skolemize(q.subject), q.predicate, skolemize(q.object))
+        )
+    );
+
+    const derived = await this.rdfEngine.reason(input, rules.text, {
+      output: "derivations",
+    });
+    const quads = [...derived]
+      .filter(
+        (q) =>
+          q.subject.termType !== "Literal" &&
+          q.predicate.termType === "NamedNode" &&
+          !input.has(q)
+      )
+      .map((q) => [
+        N3.termToId(q.subject),
+        N3.termToId(q.predicate),
+        N3.termToId(q.object),
+      ]);
+
+    this.logger.info(
+      `🧠 Inferred ${quads.length} triples with ${rules.reasoning} reasoning`
+    );
+    return {
+      version: CACHE_VERSION,
+      provenance: {
+        reasoning: rules.reasoning,
+        rules: rules.source,
+        rulesHash: rules.hash,
+        inputHash,
+        graph: INFERRED_GRAPH,
+        generatedAt: new Date().toISOString(),
+        count: quads.length,
+      },
+      quads,
+    };
+  }
+
+  _materialize(ids, originals) {
+    const prefix = `i${loadCounter++}_`;
+    const graph = namedNode(INFERRED_GRAPH);
+    const term = (id) => {
+      if (id.startsWith(SKOLEM)) {
+        return blankNode(originals.get(id.slice(SKOLEM.length)));
+      }
+      // Blank nodes the rules invented
+      if (id.startsWith("_:")) return blankNode(`${prefix}${id.slice(2)}`);
+      return N3.termFromId(id);
+    };
+    return ids.map(([s, p, o]) => quad(term(s), term(p), term(o), graph));
+  }
+
+  async _readEntry(key) {
+    const entry = await this.disk?.read(key);
+    return entry?.version === CACHE_VERSION ? entry : null;
+  }
+
+  async _writeEntry(key, entry) {
+    await this.disk?.write(key, entry);
+  }
+}
+
+/**
+ * Render inferred triples with their provenance as N-Triples
+ * @param {{inferred: import('n3').Quad[], provenance: object|null, cached?: boolean}} result - Result of materialize
+ * @returns {string}
+ */
+export function formatInferred({ inferred, provenance, cached }) {
+  if (!provenance) return "# reasoning: none\n";
+
+  const writer = new N3.Writer({ format: "N-Triples" });
+  const header = [
+    `# reasoning: ${provenance.reasoning}`,
+    `# rules: ${provenance.rules}`,
+    `# rules hash: sha256:${provenance.rulesHash}`,
+    `# input hash: sha256:${provenance.inputHash}`,
+    `# graph: <${provenance.graph}>`,
+    `# generated: ${provenance.generatedAt}${cached ? " (cached)" : ""}`,
+    `# inferred: ${provenance.count} triples`,
+  ];
+  const lines = inferred
+    .map((q) => writer.quadToString(q.subject, q.predicate, q.object).trimEnd())
+    .sort();
+  return [...header, ...lines].join("\n") + "\n";
+}
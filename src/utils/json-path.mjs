@@ -0,0 +1,384 @@
+// src/utils/json-path.mjs
+// JSONPath queries over parsed JSON values
+//
+// Supported syntax:
+//   $                    root
+//   .name  ['name']      child member
+//   [0]  [-1]            array index (negative counts from the end)
+//   .*  [*]              all members or elements
+//   [0,2]  ['a','b']     union
+//   [start:end:step]     array slice
+//   ..name  ..*          recursive descent
+//   [?(@.price < 10)]    filter by comparing a relative path with a literal
+//   [?(@.isbn)]          filter by existence
+
+const COMPARISON_OPERATORS = ["==", "!=", "<=", ">=", "<", ">"];
+
+const parseCache = new Map();
+
+/**
+ * Parse a JSONPath expression into segments
+ * @param {string} path - JSONPath expression starting with `$`
+ * @returns {Array<{descendant: boolean, selectors: Array<object>}>} Segments
+ */
+export function parseJsonPath(path) {
+  if (parseCache.has(path)) {
+    return parseCache.get(path);
+  }
+
+  const fail = (reason, position) => {
+    throw new Error(
+      `Invalid JSONPath "${path}": ${reason} at position ${position}`
+    );
+  };
+
+  if (typeof path !== "string" || !path.startsWith("$")) {
+    throw new Error(`Invalid JSONPath "${path}": must start with $`);
+  }
+
+  const segments = [];
+  let i = 1;
+
+  const readName = () => {
+    const match = path.slice(i).match(/^[A-Za-z_$][\w$-]*/);
+    if (!match) fail("expected a member name", i);
+    i += match[0].length;
+    return match[0];
+  };
+
+  while (i < path.length) {
+    let descendant = false;
+
+    if (path.startsWith("..", i)) {
+      descendant = true;
+      i += 2;
+    } else if (path[i] === ".") {
+      i += 1;
+    } else if (path[i] !== "[") {
+      fail(`unexpected '${path[i]}'`, i);
+    }
+
+    if (path[i] === "[") {
+      const end = findBracketEnd(path, i, fail);
+      segments.push({
+        descendant,
+        selectors: parseBracket(path.slice(i + 1, end), i + 1, fail),
+      });
+      i = end + 1;
+    } else if (path[i] === "*") {
+      segments.push({ descendant, selectors: [{ type: "wildcard" }] });
+      i += 1;
+    } else {
+      segments.push({
+        descendant,
+        selectors: [{ type: "name", name: readName() }],
+      });
+    }
+  }
+
+  parseCache.set(path, segments);
+  return segments;
+}
+
+/**
+ * Find the closing bracket, skipping quoted strings and nested brackets
+ * @private
+ */
+function findBracketEnd(path, start, fail) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < path.length; i++) {
+    const char = path[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "[") {
+      depth++;
+    } else if (char === "]" && --depth === 0) {
+      return i;
+    }
+  }
+  return fail("unclosed '['", start);
+}
+
+/**
+ * Split bracket contents on top-level commas
+ * @private
+ */
+function splitUnion(content) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+  let depth = 0;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === "\\") {
+        current += char + content[++i];
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parse a quoted string literal
+ * @private
+ */
+function parseQuoted(text) {
+  const quote = text[0];
+  return text
+    .slice(1, -1)
+    .replace(new RegExp(`\\\\([\\\\${quote}])`, "g"), "$1");
+}
+
+/**
+ * Parse the selectors inside `[...]`
+ * @private
+ */
+function parseBracket(content, offset, fail) {
+  const trimmed = content.trim();
+
+  if (trimmed.startsWith("?")) {
+    const match = trimmed.match(/^\?\((.*)\)$/s);
+    if (!match) fail("filter must look like ?(...)", offset);
+    return [parseFilter(match[1].trim(), offset, fail)];
+  }
+
+  return splitUnion(trimmed).map((part) => {
+    if (part === "*") {
+      return { type: "wildcard" };
+    }
+    if (/^(['"]).*\1$/s.test(part)) {
+      return { type: "name", name: parseQuoted(part) };
+    }
+    if (/^-?\d+$/.test(part)) {
+      return { type: "index", index: Number(part) };
+    }
+    const slice = part.match(/^(-?\d*)\s*:\s*(-?\d*)(?:\s*:\s*(-?\d*))?$/);
+    if (slice) {
+      const number = (value) =>
+        value === "" || value === undefined ? undefined : Number(value);
+      const step = number(slice[3]) ?? 1;
+      if (step === 0) fail("slice step cannot be 0", offset);
+      return {
+        type: "slice",
+        start: number(slice[1]),
+        end: number(slice[2]),
+        step,
+      };
+    }
+    return fail(`invalid selector '${part}'`, offset);
+  });
+}
+
+/**
+ * Parse a filter expression: `@.path`, or `@.path OP literal`
+ * @private
+ */
+function parseFilter(expression, offset, fail) {
+  const operator = COMPARISON_OPERATORS.find((op) => {
+    const index = expression.indexOf(op);
+    return index > 0 && !/['"]/.test(expression.slice(0, index));
+  });
+
+  const [left, right] = operator
+    ? [
+        expression.slice(0, expression.indexOf(operator)).trim(),
+        expression.slice(expression.indexOf(operator) + operator.length).trim(),
+      ]
+    : [expression, undefined];
+
+  if (!left.startsWith("@")) {
+    fail("filter must start with @", offset);
+  }
+  const filter = { type: "filter", path: "$" + left.slice(1) };
+  // Validate the relative path eagerly so errors point at the whole expression
+  parseJsonPath(filter.path);
+
+  if (operator) {
+    filter.operator = operator;
+    filter.value = parseLiteral(right, offset, fail);
+  }
+  return filter;
+}
+
+/**
+ * Parse a filter comparison literal
+ * @private
+ */
+function parseLiteral(text, offset, fail) {
+  if (/^(['"]).*\1$/s.test(text)) return parseQuoted(text);
+  if (text === "true") return true;
+  if (text === "false") return false;
+  if (text === "null") return null;
+  if (text !== "" && Number.isFinite(Number(text))) return Number(text);
+  return fail(`invalid literal '${text}'`, offset);
+}
+
+/**
+ * Compare two values with a filter operator
+ * @private
+ */
+function compare(left, operator, right) {
+  switch (operator) {
+    case "==":
+      return left === right;
+    case "!=":
+      return left !== right;
+    case "<":
+      return typeof left === typeof right && left < right;
+    case "<=":
+      return typeof left === typeof right && left <= right;
+    case ">":
+      return typeof left === typeof right && left > right;
+    case ">=":
+      return typeof left === typeof right && left >= right;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Direct children of a value
+ * @private
+ */
+function children(value) {
+  if (Array.isArray(value)) return value;
+  if (value !== null && typeof value === "object") return Object.values(value);
+  return [];
+}
+
+/**
+ * Apply one selector to one value
+ * @private
+ */
+function select(value, selector) {
+  switch (selector.type) {
+    case "wildcard":
+      return children(value);
+
+    case "name":
+      return value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value) &&
+        Object.hasOwn(value, selector.name)
+        ? [value[selector.name]]
+        : [];
+
+    case "index": {
+      if (!Array.isArray(value)) return [];
+      const index =
+        selector.index < 0 ? value.length + selector.index : selector.index;
+      return index >= 0 && index < value.length ? [value[index]] : [];
+    }
+
+    case "slice": {
+      if (!Array.isArray(value)) return [];
+      const { length } = value;
+      const { step } = selector;
+      const normalize = (bound, fallback) => {
+        if (bound === undefined) return fallback;
+        return bound < 0
+          ? Math.max(length + bound, step > 0 ? 0 : -1)
+          : Math.min(bound, step > 0 ? length : length - 1);
+      };
+      const start = normalize(selector.start, step > 0 ? 0 : length - 1);
+      const end = normalize(selector.end, step > 0 ? length : -1);
+      const result = [];
+      for (let i = start; step > 0 ? i < end : i > end; i += step) {
+        result.push(value[i]);
+      }
+      return result;
+    }
+
+    case "filter":
+      return children(value).filter((child) => {
+        const matches = queryJsonPath(child, selector.path);
+        if (!("operator" in selector)) {
+          return matches.length > 0;
+        }
+        return (
+          matches.length > 0 &&
+          compare(matches[0], selector.operator, selector.value)
+        );
+      });
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * A value and all of its descendants, depth first
+ * @private
+ */
+function descendants(value) {
+  const result = [value];
+  for (const child of children(value)) {
+    result.push(...descendants(child));
+  }
+  return result;
+}
+
+/**
+ * Evaluate a JSONPath expression
+ * @param {any} value - Parsed JSON value
+ * @param {string} path - JSONPath expression
+ * @returns {Array<any>} Matching values in document order
+ */
+export function queryJsonPath(value, path) {
+  let nodes = [value];
+
+  for (const segment of parseJsonPath(path)) {
+    const candidates = segment.descendant ? nodes.flatMap(descendants) : nodes;
+    nodes = candidates.flatMap((node) =>
+      segment.selectors.flatMap((selector) => select(node, selector))
+    );
+  }
+
+  return nodes;
+}
+
+/**
+ * Whether a path can match at most one value (no wildcards, unions,
+ * slices, filters or recursive descent)
+ * @param {string} path - JSONPath expression
+ * @returns {boolean} True for single-value paths
+ */
+export function isDefiniteJsonPath(path) {
+  return parseJsonPath(path).every(
+    (segment) =>
+      !segment.descendant &&
+      segment.selectors.length === 1 &&
+      ["name", "index"].includes(segment.selectors[0].type)
+  );
+}
+
+/**
+ * Evaluate a JSONPath expression the way step outputs use it: the single
+ * match (or undefined) for definite paths, the list of matches otherwise
+ * @param {any} value - Parsed JSON value
+ * @param {string} path - JSONPath expression
+ * @returns {any} Extracted value
+ */
+export function extractJsonPath(value, path) {
+  const matches = queryJsonPath(value, path);
+  return isDefiniteJsonPath(path) ? matches[0] : matches;
+}
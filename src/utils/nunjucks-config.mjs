@@ -129,6 +129,12 @@ function addBuiltInFilters(env) {
   // Utility filters
   env.addFilter("default", (v, defaultValue) => v != null ? v : defaultValue);
   env.addFilter("round", (v, precision = 0) => Number(Number(v).toFixed(precision)));
+
+  // Quote a value as a single POSIX shell word
+  env.addFilter("shellquote", (v) => {
+    const s = v == null ? "" : String(v);
+    return /^[\w@%+=:,./-]+$/.test(s) ? s : `'${s.replace(/'/g, "'\\''")}'`;
+  });
 }
 
 /**
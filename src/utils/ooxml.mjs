@@ -0,0 +1,993 @@
+// src/utils/ooxml.mjs
+// Office Open XML (docx, xlsx, pptx) package builders
+// Produces zipped packages that open in Microsoft Office and LibreOffice
+
+import { createZip } from "./zip.mjs";
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const NS = {
+  contentTypes: "http://schemas.openxmlformats.org/package/2006/content-types",
+  packageRels: "http://schemas.openxmlformats.org/package/2006/relationships",
+  officeRels:
+    "http://schemas.openxmlformats.org/officeDocument/2006/relationships",
+  word: "http://schemas.openxmlformats.org/wordprocessingml/2006/main",
+  sheet: "http://schemas.openxmlformats.org/spreadsheetml/2006/main",
+  presentation: "http://schemas.openxmlformats.org/presentationml/2006/main",
+  drawing: "http://schemas.openxmlformats.org/drawingml/2006/main",
+};
+
+const REL = {
+  officeDocument: `${NS.officeRels}/officeDocument`,
+  coreProperties:
+    "http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties",
+  extendedProperties: `${NS.officeRels}/extended-properties`,
+  styles: `${NS.officeRels}/styles`,
+  numbering: `${NS.officeRels}/numbering`,
+  worksheet: `${NS.officeRels}/worksheet`,
+  slide: `${NS.officeRels}/slide`,
+  slideLayout: `${NS.officeRels}/slideLayout`,
+  slideMaster: `${NS.officeRels}/slideMaster`,
+  theme: `${NS.officeRels}/theme`,
+};
+
+const CONTENT_TYPE = {
+  rels: "application/vnd.openxmlformats-package.relationships+xml",
+  core: "application/vnd.openxmlformats-package.core-properties+xml",
+  app: "application/vnd.openxmlformats-officedocument.extended-properties+xml",
+  document:
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml",
+  wordStyles:
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml",
+  numbering:
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml",
+  workbook:
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml",
+  worksheet:
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml",
+  sheetStyles:
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml",
+  presentation:
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml",
+  slide:
+    "application/vnd.openxmlformats-officedocument.presentationml.slide+xml",
+  slideLayout:
+    "application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml",
+  slideMaster:
+    "application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml",
+  theme: "application/vnd.openxmlformats-officedocument.theme+xml",
+};
+
+const NUMERIC_DATATYPES = new Set(
+  [
+    "integer",
+    "decimal",
+    "double",
+    "float",
+    "int",
+    "long",
+    "short",
+    "nonNegativeInteger",
+    "positiveInteger",
+  ].map((type) => `http://www.w3.org/2001/XMLSchema#${type}`)
+);
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 cannot represent
+ * @param {any} value - Text value
+ * @returns {string} Escaped text
+ */
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Parse Markdown into document blocks
+ *
+ * Supports headings, paragraphs, bullet and numbered lists, pipe tables and
+ * fenced code blocks. Inline text keeps `**bold**`, `*italic*` and `code`
+ * markers as runs.
+ *
+ * @param {string} markdown - Markdown source
+ * @returns {Array<object>} Blocks of type heading, paragraph, list, table or code
+ */
+export function markdownToBlocks(markdown) {
+  let content = String(markdown || "");
+  if (content.startsWith("---")) {
+    const endIndex = content.indexOf("\n---", 3);
+    if (endIndex !== -1) {
+      content = content.substring(endIndex + 4);
+    }
+  }
+
+  const lines = content.split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({
+        type: "paragraph",
+        runs: parseInline(paragraph.join(" ")),
+      });
+      paragraph = [];
+    }
+  };
+  const isTableRow = (line) => /^\s*\|.*\|\s*$/.test(line || "");
+  const isTableSeparator = (line) =>
+    /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line || "");
+  const splitRow = (line) =>
+    line
+      .trim()
+      .replace(/^\||\|$/g, "")
+      .split("|")
+      .map((cell) => parseInline(cell.trim()));
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.trim() === "") {
+      flushParagraph();
+      continue;
+    }
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      const code = [];
+      while (++i < lines.length && !/^\s*```/.test(lines[i])) {
+        code.push(lines[i]);
+      }
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flushParagraph();
+      blocks.push({
+        type: "heading",
+        level: heading[1].length,
+        runs: parseInline(heading[2]),
+      });
+      continue;
+    }
+
+    if (isTableRow(line) && isTableSeparator(lines[i + 1])) {
+      flushParagraph();
+      const header = splitRow(line);
+      const rows = [];
+      i++;
+      while (isTableRow(lines[i + 1])) {
+        rows.push(splitRow(lines[++i]));
+      }
+      blocks.push({ type: "table", header, rows });
+      continue;
+    }
+
+    const listItem = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+    if (listItem) {
+      flushParagraph();
+      const ordered = !listItem[1];
+      const items = [parseInline(listItem[3])];
+      while (i + 1 < lines.length) {
+        const next = lines[i + 1].match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/);
+        if (!next || !next[1] !== ordered) break;
+        items.push(parseInline(next[3]));
+        i++;
+      }
+      blocks.push({ type: "list", ordered, items });
+      continue;
+    }
+
+    paragraph.push(line.trim());
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Split inline Markdown into formatted runs
+ * @param {string} text - Inline Markdown
+ * @returns {Array<{text: string, bold?: boolean, italic?: boolean, code?: boolean}>} Runs
+ */
+export function parseInline(text) {
+  const runs = [];
+  const source = String(text).replace(/!?\[([^\]]*)\]\([^)]*\)/g, "$1");
+  const pattern =
+    /(\*\*\*[^*]+\*\*\*|\*\*[^*]+\*\*|__[^_]+__|\*[^*]+\*|_[^_]+_|`[^`]+`)/g;
+
+  let last = 0;
+  for (const match of source.matchAll(pattern)) {
+    if (match.index > last) {
+      runs.push({ text: source.slice(last, match.index) });
+    }
+    const token = match[0];
+    if (token.startsWith("***")) {
+      runs.push({ text: token.slice(3, -3), bold: true, italic: true });
+    } else if (token.startsWith("**") || token.startsWith("__")) {
+      runs.push({ text: token.slice(2, -2), bold: true });
+    } else if (token.startsWith("`")) {
+      runs.push({ text: token.slice(1, -1), code: true });
+    } else {
+      runs.push({ text: token.slice(1, -1), italic: true });
+    }
+    last = match.index + token.length;
+  }
+  if (last < source.length) {
+    runs.push({ text: source.slice(last) });
+  }
+
+  return runs;
+}
+
+/**
+ * Plain text of inline runs
+ * @param {Array<object>} runs - Inline runs
+ * @returns {string} Text
+ */
+export function runsToText(runs) {
+  return runs.map((run) => run.text).join("");
+}
+
+// ---------------------------------------------------------------------------
+// Shared package parts
+// ---------------------------------------------------------------------------
+
+const contentTypesXml = (defaults, overrides) =>
+  `${XML_HEADER}<Types xmlns="${NS.contentTypes}">` +
+  `<Default Extension="rels" ContentType="${CONTENT_TYPE.rels}"/>` +
+  `<Default Extension="xml" ContentType="application/xml"/>` +
+  defaults
+    .map(
+      ([extension, type]) =>
+        `<Default Extension="${extension}" ContentType="${type}"/>`
+    )
+    .join("") +
+  overrides
+    .map(
+      ([partName, type]) =>
+        `<Override PartName="${partName}" ContentType="${type}"/>`
+    )
+    .join("") +
+  `<Override PartName="/docProps/core.xml" ContentType="${CONTENT_TYPE.core}"/>` +
+  `<Override PartName="/docProps/app.xml" ContentType="${CONTENT_TYPE.app}"/>` +
+  "</Types>";
+
+const relationshipsXml = (relationships) =>
+  `${XML_HEADER}<Relationships xmlns="${NS.packageRels}">` +
+  relationships
+    .map(
+      ([id, type, target]) =>
+        `<Relationship Id="${id}" Type="${type}" Target="${escapeXml(
+          target
+        )}"/>`
+    )
+    .join("") +
+  "</Relationships>";
+
+const rootRelationshipsXml = (mainPart) =>
+  relationshipsXml([
+    ["rId1", REL.officeDocument, mainPart],
+    ["rId2", REL.coreProperties, "docProps/core.xml"],
+    ["rId3", REL.extendedProperties, "docProps/app.xml"],
+  ]);
+
+const corePropertiesXml = (title) => {
+  const now = new Date().toISOString().replace(/\.\d{3}Z$/, "Z");
+  return (
+    `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+    'xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+    (title ? `<dc:title>${escapeXml(title)}</dc:title>` : "") +
+    "<dc:creator>GitVan</dc:creator>" +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>` +
+    `<dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>` +
+    "</cp:coreProperties>"
+  );
+};
+
+const appPropertiesXml = () =>
+  `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">` +
+  "<Application>GitVan</Application></Properties>";
+
+// ---------------------------------------------------------------------------
+// Word
+// ---------------------------------------------------------------------------
+
+const wordRun = (run) => {
+  const properties =
+    (run.code
+      ? '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>'
+      : "") +
+    (run.bold ? "<w:b/>" : "") +
+    (run.italic ? "<w:i/>" : "");
+  return (
+    "<w:r>" +
+    (properties ? `<w:rPr>${properties}</w:rPr>` : "") +
+    `<w:t xml:space="preserve">${escapeXml(run.text)}</w:t></w:r>`
+  );
+};
+
+const wordParagraph = (runs, properties = "") =>
+  `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ""}${runs
+    .map(wordRun)
+    .join("")}</w:p>`;
+
+const wordTable = (header, rows) => {
+  const columns = Math.max(header.length, ...rows.map((row) => row.length));
+  const cell = (runs, bold) =>
+    `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${wordParagraph(
+      bold ? runs.map((run) => ({ ...run, bold: true })) : runs
+    )}</w:tc>`;
+  const row = (cells, bold) => {
+    const padded = [...cells];
+    while (padded.length < columns) padded.push([]);
+    return `<w:tr>${bold ? "<w:trPr><w:tblHeader/></w:trPr>" : ""}${padded
+      .map((runs) => cell(runs, bold))
+      .join("")}</w:tr>`;
+  };
+
+  return (
+    '<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>' +
+    `<w:tblGrid>${'<w:gridCol w:w="2000"/>'.repeat(columns)}</w:tblGrid>` +
+    row(header, true) +
+    rows.map((cells) => row(cells, false)).join("") +
+    "</w:tbl>"
+  );
+};
+
+/**
+ * Build a Word document package
+ * @param {Array<object>} blocks - Blocks from markdownToBlocks
+ * @param {object} [options]
+ * @param {string} [options.title] - Document title property
+ * @returns {Buffer} docx package
+ */
+export function createDocx(blocks, options = {}) {
+  const lists = [];
+  const body = [];
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case "heading":
+        body.push(
+          wordParagraph(
+            block.runs,
+            `<w:pStyle w:val="Heading${Math.min(block.level, 6)}"/>`
+          )
+        );
+        break;
+      case "list": {
+        lists.push(block.ordered);
+        const numId = lists.length;
+        for (const item of block.items) {
+          body.push(
+            wordParagraph(
+              item,
+              `<w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="${numId}"/></w:numPr>`
+            )
+          );
+        }
+        break;
+      }
+      case "table":
+        body.push(wordTable(block.header, block.rows));
+        // Word requires a paragraph between consecutive tables
+        body.push("<w:p/>");
+        break;
+      case "code":
+        for (const line of block.text.split("\n")) {
+          body.push(
+            wordParagraph([{ text: line }], '<w:pStyle w:val="Code"/>')
+          );
+        }
+        break;
+      default:
+        body.push(wordParagraph(block.runs));
+    }
+  }
+
+  const document =
+    `${XML_HEADER}<w:document xmlns:w="${NS.word}" xmlns:r="${NS.officeRels}"><w:body>` +
+    body.join("") +
+    '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>' +
+    '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/>' +
+    "</w:sectPr></w:body></w:document>";
+
+  const headingSizes = [40, 32, 28, 26, 24, 22];
+  const styles =
+    `${XML_HEADER}<w:styles xmlns:w="${NS.word}">` +
+    '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>' +
+    '<w:sz w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="120"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+    '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+    headingSizes
+      .map(
+        (size, index) =>
+          `<w:style w:type="paragraph" w:styleId="Heading${index + 1}"><w:name w:val="heading ${
+            index + 1
+          }"/>` +
+          '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>' +
+          `<w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${index}"/></w:pPr>` +
+          `<w:rPr><w:b/><w:color w:val="003366"/><w:sz w:val="${size}"/></w:rPr></w:style>`
+      )
+      .join("") +
+    '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:ind w:left="720"/></w:pPr></w:style>' +
+    '<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/>' +
+    '<w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/>' +
+    '<w:sz w:val="20"/></w:rPr></w:style>' +
+    '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/><w:tblPr><w:tblBorders>' +
+    ["top", "left", "bottom", "right", "insideH", "insideV"]
+      .map(
+        (side) =>
+          `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="999999"/>`
+      )
+      .join("") +
+    '</w:tblBorders><w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+    "</w:styles>";
+
+  const level = (ordered) =>
+    '<w:lvl w:ilvl="0"><w:start w:val="1"/>' +
+    (ordered
+      ? '<w:numFmt w:val="decimal"/><w:lvlText w:val="%1."/>'
+      : '<w:numFmt w:val="bullet"/><w:lvlText w:val="•"/>') +
+    '<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl>';
+  const numbering =
+    `${XML_HEADER}<w:numbering xmlns:w="${NS.word}">` +
+    `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>${level(
+      false
+    )}</w:abstractNum>` +
+    `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="singleLevel"/>${level(
+      true
+    )}</w:abstractNum>` +
+    // One numbering instance per list so numbered lists restart at 1
+    lists
+      .map(
+        (ordered, index) =>
+          `<w:num w:numId="${index + 1}"><w:abstractNumId w:val="${
+            ordered ? 1 : 0
+          }"/><w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride></w:num>`
+      )
+      .join("") +
+    "</w:numbering>";
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: contentTypesXml(
+        [],
+        [
+          ["/word/document.xml", CONTENT_TYPE.document],
+          ["/word/styles.xml", CONTENT_TYPE.wordStyles],
+          ["/word/numbering.xml", CONTENT_TYPE.numbering],
+        ]
+      ),
+    },
+    { name: "_rels/.rels", data: rootRelationshipsXml("word/document.xml") },
+    { name: "docProps/core.xml", data: corePropertiesXml(options.title) },
+    { name: "docProps/app.xml", data: appPropertiesXml() },
+    { name: "word/document.xml", data: document },
+    { name: "word/styles.xml", data: styles },
+    { name: "word/numbering.xml", data: numbering },
+    {
+      name: "word/_rels/document.xml.rels",
+      data: relationshipsXml([
+        ["rId1", REL.styles, "styles.xml"],
+        ["rId2", REL.numbering, "numbering.xml"],
+      ]),
+    },
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// Excel
+// ---------------------------------------------------------------------------
+
+/**
+ * Spreadsheet column letter for a zero-based index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+export function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Convert a row value (plain value or RDF term) to a typed cell value
+ * @private
+ */
+const cellValue = (value) => {
+  if (value && typeof value === "object" && "termType" in value) {
+    if (
+      value.termType === "Literal" &&
+      NUMERIC_DATATYPES.has(value.datatype?.value ?? value.datatype) &&
+      Number.isFinite(Number(value.value))
+    ) {
+      return Number(value.value);
+    }
+    return value.value;
+  }
+  if (value && typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+const sheetCell = (reference, value, style) => {
+  const styleAttribute = style ? ` s="${style}"` : "";
+  if (value === null || value === undefined || value === "") {
+    return `<c r="${reference}"${styleAttribute}/>`;
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${reference}"${styleAttribute} t="b"><v>${
+      value ? 1 : 0
+    }</v></c>`;
+  }
+  return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`;
+};
+
+/**
+ * Make sheet names valid and unique (max 31 characters, no []:*?/\)
+ * @private
+ */
+const sheetNames = (sheets) => {
+  const used = new Set();
+  return sheets.map((sheet, index) => {
+    const base =
+      String(sheet.name || `Sheet${index + 1}`)
+        .replace(/[[\]:*?/\\]/g, " ")
+        .replace(/^'|'$/g, "")
+        .trim()
+        .slice(0, 31) || `Sheet${index + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      name = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+};
+
+/**
+ * Build an Excel workbook package
+ *
+ * Each sheet is a list of row objects; the union of their keys becomes the
+ * bold header row. RDF terms (e.g. SPARQL result bindings) are written by
+ * value, with numeric literals as numbers.
+ *
+ * @param {Array<{name: string, rows: Array<object>, columns?: Array<string>}>} sheets - Sheets
+ * @param {object} [options]
+ * @param {string} [options.title] - Workbook title property
+ * @returns {Buffer} xlsx package
+ */
+export function createXlsx(sheets, options = {}) {
+  const workbookSheets =
+    sheets.length > 0 ? sheets : [{ name: "Sheet1", rows: [] }];
+  const names = sheetNames(workbookSheets);
+
+  const worksheets = workbookSheets.map((sheet) => {
+    const columns = sheet.columns || [
+      ...new Set(sheet.rows.flatMap((row) => Object.keys(row))),
+    ];
+    const rows = [
+      `<row r="1">${columns
+        .map((column, index) => sheetCell(`${columnName(index)}1`, column, 1))
+        .join("")}</row>`,
+      ...sheet.rows.map(
+        (row, rowIndex) =>
+          `<row r="${rowIndex + 2}">${columns
+            .map((column, index) =>
+              sheetCell(
+                `${columnName(index)}${rowIndex + 2}`,
+                cellValue(row[column])
+              )
+            )
+            .join("")}</row>`
+      ),
+    ];
+    const widths = columns.length
+      ? `<cols>${columns
+          .map(
+            (_, index) =>
+              `<col min="${index + 1}" max="${index + 1}" width="20" customWidth="1"/>`
+          )
+          .join("")}</cols>`
+      : "";
+
+    return (
+      `${XML_HEADER}<worksheet xmlns="${NS.sheet}" xmlns:r="${NS.officeRels}">` +
+      (columns.length
+        ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        : "") +
+      widths +
+      `<sheetData>${rows.join("")}</sheetData></worksheet>`
+    );
+  });
+
+  const workbook =
+    `${XML_HEADER}<workbook xmlns="${NS.sheet}" xmlns:r="${NS.officeRels}"><sheets>` +
+    names
+      .map(
+        (name, index) =>
+          `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${
+            index + 1
+          }"/>`
+      )
+      .join("") +
+    "</sheets></workbook>";
+
+  const styles =
+    `${XML_HEADER}<styleSheet xmlns="${NS.sheet}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill>' +
+    '<fill><patternFill patternType="solid"><fgColor rgb="FFDDE6F0"/><bgColor indexed="64"/></patternFill></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/></cellXfs>' +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    "</styleSheet>";
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: contentTypesXml(
+        [],
+        [
+          ["/xl/workbook.xml", CONTENT_TYPE.workbook],
+          ["/xl/styles.xml", CONTENT_TYPE.sheetStyles],
+          ...worksheets.map((_, index) => [
+            `/xl/worksheets/sheet${index + 1}.xml`,
+            CONTENT_TYPE.worksheet,
+          ]),
+        ]
+      ),
+    },
+    { name: "_rels/.rels", data: rootRelationshipsXml("xl/workbook.xml") },
+    { name: "docProps/core.xml", data: corePropertiesXml(options.title) },
+    { name: "docProps/app.xml", data: appPropertiesXml() },
+    { name: "xl/workbook.xml", data: workbook },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: relationshipsXml([
+        ...worksheets.map((_, index) => [
+          `rId${index + 1}`,
+          REL.worksheet,
+          `worksheets/sheet${index + 1}.xml`,
+        ]),
+        [`rId${worksheets.length + 1}`, REL.styles, "styles.xml"],
+      ]),
+    },
+    { name: "xl/styles.xml", data: styles },
+    ...worksheets.map((data, index) => ({
+      name: `xl/worksheets/sheet${index + 1}.xml`,
+      data,
+    })),
+  ]);
+}
+
+// ---------------------------------------------------------------------------
+// PowerPoint
+// ---------------------------------------------------------------------------
+
+const SLIDE_WIDTH = 12192000;
+const SLIDE_HEIGHT = 6858000;
+const MARGIN = 457200;
+
+/**
+ * Group blocks into slides: every level 1 or 2 heading starts a new slide
+ * @param {Array<object>} blocks - Blocks from markdownToBlocks
+ * @param {object} [options]
+ * @param {string} [options.title] - Title for content before the first heading
+ * @returns {Array<{title: string, blocks: Array<object>}>} Slides
+ */
+export function blocksToSlides(blocks, options = {}) {
+  const slides = [];
+  let current = null;
+
+  for (const block of blocks) {
+    if (block.type === "heading" && block.level <= 2) {
+      current = { title: runsToText(block.runs), blocks: [] };
+      slides.push(current);
+      continue;
+    }
+    if (!current) {
+      current = { title: options.title || "", blocks: [] };
+      slides.push(current);
+    }
+    current.blocks.push(block);
+  }
+
+  if (slides.length === 0) {
+    slides.push({ title: options.title || "", blocks: [] });
+  }
+  return slides;
+}
+
+const drawingRun = (run, size) =>
+  `<a:r><a:rPr lang="en-US" sz="${size}"${run.bold ? ' b="1"' : ""}${
+    run.italic ? ' i="1"' : ""
+  } dirty="0">${
+    run.code ? '<a:latin typeface="Courier New"/>' : ""
+  }</a:rPr><a:t>${escapeXml(run.text)}</a:t></a:r>`;
+
+const drawingParagraph = (runs, size, bullet) =>
+  "<a:p>" +
+  (bullet === "bullet"
+    ? '<a:pPr marL="342900" indent="-342900"><a:buFont typeface="Arial"/><a:buChar char="•"/></a:pPr>'
+    : bullet === "number"
+      ? '<a:pPr marL="342900" indent="-342900"><a:buAutoNum type="arabicPeriod"/></a:pPr>'
+      : "<a:pPr><a:buNone/></a:pPr>") +
+  runs.map((run) => drawingRun(run, size)).join("") +
+  `<a:endParaRPr lang="en-US" sz="${size}" dirty="0"/></a:p>`;
+
+const textShape = (id, name, box, paragraphs) =>
+  `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${escapeXml(
+    name
+  )}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+  `<p:spPr><a:xfrm><a:off x="${box.x}" y="${box.y}"/><a:ext cx="${box.cx}" cy="${box.cy}"/></a:xfrm>` +
+  '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>' +
+  '<p:txBody><a:bodyPr wrap="square" rtlCol="0"><a:normAutofit/></a:bodyPr><a:lstStyle/>' +
+  (paragraphs.length ? paragraphs.join("") : "<a:p/>") +
+  "</p:txBody></p:sp>";
+
+const tableFrame = (id, box, header, rows) => {
+  const columns = Math.max(header.length, ...rows.map((row) => row.length));
+  const columnWidth = Math.floor(box.cx / Math.max(columns, 1));
+  const cell = (runs, bold) =>
+    `<a:tc><a:txBody><a:bodyPr/><a:lstStyle/>${drawingParagraph(
+      bold ? runs.map((run) => ({ ...run, bold: true })) : runs,
+      1400
+    )}</a:txBody><a:tcPr>` +
+    ["lnL", "lnR", "lnT", "lnB"]
+      .map(
+        (line) =>
+          `<a:${line} w="12700"><a:solidFill><a:srgbClr val="999999"/></a:solidFill></a:${line}>`
+      )
+      .join("") +
+    (bold ? '<a:solidFill><a:srgbClr val="DDE6F0"/></a:solidFill>' : "") +
+    "</a:tcPr></a:tc>";
+  const row = (cells, bold) => {
+    const padded = [...cells];
+    while (padded.length < columns) padded.push([]);
+    return `<a:tr h="370840">${padded
+      .map((runs) => cell(runs, bold))
+      .join("")}</a:tr>`;
+  };
+
+  return (
+    `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="${id}" name="Table ${id}"/>` +
+    '<p:cNvGraphicFramePr><a:graphicFrameLocks noGrp="1"/></p:cNvGraphicFramePr><p:nvPr/></p:nvGraphicFramePr>' +
+    `<p:xfrm><a:off x="${box.x}" y="${box.y}"/><a:ext cx="${box.cx}" cy="${box.cy}"/></p:xfrm>` +
+    '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/table">' +
+    `<a:tbl><a:tblPr firstRow="1"/><a:tblGrid>${`<a:gridCol w="${columnWidth}"/>`.repeat(
+      columns
+    )}</a:tblGrid>` +
+    row(header, true) +
+    rows.map((cells) => row(cells, false)).join("") +
+    "</a:tbl></a:graphicData></a:graphic></p:graphicFrame>"
+  );
+};
+
+const slideXml = (slide) => {
+  const paragraphs = [];
+  const tables = [];
+  for (const block of slide.blocks) {
+    if (block.type === "list") {
+      for (const item of block.items) {
+        paragraphs.push(
+          drawingParagraph(item, 2000, block.ordered ? "number" : "bullet")
+        );
+      }
+    } else if (block.type === "table") {
+      tables.push(block);
+    } else if (block.type === "code") {
+      for (const line of block.text.split("\n")) {
+        paragraphs.push(drawingParagraph([{ text: line, code: true }], 1600));
+      }
+    } else {
+      paragraphs.push(drawingParagraph(block.runs, 2000));
+    }
+  }
+
+  const width = SLIDE_WIDTH - 2 * MARGIN;
+  const titleBox = { x: MARGIN, y: MARGIN, cx: width, cy: 1143000 };
+  const contentTop = MARGIN + titleBox.cy + 228600;
+  const contentHeight = SLIDE_HEIGHT - contentTop - MARGIN;
+  const shapes = [
+    textShape(2, "Title", titleBox, [
+      drawingParagraph([{ text: slide.title, bold: true }], 3600),
+    ]),
+  ];
+
+  let nextId = 3;
+  let top = contentTop;
+  if (paragraphs.length > 0) {
+    const height = tables.length
+      ? Math.floor(contentHeight / 2)
+      : contentHeight;
+    shapes.push(
+      textShape(
+        nextId++,
+        "Content",
+        { x: MARGIN, y: top, cx: width, cy: height },
+        paragraphs
+      )
+    );
+    top += height;
+  }
+  const tableHeight = Math.floor(
+    (SLIDE_HEIGHT - MARGIN - top) / Math.max(tables.length, 1)
+  );
+  for (const table of tables) {
+    shapes.push(
+      tableFrame(
+        nextId++,
+        { x: MARGIN, y: top, cx: width, cy: tableHeight },
+        table.header,
+        table.rows
+      )
+    );
+    top += tableHeight;
+  }
+
+  return (
+    `${XML_HEADER}<p:sld xmlns:a="${NS.drawing}" xmlns:r="${NS.officeRels}" xmlns:p="${NS.presentation}">` +
+    '<p:cSld><p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+    '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>' +
+    shapes.join("") +
+    "</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>"
+  );
+};
+
+const EMPTY_SHAPE_TREE =
+  '<p:spTree><p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+  '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr></p:spTree>';
+
+const themeXml = () => {
+  const colors = [
+    ["dk1", '<a:sysClr val="windowText" lastClr="000000"/>'],
+    ["lt1", '<a:sysClr val="window" lastClr="FFFFFF"/>'],
+    ["dk2", '<a:srgbClr val="003366"/>'],
+    ["lt2", '<a:srgbClr val="E7E6E6"/>'],
+    ["accent1", '<a:srgbClr val="0066CC"/>'],
+    ["accent2", '<a:srgbClr val="ED7D31"/>'],
+    ["accent3", '<a:srgbClr val="A5A5A5"/>'],
+    ["accent4", '<a:srgbClr val="FFC000"/>'],
+    ["accent5", '<a:srgbClr val="5B9BD5"/>'],
+    ["accent6", '<a:srgbClr val="70AD47"/>'],
+    ["hlink", '<a:srgbClr val="0563C1"/>'],
+    ["folHlink", '<a:srgbClr val="954F72"/>'],
+  ];
+  const fill = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+  const line = (width) =>
+    `<a:ln w="${width}"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>`;
+
+  return (
+    `${XML_HEADER}<a:theme xmlns:a="${NS.drawing}" name="GitVan">` +
+    '<a:themeElements><a:clrScheme name="GitVan">' +
+    colors.map(([name, value]) => `<a:${name}>${value}</a:${name}>`).join("") +
+    '</a:clrScheme><a:fontScheme name="GitVan">' +
+    '<a:majorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont>' +
+    '<a:minorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont>' +
+    '</a:fontScheme><a:fmtScheme name="GitVan">' +
+    `<a:fillStyleLst>${fill.repeat(3)}</a:fillStyleLst>` +
+    `<a:lnStyleLst>${line(6350)}${line(12700)}${line(19050)}</a:lnStyleLst>` +
+    `<a:effectStyleLst>${"<a:effectStyle><a:effectLst/></a:effectStyle>".repeat(
+      3
+    )}</a:effectStyleLst>` +
+    `<a:bgFillStyleLst>${fill.repeat(3)}</a:bgFillStyleLst>` +
+    "</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>"
+  );
+};
+
+/**
+ * Build a PowerPoint presentation package with one slide per entry
+ * @param {Array<{title: string, blocks: Array<object>}>} slides - Slides from blocksToSlides
+ * @param {object} [options]
+ * @param {string} [options.title] - Presentation title property
+ * @returns {Buffer} pptx package
+ */
+export function createPptx(slides, options = {}) {
+  const presentation =
+    `${XML_HEADER}<p:presentation xmlns:a="${NS.drawing}" xmlns:r="${NS.officeRels}" xmlns:p="${NS.presentation}" saveSubsetFonts="1">` +
+    '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+    `<p:sldIdLst>${slides
+      .map(
+        (_, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 3}"/>`
+      )
+      .join("")}</p:sldIdLst>` +
+    `<p:sldSz cx="${SLIDE_WIDTH}" cy="${SLIDE_HEIGHT}"/><p:notesSz cx="6858000" cy="9144000"/>` +
+    "</p:presentation>";
+
+  const master =
+    `${XML_HEADER}<p:sldMaster xmlns:a="${NS.drawing}" xmlns:r="${NS.officeRels}" xmlns:p="${NS.presentation}">` +
+    '<p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>' +
+    EMPTY_SHAPE_TREE +
+    '</p:cSld><p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" ' +
+    'accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>' +
+    '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>' +
+    "</p:sldMaster>";
+
+  const layout =
+    `${XML_HEADER}<p:sldLayout xmlns:a="${NS.drawing}" xmlns:r="${NS.officeRels}" xmlns:p="${NS.presentation}" type="blank" preserve="1">` +
+    `<p:cSld name="Blank">${EMPTY_SHAPE_TREE}</p:cSld>` +
+    "<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>";
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: contentTypesXml(
+        [],
+        [
+          ["/ppt/presentation.xml", CONTENT_TYPE.presentation],
+          ["/ppt/slideMasters/slideMaster1.xml", CONTENT_TYPE.slideMaster],
+          ["/ppt/slideLayouts/slideLayout1.xml", CONTENT_TYPE.slideLayout],
+          ["/ppt/theme/theme1.xml", CONTENT_TYPE.theme],
+          ...slides.map((_, index) => [
+            `/ppt/slides/slide${index + 1}.xml`,
+            CONTENT_TYPE.slide,
+          ]),
+        ]
+      ),
+    },
+    { name: "_rels/.rels", data: rootRelationshipsXml("ppt/presentation.xml") },
+    { name: "docProps/core.xml", data: corePropertiesXml(options.title) },
+    { name: "docProps/app.xml", data: appPropertiesXml() },
+    { name: "ppt/presentation.xml", data: presentation },
+    {
+      name: "ppt/_rels/presentation.xml.rels",
+      data: relationshipsXml([
+        ["rId1", REL.slideMaster, "slideMasters/slideMaster1.xml"],
+        ["rId2", REL.theme, "theme/theme1.xml"],
+        ...slides.map((_, index) => [
+          `rId${index + 3}`,
+          REL.slide,
+          `slides/slide${index + 1}.xml`,
+        ]),
+      ]),
+    },
+    { name: "ppt/slideMasters/slideMaster1.xml", data: master },
+    {
+      name: "ppt/slideMasters/_rels/slideMaster1.xml.rels",
+      data: relationshipsXml([
+        ["rId1", REL.slideLayout, "../slideLayouts/slideLayout1.xml"],
+        ["rId2", REL.theme, "../theme/theme1.xml"],
+      ]),
+    },
+    { name: "ppt/slideLayouts/slideLayout1.xml", data: layout },
+    {
+      name: "ppt/slideLayouts/_rels/slideLayout1.xml.rels",
+      data: relationshipsXml([
+        ["rId1", REL.slideMaster, "../slideMasters/slideMaster1.xml"],
+      ]),
+    },
+    { name: "ppt/theme/theme1.xml", data: themeXml() },
+    ...slides.flatMap((slide, index) => [
+      { name: `ppt/slides/slide${index + 1}.xml`, data: slideXml(slide) },
+      {
+        name: `ppt/slides/_rels/slide${index + 1}.xml.rels`,
+        data: relationshipsXml([
+          ["rId1", REL.slideLayout, "../slideLayouts/slideLayout1.xml"],
+        ]),
+      },
+    ]),
+  ]);
+}
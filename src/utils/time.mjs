@@ -3,6 +3,8 @@
  * Ensures consistent timezone handling and provides utility functions
  */
 
+import { nextCronRun } from "./cron-expression.mjs";
+
 /**
  * Get current time as ISO string (UTC)
  * @returns {string} ISO timestamp
@@ -27,6 +29,19 @@ export function clampMs(ms, min = 0, max = 60_000) {
   return Math.max(min, Math.min(ms, max));
 }
 
+const DURATION = /^(\d+)\s*(m|h|d|w)$/;
+const UNIT_MS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+/**
+ * Parse a duration such as "30m", "12h", "7d" or "2w"
+ * @param {string} value - Duration
+ * @returns {number|undefined} Milliseconds, or undefined if the value is not a duration
+ */
+export function parseDuration(value) {
+  const match = DURATION.exec(String(value).trim());
+  return match ? Number(match[1]) * UNIT_MS[match[2]] : undefined;
+}
+
 /**
  * Get deterministic timestamp for receipts
  * Uses environment variable if set, otherwise current time
@@ -38,44 +53,15 @@ export function getDeterministicTimestamp() {
 
 /**
  * Parse cron expression and get next execution time
- * Simple implementation for basic cron patterns
  * @param {string} cron - Cron expression
  * @param {Date} from - Start date (default: now)
+ * @param {string} [timezone] - IANA timezone (default: UTC)
  * @returns {Date|null} Next execution time or null if invalid
  */
-export function getNextCronTime(cron, from = new Date()) {
-  // Basic cron parser - supports minute, hour, day, month, weekday
-  const parts = cron.trim().split(/\s+/);
-  if (parts.length !== 5) return null;
-
-  const [min, hour, day, month, weekday] = parts;
-
-  // Simple implementation for common patterns
-  if (
-    min === "*" &&
-    hour === "*" &&
-    day === "*" &&
-    month === "*" &&
-    weekday === "*"
-  ) {
-    // Every minute
-    return new Date(from.getTime() + 60000);
+export function getNextCronTime(cron, from = new Date(), timezone = "UTC") {
+  try {
+    return nextCronRun(cron, from, { timezone });
+  } catch {
+    return null;
   }
-
-  if (
-    min === "0" &&
-    hour === "*" &&
-    day === "*" &&
-    month === "*" &&
-    weekday === "*"
-  ) {
-    // Every hour
-    const next = new Date(from);
-    next.setMinutes(0, 0, 0);
-    next.setHours(next.getHours() + 1);
-    return next;
-  }
-
-  // More complex patterns would need a proper cron library
-  return null;
 }
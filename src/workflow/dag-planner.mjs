@@ -2,6 +2,8 @@
 // Execution planner that creates valid execution orders from workflow steps
 // Performs topological sorting and dependency resolution
 
+import { getStepMapping } from "./step-mappings.mjs";
+
 /**
  * DAG (Directed Acyclic Graph) planner for workflow execution
  * Creates valid execution orders from workflow steps with dependencies
@@ -37,7 +39,7 @@ export class DAGPlanner {
       // Enhance plan with additional metadata
       const enhancedPlan = await this._enhancePlan(
         executionOrder,
-        steps,
+        dependencyGraph,
         graph
       );
 
@@ -53,30 +55,61 @@ export class DAGPlanner {
 
   /**
    * Build dependency graph from steps
+   *
+   * A step depends on the steps listed in its `dependsOn` and, for every
+   * context key its input mapping reads, on the step that writes the key
+   * last before it in declaration order. When no earlier step writes the
+   * key, the first later step that does is used instead, so a key that is
+   * overwritten further down never makes a step wait for its own consumers.
    * @private
    */
   _buildDependencyGraph(steps) {
     const graph = new Map();
+    const producers = new Map();
 
     // Initialize graph with all steps
     for (const step of steps) {
       graph.set(step.id, {
         step: step,
         dependencies: new Set(step.dependsOn || []),
+        dataDependencies: new Set(),
         dependents: new Set(),
       });
+
+      for (const contextKey of Object.keys(
+        getStepMapping(step, "outputMapping")
+      )) {
+        if (!producers.has(contextKey)) {
+          producers.set(contextKey, []);
+        }
+        producers.get(contextKey).push(step.id);
+      }
+    }
+
+    // Derive data-flow dependencies from input mappings
+    const order = new Map(steps.map((step, index) => [step.id, index]));
+    for (const [stepId, node] of graph) {
+      const inputMapping = getStepMapping(node.step, "inputMapping");
+      const position = order.get(stepId);
+      for (const contextKey of Object.values(inputMapping)) {
+        const writers = producers.get(contextKey) || [];
+        const producerId =
+          writers.findLast((id) => order.get(id) < position) ??
+          writers.find((id) => order.get(id) > position);
+        if (producerId !== undefined) {
+          node.dependencies.add(producerId);
+          node.dataDependencies.add(producerId);
+        }
+      }
     }
 
     // Build dependency relationships
     for (const [stepId, node] of graph) {
       for (const depId of node.dependencies) {
-        if (graph.has(depId)) {
-          graph.get(depId).dependents.add(stepId);
-        } else {
-          this.logger.warn(
-            `⚠️ Step ${stepId} depends on unknown step: ${depId}`
-          );
+        if (!graph.has(depId)) {
+          throw new Error(`Step ${stepId} depends on unknown step: ${depId}`);
         }
+        graph.get(depId).dependents.add(stepId);
       }
     }
 
@@ -162,28 +195,59 @@ export class DAGPlanner {
     }
   }
 
+  /**
+   * Assign each step its dependency level: steps without dependencies are at
+   * level 0, every other step one level after its latest dependency
+   * @private
+   */
+  _computeLevels(executionOrder, dependencyGraph) {
+    const levels = new Map();
+
+    for (const stepId of executionOrder) {
+      let level = 0;
+      for (const depId of dependencyGraph.get(stepId).dependencies) {
+        level = Math.max(level, levels.get(depId) + 1);
+      }
+      levels.set(stepId, level);
+    }
+
+    return levels;
+  }
+
   /**
    * Enhance plan with additional metadata
    * @private
    */
-  async _enhancePlan(executionOrder, steps, graph) {
-    const stepMap = new Map(steps.map((step) => [step.id, step]));
+  async _enhancePlan(executionOrder, dependencyGraph, graph) {
+    const levels = this._computeLevels(executionOrder, dependencyGraph);
+    const levelSizes = new Map();
+    for (const level of levels.values()) {
+      levelSizes.set(level, (levelSizes.get(level) || 0) + 1);
+    }
+
     const enhancedPlan = [];
 
     for (let i = 0; i < executionOrder.length; i++) {
       const stepId = executionOrder[i];
-      const step = stepMap.get(stepId);
+      const node = dependencyGraph.get(stepId);
+      const step = node.step;
+      const level = levels.get(stepId);
 
       const enhancedStep = {
         ...step,
+        dependsOn: Array.from(node.dependencies),
+        dataDependencies: Array.from(node.dataDependencies),
+        dependents: Array.from(node.dependents),
         executionOrder: i,
-        canRunInParallel: this._canRunInParallel(
-          stepId,
-          executionOrder,
-          stepMap
-        ),
+        level,
+        canRunInParallel: levelSizes.get(level) > 1,
         estimatedDuration: this._estimateStepDuration(step),
-        priority: this._calculatePriority(step, i, executionOrder.length),
+        priority: this._calculatePriority(
+          step,
+          i,
+          executionOrder.length,
+          node.dependents.size
+        ),
       };
 
       // Add graph analysis if available
@@ -200,31 +264,9 @@ export class DAGPlanner {
     return enhancedPlan;
   }
 
-  /**
-   * Check if step can run in parallel with others
-   * @private
-   */
-  _canRunInParallel(stepId, executionOrder, stepMap) {
-    const step = stepMap.get(stepId);
-    const stepIndex = executionOrder.indexOf(stepId);
-
-    // Check if any subsequent steps depend on this one
-    for (let i = stepIndex + 1; i < executionOrder.length; i++) {
-      const laterStep = stepMap.get(executionOrder[i]);
-      if (
-        laterStep &&
-        laterStep.dependsOn &&
-        laterStep.dependsOn.includes(stepId)
-      ) {
-        return false; // This step blocks later steps
-      }
-    }
-
-    return true;
-  }
-
   /**
    * Estimate step duration based on type and configuration
+   * An explicit `estimatedDuration` in the step config takes precedence
    * @private
    */
   _estimateStepDuration(step) {
@@ -234,16 +276,22 @@ export class DAGPlanner {
       file: 200, // 0.2 seconds
       http: 2000, // 2 seconds
       git: 1000, // 1 second
+      cli: 1000, // 1 second
     };
 
+    const declared = parseInt(step.config?.estimatedDuration);
+    if (declared >= 0) {
+      return declared;
+    }
+
     let estimate = baseEstimates[step.type] || 1000;
 
     // Adjust based on configuration complexity
-    if (step.config.query && step.config.query.length > 1000) {
+    if (step.config?.query && step.config.query.length > 1000) {
       estimate *= 2; // Complex queries take longer
     }
 
-    if (step.config.template && step.config.template.length > 5000) {
+    if (step.config?.template && step.config.template.length > 5000) {
       estimate *= 1.5; // Large templates take longer
     }
 
@@ -254,14 +302,13 @@ export class DAGPlanner {
    * Calculate step priority
    * @private
    */
-  _calculatePriority(step, index, totalSteps) {
+  _calculatePriority(step, index, totalSteps, dependentCount) {
     let priority = 1.0;
 
     // Earlier steps have higher priority
     priority += (totalSteps - index) * 0.1;
 
     // Steps with more dependents have higher priority
-    const dependentCount = this._countDependents(step.id);
     priority += dependentCount * 0.2;
 
     // Critical step types have higher priority
@@ -272,16 +319,6 @@ export class DAGPlanner {
     return Math.min(priority, 10.0); // Cap at 10
   }
 
-  /**
-   * Count how many steps depend on this step
-   * @private
-   */
-  _countDependents(stepId) {
-    // This would need access to the full dependency graph
-    // For now, return a simple estimate
-    return 0;
-  }
-
   /**
    * Analyze step in the context of the graph
    * @private
@@ -387,13 +424,17 @@ export class DAGPlanner {
    * @returns {object} Execution statistics
    */
   getExecutionStats(plan) {
+    const criticalPath = this.getCriticalPath(plan);
     const stats = {
       totalSteps: plan.length,
+      levels: this.getLevels(plan).length,
       parallelSteps: plan.filter((step) => step.canRunInParallel).length,
-      estimatedDuration: plan.reduce(
+      estimatedDuration: criticalPath.duration,
+      sequentialDuration: plan.reduce(
         (sum, step) => sum + step.estimatedDuration,
         0
       ),
+      criticalPath: criticalPath.steps,
       complexityDistribution: {
         high: plan.filter((step) => step.graphAnalysis?.complexity === "high")
           .length,
@@ -408,52 +449,165 @@ export class DAGPlanner {
     return stats;
   }
 
+  /**
+   * Group the plan into dependency levels
+   * Steps within a level do not depend on each other and can run concurrently
+   * @param {Array<object>} plan - Execution plan
+   * @returns {Array<Array<object>>} Steps grouped by level, in level order
+   */
+  getLevels(plan) {
+    const levels = [];
+    for (const step of plan) {
+      const level = step.level ?? 0;
+      while (levels.length <= level) {
+        levels.push([]);
+      }
+      levels[level].push(step);
+    }
+    return levels;
+  }
+
   /**
    * Optimize execution plan for parallel execution
    * @param {Array<object>} plan - Execution plan
    * @returns {Array<Array<object>>} Optimized plan with parallel groups
    */
   optimizeForParallelExecution(plan) {
-    const parallelGroups = [];
-    const processed = new Set();
+    return this.getLevels(plan);
+  }
 
+  /**
+   * Find the critical path: the chain of dependent steps with the longest
+   * total estimated duration, which bounds the duration of a parallel run
+   * @param {Array<object>} plan - Execution plan
+   * @returns {{steps: Array<string>, duration: number}} Step IDs and duration
+   */
+  getCriticalPath(plan) {
+    const finish = new Map();
+    const previous = new Map();
+    let last = null;
+
+    // The plan is topologically ordered, so dependencies are already settled
     for (const step of plan) {
-      if (processed.has(step.id)) continue;
+      let start = 0;
+      for (const depId of step.dependsOn || []) {
+        if (!previous.has(step.id) || finish.get(depId) > start) {
+          start = finish.get(depId);
+          previous.set(step.id, depId);
+        }
+      }
+      finish.set(step.id, start + step.estimatedDuration);
+
+      if (!last || finish.get(step.id) > finish.get(last)) {
+        last = step.id;
+      }
+    }
 
-      const group = [step];
-      processed.add(step.id);
+    const steps = [];
+    for (let id = last; id; id = previous.get(id)) {
+      steps.unshift(id);
+    }
 
-      // Find steps that can run in parallel with this one
-      for (const otherStep of plan) {
-        if (processed.has(otherStep.id)) continue;
+    return { steps, duration: last ? finish.get(last) : 0 };
+  }
 
-        if (this._canRunInParallelWithGroup(otherStep, group, plan)) {
-          group.push(otherStep);
-          processed.add(otherStep.id);
-        }
+  /**
+   * Render the plan as text, one block per dependency level
+   * @param {Array<object>} plan - Execution plan
+   * @returns {string} Human-readable plan
+   */
+  formatText(plan) {
+    const criticalPath = this.getCriticalPath(plan);
+    const critical = new Set(criticalPath.steps);
+    const lines = [];
+
+    this.getLevels(plan).forEach((level, index) => {
+      lines.push(
+        `Level ${index} (${level.length} step${level.length === 1 ? "" : "s"})`
+      );
+      for (const step of level) {
+        const marker = critical.has(step.id) ? "*" : "-";
+        const after = step.dependsOn.length
+          ? ` after ${step.dependsOn.map((id) => this._label(id)).join(", ")}`
+          : "";
+        lines.push(
+          `  ${marker} ${this._label(step.id)} [${step.type}] ~${
+            step.estimatedDuration
+          }ms${after}`
+        );
       }
+    });
 
-      parallelGroups.push(group);
-    }
+    lines.push("");
+    lines.push(
+      `Critical path (${criticalPath.duration}ms): ${criticalPath.steps
+        .map((id) => this._label(id))
+        .join(" -> ")}`
+    );
 
-    return parallelGroups;
+    return lines.join("\n");
   }
 
   /**
-   * Check if step can run in parallel with a group
-   * @private
+   * Render the plan as a Graphviz DOT digraph
+   * Critical path nodes and edges are highlighted
+   * @param {Array<object>} plan - Execution plan
+   * @param {string} [name] - Graph name
+   * @returns {string} DOT source
    */
-  _canRunInParallelWithGroup(step, group, plan) {
-    // Check if step has any dependencies in the group
-    for (const groupStep of group) {
-      if (step.dependsOn && step.dependsOn.includes(groupStep.id)) {
-        return false;
+  formatDot(plan, name = "workflow") {
+    const critical = this.getCriticalPath(plan).steps;
+    const criticalEdges = new Set(
+      critical.slice(1).map((id, index) => `${critical[index]} -> ${id}`)
+    );
+    const escape = (value) => String(value).replace(/(["\\])/g, "\\$1");
+    const quote = (value) => `"${escape(value)}"`;
+
+    const lines = [`digraph ${quote(name)} {`, "  rankdir=LR;"];
+
+    this.getLevels(plan).forEach((level, index) => {
+      lines.push(`  subgraph ${quote(`level_${index}`)} {`);
+      lines.push("    rank=same;");
+      for (const step of level) {
+        const attributes = [
+          `label="${escape(this._label(step.id))}\\n${escape(step.type)} ~${
+            step.estimatedDuration
+          }ms"`,
+        ];
+        if (critical.includes(step.id)) {
+          attributes.push("color=red", "penwidth=2");
+        }
+        lines.push(`    ${quote(step.id)} [${attributes.join(", ")}];`);
       }
-      if (groupStep.dependsOn && groupStep.dependsOn.includes(step.id)) {
-        return false;
+      lines.push("  }");
+    });
+
+    for (const step of plan) {
+      for (const depId of step.dependsOn) {
+        const attributes = [];
+        if (criticalEdges.has(`${depId} -> ${step.id}`)) {
+          attributes.push("color=red", "penwidth=2");
+        }
+        if (step.dataDependencies?.includes(depId)) {
+          attributes.push("style=dashed");
+        }
+        lines.push(
+          `  ${quote(depId)} -> ${quote(step.id)}${
+            attributes.length ? ` [${attributes.join(", ")}]` : ""
+          };`
+        );
       }
     }
 
-    return true;
+    lines.push("}");
+    return lines.join("\n");
+  }
+
+  /**
+   * Short display label for a step ID (the local name of a URI)
+   * @private
+   */
+  _label(stepId) {
+    return stepId.split(/[#/]/).pop() || stepId;
   }
 }
@@ -0,0 +1,219 @@
+// src/workflow/http-fixtures.mjs
+// Recorded HTTP exchanges that let workflows run without network access
+
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, join, relative } from "node:path";
+
+/** Fixture modes: `live` always fetches, `record` fetches and saves, `replay` only reads fixtures */
+export const HTTP_MODES = ["live", "record", "replay"];
+
+/** Default fixture directory, relative to the working directory */
+export const DEFAULT_FIXTURES_DIR = "fixtures/http";
+
+/** Request headers never written to fixtures */
+const SECRET_HEADERS = [
+  "authorization",
+  "proxy-authorization",
+  "cookie",
+  "x-api-key",
+];
+
+/** Response headers never written to fixtures */
+const SECRET_RESPONSE_HEADERS = ["set-cookie"];
+
+/** Query parameters never written to fixtures or hashed into their names */
+const SECRET_QUERY_PARAMS = [
+  "access_token",
+  "api_key",
+  "api-key",
+  "apikey",
+  "client_secret",
+  "key",
+  "password",
+  "secret",
+  "signature",
+  "token",
+];
+
+/**
+ * Replace the values of the named headers, compared case-insensitively
+ * @param {object} headers - Headers
+ * @param {string[]} secrets - Lower-case header names to redact
+ * @returns {object} Redacted headers
+ */
+function redactHeaders(headers, secrets) {
+  return Object.fromEntries(
+    Object.entries(headers || {}).map(([key, value]) => [
+      key,
+      secrets.includes(key.toLowerCase()) ? "[REDACTED]" : value,
+    ])
+  );
+}
+
+/**
+ * Replace the values of the named query parameters, compared
+ * case-insensitively, leaving the rest of the URL as written
+ * @param {string} url - Request URL
+ * @param {string[]} secrets - Lower-case parameter names to redact
+ * @returns {string} Redacted URL
+ */
+function redactUrl(url, secrets) {
+  const parsed = new URL(url);
+  let redacted = false;
+  const query = parsed.search
+    .slice(1)
+    .split("&")
+    .map((part) => {
+      const [key] = new URLSearchParams(part).keys();
+      if (key === undefined || !secrets.includes(key.toLowerCase())) {
+        return part;
+      }
+      redacted = true;
+      return `${part.split("=")[0]}=[REDACTED]`;
+    });
+  if (!redacted) return url;
+  parsed.search = query.join("&");
+  return parsed.href;
+}
+
+/**
+ * Stores HTTP responses as JSON files that can be committed with the repo
+ */
+export class HttpFixtures {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Fixture directory
+   * @param {string} [options.cwd] - Base for a relative fixture directory
+   * @param {string[]} [options.secretParams] - Further query parameters to redact
+   */
+  constructor(options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const dir = options.dir || DEFAULT_FIXTURES_DIR;
+    this.dir = isAbsolute(dir) ? dir : join(cwd, dir);
+    this.cwd = cwd;
+    this.secretParams = [
+      ...SECRET_QUERY_PARAMS,
+      ...(options.secretParams || []).map((param) => param.toLowerCase()),
+    ];
+  }
+
+  /**
+   * Redact secret query parameters, so fixtures neither store credentials
+   * nor change name when they rotate
+   * @param {string} url - Request URL
+   * @returns {string} URL as written to fixtures
+   */
+  redactUrl(url) {
+    return redactUrl(url, this.secretParams);
+  }
+
+  /**
+   * Derive a stable fixture name from the request method, redacted URL and body
+   * @param {{method: string, url: string, body?: string}} request - Request
+   * @returns {string} Fixture name
+   */
+  nameFor(request) {
+    const redacted = this.redactUrl(request.url);
+    const url = new URL(redacted);
+    const slug = `${url.host}${url.pathname}`
+      .replace(/[^\w.-]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 80);
+    const hash = createHash("sha256")
+      .update(`${request.method} ${redacted}\n${request.body ?? ""}`)
+      .digest("hex")
+      .slice(0, 8);
+    return `${request.method.toLowerCase()}-${slug}-${hash}`;
+  }
+
+  /**
+   * Path of a fixture file
+   * @param {string} name - Fixture name
+   * @returns {string} Absolute path
+   */
+  pathFor(name) {
+    return join(this.dir, `${name}.json`);
+  }
+
+  /**
+   * Load a recorded response
+   * @param {string} name - Fixture name
+   * @param {object} request - Request being replayed, for the error message
+   * @returns {Promise<{status: number, statusText: string, headers: object, body: string}>} Response
+   */
+  async load(name, request) {
+    const path = this.pathFor(name);
+    let fixture;
+    try {
+      fixture = JSON.parse(await readFile(path, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        throw new Error(
+          `No HTTP fixture recorded for ${request.method} ${this.redactUrl(
+            request.url
+          )} (expected ${relative(this.cwd, path)})`
+        );
+      }
+      throw new Error(`Invalid HTTP fixture ${path}: ${error.message}`);
+    }
+
+    const { response } = fixture;
+    return {
+      status: response.status,
+      statusText: response.statusText || "",
+      headers: response.headers || {},
+      body:
+        "json" in response
+          ? JSON.stringify(response.json)
+          : (response.body ?? ""),
+    };
+  }
+
+  /**
+   * Save a response, redacting credentials from the request headers and
+   * URL and cookies from the response headers
+   * @param {string} name - Fixture name
+   * @param {object} request - Request that was sent
+   * @param {{status: number, statusText: string, headers: object, body: string}} response - Response received
+   * @param {object} [options]
+   * @param {string[]} [options.secretHeaders] - Further request headers to redact, e.g. those built from gv:auth
+   * @returns {Promise<string>} Fixture path
+   */
+  async save(name, request, response, options = {}) {
+    const path = this.pathFor(name);
+    const headers = redactHeaders(request.headers, [
+      ...SECRET_HEADERS,
+      ...(options.secretHeaders || []).map((header) => header.toLowerCase()),
+    ]);
+
+    // JSON bodies are stored parsed so fixtures diff readably
+    let body = { body: response.body };
+    if (/json/i.test(response.headers["content-type"] || "")) {
+      try {
+        body = { json: JSON.parse(response.body) };
+      } catch {
+        // Keep the raw text
+      }
+    }
+
+    const fixture = {
+      request: {
+        method: request.method,
+        url: this.redactUrl(request.url),
+        headers,
+        ...(request.body !== undefined && { body: request.body }),
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: redactHeaders(response.headers, SECRET_RESPONSE_HEADERS),
+        ...body,
+      },
+    };
+
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, JSON.stringify(fixture, null, 2) + "\n", "utf8");
+    return path;
+  }
+}
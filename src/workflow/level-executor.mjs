@@ -0,0 +1,55 @@
+// src/workflow/level-executor.mjs
+// Runs a DAGPlanner plan level by level with bounded concurrency
+
+/**
+ * Default number of steps of one level that run at the same time; running
+ * independent steps concurrently is opt-in, so workflows that rely on
+ * declaration order keep running their steps one after another
+ */
+export const DEFAULT_MAX_CONCURRENCY = 1;
+
+/**
+ * Execute dependency levels in order, running the steps of each level
+ * concurrently
+ *
+ * A step result that failed without `continuedOnError` halts execution: no
+ * further steps are started, running steps of the same level finish, and
+ * later levels are skipped.
+ *
+ * @param {Array<Array<object>>} levels - Steps grouped by dependency level
+ * @param {object} options
+ * @param {(step: object) => Promise<object>} options.runStep - Executes one step and returns its result
+ * @param {number} [options.maxConcurrency] - Maximum steps running at once
+ * @returns {Promise<string|null>} ID of the step that halted execution, or null
+ */
+export async function executeLevels(levels, options) {
+  const { runStep, maxConcurrency = DEFAULT_MAX_CONCURRENCY } = options;
+  if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1) {
+    throw new Error("maxConcurrency must be a positive integer");
+  }
+
+  let failedStep = null;
+
+  for (const level of levels) {
+    let next = 0;
+    const worker = async () => {
+      while (next < level.length && !failedStep) {
+        const step = level[next++];
+        const result = await runStep(step);
+        if (!result.success && !result.continuedOnError && !failedStep) {
+          failedStep = step.id;
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(maxConcurrency, level.length) }, worker)
+    );
+
+    if (failedStep) {
+      break;
+    }
+  }
+
+  return failedStep;
+}
@@ -0,0 +1,212 @@
+// src/workflow/step-config.mjs
+// Typed step configuration read from the workflow graph
+// Shared by WorkflowParser and WorkflowEngine so both read a step the same way
+
+import { HTTP_AUTH_PROPERTIES } from "./step-handlers/http-step-handler.mjs";
+
+const RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+const GV = "https://gitvan.dev/ontology#";
+
+/** Step types whose configuration holds nested child steps */
+export const CONTROL_FLOW_TYPES = ["conditional", "loop", "parallel"];
+
+/** Properties holding RDF lists of nested child steps */
+export const CHILD_STEP_PROPERTIES = ["thenSteps", "elseSteps", "steps"];
+
+/** String-valued properties, keyed by the config key they map to */
+const STRING_PROPERTIES = {
+  filePath: "filePath",
+  gitCommand: "gitCommand",
+  reasoning: "reasoning",
+  inputMapping: "inputMapping",
+  outputMapping: "outputMapping",
+  when: "when",
+  condition: "condition",
+  expression: "expression",
+  itemVariable: "itemVariable",
+  httpUrl: "url",
+  httpMethod: "method",
+  headers: "headers",
+  body: "body",
+  extract: "extract",
+  assert: "assert",
+  recordMode: "recordMode",
+  fixture: "fixture",
+  fixturesDir: "fixturesDir",
+  secretParams: "secretParams",
+  cliCommand: "command",
+  cwd: "cwd",
+  stdin: "stdin",
+  parseOutput: "parseOutput",
+};
+
+const INTEGER_PROPERTIES = [
+  "estimatedDuration",
+  "timeout",
+  "retries",
+  "backoff",
+  "maxIterations",
+  "maxConcurrency",
+  "maxOutputBytes",
+];
+
+const BOOLEAN_PROPERTIES = ["continueOnError", "shell", "inheritEnv"];
+
+/**
+ * Read the members of an RDF list
+ * @param {import('n3').Store} store - Workflow graph
+ * @param {import('n3').Term} head - List head
+ * @returns {import('n3').Term[]}
+ */
+export function readList(store, head) {
+  const items = [];
+  let current = head;
+  while (current && current.value !== RDF + "nil") {
+    items.push(store.getObjects(current, RDF + "first", null)[0]);
+    current = store.getObjects(current, RDF + "rest", null)[0];
+  }
+  return items;
+}
+
+/**
+ * Read the steps a step depends on; gv:dependsOn accepts an RDF list or one
+ * or more step IRIs
+ * @param {import('n3').Store} store - Workflow graph
+ * @param {import('n3').Term} stepNode - Step node
+ * @returns {string[]} Step IRIs
+ */
+export function readDependencies(store, stepNode) {
+  return store
+    .getObjects(stepNode, GV + "dependsOn", null)
+    .flatMap((object) =>
+      object.termType === "BlankNode" ? readList(store, object) : [object]
+    )
+    .filter((item) => item && item.value)
+    .map((item) => item.value);
+}
+
+/**
+ * Read the typed configuration of a step: process and request settings,
+ * execution policies and control-flow settings
+ *
+ * Nested steps are returned as nodes for the caller to parse: gv:onFailure
+ * as a single node and each child step list as an array of nodes.
+ * @param {import('n3').Store} store - Workflow graph
+ * @param {import('n3').Term} stepNode - Step node
+ * @returns {object} Step configuration
+ */
+export function readStepConfig(store, stepNode) {
+  const getAll = (node, property) =>
+    store.getObjects(node, GV + property, null);
+  const getOne = (node, property) => getAll(node, property)[0];
+  const config = {};
+
+  for (const [property, key] of Object.entries(STRING_PROPERTIES)) {
+    const value = getOne(stepNode, property);
+    if (value) {
+      config[key] = value.value;
+    }
+  }
+
+  for (const property of INTEGER_PROPERTIES) {
+    const value = getOne(stepNode, property);
+    if (value) {
+      config[property] = parseInt(value.value);
+    }
+  }
+
+  for (const property of BOOLEAN_PROPERTIES) {
+    const value = getOne(stepNode, property);
+    if (value) {
+      config[property] = value.value === "true";
+    }
+  }
+
+  const argv = getOne(stepNode, "argv");
+  if (argv) {
+    config.argv = readList(store, argv).map((item) => item.value);
+  }
+
+  // gv:env holds a JSON object or one KEY=VALUE string per value
+  const env = getAll(stepNode, "env").map((item) => item.value);
+  if (env.length > 0) {
+    config.env = env.length === 1 ? env[0] : env;
+  }
+
+  const exitCodes = getAll(stepNode, "expectExitCode").map((item) =>
+    parseInt(item.value)
+  );
+  if (exitCodes.length > 0) {
+    config.expectExitCode = exitCodes.length === 1 ? exitCodes[0] : exitCodes;
+  }
+
+  // gv:auth is a node with gv:authType and credential properties, or a JSON
+  // string
+  const auth = getOne(stepNode, "auth");
+  if (auth?.termType === "Literal") {
+    config.auth = auth.value;
+  } else if (auth) {
+    config.auth = {};
+    for (const [property, key] of Object.entries(HTTP_AUTH_PROPERTIES)) {
+      const value = getOne(auth, property);
+      if (value) {
+        config.auth[key] = value.value;
+      }
+    }
+  }
+
+  const statuses = getAll(stepNode, "expectStatus").map((item) =>
+    /^\d+$/.test(item.value) ? parseInt(item.value) : item.value
+  );
+  if (statuses.length > 0) {
+    config.expectStatus = statuses.length === 1 ? statuses[0] : statuses;
+  }
+
+  const onFailure = getOne(stepNode, "onFailure");
+  if (onFailure) {
+    config.onFailure = onFailure;
+  }
+
+  for (const property of CHILD_STEP_PROPERTIES) {
+    const listHead = getOne(stepNode, property);
+    if (listHead) {
+      config[property] = readList(store, listHead);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Throw if a step reaches itself through gv:onFailure or its child step
+ * lists, which would otherwise make parsing recurse without end
+ * @param {import('n3').Store} store - Workflow graph
+ * @param {import('n3').Term} stepNode - Step node
+ * @throws {Error} Naming the steps that form the cycle
+ */
+export function assertNoStepCycle(store, stepNode) {
+  const nestedNodes = (node) => [
+    ...store.getObjects(node, GV + "onFailure", null),
+    ...CHILD_STEP_PROPERTIES.flatMap((property) =>
+      store
+        .getObjects(node, GV + property, null)
+        .flatMap((listHead) => readList(store, listHead))
+    ),
+  ];
+  const checked = new Set();
+
+  const visit = (node, path) => {
+    const index = path.indexOf(node.value);
+    if (index !== -1) {
+      const cycle = [...path.slice(index), node.value].join(" -> ");
+      throw new Error(`Step cycle through onFailure or child steps: ${cycle}`);
+    }
+    if (checked.has(node.value)) return;
+    for (const next of nestedNodes(node).filter(Boolean)) {
+      visit(next, [...path, node.value]);
+    }
+    checked.add(node.value);
+  };
+
+  visit(stepNode, []);
+}
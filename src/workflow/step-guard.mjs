@@ -0,0 +1,80 @@
+// src/workflow/step-guard.mjs
+// Step-level SPARQL ASK guards (gv:when)
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Convert a context value to a SPARQL term
+ * @param {any} value - Context value
+ * @returns {string|null} SPARQL term, or null when the value has no literal form
+ */
+export function toSparqlTerm(value) {
+  if (typeof value === "string") {
+    // JSON escapes are valid SPARQL string escapes
+    return JSON.stringify(value);
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return String(value);
+  }
+  if (typeof value === "boolean") {
+    return String(value);
+  }
+  return null;
+}
+
+/**
+ * Bind context values to the variables of the same name in an ASK query
+ *
+ * Only scalar values of variables the query mentions are bound. The VALUES
+ * block opens the ASK pattern so FILTERs of that group can use the values.
+ * @param {string} query - SPARQL ASK query
+ * @param {object} values - Context values by name
+ * @returns {string} Query with a VALUES block, or the query unchanged
+ */
+export function bindValues(query, values = {}) {
+  const bindings = [];
+  for (const [name, value] of Object.entries(values)) {
+    if (!VARIABLE_NAME.test(name)) continue;
+    if (!new RegExp(`[?$]${name}\\b`).test(query)) continue;
+    const term = toSparqlTerm(value);
+    if (term !== null) bindings.push([name, term]);
+  }
+
+  if (bindings.length === 0) {
+    return query;
+  }
+
+  const variables = bindings.map(([name]) => `?${name}`).join(" ");
+  const terms = bindings.map(([, term]) => term).join(" ");
+  return query.replace(
+    /\bASK\b[^{]*\{/i,
+    (open) => `${open} VALUES (${variables}) { (${terms}) }`
+  );
+}
+
+/**
+ * Evaluate the gv:when guard of a step
+ * @param {string} when - SPARQL ASK query
+ * @param {object} context
+ * @param {object} context.graph - useGraph instance
+ * @param {object} [context.contextManager] - Holds inputs and prior step outputs
+ * @returns {Promise<boolean>} Whether the step should run
+ */
+export async function evaluateStepGuard(when, context) {
+  const { graph, contextManager } = context;
+  if (!/\bASK\b/i.test(when)) {
+    throw new Error("Step guard (gv:when) must be a SPARQL ASK query");
+  }
+  if (!graph) {
+    throw new Error("Step guard (gv:when) requires graph context");
+  }
+
+  const values = contextManager?.initialized ? contextManager.getOutputs() : {};
+  const result = await graph.query(bindValues(when, values));
+  if (result.type !== "ask") {
+    throw new Error(
+      `Step guard (gv:when) returned '${result.type}' instead of a boolean`
+    );
+  }
+  return result.boolean;
+}
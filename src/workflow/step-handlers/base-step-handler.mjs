@@ -67,6 +67,48 @@ export class BaseStepHandler {
     return result;
   }
 
+  /**
+   * Execute nested child steps in order through the step runner
+   * Stops at the first failing child unless it sets `continueOnError`
+   * @param {Array<object>} steps - Child step definitions
+   * @param {object} inputs - Inputs made available to every child step
+   * @param {object} context - Execution context of the parent step
+   * @returns {Promise<{success: boolean, steps: Array<object>, error?: string}>} Child results
+   */
+  async executeChildSteps(steps, inputs, context) {
+    const { stepRunner, contextManager, graph, turtle, options } = context;
+    if (!stepRunner) {
+      throw new Error(
+        `${this.getStepType()} step requires a step runner in the execution context`
+      );
+    }
+
+    const results = [];
+    for (const child of steps || []) {
+      const result = await stepRunner.executeStep(
+        child,
+        contextManager,
+        graph,
+        turtle,
+        { ...options, inputs }
+      );
+      results.push(result);
+
+      if (!result.success) {
+        if (!child.config?.continueOnError) {
+          return {
+            success: false,
+            steps: results,
+            error: `Step ${child.id} failed: ${result.error}`,
+          };
+        }
+        result.continuedOnError = true;
+      }
+    }
+
+    return { success: true, steps: results };
+  }
+
   /**
    * Create a standardized step result
    * @param {object} data - Result data
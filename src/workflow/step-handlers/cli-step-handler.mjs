@@ -5,10 +5,76 @@ import { BaseStepHandler } from "./base-step-handler.mjs";
 import { useLog } from "../../composables/log.mjs";
 import { useTemplate } from "../../composables/template.mjs";
 import { spawn } from "node:child_process";
-import { promisify } from "node:util";
+
+/** Default capture limit for each of stdout and stderr */
+const DEFAULT_MAX_OUTPUT_BYTES = 10 * 1024 * 1024;
+
+const OUTPUT_FORMATS = ["text", "json", "lines"];
+
+/** Unquoted characters that only mean something to a shell */
+const SHELL_OPERATORS = ["|", "&", ";", "<", ">", "`", "$"];
+
+/** Signals that stop gitvan, and with it the commands it started */
+const PARENT_SIGNALS = ["SIGINT", "SIGTERM", "SIGHUP"];
+
+/**
+ * Stop functions of running commands. Each command runs in its own process
+ * group, out of reach of signals sent to gitvan's group, so they are
+ * stopped explicitly when gitvan exits or is signalled.
+ */
+const runningGroups = new Set();
+
+function removeParentHooks() {
+  process.off("exit", stopRunningGroups);
+  for (const signal of PARENT_SIGNALS) {
+    process.off(signal, onParentSignal);
+  }
+}
+
+function stopRunningGroups() {
+  const stops = [...runningGroups];
+  runningGroups.clear();
+  removeParentHooks();
+  for (const stop of stops) {
+    stop();
+  }
+}
+
+function onParentSignal(signal) {
+  stopRunningGroups();
+  // Without other listeners, end the way the signal would have
+  if (process.listenerCount(signal) === 0) {
+    process.kill(process.pid, signal);
+  }
+}
+
+function trackGroup(stop) {
+  if (runningGroups.size === 0) {
+    process.on("exit", stopRunningGroups);
+    for (const signal of PARENT_SIGNALS) {
+      process.on(signal, onParentSignal);
+    }
+  }
+  runningGroups.add(stop);
+}
+
+function untrackGroup(stop) {
+  if (runningGroups.delete(stop) && runningGroups.size === 0) {
+    removeParentHooks();
+  }
+}
 
 /**
  * Handler for command line interface steps
+ *
+ * Commands run without a shell by default: `argv` is passed to the program
+ * as-is, and a `command` string is split into arguments honouring single
+ * quotes, double quotes and backslash escapes. Template variables are
+ * rendered per argument, so substituted values never become extra arguments.
+ * Pipes, redirects and globs need `shell: true`, which hands the rendered
+ * command string to the system shell. In shell mode every `{{ }}` value is
+ * single-quoted so it stays one word; `{{ value | safe }}` inserts it as
+ * shell syntax.
  */
 export class CliStepHandler extends BaseStepHandler {
   getStepType() {
@@ -20,9 +86,50 @@ export class CliStepHandler extends BaseStepHandler {
       throw new Error("CLI step missing configuration");
     }
 
-    if (!step.config.command) {
+    const {
+      command,
+      argv,
+      shell,
+      expectExitCode,
+      maxOutputBytes,
+      parseOutput,
+    } = step.config;
+
+    if (!command && !argv) {
       throw new Error("CLI step missing command");
     }
+    if (command && argv) {
+      throw new Error("CLI step must define either command or argv, not both");
+    }
+    if (argv !== undefined) {
+      if (
+        !Array.isArray(argv) ||
+        argv.length === 0 ||
+        argv.some((arg) => typeof arg !== "string")
+      ) {
+        throw new Error("CLI step argv must be a non-empty list of strings");
+      }
+      if (shell) {
+        throw new Error("CLI step argv cannot be combined with shell mode");
+      }
+    }
+    if (
+      expectExitCode !== undefined &&
+      ![expectExitCode].flat().every((code) => Number.isInteger(code))
+    ) {
+      throw new Error("CLI step expectExitCode must be an integer or a list");
+    }
+    if (
+      maxOutputBytes !== undefined &&
+      (!Number.isInteger(maxOutputBytes) || maxOutputBytes < 1)
+    ) {
+      throw new Error("CLI step maxOutputBytes must be a positive integer");
+    }
+    if (parseOutput !== undefined && !OUTPUT_FORMATS.includes(parseOutput)) {
+      throw new Error(
+        `CLI step parseOutput must be one of: ${OUTPUT_FORMATS.join(", ")}`
+      );
+    }
 
     return true;
   }
@@ -39,39 +146,99 @@ export class CliStepHandler extends BaseStepHandler {
       // Validate step configuration
       this.validate(step);
 
-      const { command, cwd, timeout = 30000, env = {} } = step.config;
-
-      this.logger.info(`💻 Executing CLI command: ${command}`);
+      const {
+        command,
+        argv,
+        shell = false,
+        cwd,
+        timeout = 30000,
+        env,
+        inheritEnv = true,
+        stdin,
+        expectExitCode = 0,
+        maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES,
+        parseOutput = "text",
+      } = step.config;
 
       // Use useTemplate for proper variable replacement
       const template = await useTemplate();
-      const processedCommand = template.renderString(command, inputs);
+      const render = (value) => template.renderString(String(value), inputs);
+
+      const invocation = shell
+        ? { command: render(this._quoteOutputs(command)), shell: true }
+        : this._buildArgv(argv || this._splitCommand(command), render);
+
+      this.logger.info(`💻 Executing CLI command: ${invocation.command}`);
 
       // Set working directory
-      const workingDir = cwd || process.cwd();
+      const workingDir = cwd ? render(cwd) : process.cwd();
 
       // Execute command using spawn for better control
-      const result = await this._executeCommand(processedCommand, {
+      const result = await this._executeCommand(invocation, {
         cwd: workingDir,
         timeout,
-        env: { ...process.env, ...env },
+        env: {
+          ...(inheritEnv ? process.env : {}),
+          ...this._normalizeEnv(env, render),
+        },
+        stdin: stdin !== undefined ? render(stdin) : undefined,
+        maxOutputBytes,
+        signal: context?.signal,
       });
 
-      return this.createResult({
-        command: processedCommand,
+      const expected = [expectExitCode].flat();
+      const exitCodeOk = expected.includes(result.exitCode);
+
+      const data = {
+        command: invocation.command,
+        argv: invocation.argv,
+        shell,
         cwd: workingDir,
         stdout: result.stdout,
         stderr: result.stderr,
+        stdoutTruncated: result.stdoutTruncated,
+        stderrTruncated: result.stderrTruncated,
         exitCode: result.exitCode,
-        success: result.exitCode === 0,
+        signal: result.signal,
+        success: exitCodeOk,
         timestamp: new Date().toISOString(),
-      });
+      };
+
+      if (exitCodeOk) {
+        try {
+          data.output = this._parseOutput(result.stdout, parseOutput);
+        } catch (error) {
+          // Keep the raw stdout so the failure can be diagnosed
+          return this.createResult(
+            { ...data, success: false },
+            false,
+            error.message
+          );
+        }
+      }
+
+      if (!exitCodeOk) {
+        const reason =
+          result.exitCode === null
+            ? `was killed by ${result.signal}`
+            : `exited with code ${result.exitCode}`;
+        return this.createResult(
+          data,
+          false,
+          `CLI command ${reason} (expected ${expected.join(" or ")})${
+            result.stderr ? `: ${result.stderr}` : ""
+          }`
+        );
+      }
+
+      return this.createResult(data);
     } catch (error) {
       this.logger.error(`❌ CLI command failed: ${error.message}`);
 
       return this.createResult(
         {
-          command: step.config?.command || "unknown",
+          command:
+            step.config?.command || step.config?.argv?.join(" ") || "unknown",
           cwd: step.config?.cwd || process.cwd(),
           stdout: "",
           stderr: error.stderr || error.message,
@@ -85,60 +252,287 @@ export class CliStepHandler extends BaseStepHandler {
     }
   }
 
+  /**
+   * Split a command string into arguments like a POSIX shell would, without
+   * performing any expansion
+   * @private
+   */
+  _splitCommand(command) {
+    const args = [];
+    let current = "";
+    let inArgument = false;
+    let quote = null;
+
+    for (let i = 0; i < command.length; i++) {
+      const char = command[i];
+
+      if (quote === "'") {
+        if (char === "'") {
+          quote = null;
+        } else {
+          current += char;
+        }
+        continue;
+      }
+
+      if (quote === '"') {
+        if (char === '"') {
+          quote = null;
+        } else if (char === "\\" && '"\\$`'.includes(command[i + 1])) {
+          current += command[++i];
+        } else {
+          current += char;
+        }
+        continue;
+      }
+
+      const tag = command.startsWith("{{", i)
+        ? "}}"
+        : command.startsWith("{%", i)
+          ? "%}"
+          : null;
+      if (tag) {
+        // Template tags stay intact and are rendered into a single argument
+        const end = command.indexOf(tag, i + 2);
+        if (end === -1) {
+          throw new Error(`Unterminated template tag in command: ${command}`);
+        }
+        current += command.slice(i, end + 2);
+        inArgument = true;
+        i = end + 1;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+        inArgument = true;
+      } else if (char === "\\" && i + 1 < command.length) {
+        current += command[++i];
+        inArgument = true;
+      } else if (/\s/.test(char)) {
+        if (inArgument) {
+          args.push(current);
+          current = "";
+          inArgument = false;
+        }
+      } else {
+        const operator = SHELL_OPERATORS.find((op) =>
+          command.startsWith(op, i)
+        );
+        if (operator) {
+          throw new Error(
+            `Command contains shell operator '${operator}'; quote it or set shell mode to use a shell`
+          );
+        }
+        current += char;
+        inArgument = true;
+      }
+    }
+
+    if (quote) {
+      throw new Error(`Unterminated ${quote} quote in command: ${command}`);
+    }
+    if (inArgument) {
+      args.push(current);
+    }
+    if (args.length === 0) {
+      throw new Error("Command is empty");
+    }
+
+    return args;
+  }
+
+  /**
+   * Wrap every `{{ }}` output of a shell command in the shellquote filter,
+   * except outputs marked `| safe`
+   * @private
+   */
+  _quoteOutputs(command) {
+    return String(command).replace(
+      /\{\{(-?)([\s\S]*?)(-?)\}\}/g,
+      (tag, trimLeft, expression, trimRight) =>
+        /\|\s*safe\s*$/.test(expression)
+          ? tag
+          : `{{${trimLeft} (${expression.trim()}) | shellquote ${trimRight}}}`
+    );
+  }
+
+  /**
+   * Render template variables in every argument
+   * @private
+   */
+  _buildArgv(args, render) {
+    const argv = args.map(render);
+    return {
+      argv,
+      command: argv
+        .map((arg) =>
+          /^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg)
+        )
+        .join(" "),
+      shell: false,
+    };
+  }
+
+  /**
+   * Normalize environment variables given as an object, a JSON object string
+   * or `KEY=VALUE` strings
+   * @private
+   */
+  _normalizeEnv(env, render) {
+    if (!env) {
+      return {};
+    }
+
+    let entries;
+    if (typeof env === "string" && env.trim().startsWith("{")) {
+      entries = Object.entries(JSON.parse(env));
+    } else if (typeof env === "string" || Array.isArray(env)) {
+      entries = [env].flat().map((pair) => {
+        const index = pair.indexOf("=");
+        if (index < 1) {
+          throw new Error(`Invalid environment variable: ${pair}`);
+        }
+        return [pair.slice(0, index), pair.slice(index + 1)];
+      });
+    } else {
+      entries = Object.entries(env);
+    }
+
+    return Object.fromEntries(
+      entries.map(([key, value]) => [key, render(value ?? "")])
+    );
+  }
+
+  /**
+   * Parse stdout into the `output` value exposed to later steps
+   * @private
+   */
+  _parseOutput(stdout, format) {
+    if (format === "json") {
+      try {
+        return JSON.parse(stdout);
+      } catch (error) {
+        throw new Error(`Failed to parse stdout as JSON: ${error.message}`);
+      }
+    }
+    if (format === "lines") {
+      return stdout.split(/\r?\n/).filter((line) => line.length > 0);
+    }
+    return stdout;
+  }
+
   /**
    * Execute command using spawn
-   * @param {string} command - Command to execute
+   * @param {object} invocation - Command to execute
+   * @param {string} invocation.command - Command string (shell mode)
+   * @param {Array<string>} [invocation.argv] - Program and arguments
+   * @param {boolean} invocation.shell - Run through the system shell
    * @param {object} options - Execution options
    * @returns {Promise<object>} Command result
    */
-  async _executeCommand(command, options) {
+  async _executeCommand(invocation, options) {
     return new Promise((resolve, reject) => {
-      const [cmd, ...args] = command.split(" ");
+      const [cmd, ...args] = invocation.shell
+        ? [invocation.command]
+        : invocation.argv;
 
+      const detached = process.platform !== "win32";
       const child = spawn(cmd, args, {
         cwd: options.cwd,
         env: options.env,
+        shell: invocation.shell,
         stdio: ["pipe", "pipe", "pipe"],
+        // Its own process group, so a timeout also stops what it started
+        detached,
       });
+      const kill = () => {
+        try {
+          process.kill(-child.pid, "SIGTERM");
+        } catch {
+          child.kill("SIGTERM");
+        }
+      };
+      if (detached && child.pid) {
+        trackGroup(kill);
+        child.on("close", () => untrackGroup(kill));
+        child.on("error", () => untrackGroup(kill));
+      }
 
-      let stdout = "";
-      let stderr = "";
+      const maxBytes = options.maxOutputBytes || DEFAULT_MAX_OUTPUT_BYTES;
+      const capture = () => ({ chunks: [], bytes: 0, truncated: false });
+      const stdout = capture();
+      const stderr = capture();
+      const collect = (stream) => (data) => {
+        const remaining = maxBytes - stream.bytes;
+        if (remaining <= 0) {
+          stream.truncated = true;
+          return;
+        }
+        if (data.length > remaining) {
+          stream.truncated = true;
+        }
+        const chunk = data.subarray(0, remaining);
+        stream.chunks.push(chunk);
+        stream.bytes += chunk.length;
+      };
+      const text = (stream) =>
+        Buffer.concat(stream.chunks).toString("utf8").trim();
 
-      child.stdout.on("data", (data) => {
-        stdout += data.toString();
-      });
+      child.stdout.on("data", collect(stdout));
+      child.stderr.on("data", collect(stderr));
 
-      child.stderr.on("data", (data) => {
-        stderr += data.toString();
-      });
+      // Commands that read stdin see end-of-input after the provided data
+      child.stdin.on("error", () => {});
+      child.stdin.end(options.stdin ?? "");
 
-      child.on("close", (code) => {
+      let timer;
+      child.on("close", (code, signal) => {
+        clearTimeout(timer);
         resolve({
-          stdout: stdout.trim(),
-          stderr: stderr.trim(),
+          stdout: text(stdout),
+          stderr: text(stderr),
+          stdoutTruncated: stdout.truncated,
+          stderrTruncated: stderr.truncated,
           exitCode: code,
+          signal,
         });
       });
 
       child.on("error", (error) => {
+        clearTimeout(timer);
         reject({
           message: error.message,
-          stderr: stderr.trim(),
+          stderr: text(stderr),
           exitCode: 1,
         });
       });
 
       // Handle timeout
       if (options.timeout) {
-        setTimeout(() => {
-          child.kill("SIGTERM");
+        timer = setTimeout(() => {
+          kill();
           reject({
             message: "Command timed out",
-            stderr: stderr.trim(),
+            stderr: text(stderr),
             exitCode: "TIMEOUT",
           });
         }, options.timeout);
       }
+
+      // The step runner aborts the signal when the step times out
+      const abort = () => {
+        kill();
+        reject({
+          message: "Command aborted",
+          stderr: text(stderr),
+          exitCode: "ABORTED",
+        });
+      };
+      if (options.signal?.aborted) {
+        abort();
+      }
+      options.signal?.addEventListener("abort", abort, { once: true });
+      child.on("close", () =>
+        options.signal?.removeEventListener("abort", abort)
+      );
     });
   }
 }
@@ -0,0 +1,134 @@
+// src/workflow/step-handlers/conditional-step-handler.mjs
+// Conditional step handler that branches on a SPARQL ASK or an expression
+
+import { BaseStepHandler } from "./base-step-handler.mjs";
+import { useTemplate } from "../../composables/template.mjs";
+import {
+  evaluateExpression,
+  parseExpression,
+} from "../../utils/expression.mjs";
+
+/**
+ * Handler for conditional steps
+ *
+ * Runs `thenSteps` when the condition holds and `elseSteps` otherwise. The
+ * condition is either a SPARQL ASK query (`config.condition`) evaluated
+ * against the graph, or an expression (`config.expression`) evaluated over
+ * the step inputs and the outputs of previously executed steps.
+ */
+export class ConditionalStepHandler extends BaseStepHandler {
+  getStepType() {
+    return "conditional";
+  }
+
+  validate(step) {
+    if (!step.config) {
+      throw new Error("Conditional step missing configuration");
+    }
+
+    const { condition, expression, thenSteps, elseSteps } = step.config;
+    if (!condition && !expression) {
+      throw new Error("Conditional step missing condition or expression");
+    }
+    if (condition && expression) {
+      throw new Error(
+        "Conditional step must define either a condition or an expression, not both"
+      );
+    }
+    if (condition && !/\bASK\b/i.test(condition)) {
+      throw new Error("Conditional step condition must be a SPARQL ASK query");
+    }
+    if (expression) {
+      parseExpression(expression);
+    }
+    if (!thenSteps?.length && !elseSteps?.length) {
+      throw new Error("Conditional step has no thenSteps or elseSteps");
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluate the condition and execute the matching branch
+   * @param {object} step - Step definition
+   * @param {object} inputs - Step inputs
+   * @param {object} context - Execution context
+   * @returns {Promise<object>} Step execution result
+   */
+  async execute(step, inputs, context) {
+    const {
+      condition,
+      expression,
+      thenSteps = [],
+      elseSteps = [],
+    } = step.config;
+
+    const conditionResult = condition
+      ? {
+          type: "ask",
+          source: condition,
+          result: await this._evaluateAsk(condition, inputs, context),
+        }
+      : {
+          type: "expression",
+          source: expression,
+          result: Boolean(
+            evaluateExpression(expression, this._buildScope(inputs, context))
+          ),
+        };
+
+    const branch = conditionResult.result ? "then" : "else";
+    this.logger.info(
+      `🔀 Condition ${conditionResult.result ? "met" : "not met"}, taking ${branch} branch`
+    );
+
+    const execution = await this.executeChildSteps(
+      branch === "then" ? thenSteps : elseSteps,
+      inputs,
+      context
+    );
+
+    return this.createResult(
+      {
+        condition: conditionResult,
+        branch,
+        steps: execution.steps,
+      },
+      execution.success,
+      execution.error || null
+    );
+  }
+
+  /**
+   * Run the SPARQL ASK condition against the graph
+   * @private
+   */
+  async _evaluateAsk(condition, inputs, context) {
+    const { graph } = context;
+    if (!graph) {
+      throw new Error("Conditional step requires graph context");
+    }
+
+    const template = await useTemplate();
+    const result = await graph.query(template.renderString(condition, inputs));
+    if (result.type !== "ask") {
+      throw new Error(
+        `Conditional step condition returned '${result.type}' instead of a boolean`
+      );
+    }
+    return result.boolean;
+  }
+
+  /**
+   * Build the expression scope from inputs and previous step outputs
+   * @private
+   */
+  _buildScope(inputs, context) {
+    const outputs = {};
+    const history = context.contextManager?.getExecutionHistory?.() || [];
+    for (const entry of history) {
+      outputs[entry.stepId] = entry.outputs;
+    }
+    return { inputs, outputs };
+  }
+}
@@ -0,0 +1,118 @@
+// src/workflow/step-handlers/loop-step-handler.mjs
+// Loop step handler that iterates child steps over SPARQL result rows
+
+import { BaseStepHandler } from "./base-step-handler.mjs";
+import { useTemplate } from "../../composables/template.mjs";
+
+/**
+ * Handler for loop steps
+ *
+ * Runs a SPARQL SELECT query and executes `steps` once per result row. Each
+ * row is exposed to the child steps as `{{ item.<variable> }}` (the name is
+ * configurable through `itemVariable`) together with `{{ itemIndex }}`.
+ */
+export class LoopStepHandler extends BaseStepHandler {
+  getStepType() {
+    return "loop";
+  }
+
+  validate(step) {
+    if (!step.config) {
+      throw new Error("Loop step missing configuration");
+    }
+    if (!step.config.query) {
+      throw new Error("Loop step missing query configuration");
+    }
+    if (!/\bSELECT\b/i.test(step.config.query)) {
+      throw new Error("Loop step query must be a SPARQL SELECT query");
+    }
+    if (!step.config.steps?.length) {
+      throw new Error("Loop step has no child steps");
+    }
+    return true;
+  }
+
+  /**
+   * Execute the child steps for every query result row
+   * @param {object} step - Step definition
+   * @param {object} inputs - Step inputs
+   * @param {object} context - Execution context
+   * @returns {Promise<object>} Step execution result
+   */
+  async execute(step, inputs, context) {
+    const { graph } = context;
+    if (!graph) {
+      throw new Error("Loop step requires graph context");
+    }
+
+    const {
+      query,
+      steps,
+      itemVariable = "item",
+      maxIterations = 1000,
+    } = step.config;
+
+    const template = await useTemplate();
+    const result = await graph.query(template.renderString(query, inputs));
+    if (result.type !== "select") {
+      throw new Error(
+        `Loop step query returned '${result.type}' instead of result rows`
+      );
+    }
+    if (result.results.length > maxIterations) {
+      throw new Error(
+        `Loop step would run ${result.results.length} iterations, exceeding maxIterations (${maxIterations})`
+      );
+    }
+
+    this.logger.info(
+      `🔁 Looping over ${result.results.length} rows with ${steps.length} steps each`
+    );
+
+    const iterations = [];
+    let error = null;
+    for (const [index, row] of result.results.entries()) {
+      const item = this._rowToItem(row);
+      const execution = await this.executeChildSteps(
+        steps,
+        { ...inputs, [itemVariable]: item, [`${itemVariable}Index`]: index },
+        context
+      );
+
+      iterations.push({
+        index,
+        item,
+        success: execution.success,
+        steps: execution.steps,
+      });
+
+      if (!execution.success) {
+        error = `Iteration ${index} failed: ${execution.error}`;
+        break;
+      }
+    }
+
+    return this.createResult(
+      {
+        itemVariable,
+        count: result.results.length,
+        completed: iterations.filter((iteration) => iteration.success).length,
+        iterations,
+      },
+      !error,
+      error
+    );
+  }
+
+  /**
+   * Convert a result row of RDF terms to plain values
+   * @private
+   */
+  _rowToItem(row) {
+    const item = {};
+    for (const [variable, term] of Object.entries(row)) {
+      item[variable] = term?.value;
+    }
+    return item;
+  }
+}
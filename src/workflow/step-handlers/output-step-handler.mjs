@@ -6,6 +6,13 @@ import { useTemplate } from "../../composables/template.mjs";
 import { writeFile, readFile } from "node:fs/promises";
 import { existsSync } from "node:fs";
 import { resolve, dirname, extname } from "node:path";
+import {
+  markdownToBlocks,
+  blocksToSlides,
+  createDocx,
+  createXlsx,
+  createPptx,
+} from "../../utils/ooxml.mjs";
 
 /**
  * Handler for document generation steps with multi-format output
@@ -98,7 +105,15 @@ export class OutputStepHandler extends BaseStepHandler {
         renderedContent,
         outputPath,
         inputs,
-        { dataPath, csvPath, baseIRI, entityType, query, queryName }
+        {
+          dataPath,
+          csvPath,
+          baseIRI,
+          entityType,
+          query,
+          queryName,
+          graph: context?.graph,
+        }
       );
 
       return this.createResult({
@@ -148,7 +163,7 @@ export class OutputStepHandler extends BaseStepHandler {
 
       case "docx":
       case "word":
-        return await this._generateWord(content, fullPath);
+        return await this._generateWord(content, inputs, fullPath);
 
       case "xlsx":
       case "excel":
@@ -156,7 +171,7 @@ export class OutputStepHandler extends BaseStepHandler {
 
       case "pptx":
       case "powerpoint":
-        return await this._generatePowerPoint(inputs, options, fullPath);
+        return await this._generatePowerPoint(content, inputs, fullPath);
 
       case "html":
         return await this._generateHTML(content, fullPath);
@@ -182,77 +197,82 @@ export class OutputStepHandler extends BaseStepHandler {
   }
 
   /**
-   * Generate Word document (HTML format)
+   * Generate Word document (OOXML package)
    */
-  async _generateWord(content, outputPath) {
-    const html = await this._markdownToDocx(content);
-    const docPath = outputPath.replace(/\.docx?$/, ".doc");
-    await writeFile(docPath, html, "utf8");
+  async _generateWord(content, inputs, outputPath) {
+    const docx = createDocx(markdownToBlocks(content), {
+      title: inputs.title,
+    });
+    await writeFile(outputPath, docx);
     return {
-      path: docPath,
-      size: html.length,
-      pages: this._estimatePages(html),
+      path: outputPath,
+      size: docx.length,
+      pages: this._estimatePages(content),
     };
   }
 
   /**
-   * Generate Excel spreadsheet
+   * Generate Excel workbook (OOXML package)
+   *
+   * A configured SPARQL SELECT query becomes a sheet named after `queryName`;
+   * every array of records in the inputs becomes a sheet named after its key.
    */
   async _generateExcel(inputs, options, outputPath) {
-    const ExcelJS = (await import("exceljs")).default;
-    const workbook = new ExcelJS.Workbook();
-
-    workbook.creator = "GitVan Output Handler";
-    workbook.created = new Date();
-    workbook.modified = new Date();
-
-    // Create worksheet from inputs
-    const worksheet = workbook.addWorksheet("Data");
-
-    // Convert inputs to rows
-    const rows = this._convertInputsToRows(inputs);
-    if (rows.length > 0) {
-      const columns = Object.keys(rows[0]);
-
-      worksheet.columns = columns.map((col) => ({
-        header: col.charAt(0).toUpperCase() + col.slice(1).replace(/_/g, " "),
-        key: col,
-        width: 20,
-      }));
-
-      // Style header
-      worksheet.getRow(1).font = { bold: true };
-      worksheet.getRow(1).fill = {
-        type: "pattern",
-        pattern: "solid",
-        fgColor: { argb: "FF0051CC" },
-      };
-
-      // Add data
-      rows.forEach((row) => worksheet.addRow(row));
+    const sheets = [];
+
+    if (options.query) {
+      if (!options.graph) {
+        throw new Error("Excel output with a query requires graph context");
+      }
+      const result = await options.graph.query(options.query);
+      if (result.type !== "select") {
+        throw new Error("Excel output query must be a SELECT query");
+      }
+      sheets.push({
+        name: options.queryName,
+        columns: result.variables,
+        rows: result.results,
+      });
+    }
+
+    for (const [key, value] of Object.entries(inputs || {})) {
+      if (Array.isArray(value) && value.length > 0) {
+        sheets.push({ name: key, rows: value.map(this._toRecord) });
+      }
+    }
+
+    if (sheets.length === 0) {
+      sheets.push({
+        name: "Data",
+        rows: this._convertInputsToRows(inputs).map(this._toRecord),
+      });
     }
 
-    await workbook.xlsx.writeFile(outputPath);
+    const xlsx = createXlsx(sheets, { title: inputs.title });
+    await writeFile(outputPath, xlsx);
     return {
       path: outputPath,
-      size: (await import("node:fs")).promises
-        .stat(outputPath)
-        .then((s) => s.size),
-      pages: 1,
+      size: xlsx.length,
+      pages: sheets.length,
     };
   }
 
   /**
-   * Generate PowerPoint presentation (HTML format)
+   * Generate PowerPoint presentation (OOXML package)
+   *
+   * Every level 1 or 2 heading starts a slide; content before the first
+   * heading goes on a slide titled after `inputs.title`.
    */
-  async _generatePowerPoint(inputs, options, outputPath) {
-    const html = this._createPowerPointHTML(inputs, options);
-    const htmlPath = outputPath.replace(/\.pptx?$/, "-presentation.html");
-    await writeFile(htmlPath, html, "utf8");
+  async _generatePowerPoint(content, inputs, outputPath) {
+    const slides = blocksToSlides(markdownToBlocks(content), {
+      title: inputs.title || "Generated Presentation",
+    });
+    const pptx = createPptx(slides, { title: inputs.title });
+    await writeFile(outputPath, pptx);
     return {
-      path: htmlPath,
-      size: html.length,
-      pages: this._countSlides(html),
+      path: outputPath,
+      size: pptx.length,
+      pages: slides.length,
     };
   }
 
@@ -371,185 +391,6 @@ ${marked(content)}
     return latex;
   }
 
-  /**
-   * Convert Markdown to Word-compatible HTML
-   */
-  async _markdownToDocx(markdown) {
-    const { marked } = await import("marked");
-    const html = marked(markdown);
-
-    return `<!DOCTYPE html>
-<html xmlns:o="urn:schemas-microsoft-com:office:office"
-      xmlns:w="urn:schemas-microsoft-com:office:word"
-      xmlns="http://www.w3.org/TR/REC-html40">
-<head>
-  <meta charset="utf-8">
-  <title>Document</title>
-  <!--[if gte mso 9]>
-  <xml>
-    <w:WordDocument>
-      <w:View>Print</w:View>
-      <w:Zoom>100</w:Zoom>
-      <w:DoNotOptimizeForBrowser/>
-    </w:WordDocument>
-  </xml>
-  <![endif]-->
-  <style>
-    @page { size: 8.5in 11.0in; margin: 1in; }
-    body { font-family: Calibri, sans-serif; font-size: 11pt; line-height: 1.6; }
-    h1 { font-size: 20pt; font-weight: bold; color: #003366; page-break-after: avoid; }
-    h2 { font-size: 16pt; font-weight: bold; color: #0066cc; page-break-after: avoid; }
-    h3 { font-size: 14pt; font-weight: bold; color: #333333; page-break-after: avoid; }
-    table { border-collapse: collapse; width: 100%; margin: 10pt 0; }
-    th, td { border: 1px solid #ddd; padding: 8pt; text-align: left; }
-    th { background-color: #0066cc; color: white; font-weight: bold; }
-    tr:nth-child(even) { background-color: #f2f2f2; }
-    ul, ol { margin-left: 20pt; }
-    li { margin: 5pt 0; }
-    code { background: #f4f4f4; padding: 2pt 4pt; font-family: 'Courier New', monospace; }
-    pre { background: #f4f4f4; padding: 10pt; overflow-x: auto; }
-    strong { font-weight: bold; }
-    em { font-style: italic; }
-    .page-break { page-break-before: always; }
-  </style>
-</head>
-<body>
-  ${html}
-  <div style="margin-top: 30pt; padding-top: 10pt; border-top: 1px solid #ccc; color: #666; font-size: 9pt;">
-    Generated by GitVan on ${new Date().toLocaleString()}
-  </div>
-</body>
-</html>`;
-  }
-
-  /**
-   * Create PowerPoint-compatible HTML presentation
-   */
-  _createPowerPointHTML(inputs, options) {
-    const title = inputs.title || "Generated Presentation";
-    const date = new Date().toLocaleDateString();
-
-    return `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title}</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body {
-      font-family: 'Segoe UI', Calibri, Arial, sans-serif;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-    }
-    .slide {
-      width: 1024px;
-      height: 768px;
-      margin: 20px auto;
-      padding: 60px;
-      background: white;
-      box-shadow: 0 10px 40px rgba(0,0,0,0.2);
-      page-break-after: always;
-      display: flex;
-      flex-direction: column;
-      position: relative;
-    }
-    .title-slide {
-      background: linear-gradient(135deg, #003366 0%, #0066cc 100%);
-      color: white;
-      text-align: center;
-      justify-content: center;
-      align-items: center;
-    }
-    .title-slide h1 {
-      font-size: 56pt;
-      font-weight: bold;
-      margin-bottom: 30px;
-      text-shadow: 2px 2px 4px rgba(0,0,0,0.3);
-    }
-    .title-slide .subtitle {
-      font-size: 24pt;
-      opacity: 0.9;
-    }
-    .title-slide .date {
-      font-size: 18pt;
-      margin-top: 50px;
-      opacity: 0.8;
-    }
-    .content-slide h2 {
-      font-size: 36pt;
-      color: #003366;
-      border-bottom: 4px solid #0066cc;
-      padding-bottom: 15px;
-      margin-bottom: 40px;
-    }
-    .data-table {
-      border-collapse: collapse;
-      width: 100%;
-      margin: 30px 0;
-      font-size: 14pt;
-    }
-    .data-table th, .data-table td {
-      border: 1px solid #ddd;
-      padding: 12px;
-      text-align: left;
-    }
-    .data-table th {
-      background: linear-gradient(135deg, #0066cc 0%, #004499 100%);
-      color: white;
-      font-weight: bold;
-      text-transform: uppercase;
-      font-size: 12pt;
-    }
-    .data-table tr:nth-child(even) { background: #f8f9fa; }
-    .slide-number {
-      position: absolute;
-      bottom: 20px;
-      right: 30px;
-      color: #666;
-      font-size: 12pt;
-    }
-    @media print {
-      body { background: white; }
-      .slide { box-shadow: none; margin: 0; }
-    }
-  </style>
-</head>
-<body>
-  <div class="slide title-slide">
-    <h1>${title}</h1>
-    <div class="subtitle">Generated with GitVan</div>
-    <div class="date">${date}</div>
-  </div>
-  
-  <div class="slide content-slide">
-    <h2>Data Summary</h2>
-    <table class="data-table">
-      <thead>
-        <tr>
-          <th>Key</th>
-          <th>Value</th>
-        </tr>
-      </thead>
-      <tbody>
-        ${Object.entries(inputs)
-          .slice(0, 10)
-          .map(
-            ([key, value]) => `
-        <tr>
-          <td>${key}</td>
-          <td>${typeof value === "object" ? JSON.stringify(value) : value}</td>
-        </tr>
-        `
-          )
-          .join("")}
-      </tbody>
-    </table>
-    <div class="slide-number">2</div>
-  </div>
-</body>
-</html>`;
-  }
-
   /**
    * Convert inputs to Excel rows
    */
@@ -577,6 +418,15 @@ ${marked(content)}
     return rows;
   }
 
+  /**
+   * Wrap scalar values so every spreadsheet row is a record
+   */
+  _toRecord(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value)
+      ? value
+      : { value };
+  }
+
   /**
    * Get format from file path
    */
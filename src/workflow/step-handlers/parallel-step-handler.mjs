@@ -0,0 +1,88 @@
+// src/workflow/step-handlers/parallel-step-handler.mjs
+// Parallel step handler that runs child steps concurrently and joins them
+
+import { BaseStepHandler } from "./base-step-handler.mjs";
+
+/**
+ * Handler for parallel steps
+ *
+ * Starts every child step concurrently (bounded by `maxConcurrency` when set)
+ * and waits for all of them before completing. The step fails if any child
+ * step without `continueOnError` fails.
+ */
+export class ParallelStepHandler extends BaseStepHandler {
+  getStepType() {
+    return "parallel";
+  }
+
+  validate(step) {
+    if (!step.config) {
+      throw new Error("Parallel step missing configuration");
+    }
+    if (!step.config.steps?.length) {
+      throw new Error("Parallel step has no child steps");
+    }
+    const { maxConcurrency } = step.config;
+    if (
+      maxConcurrency !== undefined &&
+      (!Number.isInteger(maxConcurrency) || maxConcurrency < 1)
+    ) {
+      throw new Error(
+        "Parallel step maxConcurrency must be a positive integer"
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Execute all child steps concurrently and join their results
+   * @param {object} step - Step definition
+   * @param {object} inputs - Step inputs
+   * @param {object} context - Execution context
+   * @returns {Promise<object>} Step execution result
+   */
+  async execute(step, inputs, context) {
+    const { steps, maxConcurrency = steps.length } = step.config;
+
+    this.logger.info(
+      `🔀 Running ${steps.length} steps in parallel (max ${maxConcurrency} at a time)`
+    );
+
+    // Each branch keeps its declared position regardless of completion order
+    const branches = new Array(steps.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < steps.length) {
+        const index = next++;
+        const execution = await this.executeChildSteps(
+          [steps[index]],
+          inputs,
+          context
+        );
+        branches[index] = execution.steps[0];
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(maxConcurrency, steps.length) }, worker)
+    );
+
+    const failed = branches.filter(
+      (branch, index) =>
+        !branch.success && !steps[index].config?.continueOnError
+    );
+    return this.createResult(
+      {
+        branches,
+        succeeded: branches.filter((branch) => branch.success).length,
+        failed: failed.length,
+      },
+      failed.length === 0,
+      failed.length > 0
+        ? `Parallel steps failed: ${failed
+            .map((branch) => `${branch.stepId} (${branch.error})`)
+            .join(", ")}`
+        : null
+    );
+  }
+}
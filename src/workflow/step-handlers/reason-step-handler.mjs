@@ -0,0 +1,76 @@
+// src/workflow/step-handlers/reason-step-handler.mjs
+// Reasoning step handler that materializes inferred triples into the workflow graph
+
+import { BaseStepHandler } from "./base-step-handler.mjs";
+import { GraphReasoner } from "../../utils/graph-reasoning.mjs";
+
+/**
+ * Handler for reasoning steps
+ * Adds the triples entailed by RDFS, OWL RL or an N3 rule file to the graph,
+ * so later steps query the inferred graph
+ */
+export class ReasonStepHandler extends BaseStepHandler {
+  /**
+   * @param {object} options
+   * @param {object} [options.logger] - Logger instance
+   * @param {number} [options.defaultTimeout] - Default timeout for steps
+   * @param {GraphReasoner} [options.reasoner] - Reasoner with its inferred-graph cache
+   */
+  constructor(options = {}) {
+    super(options);
+    this.reasoner =
+      options.reasoner || new GraphReasoner({ logger: this.logger });
+  }
+
+  getStepType() {
+    return "reason";
+  }
+
+  validate(step) {
+    if (!step.config || !step.config.reasoning) {
+      throw new Error("Reason step missing reasoning configuration");
+    }
+    return true;
+  }
+
+  /**
+   * Execute reasoning step
+   * @param {object} step - Step definition
+   * @param {object} inputs - Step inputs
+   * @param {object} context - Execution context with graph instance
+   * @returns {Promise<object>} Step execution result
+   */
+  async execute(step, inputs, context) {
+    const { graph } = context;
+
+    if (!graph) {
+      throw new Error("Reason step requires graph context");
+    }
+
+    this.logger.info(`🧠 Reasoning with ${step.config.reasoning}`);
+
+    let result;
+    try {
+      result = await this.reasoner.materialize(
+        graph.store,
+        step.config.reasoning
+      );
+    } catch (error) {
+      this.logger.error(`❌ Reasoning failed: ${error.message}`);
+      return this.createResult(
+        null,
+        false,
+        `Reasoning failed: ${error.message}`
+      );
+    }
+
+    graph.store.addQuads(result.inferred);
+
+    return this.createResult({
+      reasoning: step.config.reasoning,
+      inferred: result.inferred.length,
+      cached: result.cached,
+      provenance: result.provenance,
+    });
+  }
+}
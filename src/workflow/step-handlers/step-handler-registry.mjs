@@ -7,13 +7,23 @@ import { FileStepHandler } from "./file-step-handler.mjs";
 import { HttpStepHandler } from "./http-step-handler.mjs";
 import { CliStepHandler } from "./cli-step-handler.mjs";
 import { OutputStepHandler } from "./output-step-handler.mjs";
+import { ReasonStepHandler } from "./reason-step-handler.mjs";
+import { ConditionalStepHandler } from "./conditional-step-handler.mjs";
+import { LoopStepHandler } from "./loop-step-handler.mjs";
+import { ParallelStepHandler } from "./parallel-step-handler.mjs";
 
 /**
  * Registry for step handlers
  */
 export class StepHandlerRegistry {
+  /**
+   * @param {object} options
+   * @param {object} [options.logger] - Logger instance
+   * @param {number} [options.defaultTimeout] - Default timeout for steps
+   */
   constructor(options = {}) {
     this.logger = options.logger || console;
+    this.defaultTimeout = options.defaultTimeout;
     this.handlers = new Map();
     this.registerDefaultHandlers();
   }
@@ -24,6 +34,7 @@ export class StepHandlerRegistry {
   registerDefaultHandlers() {
     const handlerOptions = {
       logger: this.logger,
+      defaultTimeout: this.defaultTimeout,
     };
 
     // Register core handlers
@@ -33,13 +44,16 @@ export class StepHandlerRegistry {
     this.register("http", new HttpStepHandler(handlerOptions));
     this.register("cli", new CliStepHandler(handlerOptions));
     this.register("output", new OutputStepHandler(handlerOptions));
+    this.register("reason", new ReasonStepHandler(handlerOptions));
+
+    // Register control-flow handlers
+    this.register("conditional", new ConditionalStepHandler(handlerOptions));
+    this.register("loop", new LoopStepHandler(handlerOptions));
+    this.register("parallel", new ParallelStepHandler(handlerOptions));
 
     // TODO: Register additional handlers as they are created
     // this.register("database", new DatabaseStepHandler(handlerOptions));
     // this.register("filesystem", new FilesystemStepHandler(handlerOptions));
-    // this.register("conditional", new ConditionalStepHandler(handlerOptions));
-    // this.register("loop", new LoopStepHandler(handlerOptions));
-    // this.register("parallel", new ParallelStepHandler(handlerOptions));
     // this.register("error-handling", new ErrorHandlingStepHandler(handlerOptions));
     // this.register("notification", new NotificationStepHandler(handlerOptions));
   }
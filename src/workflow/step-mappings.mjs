@@ -0,0 +1,30 @@
+// src/workflow/step-mappings.mjs
+// Reads step input/output mappings, which connect steps through context keys
+
+/**
+ * Get an input or output mapping of a step
+ *
+ * Mappings may be declared on the step itself as objects or, when parsed from
+ * Turtle (`gv:inputMapping` / `gv:outputMapping`), in its config as JSON
+ * strings. Input mappings map input names to context keys; output mappings
+ * map context keys to output names.
+ *
+ * @param {object} step - Step definition
+ * @param {"inputMapping"|"outputMapping"} name - Mapping to read
+ * @returns {object} Mapping object, empty when the step declares none
+ */
+export function getStepMapping(step, name) {
+  const mapping = step[name] ?? step.config?.[name];
+  if (!mapping) {
+    return {};
+  }
+  if (typeof mapping === "object") {
+    return mapping;
+  }
+
+  try {
+    return JSON.parse(mapping);
+  } catch (error) {
+    throw new Error(`Step ${step.id} has an invalid ${name}: ${error.message}`);
+  }
+}
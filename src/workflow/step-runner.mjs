@@ -2,6 +2,8 @@
 // Refactored step execution engine using modular step handlers
 
 import { StepHandlerRegistry } from "./step-handlers/step-handler-registry.mjs";
+import { getStepMapping } from "./step-mappings.mjs";
+import { evaluateStepGuard } from "./step-guard.mjs";
 
 /**
  * Step runner that executes individual workflow steps using modular handlers
@@ -15,17 +17,32 @@ export class StepRunner {
   constructor(options = {}) {
     this.logger = options.logger || console;
     this.defaultTimeout = options.defaultTimeout || 30000; // 30 seconds
-    this.handlerRegistry = new StepHandlerRegistry({ logger: this.logger });
+    this.handlerRegistry = new StepHandlerRegistry({
+      logger: this.logger,
+      defaultTimeout: this.defaultTimeout,
+    });
   }
 
   /**
    * Execute a single workflow step using the appropriate handler
+   *
+   * Honours the step's execution policies:
+   * - `when`: SPARQL ASK guard; the step is skipped when it answers false
+   * - `retries`: extra attempts after a failure (default 0)
+   * - `backoff`: delay in ms before the first retry, doubled for each further retry
+   * - `timeout`: per-attempt limit in ms; without it only the handler's own
+   *   limits apply (e.g. the CLI and HTTP request timeouts)
+   * - `onFailure`: compensation step executed once all attempts have failed
+   *
    * @param {object} step - Step definition
    * @param {object} contextManager - Context manager instance
    * @param {object} graph - useGraph instance
    * @param {object} turtle - useTurtle instance
    * @param {object} [options] - Execution options
-   * @returns {Promise<object>} Step execution result
+   * @param {object} [options.inputs] - Extra inputs, e.g. the current loop item
+   * @param {AbortSignal} [options.signal] - Aborts the step, e.g. when its parent step timed out
+   * @returns {Promise<object>} Step execution result with one entry per attempt,
+   * or `skipped: true` when the guard did not hold
    */
   async executeStep(step, contextManager, graph, turtle, options = {}) {
     const startTime = performance.now();
@@ -33,12 +50,134 @@ export class StepRunner {
       this.logger.info(`⚡ Executing step: ${step.id} (${step.type})`);
     }
 
+    const { when, retries = 0, backoff = 0, onFailure } = step.config || {};
+    const attempts = [];
+    let outcome;
+
     try {
-      // Validate step using handler
+      // Validate step using handler; invalid steps are never retried
       this.handlerRegistry.validateStep(step);
 
+      // A step whose guard does not hold is skipped, not failed
+      if (when && !(await evaluateStepGuard(when, { graph, contextManager }))) {
+        outcome = { success: true, outputs: {}, skipped: true };
+      }
+
+      for (
+        let attempt = 1;
+        !outcome?.skipped && attempt <= retries + 1;
+        attempt++
+      ) {
+        if (attempt > 1) {
+          // An aborted parent step gets no further attempts
+          if (options.signal?.aborted) break;
+          const delay = backoff * 2 ** (attempt - 2);
+          this.logger.warn(
+            `🔁 Retrying step ${step.id} (attempt ${attempt}/${retries + 1}) in ${delay}ms`
+          );
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+
+        outcome = await this._executeAttempt(
+          step,
+          contextManager,
+          graph,
+          turtle,
+          options
+        );
+        attempts.push({
+          attempt,
+          success: outcome.success,
+          duration: outcome.duration,
+          error: outcome.error,
+          timestamp: new Date().toISOString(),
+        });
+
+        if (outcome.success) break;
+      }
+    } catch (error) {
+      outcome = { success: false, outputs: {}, error: error.message };
+      attempts.push({
+        attempt: 1,
+        success: false,
+        duration: performance.now() - startTime,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const duration = performance.now() - startTime;
+    const stepResult = {
+      stepId: step.id,
+      success: outcome.success,
+      duration,
+      outputs: outcome.outputs,
+      timestamp: new Date().toISOString(),
+      stepType: step.type,
+      handlerUsed: step.type,
+      attempts,
+    };
+
+    if (outcome.skipped) {
+      stepResult.skipped = true;
+      stepResult.skipReason = "Guard (gv:when) evaluated to false";
+      this.logger.info(`⏭️ Skipping step ${step.id}: guard not met`);
+    } else if (outcome.success) {
+      if (options.verbose) {
+        this.logger.info(
+          `✅ Step completed: ${step.id} (${duration.toFixed(2)}ms)`
+        );
+      }
+    } else {
+      stepResult.error = outcome.error;
+      this.logger.error(`❌ Step failed: ${step.id} - ${outcome.error}`);
+
+      if (onFailure) {
+        this.logger.warn(
+          `↩️ Running compensation step ${onFailure.id} for ${step.id}`
+        );
+        stepResult.compensation = await this.executeStep(
+          onFailure,
+          contextManager,
+          graph,
+          turtle,
+          options
+        );
+      }
+    }
+
+    this._recordExecution(stepResult, contextManager);
+    return stepResult;
+  }
+
+  /**
+   * Run one attempt of a step through its handler, enforcing the timeout
+   *
+   * The handler receives `context.signal`, which is aborted when the attempt
+   * times out or the parent step is aborted, so it can stop its work (kill a
+   * process, cancel a request) instead of running on unobserved.
+   * @param {object} step - Step definition
+   * @param {object} contextManager - Context manager instance
+   * @param {object} graph - useGraph instance
+   * @param {object} turtle - useTurtle instance
+   * @param {object} options - Execution options
+   * @returns {Promise<{success: boolean, outputs: object, error?: string, duration: number}>} Attempt outcome
+   */
+  async _executeAttempt(step, contextManager, graph, turtle, options) {
+    const startTime = performance.now();
+    const controller = new AbortController();
+    const abortFromParent = () => controller.abort(options.signal.reason);
+    if (options.signal?.aborted) {
+      abortFromParent();
+    }
+    options.signal?.addEventListener("abort", abortFromParent, { once: true });
+
+    try {
       // Get step inputs from context
-      const inputs = await this._getStepInputs(step, contextManager);
+      const inputs = {
+        ...(await this._getStepInputs(step, contextManager)),
+        ...options.inputs,
+      };
 
       // Prepare execution context
       const context = {
@@ -46,53 +185,81 @@ export class StepRunner {
         turtle,
         contextManager,
         logger: this.logger,
-        options,
+        // Child steps are aborted along with this one
+        options: { ...options, signal: controller.signal },
         files: options.files, // Pass files from options if available
+        stepRunner: this, // Lets control-flow handlers run child steps
+        signal: controller.signal,
       };
 
       // Execute step using appropriate handler
-      const result = await this.handlerRegistry.executeStep(
+      const result = await this._withTimeout(
+        this.handlerRegistry.executeStep(step, inputs, context),
+        step.config?.timeout,
         step,
-        inputs,
-        context
+        controller
       );
 
       // Store step outputs in context
       await this._storeStepOutputs(step, result, contextManager);
 
-      const endTime = performance.now();
-      const duration = endTime - startTime;
-
-      if (options.verbose) {
-        this.logger.info(
-          `✅ Step completed: ${step.id} (${duration.toFixed(2)}ms)`
-        );
-      }
-
       return {
-        stepId: step.id,
-        success: true,
-        duration,
+        success: result.success !== false,
         outputs: result.data || {},
-        timestamp: new Date().toISOString(),
-        stepType: step.type,
-        handlerUsed: step.type,
+        error: result.success === false ? result.error : undefined,
+        duration: performance.now() - startTime,
       };
     } catch (error) {
-      const endTime = performance.now();
-      const duration = endTime - startTime;
-
-      this.logger.error(`❌ Step failed: ${step.id} - ${error.message}`);
-
       return {
-        stepId: step.id,
         success: false,
-        duration,
+        outputs: {},
         error: error.message,
-        timestamp: new Date().toISOString(),
-        stepType: step.type,
-        handlerUsed: step.type,
+        duration: performance.now() - startTime,
       };
+    } finally {
+      options.signal?.removeEventListener("abort", abortFromParent);
+    }
+  }
+
+  /**
+   * Reject if a step attempt does not settle within the timeout, aborting
+   * the attempt's signal so the handler stops its work
+   * @param {Promise<object>} execution - Handler execution promise
+   * @param {number} [timeout] - Timeout in ms; unset or 0 to disable
+   * @param {object} step - Step definition
+   * @param {AbortController} controller - Controller of the attempt's signal
+   * @returns {Promise<object>} Handler result
+   */
+  async _withTimeout(execution, timeout, step, controller) {
+    if (!timeout) {
+      return execution;
+    }
+
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Step ${step.id} timed out after ${timeout}ms`);
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([execution, timeoutPromise]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Record a step result in the context manager's execution history
+   * so later steps (e.g. conditional expressions) can see its outputs
+   * @param {object} stepResult - Step execution result
+   * @param {object} contextManager - Context manager instance
+   */
+  _recordExecution(stepResult, contextManager) {
+    if (typeof contextManager?.recordStepExecution === "function") {
+      contextManager.recordStepExecution(stepResult);
     }
   }
 
@@ -103,14 +270,12 @@ export class StepRunner {
    * @returns {Promise<object>} Step inputs
    */
   async _getStepInputs(step, contextManager) {
-    if (!step.inputMapping) {
-      return {};
-    }
+    const inputMapping = getStepMapping(step, "inputMapping");
 
     const inputs = {};
-    for (const [inputKey, contextKey] of Object.entries(step.inputMapping)) {
+    for (const [inputKey, contextKey] of Object.entries(inputMapping)) {
       try {
-        inputs[inputKey] = await contextManager.get(contextKey);
+        inputs[inputKey] = await contextManager.getOutput(contextKey);
       } catch (error) {
         this.logger.warn(
           `⚠️ Could not get input '${inputKey}' from context key '${contextKey}': ${error.message}`
@@ -130,14 +295,15 @@ export class StepRunner {
    * @returns {Promise<void>}
    */
   async _storeStepOutputs(step, result, contextManager) {
-    if (!step.outputMapping || !result.success) {
+    if (result.success === false) {
       return;
     }
 
-    for (const [contextKey, outputKey] of Object.entries(step.outputMapping)) {
+    const outputMapping = getStepMapping(step, "outputMapping");
+    for (const [contextKey, outputKey] of Object.entries(outputMapping)) {
       try {
         const value = outputKey ? result.data?.[outputKey] : result.data;
-        await contextManager.set(contextKey, value);
+        await contextManager.setOutput(contextKey, value);
       } catch (error) {
         this.logger.warn(
           `⚠️ Could not store output '${outputKey}' to context key '${contextKey}': ${error.message}`
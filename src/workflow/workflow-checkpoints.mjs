@@ -0,0 +1,222 @@
+// src/workflow/workflow-checkpoints.mjs
+// Persists workflow execution checkpoints through the git-native SnapshotStore
+// so an interrupted run can be resumed from its first incomplete step
+
+import { SnapshotStore } from "../git-native/snapshot-store.mjs";
+
+const KEY_PREFIX = "workflow-execution:";
+
+/**
+ * Checkpoint store for workflow executions
+ *
+ * Each execution keeps a single checkpoint: saving replaces the previous
+ * snapshot of the same execution, and completing the execution removes it.
+ */
+export class WorkflowCheckpoints {
+  /**
+   * @param {object} options
+   * @param {string} [options.cwd] - Repository working directory
+   * @param {object} [options.logger] - Logger instance
+   * @param {object} [options.snapshotStore] - SnapshotStore instance to use
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || console;
+    this.snapshots =
+      options.snapshotStore ||
+      new SnapshotStore({ cwd: options.cwd, logger: this.logger });
+    this._saving = Promise.resolve();
+    // Content hash of the current checkpoint of each execution seen here
+    this._heads = new Map();
+  }
+
+  /**
+   * Generate a new execution ID
+   * @returns {string} Execution ID
+   */
+  static generateExecutionId() {
+    return `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Restore the context of a checkpoint and return the results of the steps
+   * it completed, which a resumed execution carries over
+   * @param {object} checkpoint - Checkpoint to resume from
+   * @param {object} contextManager - ContextManager of the resumed execution
+   * @returns {Promise<Array<object>>} Results of the completed steps
+   */
+  static async restore(checkpoint, contextManager) {
+    await contextManager.restoreSnapshot(checkpoint.context);
+    const completed = new Set(checkpoint.completedSteps);
+    return checkpoint.stepResults.filter((result) =>
+      completed.has(result.stepId)
+    );
+  }
+
+  /**
+   * Load the checkpoint an interrupted execution resumes from
+   * @param {string} executionId - Execution ID
+   * @returns {Promise<object>} Checkpoint data
+   * @throws {Error} When the execution has no checkpoint or already completed
+   */
+  async loadForResume(executionId) {
+    const checkpoint = await this.load(executionId);
+    if (!checkpoint) {
+      throw new Error(`No checkpoint found for execution: ${executionId}`);
+    }
+    if (checkpoint.status === "completed") {
+      throw new Error(`Execution already completed: ${executionId}`);
+    }
+
+    this.logger.info(
+      `⏯️ Resuming execution ${executionId} after ${checkpoint.completedSteps.length} completed steps`
+    );
+    return checkpoint;
+  }
+
+  /**
+   * Checkpoint the state of a running execution; failures are logged rather
+   * than thrown so they never fail the workflow
+   * @param {object} execution - Execution state
+   * @param {string} execution.executionId - Execution ID
+   * @param {string} execution.workflowId - Workflow ID
+   * @param {object} execution.inputs - Workflow inputs
+   * @param {Set<string>} execution.completedSteps - IDs of completed steps
+   * @param {Array<object>} execution.results - Results of executed steps
+   * @param {string} status - running, failed or completed
+   * @param {object} contextManager - ContextManager of the execution
+   * @returns {Promise<void>}
+   */
+  async saveExecution(execution, status, contextManager) {
+    try {
+      await this.save({
+        executionId: execution.executionId,
+        workflowId: execution.workflowId,
+        inputs: execution.inputs,
+        status,
+        completedSteps: Array.from(execution.completedSteps),
+        stepResults: execution.results,
+        context: contextManager.createSnapshot(),
+      });
+    } catch (error) {
+      this.logger.warn(`⚠️ Failed to save checkpoint: ${error.message}`);
+    }
+  }
+
+  /**
+   * Save the checkpoint of an execution
+   * @param {object} checkpoint - Checkpoint data
+   * @param {string} checkpoint.executionId - Execution ID
+   * @param {string} checkpoint.workflowId - Workflow ID
+   * @param {string} checkpoint.status - running, failed or completed
+   * @param {string[]} checkpoint.completedSteps - IDs of completed steps
+   * @param {Array<object>} checkpoint.stepResults - Results of executed steps
+   * @param {object} checkpoint.context - ContextManager snapshot
+   * @returns {Promise<string|null>} Content hash of the stored snapshot, or
+   *   null when a completed execution's checkpoint was removed
+   */
+  async save(checkpoint) {
+    // Steps of one level finish concurrently; saves are applied in order so
+    // an execution never ends up with two checkpoints
+    const saving = this._saving.then(() => this._save(checkpoint));
+    this._saving = saving.catch(() => {});
+    return saving;
+  }
+
+  /**
+   * Replace the stored checkpoint of an execution
+   * @private
+   */
+  async _save(checkpoint) {
+    const { executionId } = checkpoint;
+    const key = KEY_PREFIX + executionId;
+    const previous = this._heads.get(executionId);
+
+    // A completed execution cannot be resumed, so its checkpoint goes
+    if (checkpoint.status === "completed") {
+      if (previous) {
+        await this.snapshots.removeSnapshot(key, previous);
+      }
+      this._heads.delete(executionId);
+      return null;
+    }
+
+    const data = this._toSerializable({
+      ...checkpoint,
+      updatedAt: new Date().toISOString(),
+    });
+    const contentHash = await this.snapshots.storeSnapshot(key, data, {
+      workflowId: checkpoint.workflowId,
+      status: checkpoint.status,
+      completedSteps: checkpoint.completedSteps.length,
+    });
+    this._heads.set(executionId, contentHash);
+
+    if (previous && previous !== contentHash) {
+      await this.snapshots.removeSnapshot(key, previous);
+    }
+
+    return contentHash;
+  }
+
+  /**
+   * Load the checkpoint of an execution
+   *
+   * Executions checkpointed by this instance are read directly; others are
+   * looked up once in the snapshot store.
+   * @param {string} executionId - Execution ID
+   * @returns {Promise<object|null>} Checkpoint data or null if none exists
+   */
+  async load(executionId) {
+    const key = KEY_PREFIX + executionId;
+    const contentHash =
+      this._heads.get(executionId) ??
+      (await this._findHeader(executionId))?.contentHash;
+    if (!contentHash) {
+      return null;
+    }
+
+    const checkpoint = await this.snapshots.getSnapshot(key, contentHash);
+    if (checkpoint) {
+      this._heads.set(executionId, contentHash);
+    }
+    return checkpoint;
+  }
+
+  /**
+   * List checkpoint headers of all executions, most recent first
+   * @returns {Promise<Array<object>>} Checkpoint summaries
+   */
+  async list() {
+    const headers = await this.snapshots.listSnapshots();
+    return headers
+      .filter((header) => header?.key?.startsWith(KEY_PREFIX))
+      .map((header) => ({
+        executionId: header.key.slice(KEY_PREFIX.length),
+        ...header.metadata,
+        timestamp: header.timestamp,
+      }));
+  }
+
+  /**
+   * Find the snapshot header of an execution's checkpoint
+   * @private
+   */
+  async _findHeader(executionId) {
+    const headers = await this.snapshots.listSnapshots();
+    return (
+      headers.find((header) => header?.key === KEY_PREFIX + executionId) || null
+    );
+  }
+
+  /**
+   * Drop values that cannot be persisted, such as N3 stores in query outputs
+   * @private
+   */
+  _toSerializable(value) {
+    return JSON.parse(
+      JSON.stringify(value, (key, item) =>
+        item && typeof item.getQuads === "function" ? undefined : item
+      )
+    );
+  }
+}
@@ -3,6 +3,18 @@ import { useTurtle } from "../composables/turtle.mjs";
 import { useLog } from "../composables/log.mjs";
 import { StepRunner } from "./step-runner.mjs";
 import { ContextManager } from "./context-manager.mjs";
+import { WorkflowCheckpoints } from "./workflow-checkpoints.mjs";
+import { DAGPlanner } from "./dag-planner.mjs";
+import { DEFAULT_MAX_CONCURRENCY, executeLevels } from "./level-executor.mjs";
+import {
+  CHILD_STEP_PROPERTIES,
+  assertNoStepCycle,
+  readDependencies,
+  readStepConfig,
+} from "./step-config.mjs";
+import N3 from "n3";
+
+const RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
 
 /**
  * WorkflowEngine - Simple engine that loads Turtle files using useGraph
@@ -15,6 +27,16 @@ export class WorkflowEngine {
     this.turtle = null;
     this.stepRunner = new StepRunner({ logger: this.logger });
     this.contextManager = new ContextManager();
+    this.planner = new DAGPlanner({ logger: this.logger });
+    this.maxConcurrency = options.maxConcurrency || DEFAULT_MAX_CONCURRENCY;
+    this.checkpoints =
+      options.checkpoints === false
+        ? null
+        : new WorkflowCheckpoints({
+            cwd: options.cwd,
+            logger: this.logger,
+            snapshotStore: options.snapshotStore,
+          });
   }
 
   /**
@@ -111,84 +133,130 @@ export class WorkflowEngine {
 
   /**
    * Execute a workflow by ID
+   * A checkpoint is saved after every step so the run can be resumed
+   * @param {string} workflowId - Workflow ID
+   * @param {object} [options] - Execution options
+   * @param {string} [options.executionId] - Execution ID, generated when omitted
+   * @param {object} [options.checkpoint] - Checkpoint to resume from
    */
-  async executeWorkflow(workflowId) {
+  async executeWorkflow(workflowId, options = {}) {
     if (!this.graph) {
       await this.initialize();
     }
 
-    try {
-      this.logger.info(`🎯 Executing workflow: ${workflowId}`);
+    const execution = {
+      executionId:
+        options.executionId || WorkflowCheckpoints.generateExecutionId(),
+      workflowId,
+      inputs: {},
+      completedSteps: new Set(options.checkpoint?.completedSteps || []),
+      results: [],
+    };
 
-      // Find the workflow hook using SPARQL
-      const query = `
-        PREFIX gh: <http://example.org/git-hooks#>
-        PREFIX gh2: <https://gitvan.dev/graph-hook#>
-        PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
-        PREFIX gv: <https://gitvan.dev/ontology#>
-        PREFIX op: <http://example.org/operations#>
-        PREFIX op2: <https://gitvan.dev/op#>
-        SELECT ?workflow ?title ?pipeline WHERE {
-          {
-            ?workflow a gh:Hook ;
-              rdfs:label ?title ;
-              op:hasPipeline ?pipeline .
-            FILTER(?workflow = <${workflowId}>)
-          } UNION {
-            ?workflow a gh2:Hook ;
-              gv:title ?title ;
-              gh2:orderedPipelines ?pipeline .
-            FILTER(?workflow = <${workflowId}>)
-          }
-        }
-      `;
+    try {
+      this.logger.info(
+        `🎯 Executing workflow: ${workflowId} (${execution.executionId})`
+      );
 
-      const results = await this.graph.query(query);
+      const { title: workflowTitle, steps } =
+        await this._loadWorkflow(workflowId);
+      const plan = await this.planner.createPlan(steps);
+      this.logger.info(
+        `📋 Found ${steps.length} steps to execute in ${
+          this.planner.getLevels(plan).length
+        } levels`
+      );
 
-      if (!results.results || results.results.length === 0) {
-        throw new Error(`Workflow not found: ${workflowId}`);
+      if (options.checkpoint) {
+        execution.results = await WorkflowCheckpoints.restore(
+          options.checkpoint,
+          this.contextManager
+        );
+      } else {
+        await this.contextManager.initialize({
+          workflowId,
+          startTime: performance.now(),
+          inputs: {},
+        });
       }
 
-      const workflowTitle = results.results[0].title.value;
-      const pipelineId = results.results[0].pipeline.value;
-      this.logger.info(`✅ Found workflow: ${workflowTitle}`);
+      // Execute independent steps concurrently, level by level, stopping
+      // at the first failure that is not allowed to continue
+      const stepResults = execution.results;
+      const pending = this.planner.getLevels(plan).map((level) =>
+        level.filter((step) => {
+          if (execution.completedSteps.has(step.id)) {
+            this.logger.info(`⏭️ Skipping completed step: ${step.id}`);
+            return false;
+          }
+          return true;
+        })
+      );
 
-      // Parse workflow steps from the pipeline
-      const steps = await this._parseWorkflowSteps(pipelineId);
-      this.logger.info(`📋 Found ${steps.length} steps to execute`);
+      const failedStep = await executeLevels(pending, {
+        maxConcurrency: this.maxConcurrency,
+        runStep: async (step) => {
+          this.logger.info(`🔄 Executing step: ${step.id} (${step.type})`);
+
+          let result;
+          try {
+            result = await this.stepRunner.executeStep(
+              step,
+              this.contextManager,
+              this.graph,
+              null, // No turtle needed since we have graph
+              {}
+            );
+            if (result.skipped) {
+              this.logger.info(`⏭️ Step skipped by its guard: ${step.id}`);
+            } else if (result.success) {
+              this.logger.info(`✅ Step completed: ${step.id}`);
+            }
+          } catch (error) {
+            this.logger.error(`❌ Step failed: ${step.id}`, error);
+            result = {
+              stepId: step.id,
+              success: false,
+              error: error.message,
+            };
+          }
+          stepResults.push(result);
 
-      // Execute each step
-      const stepResults = [];
-      for (const step of steps) {
-        this.logger.info(`🔄 Executing step: ${step.id} (${step.type})`);
+          if (!result.success) {
+            if (!step.config.continueOnError) {
+              return result;
+            }
+            this.logger.warn(`⚠️ Continuing after failed step: ${step.id}`);
+            result.continuedOnError = true;
+          }
 
-        try {
-          const result = await this.stepRunner.executeStep(
-            step,
-            this.contextManager,
-            this.graph,
-            null, // No turtle needed since we have graph
-            {}
+          execution.completedSteps.add(step.id);
+          await this.checkpoints?.saveExecution(
+            execution,
+            "running",
+            this.contextManager
           );
-
-          stepResults.push(result);
-          this.logger.info(`✅ Step completed: ${step.id}`);
-        } catch (error) {
-          this.logger.error(`❌ Step failed: ${step.id}`, error);
-          stepResults.push({
-            stepId: step.id,
-            success: false,
-            error: error.message,
-          });
-        }
-      }
+          return result;
+        },
+      });
+
+      await this.checkpoints?.saveExecution(
+        execution,
+        failedStep ? "failed" : "completed",
+        this.contextManager
+      );
 
       // Return execution result
       return {
+        executionId: execution.executionId,
         workflowId,
         title: workflowTitle,
-        status: "completed",
+        status: failedStep ? "failed" : "completed",
+        failedStep,
         steps: stepResults,
+        skippedSteps: stepResults
+          .filter((result) => result.skipped)
+          .map((result) => result.stepId),
         executedAt: new Date().toISOString(),
       };
     } catch (error) {
@@ -197,6 +265,87 @@ export class WorkflowEngine {
     }
   }
 
+  /**
+   * Plan a workflow without executing it
+   * @param {string} workflowId - Workflow ID
+   * @returns {Promise<object>} Plan with dependency levels and critical path
+   */
+  async planWorkflow(workflowId) {
+    if (!this.graph) {
+      await this.initialize();
+    }
+
+    const { title, steps } = await this._loadWorkflow(workflowId);
+    const plan = await this.planner.createPlan(steps);
+
+    return {
+      workflowId,
+      title,
+      plan,
+      levels: this.planner.getLevels(plan),
+      criticalPath: this.planner.getCriticalPath(plan),
+      maxConcurrency: this.maxConcurrency,
+    };
+  }
+
+  /**
+   * Find a workflow hook and parse the steps of its pipeline
+   * @private
+   */
+  async _loadWorkflow(workflowId) {
+    // Find the workflow hook using SPARQL
+    const query = `
+      PREFIX gh: <http://example.org/git-hooks#>
+      PREFIX gh2: <https://gitvan.dev/graph-hook#>
+      PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>
+      PREFIX gv: <https://gitvan.dev/ontology#>
+      PREFIX op: <http://example.org/operations#>
+      PREFIX op2: <https://gitvan.dev/op#>
+      SELECT ?workflow ?title ?pipeline WHERE {
+        {
+          ?workflow a gh:Hook ;
+            rdfs:label ?title ;
+            op:hasPipeline ?pipeline .
+          FILTER(?workflow = <${workflowId}>)
+        } UNION {
+          ?workflow a gh2:Hook ;
+            gv:title ?title ;
+            gh2:orderedPipelines ?pipeline .
+          FILTER(?workflow = <${workflowId}>)
+        }
+      }
+    `;
+
+    const results = await this.graph.query(query);
+
+    if (!results.results || results.results.length === 0) {
+      throw new Error(`Workflow not found: ${workflowId}`);
+    }
+
+    const title = results.results[0].title.value;
+    const pipelineId = results.results[0].pipeline.value;
+    this.logger.info(`✅ Found workflow: ${title}`);
+
+    return { title, steps: await this._parseWorkflowSteps(pipelineId) };
+  }
+
+  /**
+   * Resume an interrupted execution from its last checkpoint
+   * Completed steps are skipped; execution continues from the first incomplete step
+   * @param {string} executionId - ID of the execution to resume
+   */
+  async resumeWorkflow(executionId) {
+    if (!this.checkpoints) {
+      throw new Error("Checkpoints are disabled for this engine");
+    }
+
+    const checkpoint = await this.checkpoints.loadForResume(executionId);
+    return this.executeWorkflow(checkpoint.workflowId, {
+      executionId,
+      checkpoint,
+    });
+  }
+
   /**
    * Parse workflow steps from Turtle data
    * @private
@@ -275,13 +424,67 @@ export class WorkflowEngine {
         }
       }
 
-      return Array.from(stepMap.values());
+      const steps = Array.from(stepMap.values());
+      for (const step of steps) {
+        const stepNode = N3.DataFactory.namedNode(step.id);
+        assertNoStepCycle(this.graph.store, stepNode);
+        delete step.config.dependsOn;
+        step.dependsOn = readDependencies(this.graph.store, stepNode);
+        Object.assign(step.config, this._parseStepConfig(stepNode));
+      }
+
+      return steps;
     } catch (error) {
       this.logger.error(`❌ Failed to parse workflow steps:`, error);
       throw error;
     }
   }
 
+  /**
+   * Read the typed configuration of a step and parse its nested steps
+   * @private
+   */
+  _parseStepConfig(stepNode) {
+    const config = readStepConfig(this.graph.store, stepNode);
+
+    if (config.onFailure) {
+      config.onFailure = this._parseStepNode(config.onFailure);
+    }
+    for (const property of CHILD_STEP_PROPERTIES) {
+      if (config[property]) {
+        config[property] = config[property].map((childNode) =>
+          this._parseStepNode(childNode)
+        );
+      }
+    }
+
+    return config;
+  }
+
+  /**
+   * Parse a child step node directly from the store
+   * @private
+   */
+  _parseStepNode(stepNode) {
+    const store = this.graph.store;
+    const typeNode = store
+      .getObjects(stepNode, RDF + "type", null)
+      .find((term) => term.value.endsWith("Step"));
+    const type = typeNode
+      ? typeNode.value.split(/[#/]/).pop().replace("Step", "").toLowerCase()
+      : "unknown";
+
+    const step = { id: stepNode.value, type, config: {} };
+    for (const quad of store.getQuads(stepNode, null, null, null)) {
+      if (quad.predicate.value === RDF + "type") continue;
+      const prop = quad.predicate.value.split(/[#/]/).pop();
+      step.config[this._mapPropertyName(prop, type)] = quad.object.value;
+    }
+
+    Object.assign(step.config, this._parseStepConfig(stepNode));
+    return step;
+  }
+
   /**
    * Map Turtle property names to step handler expected property names
    * @private
@@ -311,6 +514,10 @@ export class WorkflowEngine {
       },
       cli: {
         command: "command",
+        cliCommand: "command",
+      },
+      loop: {
+        text: "query",
       },
     };
 
@@ -6,6 +6,8 @@ import { WorkflowParser } from "./workflow-parser.mjs";
 import { DAGPlanner } from "./dag-planner.mjs";
 import { StepRunner } from "./step-runner.mjs";
 import { ContextManager } from "./context-manager.mjs";
+import { WorkflowCheckpoints } from "./workflow-checkpoints.mjs";
+import { DEFAULT_MAX_CONCURRENCY, executeLevels } from "./level-executor.mjs";
 import { useGraph } from "../composables/graph.mjs";
 import { promises as fs } from "node:fs";
 import { join } from "node:path";
@@ -22,18 +24,31 @@ export class WorkflowExecutor {
    * @param {object} [options.context] - GitVan context
    * @param {object} [options.logger] - Logger instance
    * @param {number} [options.timeoutMs] - Execution timeout in milliseconds
+   * @param {string} [options.cwd] - Repository working directory for checkpoints
+   * @param {boolean} [options.checkpoints] - Persist a checkpoint after each step (default true)
+   * @param {object} [options.snapshotStore] - SnapshotStore used for checkpoints
+   * @param {number} [options.maxConcurrency] - Maximum independent steps running at once
    */
   constructor(options = {}) {
     this.graphDir = options.graphDir || "./workflows";
     this.context = options.context;
     this.logger = options.logger || console;
     this.timeoutMs = options.timeoutMs || 300000; // 5 minutes default
+    this.maxConcurrency = options.maxConcurrency || DEFAULT_MAX_CONCURRENCY;
 
     // Initialize components
     this.parser = new WorkflowParser({ logger: this.logger });
     this.planner = new DAGPlanner({ logger: this.logger });
     this.runner = new StepRunner({ logger: this.logger });
     this.contextManager = new ContextManager({ logger: this.logger });
+    this.checkpoints =
+      options.checkpoints === false
+        ? null
+        : new WorkflowCheckpoints({
+            cwd: options.cwd || this.context?.cwd,
+            logger: this.logger,
+            snapshotStore: options.snapshotStore,
+          });
 
     // Initialize RDF components
     this.graph = null;
@@ -43,11 +58,24 @@ export class WorkflowExecutor {
    * Execute a workflow by its ID
    * @param {string} workflowId - The ID of the workflow to execute
    * @param {object} [inputs] - Input parameters for the workflow
+   * @param {object} [options] - Execution options
+   * @param {string} [options.executionId] - Execution ID, generated when omitted
+   * @param {object} [options.checkpoint] - Checkpoint to resume from
    * @returns {Promise<object>} Execution result with outputs and metadata
    */
-  async execute(workflowId, inputs = {}) {
+  async execute(workflowId, inputs = {}, options = {}) {
     const startTime = performance.now();
-    this.logger.info(`🚀 Starting workflow execution: ${workflowId}`);
+    const execution = {
+      executionId:
+        options.executionId || WorkflowCheckpoints.generateExecutionId(),
+      workflowId,
+      inputs,
+      completedSteps: new Set(options.checkpoint?.completedSteps || []),
+      results: [],
+    };
+    this.logger.info(
+      `🚀 Starting workflow execution: ${workflowId} (${execution.executionId})`
+    );
 
     try {
       // Initialize RDF components
@@ -59,14 +87,25 @@ export class WorkflowExecutor {
       // Create execution plan
       const plan = await this._createExecutionPlan(workflow);
 
-      // Initialize execution context
-      await this._initializeContext(workflowId, inputs);
+      // Initialize execution context, or restore it when resuming
+      if (options.checkpoint) {
+        execution.results = await WorkflowCheckpoints.restore(
+          options.checkpoint,
+          this.contextManager
+        );
+      } else {
+        await this._initializeContext(workflowId, inputs);
+      }
 
       // Execute the plan
-      const results = await this._executePlan(plan);
+      const results = await this._executePlan(plan, execution);
 
       // Finalize execution
-      const executionResult = await this._finalizeExecution(results, startTime);
+      const executionResult = await this._finalizeExecution(
+        results,
+        startTime,
+        execution
+      );
 
       this.logger.info(`✅ Workflow execution completed: ${workflowId}`);
       return executionResult;
@@ -76,6 +115,24 @@ export class WorkflowExecutor {
     }
   }
 
+  /**
+   * Resume an interrupted execution from its last checkpoint
+   * Completed steps are skipped; execution continues from the first incomplete step
+   * @param {string} executionId - ID of the execution to resume
+   * @returns {Promise<object>} Execution result with outputs and metadata
+   */
+  async resume(executionId) {
+    if (!this.checkpoints) {
+      throw new Error("Checkpoints are disabled for this executor");
+    }
+
+    const checkpoint = await this.checkpoints.loadForResume(executionId);
+    return this.execute(checkpoint.workflowId, checkpoint.inputs, {
+      executionId,
+      checkpoint,
+    });
+  }
+
   /**
    * List all available workflows
    * @returns {Promise<Array<object>>} List of available workflows
@@ -255,47 +312,106 @@ export class WorkflowExecutor {
   }
 
   /**
-   * Execute the plan
+   * Execute the plan level by level, running independent steps concurrently,
+   * skipping steps completed before a resume and checkpointing the context
+   * after every step
    * @private
    */
-  async _executePlan(plan) {
-    this.logger.info(`⚡ Executing ${plan.length} steps`);
+  async _executePlan(plan, execution) {
+    const levels = this.planner.getLevels(plan);
+    this.logger.info(
+      `⚡ Executing ${plan.length} steps in ${levels.length} levels (max ${this.maxConcurrency} at a time)`
+    );
 
-    const results = [];
+    const pending = levels.map((level) =>
+      level.filter((step) => {
+        if (execution.completedSteps.has(step.id)) {
+          this.logger.info(`⏭️ Skipping completed step: ${step.id}`);
+          return false;
+        }
+        return true;
+      })
+    );
 
-    for (let i = 0; i < plan.length; i++) {
-      const step = plan[i];
-      this.logger.info(`⚡ Executing step ${i + 1}/${plan.length}: ${step.id}`);
+    const failedStep = await executeLevels(pending, {
+      maxConcurrency: this.maxConcurrency,
+      runStep: async (step) => {
+        this.logger.info(
+          `⚡ Executing step ${step.executionOrder + 1}/${plan.length}: ${step.id}`
+        );
 
-      try {
-        const stepResult = await this.runner.executeStep(
-          step,
-          this.contextManager,
-          this.graph,
-          this.turtle
+        let stepResult;
+        try {
+          stepResult = await this.runner.executeStep(
+            step,
+            this.contextManager,
+            this.graph,
+            this.turtle
+          );
+        } catch (error) {
+          this.logger.error(`❌ Step failed: ${step.id}`, error);
+          throw new Error(
+            `Step execution failed: ${step.id} - ${error.message}`
+          );
+        }
+
+        execution.results.push(stepResult);
+
+        if (stepResult.skipped) {
+          this.logger.info(`⏭️ Step skipped by its guard: ${step.id}`);
+        } else if (stepResult.success) {
+          this.logger.info(`✅ Step completed: ${step.id}`);
+        } else if (step.config?.continueOnError) {
+          this.logger.warn(`⚠️ Continuing after failed step: ${step.id}`);
+          stepResult.continuedOnError = true;
+        }
+
+        if (stepResult.success || stepResult.continuedOnError) {
+          execution.completedSteps.add(step.id);
+        }
+        await this.checkpoints?.saveExecution(
+          execution,
+          "running",
+          this.contextManager
         );
 
-        results.push(stepResult);
-        this.logger.info(`✅ Step completed: ${step.id}`);
-      } catch (error) {
-        this.logger.error(`❌ Step failed: ${step.id}`, error);
-        throw new Error(`Step execution failed: ${step.id} - ${error.message}`);
-      }
+        return stepResult;
+      },
+    });
+
+    if (failedStep) {
+      this.logger.error(
+        `❌ Stopping workflow after failed step: ${failedStep}`
+      );
     }
 
-    return results;
+    return execution.results;
   }
 
   /**
    * Finalize execution
    * @private
    */
-  async _finalizeExecution(results, startTime) {
+  async _finalizeExecution(results, startTime, execution) {
     const endTime = performance.now();
     const duration = endTime - startTime;
 
+    const failedStep = results.find(
+      (result) => !result.success && !result.continuedOnError
+    );
+    await this.checkpoints?.saveExecution(
+      execution,
+      failedStep ? "failed" : "completed",
+      this.contextManager
+    );
+
     const executionResult = {
-      success: true,
+      executionId: execution.executionId,
+      success: !failedStep,
+      failedStep: failedStep?.stepId || null,
+      skippedSteps: results
+        .filter((result) => result.skipped)
+        .map((result) => result.stepId),
       duration: Math.round(duration),
       stepCount: results.length,
       steps: results, // Add steps array for test compatibility
@@ -303,11 +419,7 @@ export class WorkflowExecutor {
       metadata: {
         startTime: new Date(startTime).toISOString(),
         endTime: new Date(endTime).toISOString(),
-        steps: results.map((r) => ({
-          id: r.stepId,
-          duration: r.duration,
-          success: r.success,
-        })),
+        steps: results.map((r) => this._summarizeStep(r)),
       },
     };
 
@@ -317,6 +429,53 @@ export class WorkflowExecutor {
     return executionResult;
   }
 
+  /**
+   * Summarize a step result for the execution receipt, including the
+   * branch, iterations or parallel branches of control-flow steps
+   * @private
+   */
+  _summarizeStep(result) {
+    const summary = {
+      id: result.stepId,
+      duration: result.duration,
+      success: result.success,
+      attempts: result.attempts?.length || (result.skipped ? 0 : 1),
+    };
+    if (result.skipped) {
+      summary.skipped = true;
+      summary.skipReason = result.skipReason;
+    }
+    if (result.compensation) {
+      summary.compensation = this._summarizeStep(result.compensation);
+    }
+    const outputs = result.outputs || {};
+    const summarizeAll = (steps = []) =>
+      steps.map((step) => this._summarizeStep(step));
+
+    switch (result.stepType) {
+      case "conditional":
+        summary.condition = outputs.condition?.result;
+        summary.branch = outputs.branch;
+        summary.steps = summarizeAll(outputs.steps);
+        break;
+
+      case "loop":
+        summary.iterations = (outputs.iterations || []).map((iteration) => ({
+          index: iteration.index,
+          item: iteration.item,
+          success: iteration.success,
+          steps: summarizeAll(iteration.steps),
+        }));
+        break;
+
+      case "parallel":
+        summary.branches = summarizeAll(outputs.branches);
+        break;
+    }
+
+    return summary;
+  }
+
   /**
    * Write execution receipt to Git Notes
    * @private
@@ -349,8 +508,8 @@ export class WorkflowExecutor {
    * @private
    */
   _estimateDuration(plan) {
-    // Simple estimation based on step count
-    return plan.length * 1000; // 1 second per step estimate
+    // Independent steps run concurrently, so the critical path bounds the run
+    return this.planner.getCriticalPath(plan).duration;
   }
 
   /**
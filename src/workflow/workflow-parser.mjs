@@ -3,6 +3,14 @@
 // Loads workflow definitions and validates their structure
 
 import { useGraph } from "../composables/graph.mjs";
+import { parseExpression } from "../utils/expression.mjs";
+import {
+  CHILD_STEP_PROPERTIES,
+  CONTROL_FLOW_TYPES,
+  assertNoStepCycle,
+  readDependencies,
+  readStepConfig,
+} from "./step-config.mjs";
 
 /**
  * Workflow parser that loads and validates Turtle workflow definitions
@@ -199,6 +207,9 @@ export class WorkflowParser {
    * @private
    */
   async _parseStep(turtle, stepNode) {
+    // A cycle is a broken workflow, not one unparseable step
+    assertNoStepCycle(turtle.store, stepNode);
+
     try {
       const stepId = this._extractStepId(stepNode);
       const stepType = this._extractStepType(turtle, stepNode);
@@ -252,6 +263,14 @@ export class WorkflowParser {
       return "cli";
     } else if (turtle.isA(stepNode, GV + "GitStep")) {
       return "git";
+    } else if (turtle.isA(stepNode, GV + "ReasonStep")) {
+      return "reason";
+    } else if (turtle.isA(stepNode, GV + "ConditionalStep")) {
+      return "conditional";
+    } else if (turtle.isA(stepNode, GV + "LoopStep")) {
+      return "loop";
+    } else if (turtle.isA(stepNode, GV + "ParallelStep")) {
+      return "parallel";
     }
 
     return "unknown";
@@ -262,7 +281,6 @@ export class WorkflowParser {
    * @private
    */
   async _extractStepConfig(turtle, stepNode) {
-    const GV = "https://gitvan.dev/ontology#";
     const config = {};
 
     // Extract SPARQL query
@@ -277,74 +295,50 @@ export class WorkflowParser {
       config.template = templateText;
     }
 
-    // Extract file path
-    const filePath = turtle.getOne(stepNode, GV + "filePath");
-    if (filePath) {
-      config.filePath = filePath.value;
-    }
-
-    // Extract HTTP configuration
-    const httpUrl = turtle.getOne(stepNode, GV + "httpUrl");
-    if (httpUrl) {
-      config.url = httpUrl.value; // Map to 'url' for HttpStepHandler
-    }
-
-    const httpMethod = turtle.getOne(stepNode, GV + "httpMethod");
-    if (httpMethod) {
-      config.method = httpMethod.value; // Map to 'method' for HttpStepHandler
-    }
-
-    // Extract CLI configuration
-    const cliCommand = turtle.getOne(stepNode, GV + "cliCommand");
-    if (cliCommand) {
-      config.command = cliCommand.value; // Map to 'command' for CliStepHandler
-    }
+    Object.assign(config, readStepConfig(turtle.store, stepNode));
 
-    // Extract Git configuration
-    const gitCommand = turtle.getOne(stepNode, GV + "gitCommand");
-    if (gitCommand) {
-      config.gitCommand = gitCommand.value;
-    }
-
-    // Extract input/output mappings
-    const inputMapping = turtle.getOne(stepNode, GV + "inputMapping");
-    if (inputMapping) {
-      config.inputMapping = inputMapping.value;
-    }
-
-    const outputMapping = turtle.getOne(stepNode, GV + "outputMapping");
-    if (outputMapping) {
-      config.outputMapping = outputMapping.value;
+    if (config.onFailure) {
+      const onFailure = config.onFailure;
+      config.onFailure = await this._parseStep(turtle, onFailure);
+      if (!config.onFailure) {
+        throw new Error(`Invalid compensation step: ${onFailure.value}`);
+      }
     }
 
-    // Extract timeout
-    const timeout = turtle.getOne(stepNode, GV + "timeout");
-    if (timeout) {
-      config.timeout = parseInt(timeout.value);
+    for (const property of CHILD_STEP_PROPERTIES) {
+      if (config[property]) {
+        config[property] = await this._parseChildSteps(
+          turtle,
+          config[property]
+        );
+      }
     }
 
     return config;
   }
 
   /**
-   * Extract step dependencies
+   * Parse the child steps of a control-flow step
    * @private
    */
-  _extractDependencies(turtle, stepNode) {
-    const GV = "https://gitvan.dev/ontology#";
-    const dependencies = [];
-
-    const dependsOnList = turtle.getOne(stepNode, GV + "dependsOn");
-    if (dependsOnList) {
-      const dependsOnItems = turtle.readList(dependsOnList);
-      for (const item of dependsOnItems) {
-        if (item && item.value) {
-          dependencies.push(item.value);
-        }
+  async _parseChildSteps(turtle, childNodes) {
+    const children = [];
+    for (const childNode of childNodes) {
+      const child = await this._parseStep(turtle, childNode);
+      if (!child) {
+        throw new Error(`Invalid child step: ${childNode?.value}`);
       }
+      children.push(child);
     }
+    return children;
+  }
 
-    return dependencies;
+  /**
+   * Extract step dependencies
+   * @private
+   */
+  _extractDependencies(turtle, stepNode) {
+    return readDependencies(turtle.store, stepNode);
   }
 
   /**
@@ -354,8 +348,8 @@ export class WorkflowParser {
   async _validateWorkflow(steps) {
     this.logger.info(`🔍 Validating workflow structure`);
 
-    // Check for duplicate step IDs
-    const stepIds = steps.map((step) => step.id);
+    // Check for duplicate step IDs, including nested child steps
+    const stepIds = this._flattenSteps(steps).map((step) => step.id);
     const uniqueIds = new Set(stepIds);
     if (stepIds.length !== uniqueIds.size) {
       throw new Error("Duplicate step IDs found in workflow");
@@ -372,6 +366,29 @@ export class WorkflowParser {
     this.logger.info(`✅ Workflow validation passed`);
   }
 
+  /**
+   * Flatten a step tree into a list of steps, parents before children
+   * @private
+   */
+  _flattenSteps(steps) {
+    return steps.flatMap((step) => [
+      step,
+      ...this._flattenSteps(this._getChildSteps(step)),
+    ]);
+  }
+
+  /**
+   * Get the nested child steps of a control-flow step
+   * @private
+   */
+  _getChildSteps(step) {
+    if (!CONTROL_FLOW_TYPES.includes(step.type)) {
+      return [];
+    }
+    const { thenSteps = [], elseSteps = [], steps = [] } = step.config || {};
+    return [...thenSteps, ...elseSteps, ...steps];
+  }
+
   /**
    * Validate step dependencies for cycles
    * @private
@@ -459,11 +476,122 @@ export class WorkflowParser {
         break;
 
       case "cli":
-        if (!step.config.command) {
+        if (!step.config.command && !step.config.argv) {
           throw new Error(`CLI step ${step.id} missing command configuration`);
         }
+        if (step.config.command && step.config.argv) {
+          throw new Error(
+            `CLI step ${step.id} must define either gv:cliCommand or gv:argv`
+          );
+        }
+        if (step.config.argv && step.config.shell) {
+          throw new Error(
+            `CLI step ${step.id} cannot combine gv:argv with gv:shell`
+          );
+        }
+        break;
+
+      case "conditional":
+        this._validateConditionalStep(step);
+        break;
+
+      case "loop":
+        if (!step.config.query) {
+          throw new Error(`Loop step ${step.id} missing query configuration`);
+        }
+        if (!/\bSELECT\b/i.test(step.config.query)) {
+          throw new Error(`Loop step ${step.id} query must be a SELECT query`);
+        }
+        if (!step.config.steps?.length) {
+          throw new Error(`Loop step ${step.id} has no child steps`);
+        }
+        break;
+
+      case "parallel":
+        if (!step.config.steps?.length) {
+          throw new Error(`Parallel step ${step.id} has no child steps`);
+        }
+        if (
+          step.config.maxConcurrency !== undefined &&
+          (!Number.isInteger(step.config.maxConcurrency) ||
+            step.config.maxConcurrency < 1)
+        ) {
+          throw new Error(
+            `Parallel step ${step.id} maxConcurrency must be a positive integer`
+          );
+        }
         break;
     }
+
+    this._validateExecutionPolicies(step);
+
+    for (const child of this._getChildSteps(step)) {
+      if (child.dependsOn?.length) {
+        throw new Error(
+          `Child step ${child.id} of ${step.id} cannot declare dependencies`
+        );
+      }
+      this._validateStepConfig(child);
+    }
+  }
+
+  /**
+   * Validate a step's retry, timeout and compensation policies
+   * @private
+   */
+  _validateExecutionPolicies(step) {
+    const { retries, backoff, timeout, onFailure } = step.config;
+
+    for (const [name, value] of Object.entries({ retries, backoff, timeout })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(
+          `Step ${step.id} ${name} must be a non-negative integer`
+        );
+      }
+    }
+
+    if (onFailure) {
+      if (onFailure.id === step.id) {
+        throw new Error(`Step ${step.id} cannot compensate itself`);
+      }
+      this._validateStepConfig(onFailure);
+    }
+  }
+
+  /**
+   * Validate a conditional step's condition and branches
+   * @private
+   */
+  _validateConditionalStep(step) {
+    const { condition, expression, thenSteps, elseSteps } = step.config;
+
+    if (!condition && !expression) {
+      throw new Error(
+        `Conditional step ${step.id} missing condition or expression`
+      );
+    }
+    if (condition && expression) {
+      throw new Error(
+        `Conditional step ${step.id} must define either a condition or an expression, not both`
+      );
+    }
+    if (condition && !/\bASK\b/i.test(condition)) {
+      throw new Error(
+        `Conditional step ${step.id} condition must be an ASK query`
+      );
+    }
+    if (expression) {
+      try {
+        parseExpression(expression);
+      } catch (error) {
+        throw new Error(`Conditional step ${step.id}: ${error.message}`);
+      }
+    }
+    if (!thenSteps?.length && !elseSteps?.length) {
+      throw new Error(
+        `Conditional step ${step.id} has no thenSteps or elseSteps`
+      );
+    }
   }
 
   /**
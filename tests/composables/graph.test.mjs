@@ -1,6 +1,10 @@
 // Test suite for useGraph composable
-import { describe, it, expect, beforeAll } from "vitest";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 import { useGraph } from "../../src/composables/graph.mjs";
+import { useTurtle } from "../../src/composables/turtle.mjs";
 import { RdfEngine } from "../../src/engines/RdfEngine.mjs";
 
 describe("useGraph", () => {
@@ -267,7 +271,7 @@ ex:x ex:p ex:y .`);
   });
 
   describe("Isomorphism", () => {
-    it.skip("should detect isomorphic graphs", async () => {
+    it("should detect isomorphic graphs", async () => {
       const store1 = engine.parseTurtle(`@prefix ex: <https://example.org/> .
 ex:a ex:p ex:b .`);
 
@@ -281,7 +285,7 @@ ex:a ex:p ex:b .`);
       expect(isomorphic).toBe(true);
     });
 
-    it.skip("should detect non-isomorphic graphs", async () => {
+    it("should detect non-isomorphic graphs", async () => {
       const store1 = engine.parseTurtle(`@prefix ex: <https://example.org/> .
 ex:a ex:p ex:b .`);
 
@@ -295,7 +299,7 @@ ex:a ex:p ex:c .`);
       expect(isomorphic).toBe(false);
     });
 
-    it.skip("should work with raw stores", async () => {
+    it("should work with raw stores", async () => {
       const store1 = engine.parseTurtle(`@prefix ex: <https://example.org/> .
 ex:a ex:p ex:b .`);
 
@@ -308,6 +312,83 @@ ex:a ex:p ex:b .`);
     });
   });
 
+  describe("Named Graphs", () => {
+    const LABELS = `SELECT ?label WHERE { ?s <https://example.org/label> ?label }`;
+    let graphDir;
+
+    beforeAll(() => {
+      graphDir = mkdtempSync(join(tmpdir(), "gitvan-named-graphs-"));
+      writeFileSync(
+        join(graphDir, "project.ttl"),
+        `<https://example.org/app> <https://example.org/label> "project" .`
+      );
+      writeFileSync(
+        join(graphDir, "feedback.ttl"),
+        `<https://example.org/app> <https://example.org/label> "feedback" .`
+      );
+      writeFileSync(
+        join(graphDir, "state.trig"),
+        `<urn:pack:state> { <https://example.org/pack> <https://example.org/label> "state" . }`
+      );
+    });
+
+    afterAll(() => {
+      rmSync(graphDir, { recursive: true, force: true });
+    });
+
+    const labelsOf = (rows) => rows.map((row) => row.label.value);
+
+    it("should load each file into its own named graph", async () => {
+      const turtle = await useTurtle({ graphDir, namedGraphs: true });
+      const graph = useGraph(turtle.store);
+
+      expect(graph.graphs()).toEqual([
+        "graph://feedback.ttl",
+        "graph://project.ttl",
+        "urn:pack:state",
+      ]);
+
+      // Unscoped patterns still see every graph
+      expect(labelsOf(await graph.select(LABELS))).toEqual([
+        "feedback",
+        "project",
+        "state",
+      ]);
+
+      const byGraph = await graph.select(
+        `SELECT ?g WHERE { GRAPH ?g { ?s <https://example.org/label> "project" } }`
+      );
+      expect(byGraph.map((row) => row.g.value)).toEqual([
+        "graph://project.ttl",
+      ]);
+    });
+
+    it("should keep the default graph when named graphs are off", async () => {
+      const turtle = await useTurtle({ graphDir, namedGraphs: false });
+      expect(useGraph(turtle.store).graphs()).toEqual(["urn:pack:state"]);
+    });
+
+    it("should scope queries to selected graphs", async () => {
+      const turtle = await useTurtle({ graphDir, namedGraphs: true });
+      const graph = useGraph(turtle.store);
+
+      const project = graph.scope("graph://project.ttl");
+      expect(labelsOf(await project.select(LABELS))).toEqual(["project"]);
+      expect(project.graphs()).toEqual(["graph://project.ttl"]);
+
+      const strict = useGraph(turtle.store, { unionDefaultGraph: false });
+      expect(await strict.select(LABELS)).toEqual([]);
+    });
+
+    it("should serialize datasets to TriG", async () => {
+      const turtle = await useTurtle({ graphDir, namedGraphs: true });
+      const trig = await useGraph(turtle.store).serialize({ format: "TriG" });
+
+      expect(trig).toContain("<graph://project.ttl> {");
+      expect(engine.graphNames(engine.parseTriG(trig))).toHaveLength(3);
+    });
+  });
+
   describe("Error Handling", () => {
     it("should handle malformed SPARQL gracefully", async () => {
       const graph = useGraph(testStore);
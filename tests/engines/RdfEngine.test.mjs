@@ -146,6 +146,76 @@ ex:subject rdf:type ex:Person .`;
     });
   });
 
+  describe("Named Graphs", () => {
+    const dataset = `@prefix ex: <https://example.org/> .
+
+ex:root ex:label "default" .
+<graph://project.ttl> { ex:app ex:label "project" . }
+<graph://feedback.ttl> { ex:app ex:label "feedback" . }`;
+
+    it("should parse TriG and list named graphs", () => {
+      const store = engine.parseTriG(dataset);
+      expect(store.size).toBe(3);
+      expect(engine.graphNames(store)).toEqual([
+        "graph://feedback.ttl",
+        "graph://project.ttl",
+      ]);
+    });
+
+    it("should load Turtle into a named graph", () => {
+      const store = engine.parseTurtle(
+        `<https://example.org/s> <https://example.org/p> "o" .`,
+        { graph: "graph://project.ttl" }
+      );
+      expect(engine.graphNames(store)).toEqual(["graph://project.ttl"]);
+    });
+
+    it("should query the default graph or the union of all graphs", async () => {
+      const store = engine.parseTriG(dataset);
+      const labels = `SELECT ?label WHERE { ?s <https://example.org/label> ?label }`;
+
+      const plain = await engine.query(store, labels);
+      expect(plain.results.map((r) => r.label.value)).toEqual(["default"]);
+
+      const union = await engine.query(store, labels, {
+        unionDefaultGraph: true,
+      });
+      expect(union.results.map((r) => r.label.value)).toEqual([
+        "default",
+        "feedback",
+        "project",
+      ]);
+
+      const byGraph = await engine.query(
+        store,
+        `SELECT ?g ?label WHERE { GRAPH ?g { ?s <https://example.org/label> ?label } }`
+      );
+      expect(byGraph.results.map((r) => r.g.value)).toEqual([
+        "graph://feedback.ttl",
+        "graph://project.ttl",
+      ]);
+    });
+
+    it("should select graphs and round-trip TriG and N-Quads", async () => {
+      const store = engine.parseTriG(dataset);
+      const project = engine.selectGraphs(store, ["graph://project.ttl"]);
+      expect(project.size).toBe(1);
+      expect(engine.selectGraphs(store, ["default"]).size).toBe(1);
+
+      const nquads = await engine.serializeNQuads(store);
+      const trig = await engine.serializeTriG(store);
+      expect(await engine.serializeNQuads(engine.parseTriG(trig))).toBe(nquads);
+      expect(await engine.serializeNQuads(engine.parseNQuads(nquads))).toBe(
+        nquads
+      );
+
+      // Turtle has no graph names, so graphs collapse into triples
+      const turtle = await engine.serializeTurtle(store);
+      expect(engine.graphNames(engine.parseTurtle(turtle))).toEqual([]);
+      expect(engine.parseTurtle(turtle).size).toBe(3);
+    });
+  });
+
   describe("SPARQL Querying", () => {
     const testData = `@prefix ex: <https://example.org/> .
 @prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
@@ -279,7 +349,7 @@ ex:alice ex:age "not a number" .`;
   });
 
   describe("Canonicalization and Isomorphism", () => {
-    it.skip("should canonicalize stores", async () => {
+    it("should canonicalize stores", async () => {
       const store1 = engine.parseTurtle(`@prefix ex: <https://example.org/> .
 ex:a ex:p ex:b .
 ex:b ex:p ex:c .`);
@@ -289,7 +359,7 @@ ex:b ex:p ex:c .`);
       expect(canonical.length).toBeGreaterThan(0);
     });
 
-    it.skip("should detect isomorphic stores", async () => {
+    it("should detect isomorphic stores", async () => {
       const store1 = engine.parseTurtle(`@prefix ex: <https://example.org/> .
 ex:a ex:p ex:b .`);
 
@@ -300,7 +370,7 @@ ex:a ex:p ex:b .`);
       expect(isomorphic).toBe(true);
     });
 
-    it.skip("should detect non-isomorphic stores", async () => {
+    it("should detect non-isomorphic stores", async () => {
       const store1 = engine.parseTurtle(`@prefix ex: <https://example.org/> .
 ex:a ex:p ex:b .`);
 
@@ -1,11 +1,14 @@
 import { test, describe, beforeEach, afterEach, expect } from 'vitest';
 import { promises as fs } from 'fs';
 import { join } from 'path';
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
 import { LockManager } from '../../src/git-native/LockManager.mjs';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+const lockManagerUrl = new URL('../../src/git-native/lock-manager.mjs', import.meta.url).href;
+const quietLogger = { info() {}, warn() {}, debug() {}, error() {} };
 
 describe('LockManager Tests', () => {
   let testDir;
@@ -207,4 +210,104 @@ describe('LockManager Tests', () => {
     const isValid = await lockManager.validateFingerprint('non-existent-lock', 'fingerprint');
     expect(isValid).toBe(false);
   });
+
+  test('should only release locks held by the same fingerprint', async () => {
+    const other = new LockManager({ cwd: testDir, logger: quietLogger });
+
+    expect(await lockManager.acquireLock('owned-lock')).toBe(true);
+    expect(await other.acquireLock('owned-lock')).toBe(false);
+    expect(await other.releaseLock('owned-lock')).toBe(false);
+    expect(await lockManager.isLocked('owned-lock')).toBe(true);
+
+    expect(await lockManager.acquireLock('explicit-lock', { fingerprint: 'worker-a' })).toBe(true);
+    expect(await lockManager.releaseLock('explicit-lock', { fingerprint: 'worker-b' })).toBe(false);
+    expect(await lockManager.releaseLock('explicit-lock', { fingerprint: 'worker-a' })).toBe(true);
+  });
+
+  test('should not overwrite a lock created concurrently', async () => {
+    const managers = Array.from({ length: 5 }, () => new LockManager({ cwd: testDir, logger: quietLogger }));
+
+    const results = await Promise.all(managers.map((manager) => manager.acquireLock('race-lock')));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    const holder = managers[results.indexOf(true)];
+    expect(await lockManager.validateFingerprint('race-lock', holder.fingerprint)).toBe(true);
+  });
+
+  test('should time out while waiting for a held lock', async () => {
+    const other = new LockManager({ cwd: testDir, logger: quietLogger, lock: { retryDelay: 20 } });
+    await lockManager.acquireLock('wait-lock');
+
+    const start = Date.now();
+    const acquired = await other.acquireLock('wait-lock', { wait: 300 });
+
+    expect(acquired).toBe(false);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(300);
+  });
+
+  test('should acquire a lock once it is released during the wait', async () => {
+    const other = new LockManager({ cwd: testDir, logger: quietLogger, lock: { retryDelay: 20 } });
+    await lockManager.acquireLock('handoff-lock');
+
+    setTimeout(() => lockManager.releaseLock('handoff-lock'), 150);
+    const acquired = await other.acquireLock('handoff-lock', { wait: 5000 });
+
+    expect(acquired).toBe(true);
+    expect(await lockManager.validateFingerprint('handoff-lock', other.fingerprint)).toBe(true);
+  });
+
+  test('should keep a lease alive with the heartbeat', async () => {
+    const other = new LockManager({ cwd: testDir, logger: quietLogger });
+    await lockManager.acquireLock('lease-lock', { timeout: 300, heartbeat: true });
+
+    await new Promise((resolve) => setTimeout(resolve, 700));
+    expect(await other.acquireLock('lease-lock')).toBe(false);
+
+    // Without renewals the lease runs out and the lock can be taken over
+    lockManager.stopHeartbeats();
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    expect(await other.acquireLock('lease-lock')).toBe(true);
+    expect(await lockManager.renewLock('lease-lock')).toBe(false);
+    expect(await lockManager.releaseLock('lease-lock')).toBe(false);
+  });
+
+  test('should serialize critical sections across processes', async () => {
+    const workers = 4;
+    const iterations = 5;
+    const script = join(testDir, 'lock-worker.mjs');
+    await fs.writeFile(join(testDir, 'counter.txt'), '0');
+    await fs.writeFile(
+      script,
+      `import { readFile, writeFile, open, rm } from 'node:fs/promises';
+import { LockManager } from '${lockManagerUrl}';
+
+const quiet = { info() {}, warn() {}, debug() {}, error() {} };
+const locks = new LockManager({ cwd: process.argv[2], logger: quiet, lock: { retryDelay: 20 } });
+const counter = process.argv[2] + '/counter.txt';
+const marker = process.argv[2] + '/inside';
+
+for (let i = 0; i < ${iterations}; i++) {
+  if (!(await locks.acquireLock('counter', { wait: 60000, timeout: 60000 }))) {
+    throw new Error('lock wait timed out');
+  }
+  // Fails if another process is inside the critical section
+  await (await open(marker, 'wx')).close();
+  const value = Number(await readFile(counter, 'utf8'));
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await writeFile(counter, String(value + 1));
+  await rm(marker);
+  if (!(await locks.releaseLock('counter'))) {
+    throw new Error('release failed');
+  }
+}
+`
+    );
+
+    await Promise.all(
+      Array.from({ length: workers }, () => execFileAsync(process.execPath, [script, testDir]))
+    );
+
+    expect(await fs.readFile(join(testDir, 'counter.txt'), 'utf8')).toBe(String(workers * iterations));
+    expect(await lockManager.isLocked('counter')).toBe(false);
+  }, 120000);
 });
@@ -1,7 +1,8 @@
-import { test, describe, beforeEach, afterEach, expect } from 'vitest';
+import { test, describe, beforeEach, afterEach, expect, vi } from 'vitest';
 import { promises as fs } from 'fs';
 import { join } from 'path';
-import { exec } from 'child_process';
+import { exec, spawnSync } from 'child_process';
+import { hostname } from 'os';
 import { promisify } from 'util';
 import { QueueManager } from '../../src/git-native/QueueManager.mjs';
 
@@ -154,4 +155,313 @@ describe('QueueManager Tests', () => {
     expect(typeof status.low.isPaused).toBe('boolean');
     expect(typeof status.low.concurrency).toBe('number');
   });
+
+  describe('named jobs', () => {
+    const mailbox = (name) => join(testDir, '.gitvan', 'queue', name);
+
+    const writeEntry = async (entry) => {
+      await fs.writeFile(
+        join(mailbox(entry.priority), `${entry.id}.json`),
+        JSON.stringify({
+          job: 'send-email',
+          payload: { to: 'ops@example.com' },
+          attempts: 0,
+          maxAttempts: 3,
+          errors: [],
+          timestamp: Date.now(),
+          metadata: {},
+          ...entry
+        }, null, 2)
+      );
+    };
+
+    const restart = async (jobs) => {
+      await queueManager.shutdown();
+      queueManager = new QueueManager({
+        cwd: testDir,
+        logger: console,
+        queue: { retryDelay: 0 },
+        jobs
+      });
+      await queueManager.initialize();
+    };
+
+    test('should persist and run entries by job ID', async () => {
+      const calls = [];
+      queueManager.registerJob('send-email', async (payload, entry) => {
+        calls.push({ payload, attempt: entry.attempt });
+        return { sent: true };
+      });
+
+      const entry = await queueManager.enqueue('high', 'send-email', { to: 'ops@example.com' });
+      expect(entry).toMatchObject({ job: 'send-email', status: 'queued', attempts: 0, maxAttempts: 3 });
+
+      await queueManager.onIdle();
+
+      expect(calls).toEqual([{ payload: { to: 'ops@example.com' }, attempt: 1 }]);
+      expect(await queueManager.get(entry.id)).toMatchObject({
+        status: 'completed',
+        attempts: 1,
+        result: { sent: true }
+      });
+    });
+
+    test('should reject unknown jobs and payloads that cannot be serialised', async () => {
+      queueManager.registerJob('send-email', async () => {});
+
+      await expect(queueManager.enqueue('high', 'missing', {})).rejects.toThrow('Unknown job "missing"');
+      await expect(
+        queueManager.enqueue('high', 'send-email', { callback: () => {} })
+      ).rejects.toThrow('Payload for job "send-email" is not serialisable');
+      await expect(queueManager.enqueue('urgent', 'send-email', {})).rejects.toThrow('Invalid priority: urgent');
+    });
+
+    test('should re-execute queued and running entries after a restart', async () => {
+      await writeEntry({ id: 'was-queued', priority: 'high', status: 'queued' });
+      await writeEntry({ id: 'was-running', priority: 'low', status: 'running', attempts: 1 });
+
+      const seen = [];
+      await restart({
+        'send-email': async (payload, entry) => {
+          seen.push(entry.id);
+          return payload.to;
+        }
+      });
+
+      const recoveredCount = await queueManager.reconcile();
+      await queueManager.onIdle();
+
+      expect(recoveredCount).toBe(2);
+      expect(seen.sort()).toEqual(['was-queued', 'was-running']);
+
+      const running = await queueManager.get('was-running');
+      expect(running).toMatchObject({ status: 'completed', attempts: 2, recovered: true });
+      expect(running.errors).toEqual([
+        expect.objectContaining({ attempt: 1, error: 'Interrupted before completion' })
+      ]);
+    });
+
+    test('should dead-letter entries after maxAttempts failures and retry them', async () => {
+      let healthy = false;
+      await restart({
+        'send-email': async () => {
+          if (!healthy) throw new Error('SMTP unavailable');
+          return 'sent';
+        }
+      });
+
+      const entry = await queueManager.enqueue('medium', 'send-email', {}, { maxAttempts: 2 });
+      await queueManager.onIdle();
+
+      const dead = await queueManager.get(entry.id);
+      expect(dead).toMatchObject({ status: 'dead', attempts: 2, error: 'SMTP unavailable' });
+      expect(dead.errors.map(e => e.attempt)).toEqual([1, 2]);
+      await expect(fs.access(join(mailbox('dead'), `${entry.id}.json`))).resolves.toBeUndefined();
+      expect(await queueManager.list({ status: 'dead' })).toHaveLength(1);
+
+      healthy = true;
+      await queueManager.retry(entry.id);
+      await queueManager.onIdle();
+
+      expect(await queueManager.get(entry.id)).toMatchObject({ status: 'completed', attempts: 1 });
+      await expect(fs.access(join(mailbox('dead'), `${entry.id}.json`))).rejects.toThrow();
+    });
+
+    test('should only recover running entries whose owner process is gone', async () => {
+      const host = hostname();
+      const exitedPid = spawnSync(process.execPath, ['-e', '']).pid;
+      await writeEntry({ id: 'live-owner', priority: 'high', status: 'running', attempts: 1, owner: { pid: process.ppid, host } });
+      await writeEntry({ id: 'other-host', priority: 'high', status: 'running', attempts: 1, owner: { pid: exitedPid, host: `not-${host}` } });
+      await writeEntry({ id: 'dead-owner', priority: 'high', status: 'running', attempts: 1, owner: { pid: exitedPid, host } });
+
+      await restart({ 'send-email': async () => 'sent' });
+      expect(await queueManager.reconcile()).toBe(1);
+      await queueManager.onIdle();
+
+      expect(await queueManager.get('live-owner')).toMatchObject({ status: 'running', attempts: 1 });
+      expect(await queueManager.get('other-host')).toMatchObject({ status: 'running', attempts: 1 });
+      expect(await queueManager.get('dead-owner')).toMatchObject({
+        status: 'completed',
+        attempts: 2,
+        recovered: true,
+        owner: { pid: process.pid, host }
+      });
+    });
+
+    test('should only pick up unclaimed entries that no live process owns', async () => {
+      const host = hostname();
+      const exitedPid = spawnSync(process.execPath, ['-e', '']).pid;
+      await writeEntry({ id: 'live-owner', priority: 'high', status: 'queued', owner: { pid: process.ppid, host } });
+      await writeEntry({ id: 'dead-owner', priority: 'high', status: 'queued', owner: { pid: exitedPid, host } });
+      await writeEntry({ id: 'claimed', priority: 'high', status: 'queued', owner: { pid: exitedPid, host } });
+      await fs.writeFile(join(mailbox('high'), 'claimed.claim'), JSON.stringify({ pid: process.ppid, host }));
+
+      const seen = [];
+      await restart({ 'send-email': async (payload, entry) => seen.push(entry.id) });
+      expect(await queueManager.pickup()).toBe(2);
+      await queueManager.onIdle();
+
+      expect(seen).toEqual(['dead-owner']);
+      expect(await queueManager.get('live-owner')).toMatchObject({ status: 'queued', attempts: 0 });
+      expect(await queueManager.get('claimed')).toMatchObject({ status: 'queued', attempts: 0 });
+      await expect(fs.access(join(mailbox('high'), 'dead-owner.claim'))).rejects.toThrow();
+    });
+
+    test('should leave entries of another live instance in the same process alone', async () => {
+      let finish;
+      const closure = queueManager.addJob('high', () => new Promise(resolve => { finish = resolve; }));
+      await vi.waitFor(() => expect(finish).toBeDefined());
+
+      queueManager.registerJob('send-email', async () => 'sent');
+      queueManager.pauseAll();
+      const named = await queueManager.enqueue('low', 'send-email', {});
+
+      const seen = [];
+      const second = new QueueManager({
+        cwd: testDir,
+        logger: console,
+        jobs: { 'send-email': async (payload, entry) => seen.push(entry.id) }
+      });
+      await second.initialize();
+      try {
+        expect(await second.reconcile()).toBe(0);
+        expect(await second.pickup()).toBe(0);
+        await second.onIdle();
+
+        expect(seen).toEqual([]);
+        const [running] = await second.list({ status: 'running' });
+        expect(running.owner).toMatchObject({ pid: process.pid, instance: expect.any(String) });
+        expect(await second.get(named.id)).toMatchObject({ status: 'queued', attempts: 0 });
+      } finally {
+        await second.shutdown();
+      }
+
+      finish('done');
+      queueManager.resumeAll();
+      await expect(closure).resolves.toBe('done');
+      await queueManager.onIdle();
+      expect(await queueManager.get(named.id)).toMatchObject({ status: 'completed', attempts: 1 });
+    });
+
+    test('should recover entries of an instance in this process that shut down', async () => {
+      const owner = { pid: process.pid, host: hostname(), instance: 'shut-down' };
+      await writeEntry({ id: 'orphaned', priority: 'high', status: 'running', attempts: 1, owner });
+
+      const seen = [];
+      await restart({ 'send-email': async (payload, entry) => seen.push(entry.id) });
+      expect(await queueManager.reconcile()).toBe(1);
+      await queueManager.onIdle();
+
+      expect(seen).toEqual(['orphaned']);
+    });
+
+    test('should fail interrupted closure jobs instead of recovering them on every restart', async () => {
+      await writeEntry({ id: 'closure', priority: 'high', status: 'running', job: undefined });
+
+      await restart({});
+      expect(await queueManager.reconcile()).toBe(1);
+      expect(await queueManager.get('closure')).toMatchObject({
+        status: 'failed',
+        error: 'Interrupted before completion'
+      });
+
+      await restart({});
+      expect(await queueManager.reconcile()).toBe(0);
+    });
+
+    test('should dead-letter entries interrupted on their last attempt', async () => {
+      await writeEntry({ id: 'crash-loop', priority: 'high', status: 'running', attempts: 3 });
+
+      const handler = async () => 'never';
+      await restart({ 'send-email': handler });
+      await queueManager.reconcile();
+      await queueManager.onIdle();
+
+      expect(await queueManager.get('crash-loop')).toMatchObject({ status: 'dead', attempts: 3 });
+    });
+
+    test('should keep the previous entry when a write is cut short', async () => {
+      await writeEntry({ id: 'pending', priority: 'high', status: 'queued' });
+
+      const writeFile = fs.writeFile;
+      const spy = vi.spyOn(fs, 'writeFile').mockImplementation(async (path, data) => {
+        await writeFile(path, String(data).slice(0, 10));
+        throw new Error('ENOSPC: no space left on device');
+      });
+      try {
+        await expect(queueManager._updateJobStatus('pending', 'running', { attempts: 1 })).rejects.toThrow('ENOSPC');
+      } finally {
+        spy.mockRestore();
+      }
+
+      expect(await queueManager.get('pending')).toMatchObject({ status: 'queued', attempts: 0 });
+      expect(await fs.readdir(mailbox('high'))).toEqual(['pending.json']);
+    });
+
+    test('should list unreadable entries until they are purged', async () => {
+      await writeEntry({ id: 'intact', priority: 'high', status: 'queued', job: 'unregistered' });
+      await fs.writeFile(join(mailbox('high'), 'torn.json'), '{"id": "torn", "status": "que');
+
+      const entries = await queueManager.list();
+      expect(entries.map(e => [e.id, e.status])).toEqual(
+        expect.arrayContaining([['intact', 'queued'], ['torn', 'unreadable']])
+      );
+      expect(await queueManager.get('torn')).toMatchObject({
+        priority: 'high',
+        status: 'unreadable',
+        error: expect.stringContaining('JSON')
+      });
+      expect(await queueManager.reconcile()).toBe(1);
+      await expect(queueManager.retry('torn')).rejects.toThrow('Job torn is unreadable');
+
+      expect(await queueManager.purge()).toBe(0);
+      expect(await queueManager.purge({ status: 'unreadable' })).toBe(1);
+      expect((await queueManager.list()).map(e => e.id)).toEqual(['intact']);
+    });
+
+    test('should keep finished entries out of the priority mailboxes and prune the oldest', async () => {
+      await writeEntry({ id: 'legacy', priority: 'low', status: 'completed' });
+      await queueManager.shutdown();
+      queueManager = new QueueManager({
+        cwd: testDir,
+        logger: console,
+        queue: { retainFinished: 2, retryDelay: 0 },
+        jobs: { 'send-email': async (payload) => payload.n }
+      });
+      await queueManager.initialize();
+
+      expect(await queueManager.reconcile()).toBe(0);
+      expect(await fs.readdir(mailbox('low'))).toEqual([]);
+      expect(await fs.readdir(mailbox('done'))).toEqual(['legacy.json']);
+
+      const entries = [];
+      for (let n = 0; n < 3; n++) {
+        entries.push(await queueManager.enqueue('high', 'send-email', { n }));
+        await queueManager.onIdle();
+      }
+
+      expect(await fs.readdir(mailbox('high'))).toEqual([]);
+      expect((await fs.readdir(mailbox('done'))).sort()).toEqual(
+        entries.slice(1).map(entry => `${entry.id}.json`).sort()
+      );
+      expect(await queueManager.get(entries[2].id)).toMatchObject({ status: 'completed', result: 2 });
+
+      const readEntry = vi.spyOn(queueManager, '_readEntry');
+      expect(await queueManager.pickup()).toBe(0);
+      expect(readEntry).not.toHaveBeenCalled();
+    });
+
+    test('should purge finished entries', async () => {
+      await writeEntry({ id: 'done', priority: 'high', status: 'completed' });
+      await writeEntry({ id: 'pending', priority: 'high', status: 'queued', job: 'unregistered' });
+      await fs.writeFile(
+        join(mailbox('dead'), 'gone.json'),
+        JSON.stringify({ id: 'gone', priority: 'low', status: 'dead', job: 'send-email', timestamp: 1 })
+      );
+
+      expect(await queueManager.purge()).toBe(2);
+      expect((await queueManager.list()).map(e => e.id)).toEqual(['pending']);
+      expect(await queueManager.purge({ ids: ['pending'] })).toBe(1);
+    });
+  });
 });
@@ -0,0 +1,113 @@
+// Tests for git-backed snapshots shared through a remote
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtempSync, rmSync, existsSync } from "node:fs";
+import { execFileSync } from "node:child_process";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { SnapshotStore } from "../../src/git-native/snapshot-store.mjs";
+
+const quiet = { info() {}, warn() {}, debug() {}, error() {} };
+
+describe("git-backed snapshots", () => {
+  let root;
+
+  const git = (cwd, ...args) =>
+    execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+  const clone = (name) => {
+    const dir = join(root, name);
+    git(root, "clone", "-q", join(root, "remote.git"), name);
+    return dir;
+  };
+
+  const openStore = (cwd) =>
+    new SnapshotStore({ cwd, logger: quiet, snapshot: { backend: "git" } });
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), "gitvan-snapshots-"));
+    git(root, "init", "-q", "--bare", "remote.git");
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it("should store snapshots as git objects under the snapshot ref", async () => {
+    const repo = clone("a");
+    const store = openStore(repo);
+
+    const hash = await store.storeSnapshot("graph", { triples: 3 });
+    const other = await store.storeSnapshot("ai", { answer: 42 });
+
+    expect(await store.getSnapshot("graph", hash)).toEqual({ triples: 3 });
+    expect(await store.getSnapshot("ai")).toEqual({ answer: 42 });
+    expect(await store.getSnapshot("graph", other)).toBeNull();
+    expect((await store.listSnapshots()).map((s) => s.key).sort()).toEqual([
+      "ai",
+      "graph",
+    ]);
+    expect(store.getStatistics().entries).toBe(2);
+
+    expect(
+      git(repo, "ls-tree", "-r", "--name-only", "refs/gitvan/snapshots")
+    ).toContain(`${hash.slice(0, 2)}/${hash}.json`);
+    expect(existsSync(join(repo, ".gitvan/cache"))).toBe(false);
+
+    expect(await store.removeSnapshot("graph", hash)).toBe(true);
+    expect(await store.hasSnapshot("graph", hash)).toBe(false);
+    expect(git(repo, "status", "--porcelain")).toBe("");
+  });
+
+  it("should keep every snapshot from concurrent writers", async () => {
+    const repo = clone("a");
+    const first = openStore(repo);
+    const second = openStore(repo);
+
+    await Promise.all(
+      Array.from({ length: 6 }, (_, i) =>
+        (i % 2 ? first : second).storeSnapshot(`key-${i}`, { i })
+      )
+    );
+
+    expect(await first.listSnapshots()).toHaveLength(6);
+  });
+
+  it("should share snapshots between clones through push and pull", async () => {
+    const a = openStore(clone("a"));
+    const b = openStore(clone("b"));
+
+    expect(await b.pull()).toEqual({ added: 0 });
+
+    const fromA = await a.storeSnapshot("graph", { from: "a" });
+    await a.push();
+
+    // b diverged from the remote, so its push merges a's snapshot first
+    const fromB = await b.storeSnapshot("ai", { from: "b" });
+    expect(await b.push()).toEqual({ merged: 1 });
+    expect(await b.getSnapshot("graph", fromA)).toEqual({ from: "a" });
+
+    expect(await a.pull()).toEqual({ added: 1 });
+    expect(await a.getSnapshot("ai", fromB)).toEqual({ from: "b" });
+    expect(a.getStatistics().entries).toBe(2);
+  });
+
+  it("should garbage collect old snapshots and drop their history", async () => {
+    const repo = clone("a");
+    const store = openStore(repo);
+
+    const clock = vi.spyOn(Date, "now");
+    clock.mockReturnValueOnce(Date.now() - 10 * 86400000);
+    await store.storeSnapshot("old", { v: 1 });
+    clock.mockRestore();
+    const kept = await store.storeSnapshot("new", { v: 2 });
+
+    expect(await store.gc(7 * 86400000)).toBe(1);
+    expect(await store.hasSnapshot("old")).toBe(false);
+    expect(await store.getSnapshot("new", kept)).toEqual({ v: 2 });
+    expect(git(repo, "rev-list", "--count", "refs/gitvan/snapshots")).toBe("1");
+
+    await expect(
+      new SnapshotStore({ cwd: repo, logger: quiet }).gc()
+    ).rejects.toThrow("Snapshot sharing requires the git backend");
+  });
+});
@@ -7,6 +7,9 @@ import { WorkerPool } from '../../src/git-native/WorkerPool.mjs';
 
 const execAsync = promisify(exec);
 
+// Jobs are serialized, so a job that needs test values is built from source
+const AsyncFunction = (async () => {}).constructor;
+
 describe('WorkerPool Tests', () => {
   let testDir;
   let workerPool;
@@ -63,13 +66,11 @@ describe('WorkerPool Tests', () => {
   });
 
   test('should execute jobs with return values', async () => {
-    const testData = { message: 'test', number: 42 };
-    
     const result = await workerPool.executeJob(async () => {
-      return testData;
+      return { message: 'test', number: 42 };
     });
     
-    expect(result).toEqual(testData);
+    expect(result).toEqual({ message: 'test', number: 42 });
   });
 
   test('should handle job errors', async () => {
@@ -94,11 +95,11 @@ describe('WorkerPool Tests', () => {
     // Create multiple jobs
     for (let i = 0; i < 5; i++) {
       jobs.push(
-        workerPool.executeJob(async () => {
+        workerPool.executeJob(new AsyncFunction(`
           // Simulate some work
           await new Promise(resolve => setTimeout(resolve, 10));
-          return `job-${i}`;
-        })
+          return 'job-${i}';
+        `))
       );
     }
     
@@ -183,11 +184,13 @@ describe('WorkerPool Tests', () => {
       return 'shutdown-test';
     });
     
+    // Attach the expectation first, so the rejection is never unhandled
+    const rejected = expect(jobPromise).rejects.toThrow('WorkerPool is shutting down');
+    
     // Shutdown before job completes
     await workerPool.shutdown();
     
-    // Job should be rejected
-    await expect(jobPromise).rejects.toThrow('WorkerPool is shutting down');
+    await rejected;
   });
 
   test('should reject new jobs after shutdown', async () => {
@@ -199,7 +202,19 @@ describe('WorkerPool Tests', () => {
   });
 
   test('should handle jobs with complex data structures', async () => {
-    const complexData = {
+    const result = await workerPool.executeJob(async () => {
+      return {
+        string: 'test',
+        number: 42,
+        boolean: true,
+        array: [1, 2, 3],
+        object: { nested: 'value' },
+        null: null,
+        undefined: undefined
+      };
+    });
+    
+    expect(result).toEqual({
       string: 'test',
       number: 42,
       boolean: true,
@@ -207,13 +222,7 @@ describe('WorkerPool Tests', () => {
       object: { nested: 'value' },
       null: null,
       undefined: undefined
-    };
-    
-    const result = await workerPool.executeJob(async () => {
-      return complexData;
     });
-    
-    expect(result).toEqual(complexData);
   });
 
   test('should handle jobs with async operations', async () => {
@@ -229,21 +238,34 @@ describe('WorkerPool Tests', () => {
   });
 
   test('should handle jobs with file system operations', async () => {
-    const result = await workerPool.executeJob(async () => {
-      // Create a temporary file
-      const tempFile = join(testDir, 'worker-test.txt');
-      await fs.writeFile(tempFile, 'worker test content');
-      
-      // Read it back
-      const content = await fs.readFile(tempFile, 'utf8');
-      
-      // Clean up
-      await fs.unlink(tempFile);
-      
-      return content;
+    const fsPool = new WorkerPool({
+      cwd: testDir,
+      logger: console,
+      workers: { threads: 1, allowedModules: ['node:fs/promises'] }
     });
+    await fsPool.initialize();
     
-    expect(result).toBe('worker test content');
+    try {
+      const result = await fsPool.executeJob(new AsyncFunction(`
+        const fs = require('node:fs/promises');
+        
+        // Create a temporary file
+        const tempFile = ${JSON.stringify(join(testDir, 'worker-test.txt'))};
+        await fs.writeFile(tempFile, 'worker test content');
+        
+        // Read it back
+        const content = await fs.readFile(tempFile, 'utf8');
+        
+        // Clean up
+        await fs.unlink(tempFile);
+        
+        return content;
+      `));
+      
+      expect(result).toBe('worker test content');
+    } finally {
+      await fsPool.shutdown();
+    }
   });
 
   test('should respect max jobs limit', async () => {
@@ -268,10 +290,10 @@ describe('WorkerPool Tests', () => {
       // Create more jobs than max
       for (let i = 0; i < maxJobs + 2; i++) {
         jobs.push(
-          limitedPool.executeJob(async () => {
+          limitedPool.executeJob(new AsyncFunction(`
             await new Promise(resolve => setTimeout(resolve, 50));
-            return `job-${i}`;
-          })
+            return 'job-${i}';
+          `))
         );
       }
       
@@ -283,4 +305,114 @@ describe('WorkerPool Tests', () => {
       await limitedPool.shutdown();
     }
   });
+
+  describe('sandbox and limits', () => {
+    let pool;
+    let receipts;
+
+    const createPool = async (workers = {}) => {
+      receipts = [];
+      pool = new WorkerPool({
+        cwd: testDir,
+        logger: console,
+        workers: { threads: 1, maxJobs: 5, timeout: 5000, ...workers },
+        receiptWriter: {
+          writeReceipt: async (hookId, result, metadata) => {
+            receipts.push({ hookId, result, metadata });
+          }
+        }
+      });
+      await pool.initialize();
+      return pool;
+    };
+
+    const waitForWorkers = async (count) => {
+      for (let i = 0; i < 100 && pool.getStatus().available < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+    };
+
+    afterEach(async () => {
+      await pool?.shutdown();
+      pool = null;
+    });
+
+    test('should only expose allow-listed modules to jobs', async () => {
+      await createPool({ allowedModules: ['node:path'] });
+
+      // Vitest rewrites import() in test code, so these jobs are built from source
+      const job = (source) => new AsyncFunction(source);
+
+      expect(await pool.executeJob(job("return (await import('node:path')).join('a', 'b');"))).toBe('a/b');
+      expect(await pool.executeJob(async () => typeof process)).toBe('undefined');
+      await expect(pool.executeJob(job("return (await import('node:fs')).readFileSync('/etc/hostname');")))
+        .rejects.toThrow('Module "node:fs" is not in the worker allow-list');
+    });
+
+    test('should not let jobs reach the host realm through the sandbox globals', async () => {
+      await createPool();
+
+      // Each source tries to reach the host Function and return the real process
+      const escapes = [
+        "return console.log.constructor('return process')();",
+        "return setTimeout.constructor('return process')();",
+        "return setTimeout(() => {}, 0).constructor.constructor('return process')();",
+        "return require.constructor('return process')();",
+        "try { require('node:fs'); } catch (error) { return error.constructor.constructor('return process')(); }",
+        "try { await import('node:fs'); } catch (error) { return error.constructor.constructor('return process')(); }",
+        "return { then: (resolve) => resolve(resolve.constructor('return process')()) };"
+      ];
+
+      for (const source of escapes) {
+        const outcome = await pool.executeJob(new AsyncFunction(
+          `const leaked = await (async () => { ${source} })(); return typeof leaked?.env;`
+        )).catch(error => error.message);
+        expect(outcome, source).toMatch(/^(undefined|process is not defined)$/);
+      }
+    });
+
+    test('should kill and replace a worker that runs past the timeout', async () => {
+      await createPool();
+      const [originalWorker] = pool._workers.keys();
+
+      const spin = pool.executeJob(async () => {
+        while (Date.now() > 0) Math.random();
+      }, { timeout: 200, name: 'spin' });
+
+      await expect(spin).rejects.toMatchObject({
+        message: 'Job timed out after 200ms',
+        receipt: { name: 'spin', reason: 'timeout', success: false }
+      });
+      expect(receipts).toEqual([
+        expect.objectContaining({ hookId: 'worker:spin', metadata: expect.objectContaining({ reason: 'timeout' }) })
+      ]);
+
+      await waitForWorkers(1);
+      expect(pool._workers.has(originalWorker)).toBe(false);
+      expect(await pool.executeJob(async () => 'after timeout')).toBe('after timeout');
+    });
+
+    test('should fail jobs that exceed the heap limit without losing the pool', async () => {
+      await createPool({ resourceLimits: { maxOldGenerationSizeMb: 16, maxYoungGenerationSizeMb: 4 } });
+
+      const hog = pool.executeJob(async () => {
+        const chunks = [];
+        for (;;) chunks.push(Array.from({ length: 100_000 }, () => chunks.length));
+      }, { name: 'hog' });
+
+      await expect(hog).rejects.toMatchObject({
+        message: expect.stringContaining('Job exceeded worker resource limits'),
+        code: 'ERR_WORKER_OUT_OF_MEMORY',
+        receipt: {
+          reason: 'resource-limit',
+          resourceLimits: { maxOldGenerationSizeMb: 16 }
+        }
+      });
+      expect(receipts[0].result.reason).toBe('resource-limit');
+
+      await waitForWorkers(1);
+      expect(await pool.executeJob(async () => 'still serving')).toBe('still serving');
+      expect(pool.getStatus()).toMatchObject({ total: 1, active: 0, available: 1 });
+    });
+  });
 });
@@ -0,0 +1,162 @@
+// tests/graph-cache.test.mjs
+// Parsed RDF files cached by git blob OID
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { execFileSync } from "node:child_process";
+import {
+  mkdtempSync,
+  mkdirSync,
+  writeFileSync,
+  readdirSync,
+  rmSync,
+  utimesSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  CacheDirectory,
+  GraphCache,
+  blobOid,
+} from "../src/utils/graph-cache.mjs";
+import { loadGraphAtRevision } from "../src/utils/graph-history.mjs";
+import { useTurtle } from "../src/composables/turtle.mjs";
+import { useGraph } from "../src/composables/graph.mjs";
+
+const git = (cwd, ...args) =>
+  execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const person = (name) =>
+  `@prefix ex: <http://example.org/> .\nex:${name} a ex:Person ; ex:address [ ex:city "${name}ville" ] .\n`;
+
+describe("Graph Cache", () => {
+  let repo;
+  let graphDir;
+  let cacheDir;
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "gitvan-graph-cache-"));
+    graphDir = join(repo, "graph");
+    cacheDir = join(repo, ".gitvan/cache/graph");
+    mkdirSync(graphDir);
+    writeFileSync(join(graphDir, "alice.ttl"), person("alice"));
+    writeFileSync(join(graphDir, "bob.ttl"), person("bob"));
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it("should key entries by the git blob OID", () => {
+    git(repo, "init", "-q");
+    const path = join(graphDir, "alice.ttl");
+    expect(blobOid(person("alice"))).toBe(git(repo, "hash-object", path));
+  });
+
+  it("should persist entries and only reparse changed files", async () => {
+    const first = await useTurtle({ graphDir, cache: true, cacheDir });
+    const { stats } = first.cache;
+    expect(stats).toEqual({ hits: 0, misses: 2 });
+
+    // A fresh cache over the same directory reads the entries from disk
+    const cold = new GraphCache({ dir: cacheDir });
+    const oid = blobOid(person("alice"));
+    const quads = await cold.load(oid, "Turtle", () => {
+      throw new Error("cached blobs must not be read");
+    });
+    expect(quads).toHaveLength(3);
+
+    writeFileSync(join(graphDir, "bob.ttl"), person("carol"));
+    const second = await useTurtle({ graphDir, cache: true, cacheDir });
+    expect(second.cache.stats).toEqual({ hits: 1, misses: 3 });
+
+    // Switching back to earlier content is served from the cache
+    writeFileSync(join(graphDir, "bob.ttl"), person("bob"));
+    const third = await useTurtle({ graphDir, cache: true, cacheDir });
+    expect(third.cache.stats).toEqual({ hits: 3, misses: 3 });
+
+    const graph = useGraph(third.store);
+    const people = await graph.select(
+      "PREFIX ex: <http://example.org/> SELECT ?p WHERE { ?p a ex:Person }"
+    );
+    expect(people.map((row) => row.p.value)).toEqual([
+      "http://example.org/alice",
+      "http://example.org/bob",
+    ]);
+  });
+
+  it("should cache parsed files unless disabled", async () => {
+    const cached = await useTurtle({ graphDir, cacheDir });
+    expect(cached.cache.stats).toEqual({ hits: 0, misses: 2 });
+    expect(readdirSync(cacheDir)).toHaveLength(2);
+
+    const uncached = await useTurtle({ graphDir, cache: false, cacheDir });
+    expect(uncached.cache).toBeNull();
+  });
+
+  it("should not share blank nodes between files with the same content", async () => {
+    writeFileSync(join(graphDir, "bob.ttl"), person("alice"));
+    const turtle = await useTurtle({ graphDir, cache: true, cacheDir });
+
+    expect(turtle.cache.stats.hits).toBe(1);
+    expect(
+      turtle.store.getQuads(null, "http://example.org/city", null, null)
+    ).toHaveLength(2);
+  });
+
+  it("should evict the least recently used entries beyond the disk limit", async () => {
+    const entries = new CacheDirectory(cacheDir, { maxEntries: 2 });
+    await entries.write("a", { n: 1 });
+    await entries.write("b", { n: 2 });
+    const age = (key, seconds) => {
+      const at = new Date(Date.now() - seconds * 1000);
+      utimesSync(join(cacheDir, `${key}.json`), at, at);
+    };
+    age("a", 20);
+    age("b", 10);
+
+    // Reading a makes b the least recently used entry
+    expect(await entries.read("a")).toEqual({ n: 1 });
+    await entries.write("c", { n: 3 });
+
+    expect(readdirSync(cacheDir).sort()).toEqual(["a.json", "c.json"]);
+    expect(entries.count).toBe(2);
+
+    const smallDir = join(repo, "small-cache");
+    const cache = new GraphCache({ dir: smallDir, maxDiskEntries: 1 });
+    for (const name of ["alice", "bob"]) {
+      await cache.load(blobOid(person(name)), "Turtle", () => person(name));
+    }
+    expect(readdirSync(smallDir)).toHaveLength(1);
+  });
+
+  it("should load past revisions through the cache by blob OID", async () => {
+    git(repo, "init", "-q", "-b", "main");
+    git(repo, "config", "user.name", "Graph Cache");
+    git(repo, "config", "user.email", "cache@test.com");
+    git(repo, "add", "graph");
+    git(repo, "commit", "-q", "-m", "people");
+
+    const cache = new GraphCache({ dir: cacheDir });
+    const load = () =>
+      loadGraphAtRevision({
+        cwd: repo,
+        graphDir: "graph",
+        revision: "HEAD",
+        cache,
+        logger: silentLogger,
+      });
+
+    const { store, files } = await load();
+    expect(files.map((file) => file.oid)).toEqual([
+      blobOid(person("alice")),
+      blobOid(person("bob")),
+    ]);
+    expect(store.size).toBe(6);
+    expect(cache.stats).toEqual({ hits: 0, misses: 2 });
+
+    expect((await load()).store.size).toBe(6);
+    expect(cache.stats).toEqual({ hits: 2, misses: 2 });
+  });
+});
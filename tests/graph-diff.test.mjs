@@ -0,0 +1,160 @@
+// tests/graph-diff.test.mjs
+// Diffing the Turtle knowledge graph between git revisions
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  canonicalizeStore,
+  diffGraphs,
+  diffRevisions,
+  formatGraphDiff,
+} from "../src/utils/graph-diff.mjs";
+import { RdfEngine } from "../src/engines/RdfEngine.mjs";
+
+const git = (cwd, ...args) =>
+  execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const PREFIX = "@prefix ex: <http://example.org/> .\n";
+
+describe("Graph Diff", () => {
+  const engine = new RdfEngine();
+  let repo;
+
+  const commitGraph = (content, message) => {
+    writeFileSync(join(repo, "graph/people.ttl"), PREFIX + content);
+    git(repo, "add", ".");
+    git(repo, "commit", "-q", "-m", message);
+    return git(repo, "rev-parse", "HEAD");
+  };
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "gitvan-graph-diff-"));
+    git(repo, "init", "-q", "-b", "main");
+    git(repo, "config", "user.name", "Graph Diff");
+    git(repo, "config", "user.email", "diff@test.com");
+    mkdirSync(join(repo, "graph"));
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it("should ignore blank node relabelling and keep unchanged labels", async () => {
+    const before = engine.parseTurtle(
+      PREFIX + 'ex:alice ex:address [ ex:city "Paris" ] .'
+    );
+    const after = engine.parseTurtle(
+      PREFIX +
+        'ex:bob ex:address [ ex:city "Lyon" ] .\n' +
+        'ex:alice ex:address [ ex:city "Paris" ] .'
+    );
+
+    expect(await diffGraphs(before, before)).toEqual({
+      added: [],
+      removed: [],
+    });
+
+    const { added, removed } = await diffGraphs(before, after);
+    expect(removed).toEqual([]);
+    expect(added).toHaveLength(2);
+    expect(added.map((q) => q.object.value)).toContain("Lyon");
+
+    const paris = async (store) =>
+      (await canonicalizeStore(store)).getSubjects(null, '"Paris"', null)[0]
+        .value;
+    expect(await paris(after)).toBe(await paris(before));
+  });
+
+  it("should diff two revisions in every format", async () => {
+    const first = commitGraph(
+      'ex:alice ex:name "Alice" ; ex:age 30 .\nex:bob ex:name "Bob" .\n',
+      "first"
+    );
+    const second = commitGraph(
+      'ex:alice ex:name "Alice" ; ex:age 31 .\nex:bob ex:name "Bob" ; ex:knows [ ex:name "Carol" ] .\n',
+      "second"
+    );
+
+    const diff = await diffRevisions({
+      cwd: repo,
+      graphDir: "graph",
+      from: "HEAD~1",
+      to: "HEAD",
+      logger: silentLogger,
+    });
+    expect(diff.from).toBe(first);
+    expect(diff.to).toBe(second);
+    expect(diff.removed).toHaveLength(1);
+    expect(diff.added).toHaveLength(3);
+
+    const text = formatGraphDiff(diff);
+    expect(text).toContain(`${first}..${second}: +3 -1 triples`);
+    expect(text).toContain(
+      [
+        "<http://example.org/alice>",
+        '  - <http://example.org/age> "30"^^<http://www.w3.org/2001/XMLSchema#integer> .',
+        '  + <http://example.org/age> "31"^^<http://www.w3.org/2001/XMLSchema#integer> .',
+      ].join("\n")
+    );
+
+    const patch = formatGraphDiff(diff, { format: "rdf-patch" });
+    const rows = patch.trim().split("\n");
+    expect(rows[0]).toBe("TX .");
+    expect(rows.at(-1)).toBe("TC .");
+    expect(rows.filter((row) => row.startsWith("D "))).toHaveLength(1);
+    expect(rows.filter((row) => row.startsWith("A "))).toHaveLength(3);
+
+    // The Turtle patch is a SPARQL update that turns the old graph into the new one
+    const update = formatGraphDiff(diff, { format: "turtle" });
+    expect(update).toContain("DELETE DATA {");
+    expect(update).toContain("INSERT DATA {");
+
+    const store = engine.parseTurtle(
+      PREFIX + 'ex:alice ex:name "Alice" ; ex:age 30 .\nex:bob ex:name "Bob" .'
+    );
+    await engine.query(store, update);
+    const target = engine.parseTurtle(
+      PREFIX +
+        'ex:alice ex:name "Alice" ; ex:age 31 .\nex:bob ex:name "Bob" ; ex:knows [ ex:name "Carol" ] .'
+    );
+    expect(await engine.isIsomorphic(store, target)).toBe(true);
+  });
+
+  it("should match removed blank nodes by pattern in the Turtle patch", async () => {
+    const before = engine.parseTurtle(
+      PREFIX + 'ex:alice ex:address [ ex:city "Paris" ] .'
+    );
+    const diff = await diffGraphs(
+      before,
+      engine.parseTurtle(PREFIX + "ex:alice a ex:Person .")
+    );
+
+    const update = formatGraphDiff(diff, { format: "turtle" });
+    expect(update).toMatch(/DELETE WHERE \{\n {2}\?b[0-9a-f]+ /);
+
+    await engine.query(before, update);
+    expect(before.size).toBe(1);
+  });
+
+  it("should reject unknown revisions and formats", async () => {
+    commitGraph('ex:alice ex:name "Alice" .\n', "only");
+
+    await expect(
+      diffRevisions({
+        cwd: repo,
+        graphDir: "graph",
+        from: "HEAD~1",
+        to: "HEAD",
+        logger: silentLogger,
+      })
+    ).rejects.toThrow("Revision not found: HEAD~1");
+    expect(() =>
+      formatGraphDiff({ added: [], removed: [] }, { format: "json" })
+    ).toThrow(/Unsupported graph diff format: json/);
+  });
+});
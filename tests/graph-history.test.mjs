@@ -0,0 +1,149 @@
+// tests/graph-history.test.mjs
+// Loading the Turtle knowledge graph as it existed at earlier git revisions
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  HOOK_EVALUATIONS_REF,
+  loadGraphAtRevision,
+  resolveBaseRevision,
+} from "../src/utils/graph-history.mjs";
+import { HookOrchestrator } from "../src/hooks/HookOrchestrator.mjs";
+
+const git = (cwd, ...args) =>
+  execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("Graph History", () => {
+  let repo;
+
+  const commitGraph = (content, message) => {
+    writeFileSync(join(repo, "graph/data.ttl"), content);
+    git(repo, "add", ".");
+    git(repo, "commit", "-q", "-m", message);
+    return git(repo, "rev-parse", "HEAD");
+  };
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "gitvan-graph-history-"));
+    git(repo, "init", "-q", "-b", "main");
+    git(repo, "config", "user.name", "Graph History");
+    git(repo, "config", "user.email", "history@test.com");
+    mkdirSync(join(repo, "graph"));
+  });
+
+  afterEach(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it("should load the graph files as they were at a revision", async () => {
+    const first = commitGraph(
+      "@prefix ex: <http://example.org/> .\nex:a ex:p ex:b .\n",
+      "first"
+    );
+    commitGraph(
+      "@prefix ex: <http://example.org/> .\nex:a ex:p ex:b .\nex:c ex:p ex:d .\n",
+      "second"
+    );
+
+    const revision = await resolveBaseRevision({ cwd: repo });
+    expect(revision).toBe(first);
+
+    const { store, files } = await loadGraphAtRevision({
+      cwd: repo,
+      graphDir: "graph",
+      revision,
+      logger: silentLogger,
+    });
+    expect(files.map((f) => f.name)).toEqual(["data.ttl"]);
+    expect(store.size).toBe(1);
+  });
+
+  it("should find the graph directory when run from a subdirectory", async () => {
+    const revision = commitGraph(
+      "@prefix ex: <http://example.org/> .\nex:a ex:p ex:b .\n",
+      "first"
+    );
+    mkdirSync(join(repo, "src"));
+
+    const { store, files } = await loadGraphAtRevision({
+      cwd: join(repo, "src"),
+      graphDir: "../graph",
+      revision,
+      logger: silentLogger,
+    });
+    expect(files.map((f) => f.name)).toEqual(["data.ttl"]);
+    expect(store.size).toBe(1);
+  });
+
+  it("should return null when the base revision does not exist", async () => {
+    commitGraph("@prefix ex: <http://example.org/> .\n", "only commit");
+    expect(await resolveBaseRevision({ cwd: repo, base: "HEAD~1" })).toBeNull();
+  });
+
+  it("should resolve the merge-base with a branch", async () => {
+    const forkPoint = commitGraph(
+      "@prefix ex: <http://example.org/> .\n",
+      "base"
+    );
+    git(repo, "checkout", "-q", "-b", "feature");
+    commitGraph(
+      "@prefix ex: <http://example.org/> .\nex:a ex:p ex:b .\n",
+      "feature work"
+    );
+
+    expect(
+      await resolveBaseRevision({
+        cwd: repo,
+        base: "merge-base",
+        baseBranch: "main",
+      })
+    ).toBe(forkPoint);
+  });
+
+  it("should resolve the last commit with an evaluation note", async () => {
+    const evaluated = commitGraph(
+      "@prefix ex: <http://example.org/> .\n",
+      "evaluated"
+    );
+    git(repo, "notes", `--ref=${HOOK_EVALUATIONS_REF}`, "add", "-m", "{}");
+    commitGraph(
+      "@prefix ex: <http://example.org/> .\nex:a ex:p ex:b .\n",
+      "next"
+    );
+    commitGraph(
+      "@prefix ex: <http://example.org/> .\nex:c ex:p ex:d .\n",
+      "later"
+    );
+
+    expect(
+      await resolveBaseRevision({ cwd: repo, base: "last-evaluated" })
+    ).toBe(evaluated);
+  });
+
+  it("should only keep the base graphs of the latest evaluation", async () => {
+    const first = commitGraph(
+      "@prefix ex: <http://example.org/> .\nex:a ex:p ex:b .\n",
+      "first"
+    );
+    const second = commitGraph(
+      "@prefix ex: <http://example.org/> .\nex:a ex:p ex:b .\nex:c ex:p ex:d .\n",
+      "second"
+    );
+    const orchestrator = new HookOrchestrator({
+      graphDir: "graph",
+      cwd: repo,
+      logger: silentLogger,
+    });
+
+    await orchestrator._loadPreviousState({ baseRevision: first });
+    await orchestrator._loadPreviousState({ baseRevision: second });
+
+    expect([...orchestrator._revisionGraphs.keys()]).toEqual([second]);
+    expect(orchestrator.previousRevision).toBe(second);
+  });
+});
@@ -0,0 +1,303 @@
+// tests/graph-reasoning.test.mjs
+// RDFS / OWL RL / N3 rule reasoning and the inferred-graph cache
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import {
+  mkdtempSync,
+  mkdirSync,
+  writeFileSync,
+  readdirSync,
+  rmSync,
+  utimesSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  GraphReasoner,
+  INFERRED_GRAPH,
+  formatInferred,
+} from "../src/utils/graph-reasoning.mjs";
+import { RdfEngine } from "../src/engines/RdfEngine.mjs";
+import { ReasonStepHandler } from "../src/workflow/step-handlers/reason-step-handler.mjs";
+import { WorkflowEngine } from "../src/workflow/workflow-engine.mjs";
+import { HookOrchestrator } from "../src/hooks/HookOrchestrator.mjs";
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const PREFIXES = `@prefix ex: <http://example.org/> .
+@prefix rdfs: <http://www.w3.org/2000/01/rdf-schema#> .
+@prefix owl: <http://www.w3.org/2002/07/owl#> .
+`;
+
+const COMPANY = `${PREFIXES}
+ex:Employee rdfs:subClassOf ex:Person .
+ex:worksFor rdfs:range ex:Organization ; owl:inverseOf ex:employs .
+ex:alice a ex:Employee ; ex:worksFor [ ex:name "Acme" ] .
+`;
+
+describe("Graph Reasoning", () => {
+  const engine = new RdfEngine();
+  let dir;
+  let cacheDir;
+
+  const typesOf = (quads) =>
+    quads
+      .filter((q) => q.predicate.value.endsWith("#type"))
+      .map((q) => `${q.subject.termType}:${q.object.value}`)
+      .sort();
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "gitvan-reasoning-"));
+    cacheDir = join(dir, ".gitvan/cache/inferred");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should materialize RDFS entailments into the inferred graph", async () => {
+    const store = engine.parseTurtle(COMPANY);
+    const reasoner = new GraphReasoner({ cacheDir, logger: silentLogger });
+
+    const {
+      store: reasoned,
+      inferred,
+      provenance,
+      cached,
+    } = await reasoner.materialize(store, "rdfs");
+
+    expect(cached).toBe(false);
+    expect(typesOf(inferred)).toEqual([
+      "BlankNode:http://example.org/Organization",
+      "NamedNode:http://example.org/Person",
+    ]);
+    expect(inferred.every((q) => q.graph.value === INFERRED_GRAPH)).toBe(true);
+    expect(reasoned.size).toBe(store.size + 2);
+
+    // Inferred triples about blank nodes use the input's own blank nodes
+    const acme = store.getSubjects("http://example.org/name", null, null)[0];
+    expect(inferred.some((q) => q.subject.equals(acme))).toBe(true);
+
+    expect(provenance).toMatchObject({
+      reasoning: "rdfs",
+      rules: "rdfs",
+      graph: INFERRED_GRAPH,
+      count: 2,
+    });
+    expect(readdirSync(cacheDir)).toEqual([
+      `${provenance.inputHash}-${provenance.rulesHash}.json`,
+    ]);
+
+    const text = formatInferred({ inferred, provenance, cached });
+    expect(text).toContain("# reasoning: rdfs");
+    expect(text).toContain(`# input hash: sha256:${provenance.inputHash}`);
+    expect(text).toContain(
+      "<http://example.org/alice> <http://www.w3.org/1999/02/22-rdf-syntax-ns#type> <http://example.org/Person> ."
+    );
+  });
+
+  it("should serve isomorphic graphs from the cache and rerun on new rules", async () => {
+    const first = await new GraphReasoner({
+      cacheDir,
+      logger: silentLogger,
+    }).materialize(engine.parseTurtle(COMPANY), "rdfs");
+
+    // A fresh reasoner and freshly labelled blank nodes still hit the cache
+    const reasoner = new GraphReasoner({ cacheDir, logger: silentLogger });
+    const second = await reasoner.materialize(
+      engine.parseTurtle(COMPANY),
+      "rdfs"
+    );
+    expect(second.cached).toBe(true);
+    expect(second.provenance).toEqual(first.provenance);
+    expect(reasoner.stats).toEqual({ hits: 1, misses: 0 });
+
+    const owl = await reasoner.materialize(
+      engine.parseTurtle(COMPANY),
+      "owl-rl"
+    );
+    expect(owl.cached).toBe(false);
+    expect(owl.provenance.inputHash).toBe(first.provenance.inputHash);
+    expect(owl.provenance.rulesHash).not.toBe(first.provenance.rulesHash);
+    expect(
+      owl.inferred.some(
+        (q) =>
+          q.predicate.value === "http://example.org/employs" &&
+          q.object.value === "http://example.org/alice"
+      )
+    ).toBe(true);
+  });
+
+  it("should evict the least recently used inferred graphs beyond the limit", async () => {
+    const reasoner = new GraphReasoner({
+      cacheDir,
+      maxCacheEntries: 1,
+      logger: silentLogger,
+    });
+
+    const rdfs = await reasoner.materialize(
+      engine.parseTurtle(COMPANY),
+      "rdfs"
+    );
+    const { inputHash, rulesHash } = rdfs.provenance;
+    const past = new Date(Date.now() - 60_000);
+    utimesSync(join(cacheDir, `${inputHash}-${rulesHash}.json`), past, past);
+
+    const { provenance } = await reasoner.materialize(
+      engine.parseTurtle(COMPANY),
+      "owl-rl"
+    );
+    expect(readdirSync(cacheDir)).toEqual([
+      `${provenance.inputHash}-${provenance.rulesHash}.json`,
+    ]);
+  });
+
+  it("should keep only the most recently used inferred graphs in memory", async () => {
+    const reasoner = new GraphReasoner({
+      cacheDir: false,
+      maxMemoryEntries: 1,
+      logger: silentLogger,
+    });
+
+    await reasoner.materialize(engine.parseTurtle(COMPANY), "rdfs");
+    const owl = await reasoner.materialize(
+      engine.parseTurtle(COMPANY),
+      "owl-rl"
+    );
+    expect([...reasoner.memory.keys()]).toEqual([
+      `${owl.provenance.inputHash}-${owl.provenance.rulesHash}`,
+    ]);
+
+    const rdfs = await reasoner.materialize(
+      engine.parseTurtle(COMPANY),
+      "rdfs"
+    );
+    expect(rdfs.cached).toBe(false);
+    expect(reasoner.memory.size).toBe(1);
+    expect(reasoner.stats).toEqual({ hits: 0, misses: 3 });
+  });
+
+  it("should apply custom N3 rule files and reject unknown reasoning", async () => {
+    writeFileSync(
+      join(dir, "rules.n3"),
+      `${PREFIXES}{ ?x ex:worksFor ?org } => { ?org ex:hasMember ?x } .\n`
+    );
+    const reasoner = new GraphReasoner({
+      cwd: dir,
+      cacheDir: false,
+      logger: silentLogger,
+    });
+
+    const { inferred, provenance } = await reasoner.materialize(
+      engine.parseTurtle(COMPANY),
+      "rules.n3"
+    );
+    expect(provenance.rules).toBe(join(dir, "rules.n3"));
+    expect(inferred.map((q) => q.predicate.value)).toEqual([
+      "http://example.org/hasMember",
+    ]);
+
+    const store = engine.parseTurtle(COMPANY);
+    expect((await reasoner.materialize(store, "none")).store).toBe(store);
+    await expect(reasoner.materialize(store, "missing.n3")).rejects.toThrow(
+      "Unknown reasoning: missing.n3"
+    );
+  });
+
+  it("should run gv:ReasonStep before later workflow steps", async () => {
+    writeFileSync(
+      join(dir, "workflow.ttl"),
+      `${COMPANY}
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+@prefix op: <https://gitvan.dev/op#> .
+
+ex:people a gh:Hook ;
+  gv:title "People" ;
+  gh:orderedPipelines ex:pipeline .
+
+ex:pipeline a op:Pipeline ;
+  op:steps ex:infer, ex:list .
+
+ex:infer a gv:ReasonStep ;
+  gv:reasoning "rdfs" .
+
+ex:list a gv:SparqlStep ;
+  gv:text "PREFIX ex: <http://example.org/> SELECT ?p WHERE { ?p a ex:Person }" ;
+  gv:dependsOn ex:infer .
+`
+    );
+
+    const workflows = new WorkflowEngine({ graphDir: dir, checkpoints: false });
+    workflows.logger = silentLogger;
+    workflows.stepRunner.logger = silentLogger;
+    workflows.stepRunner.handlerRegistry.register(
+      "reason",
+      new ReasonStepHandler({
+        logger: silentLogger,
+        reasoner: new GraphReasoner({ cacheDir, logger: silentLogger }),
+      })
+    );
+
+    const result = await workflows.executeWorkflow("http://example.org/people");
+    const [infer, list] = result.steps;
+
+    expect(result.status).toBe("completed");
+    expect(infer.outputs).toMatchObject({ reasoning: "rdfs", inferred: 2 });
+    expect(list.outputs.results.map((row) => row.p.value)).toEqual([
+      "http://example.org/alice",
+    ]);
+  });
+
+  it("should reason before evaluating hooks with gv:reasoning", async () => {
+    const hooksDir = join(dir, "hooks");
+    mkdirSync(hooksDir);
+    const hook = (name, reasoning) => `
+ex:${name} a gh:Hook ;
+  gv:title "${name}" ;
+  ${reasoning ? `gv:reasoning "${reasoning}" ;` : ""}
+  gh:hasPredicate ex:has-person .
+`;
+    writeFileSync(
+      join(hooksDir, "hooks.ttl"),
+      `${COMPANY}
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+
+ex:has-person a gh:ASKPredicate ;
+  gh:queryText "PREFIX ex: <http://example.org/> ASK { ?p a ex:Person }" .
+${hook("plain")}
+${hook("reasoned", "rdfs")}
+`
+    );
+
+    const orchestrator = new HookOrchestrator({
+      graphDir: hooksDir,
+      cwd: dir,
+      logger: silentLogger,
+    });
+    orchestrator.reasoner = new GraphReasoner({
+      cacheDir,
+      logger: silentLogger,
+    });
+    await orchestrator._initializeRDFComponents();
+
+    const hooks = await orchestrator._parseAllHooks();
+    expect(
+      hooks.map((h) => [h.id.split("/").pop(), h.reasoning]).sort()
+    ).toEqual([
+      ["plain", "none"],
+      ["reasoned", "rdfs"],
+    ]);
+
+    const results = await orchestrator._evaluateHooks(hooks, {});
+    const triggered = Object.fromEntries(
+      results.map((r) => [r.hook.id.split("/").pop(), r.triggered])
+    );
+    expect(triggered).toEqual({ plain: false, reasoned: true });
+    // The hook's inferences do not leak into the shared graph
+    expect(
+      orchestrator.turtle.store.getQuads(null, null, null, INFERRED_GRAPH)
+    ).toHaveLength(0);
+  });
+});
@@ -0,0 +1,430 @@
+// Test suite for PredicateEvaluator
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createServer } from "node:http";
+import { PredicateEvaluator } from "../../src/hooks/PredicateEvaluator.mjs";
+import { RdfEngine } from "../../src/engines/RdfEngine.mjs";
+import { useGraph } from "../../src/composables/graph.mjs";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const SHAPES = `
+@prefix sh: <http://www.w3.org/ns/shacl#> .
+@prefix ex: <http://example.org/> .
+
+ex:PersonShape a sh:NodeShape ;
+  sh:targetClass ex:Person ;
+  sh:property [
+    sh:path ex:name ;
+    sh:minCount 1 ;
+    sh:message "Person must have a name" ;
+  ] .
+`;
+
+const shaclHook = (definition) => ({
+  id: "shacl-hook",
+  predicateDefinition: {
+    type: "shaclAllConform",
+    definition,
+  },
+});
+
+describe("PredicateEvaluator", () => {
+  let engine;
+  let tempDir;
+
+  beforeAll(() => {
+    engine = new RdfEngine({ logger: silentLogger });
+    tempDir = mkdtempSync(join(tmpdir(), "gitvan-predicate-"));
+  });
+
+  afterAll(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const graphFrom = (ttl) => useGraph(engine.parseTurtle(ttl));
+
+  describe("shaclAllConform", () => {
+    it("should conform when every focus node satisfies the shapes", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+      const graph = graphFrom(`
+        @prefix ex: <http://example.org/> .
+        ex:alice a ex:Person ; ex:name "Alice" .
+      `);
+
+      const evaluation = await evaluator.evaluate(
+        shaclHook({ shapes: SHAPES }),
+        graph
+      );
+
+      expect(evaluation.result).toBe(true);
+      expect(evaluation.context.conforms).toBe(true);
+      expect(evaluation.context.violations).toEqual([]);
+      expect(evaluation.context.violationCount).toBe(0);
+    });
+
+    it("should report structured violations for non-conforming data", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+      const graph = graphFrom(`
+        @prefix ex: <http://example.org/> .
+        ex:alice a ex:Person ; ex:name "Alice" .
+        ex:bob a ex:Person .
+      `);
+
+      const evaluation = await evaluator.evaluate(
+        shaclHook({ shapes: SHAPES }),
+        graph
+      );
+
+      expect(evaluation.result).toBe(false);
+      expect(evaluation.context.violationCount).toBe(1);
+      expect(evaluation.context.violations[0]).toMatchObject({
+        focusNode: "http://example.org/bob",
+        path: "http://example.org/name",
+        severity: "Violation",
+        message: "Person must have a name",
+      });
+    });
+
+    it("should load shapes from a file path relative to cwd", async () => {
+      writeFileSync(join(tempDir, "person-shapes.ttl"), SHAPES);
+      const evaluator = new PredicateEvaluator({
+        logger: silentLogger,
+        cwd: tempDir,
+      });
+      const graph = graphFrom(`
+        @prefix ex: <http://example.org/> .
+        ex:bob a ex:Person .
+      `);
+
+      const evaluation = await evaluator.evaluate(
+        shaclHook({ shapesPath: "person-shapes.ttl" }),
+        graph
+      );
+
+      expect(evaluation.result).toBe(false);
+      expect(evaluation.context.shapes).toBe(
+        join(tempDir, "person-shapes.ttl")
+      );
+      expect(evaluation.context.violations[0].focusNode).toBe(
+        "http://example.org/bob"
+      );
+    });
+
+    it("should load shapes paths without a Turtle extension", async () => {
+      writeFileSync(join(tempDir, "person.shapes"), SHAPES);
+      const evaluator = new PredicateEvaluator({
+        logger: silentLogger,
+        cwd: tempDir,
+      });
+      const graph = graphFrom(`
+        @prefix ex: <http://example.org/> .
+        ex:bob a ex:Person .
+      `);
+
+      const evaluation = await evaluator.evaluate(
+        shaclHook({ shapesPath: "person.shapes" }),
+        graph
+      );
+
+      expect(evaluation.result).toBe(false);
+      expect(evaluation.context.shapes).toBe(join(tempDir, "person.shapes"));
+    });
+
+    it("should fail when the shapes file does not exist", async () => {
+      const evaluator = new PredicateEvaluator({
+        logger: silentLogger,
+        cwd: tempDir,
+      });
+      const graph = graphFrom(`
+        @prefix ex: <http://example.org/> .
+        ex:bob a ex:Person .
+      `);
+
+      await expect(
+        evaluator.evaluate(
+          shaclHook({ shapesPath: "missing-shapes.ttl" }),
+          graph
+        )
+      ).rejects.toThrow("SHACL shapes file could not be read");
+    });
+  });
+
+  describe("resultDelta", () => {
+    const QUERY = `
+      PREFIX ex: <http://example.org/>
+      SELECT ?person WHERE { ?person a ex:Person }
+    `;
+    const deltaHook = {
+      id: "delta-hook",
+      predicateDefinition: {
+        type: "resultDelta",
+        definition: { query: QUERY },
+      },
+    };
+
+    it("should report rows added and removed since the previous graph", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+      const previous = graphFrom(`
+        @prefix ex: <http://example.org/> .
+        ex:alice a ex:Person .
+        ex:bob a ex:Person .
+      `);
+      const current = graphFrom(`
+        @prefix ex: <http://example.org/> .
+        ex:alice a ex:Person .
+        ex:carol a ex:Person .
+      `);
+
+      const evaluation = await evaluator.evaluate(deltaHook, current, previous);
+
+      expect(evaluation.result).toBe(true);
+      expect(evaluation.context.addedCount).toBe(1);
+      expect(evaluation.context.removedCount).toBe(1);
+      expect(evaluation.context.added[0].person.value).toBe(
+        "http://example.org/carol"
+      );
+      expect(evaluation.context.removed[0].person.value).toBe(
+        "http://example.org/bob"
+      );
+    });
+
+    it("should not trigger when the result set is unchanged", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+      const ttl = `
+        @prefix ex: <http://example.org/> .
+        ex:alice a ex:Person .
+      `;
+
+      const evaluation = await evaluator.evaluate(
+        deltaHook,
+        graphFrom(ttl),
+        graphFrom(ttl)
+      );
+
+      expect(evaluation.result).toBe(false);
+      expect(evaluation.context.added).toEqual([]);
+      expect(evaluation.context.removed).toEqual([]);
+    });
+
+    it("should not trigger when the same rows come back in another order", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+      const row = (name) => ({
+        person: { termType: "NamedNode", value: `http://example.org/${name}` },
+      });
+      const graphReturning = (...names) => ({
+        query: async () => ({ type: "select", results: names.map(row) }),
+      });
+
+      const evaluation = await evaluator.evaluate(
+        deltaHook,
+        graphReturning("bob", "alice"),
+        graphReturning("alice", "bob")
+      );
+
+      expect(evaluation.result).toBe(false);
+      expect(evaluation.context.addedCount).toBe(0);
+      expect(evaluation.context.removedCount).toBe(0);
+    });
+
+    it("should only compare the named graphs the predicate is scoped to", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+      const datasetWith = (feedback) =>
+        useGraph(
+          engine.parseTriG(`
+            @prefix ex: <http://example.org/> .
+            <graph://project.ttl> { ex:alice a ex:Person . }
+            <graph://feedback.ttl> { ${feedback} a ex:Person . }
+          `)
+        );
+      const scopedHook = {
+        ...deltaHook,
+        predicateDefinition: {
+          ...deltaHook.predicateDefinition,
+          graphs: ["graph://project.ttl"],
+        },
+      };
+
+      const previous = datasetWith("ex:bob");
+      const current = datasetWith("ex:carol");
+
+      expect(
+        (await evaluator.evaluate(deltaHook, current, previous)).result
+      ).toBe(true);
+      expect(
+        (await evaluator.evaluate(scopedHook, current, previous)).result
+      ).toBe(false);
+    });
+  });
+
+  describe("federated", () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    const binding = (name) => ({
+      person: { type: "uri", value: `http://example.org/${name}` },
+      name: { type: "literal", value: name, "xml:lang": "en" },
+    });
+
+    const replies = {
+      "/a": () => ({
+        head: { vars: ["person", "name"] },
+        results: { bindings: [binding("alice"), binding("bob")] },
+      }),
+      "/b": () => ({
+        head: { vars: ["person", "name"] },
+        results: { bindings: [binding("bob"), binding("carol")] },
+      }),
+      "/empty": () => ({
+        head: { vars: ["person", "name"] },
+        results: { bindings: [] },
+      }),
+      "/ask": () => ({ head: {}, boolean: true }),
+    };
+
+    beforeAll(async () => {
+      server = createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          requests.push({ url: req.url, headers: req.headers, body });
+          if (req.url === "/slow") {
+            setTimeout(() => res.end("{}"), 500);
+            return;
+          }
+          if (req.url === "/broken") {
+            res.writeHead(500, "Internal Server Error");
+            res.end("boom");
+            return;
+          }
+          res.writeHead(200, {
+            "Content-Type": "application/sparql-results+json",
+          });
+          res.end(JSON.stringify(replies[req.url]()));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const federatedHook = (query, endpoints) => ({
+      id: "federated-hook",
+      predicateDefinition: {
+        type: "federated",
+        definition: {
+          query,
+          endpoints: endpoints.map((endpoint) => ({
+            timeout: 5000,
+            ...endpoint,
+            url: `${baseUrl}${endpoint.url}`,
+          })),
+        },
+      },
+    });
+
+    const PREFIXES = "@prefix ex: <http://example.org/> .";
+    const SELECT =
+      "PREFIX ex: <http://example.org/>\nSELECT ?person ?name WHERE { ?person ex:name ?name }";
+
+    it("should send the query over the SPARQL protocol and merge bindings", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+      const graph = graphFrom(PREFIXES);
+
+      const evaluation = await evaluator.evaluate(
+        federatedHook(SELECT, [{ url: "/a" }, { url: "/b" }]),
+        graph
+      );
+
+      expect(evaluation.result).toBe(true);
+      expect(evaluation.context.successfulEndpoints).toBe(2);
+      expect(
+        evaluation.context.bindings.map((row) => row.person.value)
+      ).toEqual([
+        "http://example.org/alice",
+        "http://example.org/bob",
+        "http://example.org/carol",
+      ]);
+      expect(evaluation.context.bindings[0].name).toEqual({
+        termType: "Literal",
+        value: "alice",
+        language: "en",
+      });
+
+      const sent = requests.find((request) => request.url === "/a");
+      expect(sent.headers["content-type"]).toBe("application/sparql-query");
+      expect(sent.headers.accept).toContain("application/sparql-results+json");
+      expect(sent.body).toBe(SELECT);
+    });
+
+    it("should report slow and failing endpoints without failing the predicate", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+
+      const evaluation = await evaluator.evaluate(
+        federatedHook(SELECT, [
+          { url: "/a" },
+          { url: "/slow", timeout: 100 },
+          { url: "/broken" },
+        ]),
+        graphFrom(PREFIXES)
+      );
+
+      expect(evaluation.result).toBe(true);
+      expect(evaluation.context.endpointCount).toBe(3);
+      expect(evaluation.context.successfulEndpoints).toBe(1);
+      expect(evaluation.context.failedEndpoints).toEqual([
+        { endpoint: `${baseUrl}/slow`, error: "Timed out after 100ms" },
+        {
+          endpoint: `${baseUrl}/broken`,
+          error: "Endpoint responded 500 Internal Server Error",
+        },
+      ]);
+    });
+
+    it("should not trigger when every endpoint is empty or unavailable", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+
+      const evaluation = await evaluator.evaluate(
+        federatedHook(SELECT, [{ url: "/empty" }, { url: "/broken" }]),
+        graphFrom(PREFIXES)
+      );
+
+      expect(evaluation.result).toBe(false);
+      expect(evaluation.context.bindings).toEqual([]);
+    });
+
+    it("should OR ASK answers and send bearer tokens from the environment", async () => {
+      const evaluator = new PredicateEvaluator({ logger: silentLogger });
+      process.env.GITVAN_TEST_SPARQL_TOKEN = "s3cret";
+
+      try {
+        const evaluation = await evaluator.evaluate(
+          federatedHook("ASK { ?s ?p ?o }", [
+            { url: "/ask", authentication: "env:GITVAN_TEST_SPARQL_TOKEN" },
+            { url: "/broken" },
+          ]),
+          graphFrom(PREFIXES)
+        );
+
+        expect(evaluation.result).toBe(true);
+        expect(evaluation.context.boolean).toBe(true);
+        const sent = requests.find((request) => request.url === "/ask");
+        expect(sent.headers.authorization).toBe("Bearer s3cret");
+      } finally {
+        delete process.env.GITVAN_TEST_SPARQL_TOKEN;
+      }
+    });
+  });
+});
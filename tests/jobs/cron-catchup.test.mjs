@@ -0,0 +1,233 @@
+// Tests for cron catch-up policies and the git-backed cron state
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { execFileSync } from "node:child_process";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+const receipts = [];
+vi.mock("../../src/runtime/receipt.mjs", () => ({
+  writeReceipt: async (receipt) => {
+    receipts.push(receipt);
+  },
+}));
+
+const { CronState } = await import("../../src/jobs/cron-state.mjs");
+const { planCatchup, catchUpCronJobs, resolveCatchupPolicy, MAX_CATCHUP_RUNS } =
+  await import("../../src/jobs/cron.mjs");
+
+const iso = (dates) => dates.map((date) => date.toISOString());
+
+describe("cron catch-up", () => {
+  let repoDir;
+  let state;
+
+  beforeEach(() => {
+    repoDir = mkdtempSync(join(tmpdir(), "gitvan-cron-state-"));
+    execFileSync("git", ["init", "-q"], { cwd: repoDir });
+    state = new CronState({ cwd: repoDir });
+    receipts.length = 0;
+  });
+
+  afterEach(() => {
+    rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  const cronJob = (overrides = {}) => {
+    const runs = [];
+    return {
+      id: "reports/hourly",
+      cron: "0 * * * *",
+      timezone: "UTC",
+      catchup: "skip",
+      runs,
+      definition: {
+        async run({ ctx }) {
+          runs.push(ctx.cron);
+          return { ok: true };
+        },
+      },
+      ...overrides,
+    };
+  };
+
+  describe("CronState", () => {
+    it("should store the last fire of each job under refs/gitvan/schedule", async () => {
+      expect(await state.getLastFire("reports/hourly")).toBeNull();
+
+      await state.recordFire(
+        "reports/hourly",
+        new Date("2026-01-01T10:00:00Z"),
+        { cron: "0 * * * *" }
+      );
+      await state.recordFire("reports", new Date("2026-01-01T11:00:00Z"));
+
+      expect((await state.getLastFire("reports/hourly")).toISOString()).toBe(
+        "2026-01-01T10:00:00.000Z"
+      );
+      expect((await state.get("reports/hourly")).cron).toBe("0 * * * *");
+      expect((await state.getLastFire("reports")).toISOString()).toBe(
+        "2026-01-01T11:00:00.000Z"
+      );
+
+      const refs = execFileSync(
+        "git",
+        ["for-each-ref", "--format=%(refname)", "refs/gitvan/schedule"],
+        { cwd: repoDir, encoding: "utf8" }
+      );
+      expect(refs.trim().split("\n")).toEqual([
+        "refs/gitvan/schedule/reports",
+        "refs/gitvan/schedule/reports%2Fhourly",
+      ]);
+    });
+  });
+
+  describe("planCatchup", () => {
+    const lastFire = new Date("2026-01-01T10:00:00Z");
+    const now = new Date("2026-01-01T13:00:30Z");
+
+    it("should list fires missed before the current minute", () => {
+      const plan = planCatchup(cronJob({ catchup: "run-once" }), lastFire, now);
+
+      // 13:00 is the current minute and belongs to the regular loop
+      expect(iso(plan.missed)).toEqual([
+        "2026-01-01T11:00:00.000Z",
+        "2026-01-01T12:00:00.000Z",
+      ]);
+      expect(plan.truncated).toBe(false);
+    });
+
+    it("should not look for missed fires when skipping", () => {
+      expect(planCatchup(cronJob(), lastFire, now)).toEqual({
+        policy: "skip",
+        missed: [],
+        runs: [],
+        truncated: false,
+      });
+    });
+
+    it("should run the latest or every missed fire", () => {
+      expect(
+        iso(planCatchup(cronJob({ catchup: "run-once" }), lastFire, now).runs)
+      ).toEqual(["2026-01-01T12:00:00.000Z"]);
+      expect(
+        iso(planCatchup(cronJob({ catchup: "run-all" }), lastFire, now).runs)
+      ).toEqual(["2026-01-01T11:00:00.000Z", "2026-01-01T12:00:00.000Z"]);
+    });
+
+    it("should not catch up jobs that never fired", () => {
+      expect(
+        planCatchup(cronJob({ catchup: "run-all" }), null, now).missed
+      ).toEqual([]);
+    });
+
+    it("should cap replays after a long downtime", () => {
+      const plan = planCatchup(
+        cronJob({ cron: "* * * * *", catchup: "run-all" }),
+        lastFire,
+        now
+      );
+
+      expect(plan.truncated).toBe(true);
+      expect(plan.runs).toHaveLength(MAX_CATCHUP_RUNS);
+      expect(plan.runs.at(-1).toISOString()).toBe("2026-01-01T12:59:00.000Z");
+    });
+
+    it("should only scan the latest fires after a downtime of years", () => {
+      const job = cronJob({ cron: "* * * * *", catchup: "run-once" });
+      const started = Date.now();
+      const plan = planCatchup(job, new Date("2016-01-01T00:00:00Z"), now);
+
+      expect(plan.truncated).toBe(true);
+      expect(plan.missed).toHaveLength(MAX_CATCHUP_RUNS);
+      expect(iso(plan.runs)).toEqual(["2026-01-01T12:59:00.000Z"]);
+      // Walking every missed minute of ten years takes minutes
+      expect(Date.now() - started).toBeLessThan(5000);
+    });
+
+    it("should reject unknown policies", () => {
+      expect(() => resolveCatchupPolicy("sometimes")).toThrow(
+        'Invalid catchup policy "sometimes", expected one of: skip, run-once, run-all'
+      );
+    });
+  });
+
+  describe("catchUpCronJobs", () => {
+    const now = new Date("2026-01-01T13:00:30Z");
+
+    it("should replay missed fires and mark their receipts", async () => {
+      const job = cronJob({ catchup: "run-all" });
+      await state.recordFire(job.id, new Date("2026-01-01T10:00:00Z"));
+
+      const summary = await catchUpCronJobs([job], {}, { state, now });
+
+      expect(summary).toEqual([
+        { jobId: "reports/hourly", policy: "run-all", missed: 2, ran: 2 },
+      ]);
+      expect(job.runs.map((run) => run.scheduledFor)).toEqual([
+        "2026-01-01T11:00:00.000Z",
+        "2026-01-01T12:00:00.000Z",
+      ]);
+      expect(job.runs[0].catchup).toMatchObject({
+        policy: "run-all",
+        missedRuns: 2,
+      });
+      expect(receipts.map((receipt) => receipt.meta)).toEqual([
+        expect.objectContaining({
+          catchup: true,
+          catchupPolicy: "run-all",
+          missedRuns: 2,
+          scheduledFor: "2026-01-01T11:00:00.000Z",
+        }),
+        expect.objectContaining({
+          catchup: true,
+          scheduledFor: "2026-01-01T12:00:00.000Z",
+        }),
+      ]);
+      expect((await state.getLastFire(job.id)).toISOString()).toBe(
+        "2026-01-01T12:00:00.000Z"
+      );
+    });
+
+    it("should run once for run-once and nothing for skip", async () => {
+      const once = cronJob({ id: "once", catchup: "run-once" });
+      const skipped = cronJob({ id: "skipped", catchup: "skip" });
+      for (const job of [once, skipped]) {
+        await state.recordFire(job.id, new Date("2026-01-01T10:00:00Z"));
+      }
+
+      await catchUpCronJobs([once, skipped], {}, { state, now });
+
+      expect(once.runs.map((run) => run.scheduledFor)).toEqual([
+        "2026-01-01T12:00:00.000Z",
+      ]);
+      expect(skipped.runs).toEqual([]);
+      expect(receipts).toHaveLength(1);
+      expect((await state.getLastFire("skipped")).toISOString()).toBe(
+        "2026-01-01T10:00:00.000Z"
+      );
+    });
+
+    it("should stop replaying and keep the last fire when a run fails", async () => {
+      const job = cronJob({
+        catchup: "run-all",
+        definition: {
+          async run() {
+            throw new Error("database unavailable");
+          },
+        },
+      });
+      await state.recordFire(job.id, new Date("2026-01-01T10:00:00Z"));
+
+      const summary = await catchUpCronJobs([job], {}, { state, now });
+
+      expect(summary[0].ran).toBe(1);
+      expect(receipts).toHaveLength(1);
+      expect(receipts[0].status).toBe("error");
+      expect(receipts[0].meta.catchup).toBe(true);
+      expect((await state.getLastFire(job.id)).toISOString()).toBe(
+        "2026-01-01T10:00:00.000Z"
+      );
+    });
+  });
+});
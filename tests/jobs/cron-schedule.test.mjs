@@ -0,0 +1,293 @@
+// Tests for cron expression evaluation and the cron CLI schedule output
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  parseCron,
+  nextCronRun,
+  upcomingCronRuns,
+  cronMatches,
+  formatInTimezone,
+} from "../../src/utils/cron-expression.mjs";
+import {
+  shouldRunJob,
+  calculateNextRun,
+  startCronScheduler,
+} from "../../src/jobs/cron.mjs";
+import { cronCommand } from "../../src/cli/commands/cron.mjs";
+
+vi.mock("../../src/jobs/cron.mjs", async (importOriginal) => ({
+  ...(await importOriginal()),
+  startCronScheduler: vi.fn(async () => {}),
+}));
+
+const iso = (dates) => dates.map((date) => date.toISOString());
+
+describe("cron expressions", () => {
+  it("should expand ranges, steps, lists and names", () => {
+    const schedule = parseCron("*/15 9-17/4 1,15 jan-MAR MON-FRI");
+
+    expect(schedule.minutes).toEqual([0, 15, 30, 45]);
+    expect(schedule.hours).toEqual([9, 13, 17]);
+    expect([...schedule.days]).toEqual([1, 15]);
+    expect([...schedule.months]).toEqual([1, 2, 3]);
+    expect([...schedule.weekdays]).toEqual([1, 2, 3, 4, 5]);
+    expect(parseCron("5/20 * * * *").minutes).toEqual([5, 25, 45]);
+    expect([...parseCron("0 0 * * 7").weekdays]).toEqual([0]);
+  });
+
+  it("should expand macros", () => {
+    expect(
+      iso(upcomingCronRuns("@daily", 2, new Date("2026-01-01T12:00:00Z")))
+    ).toEqual(["2026-01-02T00:00:00.000Z", "2026-01-03T00:00:00.000Z"]);
+    expect(
+      nextCronRun("@hourly", new Date("2026-01-01T12:00:00Z")).toISOString()
+    ).toBe("2026-01-01T13:00:00.000Z");
+    expect(
+      nextCronRun("@yearly", new Date("2026-06-01T00:00:00Z")).toISOString()
+    ).toBe("2027-01-01T00:00:00.000Z");
+  });
+
+  it("should reject invalid expressions with the reason", () => {
+    expect(() => parseCron("* * *")).toThrow(
+      'Invalid cron expression "* * *": expected 5 fields, got 3'
+    );
+    expect(() => parseCron("60 * * * *")).toThrow(
+      "minute value 60 is out of range 0-59"
+    );
+    expect(() => parseCron("0 0 * * FRI-MON")).toThrow("runs backwards");
+    expect(() => parseCron("*/0 * * * *")).toThrow("invalid minute step '0'");
+    expect(() => parseCron("@reboot")).toThrow("unknown macro @reboot");
+    expect(() =>
+      nextCronRun("* * * * *", new Date(), { timezone: "Nowhere/City" })
+    ).toThrow('Unknown timezone "Nowhere/City"');
+  });
+
+  it("should match either day field when both are restricted", () => {
+    // 1st and 15th of the month, plus every Friday
+    const runs = upcomingCronRuns(
+      "0 0 1,15 * FRI",
+      4,
+      new Date("2026-05-01T00:00:00Z")
+    );
+
+    expect(iso(runs)).toEqual([
+      "2026-05-08T00:00:00.000Z",
+      "2026-05-15T00:00:00.000Z",
+      "2026-05-22T00:00:00.000Z",
+      "2026-05-29T00:00:00.000Z",
+    ]);
+  });
+
+  it("should find rare dates such as leap days", () => {
+    expect(
+      nextCronRun("0 12 29 2 *", new Date("2026-03-01T00:00:00Z")).toISOString()
+    ).toBe("2028-02-29T12:00:00.000Z");
+    expect(nextCronRun("0 0 31 2 *", new Date())).toBeNull();
+  });
+
+  it("should evaluate schedules in the job timezone", () => {
+    const next = nextCronRun(
+      "0 9 * * MON-FRI",
+      new Date("2026-10-16T14:00:00Z"),
+      {
+        timezone: "America/New_York",
+      }
+    );
+
+    expect(next.toISOString()).toBe("2026-10-19T13:00:00.000Z");
+    expect(formatInTimezone(next, "America/New_York")).toBe(
+      "2026-10-19 09:00 America/New_York"
+    );
+  });
+
+  it("should shift wall-clock times skipped by spring forward", () => {
+    const timezone = "America/New_York";
+    const runs = upcomingCronRuns(
+      "30 2 * * *",
+      2,
+      new Date("2026-03-07T12:00:00Z"),
+      {
+        timezone,
+      }
+    );
+
+    // 02:30 does not exist on 2026-03-08 and runs at 03:30 EDT instead
+    expect(iso(runs)).toEqual([
+      "2026-03-08T07:30:00.000Z",
+      "2026-03-09T06:30:00.000Z",
+    ]);
+
+    // Wildcard-hour schedules just skip the missing hour
+    const halfHourly = upcomingCronRuns(
+      "*/30 * * * *",
+      3,
+      new Date("2026-03-08T06:10:00Z"),
+      {
+        timezone,
+      }
+    );
+    expect(halfHourly.map((run) => formatInTimezone(run, timezone))).toEqual([
+      "2026-03-08 01:30 America/New_York",
+      "2026-03-08 03:00 America/New_York",
+      "2026-03-08 03:30 America/New_York",
+    ]);
+  });
+
+  it("should fire repeated wall-clock times once on fall back", () => {
+    const timezone = "America/New_York";
+    const daily = upcomingCronRuns(
+      "30 1 * * *",
+      2,
+      new Date("2026-10-31T12:00:00Z"),
+      {
+        timezone,
+      }
+    );
+
+    expect(iso(daily)).toEqual([
+      "2026-11-01T05:30:00.000Z",
+      "2026-11-02T06:30:00.000Z",
+    ]);
+
+    // Wildcard-hour schedules keep following elapsed time through the repeat
+    const halfHourly = upcomingCronRuns(
+      "*/30 * * * *",
+      4,
+      new Date("2026-11-01T04:50:00Z"),
+      {
+        timezone,
+      }
+    );
+    expect(iso(halfHourly)).toEqual([
+      "2026-11-01T05:00:00.000Z",
+      "2026-11-01T05:30:00.000Z",
+      "2026-11-01T06:00:00.000Z",
+      "2026-11-01T06:30:00.000Z",
+    ]);
+  });
+
+  it("should match the minute containing an instant", () => {
+    expect(cronMatches("0 9 * * 1-5", new Date("2026-10-19T09:00:45Z"))).toBe(
+      true
+    );
+    expect(cronMatches("0 9 * * 1-5", new Date("2026-10-18T09:00:00Z"))).toBe(
+      false
+    );
+    expect(
+      cronMatches("30 2 * * *", new Date("2026-03-08T07:30:10Z"), {
+        timezone: "America/New_York",
+      })
+    ).toBe(true);
+  });
+
+  it("should drive the scheduler checks", () => {
+    const job = {
+      id: "report",
+      cron: "*/15 * * * *",
+      timezone: "Europe/Berlin",
+    };
+
+    expect(shouldRunJob(job, new Date("2026-01-01T10:45:00Z"))).toBe(true);
+    expect(shouldRunJob(job, new Date("2026-01-01T10:46:00Z"))).toBe(false);
+    expect(
+      calculateNextRun(job, new Date("2026-01-01T10:46:00Z")).toISOString()
+    ).toBe("2026-01-01T11:00:00.000Z");
+    expect(shouldRunJob({ id: "bad", cron: "not a cron" }, new Date())).toBe(
+      false
+    );
+  });
+});
+
+describe("cron CLI schedules", () => {
+  let rootDir;
+
+  beforeAll(() => {
+    rootDir = mkdtempSync(join(tmpdir(), "gitvan-cron-"));
+    mkdirSync(join(rootDir, "jobs"));
+    writeFileSync(
+      join(rootDir, "jobs", "weekday-report.mjs"),
+      `export default {
+  cron: "0 9 * * MON-FRI",
+  timezone: "America/New_York",
+  async run() { return { ok: true }; },
+};
+`
+    );
+    writeFileSync(
+      join(rootDir, "jobs", "nightly.mjs"),
+      `export default {
+  cron: "@daily",
+  async run() { return { ok: true }; },
+};
+`
+    );
+  });
+
+  afterAll(() => {
+    rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  const dryRun = async (at) => {
+    const lines = [];
+    const spy = vi.spyOn(console, "log").mockImplementation((...args) => {
+      lines.push(args.join(" "));
+    });
+    try {
+      await cronCommand.subCommands["dry-run"].run({
+        args: { at, "root-dir": rootDir, verbose: false },
+      });
+    } finally {
+      spy.mockRestore();
+    }
+    return lines.join("\n");
+  };
+
+  it("should only report jobs that fire at the simulated time", async () => {
+    const output = await dryRun("2026-10-19T13:00:00Z");
+
+    expect(output).toContain("✅ Would run: weekday-report");
+    expect(output).not.toContain("Would run: nightly");
+    expect(output).toContain("Local Time: 2026-10-19 09:00 America/New_York");
+    expect(output).toContain("Next Run: 2026-10-20 09:00 America/New_York");
+    expect(output).toContain("Jobs that would run: 1");
+  });
+
+  it("should report nothing outside the schedules", async () => {
+    const output = await dryRun("2026-10-18T13:00:00Z");
+
+    expect(output).not.toContain("✅ Would run");
+    expect(output).toContain("Jobs that would run: 0");
+  });
+
+  it("should start the scheduler in the timezone dry-run uses", async () => {
+    writeFileSync(
+      join(rootDir, "gitvan.config.js"),
+      `module.exports = { cron: { timezone: "Asia/Tokyo" } };\n`
+    );
+    try {
+      const output = await dryRun("2026-10-18T15:00:00Z");
+      expect(output).toContain("✅ Would run: nightly");
+
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await cronCommand.subCommands.start.run({
+        args: {
+          "root-dir": rootDir,
+          "check-interval": 30,
+          "max-concurrent": 5,
+          verbose: false,
+        },
+      });
+      expect(startCronScheduler).toHaveBeenCalledWith(
+        expect.objectContaining({
+          rootDir,
+          cron: { enabled: true, interval: 30_000, timezone: "Asia/Tokyo" },
+        })
+      );
+    } finally {
+      vi.restoreAllMocks();
+      rmSync(join(rootDir, "gitvan.config.js"));
+    }
+  });
+});
@@ -109,11 +109,11 @@ describe("JTBD Business Intelligence - Executive Dashboard Generation", () => {
 
 <http://example.org/generate-insights> a gv:TemplateStep ;
   gv:template """{
-  "quarter": "{{ quarter }}",
+  "quarter": "Q1 2024",
   "totalRevenue": 535000,
   "totalUnits": 836,
-  "revenueTarget": {{ targets.revenue }},
-  "unitsTarget": {{ targets.units }},
+  "revenueTarget": 500000,
+  "unitsTarget": 800,
   "revenueAchievement": 107.0,
   "unitsAchievement": 104.5,
   "topProduct": "Professional Services",
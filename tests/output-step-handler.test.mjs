@@ -4,8 +4,99 @@
 import { describe, it, expect, beforeEach } from "vitest";
 import { OutputStepHandler } from "../src/workflow/step-handlers/output-step-handler.mjs";
 import { writeFile, mkdir, rm } from "node:fs/promises";
-import { existsSync } from "node:fs";
-import { resolve } from "node:path";
+import { existsSync, readFileSync } from "node:fs";
+import { resolve, posix } from "node:path";
+import { inflateRawSync } from "node:zlib";
+import N3 from "n3";
+import { useGraph } from "../src/composables/graph.mjs";
+import { crc32 } from "../src/utils/zip.mjs";
+
+// Read every entry of a ZIP archive through its central directory
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  expect(endOffset).toBeGreaterThan(-1);
+
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(offset)).toBe(0x02014b50);
+    const method = buffer.readUInt16LE(offset + 10);
+    const checksum = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    expect(buffer.readUInt32LE(localOffset)).toBe(0x04034b50);
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? inflateRawSync(raw) : raw;
+
+    expect(crc32(data)).toBe(checksum);
+    entries.set(name, data.toString("utf8"));
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+// Check that tags nest and close properly
+function expectWellFormedXml(name, xml) {
+  expect(xml.startsWith("<?xml"), name).toBe(true);
+  const stack = [];
+  const body = xml.replace(/<\?[^>]*\?>/g, "");
+  for (const [tag, closing, element, selfClosing] of body.matchAll(
+    /<(\/?)([\w:.-]+)(?:\s+[\w:.-]+="[^"<]*")*\s*(\/?)>/g
+  )) {
+    if (selfClosing) continue;
+    if (closing) {
+      expect(stack.pop(), `${name}: unexpected ${tag}`).toBe(element);
+    } else {
+      stack.push(element);
+    }
+  }
+  expect(stack, `${name}: unclosed elements`).toEqual([]);
+  expect(body.replace(/<[^>]*>/g, ""), `${name}: stray markup`).not.toMatch(
+    /[<>]|&(?!(amp|lt|gt|quot|apos);)/
+  );
+}
+
+// Verify parts, content types and relationship targets of an OOXML package
+function readPackage(path, mainPart) {
+  const entries = readZip(readFileSync(path));
+  for (const [name, xml] of entries) {
+    expectWellFormedXml(name, xml);
+  }
+
+  const contentTypes = entries.get("[Content_Types].xml");
+  expect(contentTypes).toBeDefined();
+  for (const name of entries.keys()) {
+    if (name === "[Content_Types].xml" || name.endsWith(".rels")) continue;
+    expect(contentTypes, `content type for ${name}`).toContain(
+      `PartName="/${name}"`
+    );
+  }
+  expect(entries.get("_rels/.rels")).toContain(`Target="${mainPart}"`);
+
+  for (const [name, xml] of entries) {
+    if (!name.endsWith(".rels")) continue;
+    const base = posix.dirname(posix.dirname(name));
+    for (const [, target] of xml.matchAll(/Target="([^"]+)"/g)) {
+      const part = posix.normalize(posix.join(base, target));
+      expect(entries.has(part), `${name} -> ${part}`).toBe(true);
+    }
+  }
+
+  return entries;
+}
 
 describe("OutputStepHandler", () => {
   let handler;
@@ -306,4 +397,159 @@ describe("OutputStepHandler", () => {
       expect(handler._convertInputsToRows(objectInput)).toEqual([objectInput]);
     });
   });
+
+  describe("OOXML packages", () => {
+    const REPORT = [
+      "# Quarterly Report",
+      "",
+      "Revenue grew **12%** in Q3 & costs fell.",
+      "",
+      "- North",
+      "- South",
+      "",
+      "## Regions",
+      "",
+      "| Region | Revenue |",
+      "| --- | --- |",
+      "| North | 120 |",
+      "| South | 80 |",
+      "",
+      "## Outlook",
+      "",
+      "Steady <growth> expected.",
+    ].join("\n");
+
+    const generate = async (format, config = {}, inputs = {}, context = {}) => {
+      const outputPath = resolve(testDir, `report.${format}`);
+      const result = await handler.execute(
+        {
+          config: {
+            template: REPORT,
+            outputPath,
+            format,
+            autoescape: false,
+            ...config,
+          },
+        },
+        inputs,
+        context
+      );
+      expect(result.success, result.error).toBe(true);
+      expect(result.data.outputPath).toBe(outputPath);
+      return result;
+    };
+
+    it("should write Word paragraphs, lists and tables", async () => {
+      const result = await generate("docx", {}, { title: "Q3" });
+      const entries = readPackage(result.data.outputPath, "word/document.xml");
+      const document = entries.get("word/document.xml");
+
+      expect(document).toContain(
+        '<w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t xml:space="preserve">Quarterly Report</w:t>'
+      );
+      expect(document).toContain('<w:b/></w:rPr><w:t xml:space="preserve">12%');
+      expect(document).toContain(" in Q3 &amp; costs fell.");
+      expect(document).toContain("Steady &lt;growth&gt; expected.");
+      expect(document.match(/<w:numId /g)).toHaveLength(2);
+      expect(document.match(/<w:tbl>/g)).toHaveLength(1);
+      expect(document.match(/<w:tr>/g)).toHaveLength(3);
+      expect(entries.get("docProps/core.xml")).toContain(
+        "<dc:title>Q3</dc:title>"
+      );
+    });
+
+    it("should write SPARQL result rows as a sheet", async () => {
+      const { namedNode, literal } = N3.DataFactory;
+      const EX = "http://example.org/";
+      const XSD = "http://www.w3.org/2001/XMLSchema#";
+      const store = new N3.Store();
+      for (const [name, revenue] of [
+        ["North", 120],
+        ["South", 80],
+      ]) {
+        store.addQuad(
+          namedNode(EX + name),
+          namedNode(EX + "revenue"),
+          literal(String(revenue), namedNode(XSD + "integer"))
+        );
+      }
+
+      const result = await generate(
+        "xlsx",
+        {
+          query: `SELECT ?region ?revenue WHERE { ?region <${EX}revenue> ?revenue } ORDER BY ?region`,
+          queryName: "Revenue",
+        },
+        { owners: [{ team: "Sales", lead: "Ann" }] },
+        { graph: useGraph(store) }
+      );
+      const entries = readPackage(result.data.outputPath, "xl/workbook.xml");
+      const workbook = entries.get("xl/workbook.xml");
+      const revenue = entries.get("xl/worksheets/sheet1.xml");
+
+      expect(result.data.pages).toBe(2);
+      expect(workbook).toContain(
+        '<sheet name="Revenue" sheetId="1" r:id="rId1"/>'
+      );
+      expect(workbook).toContain(
+        '<sheet name="owners" sheetId="2" r:id="rId2"/>'
+      );
+      expect(revenue).toContain(
+        '<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">region</t></is></c>'
+      );
+      expect(revenue).toContain(
+        `<c r="A2" t="inlineStr"><is><t xml:space="preserve">${EX}North</t></is></c><c r="B2"><v>120</v></c>`
+      );
+      expect(revenue).toContain('<c r="B3"><v>80</v></c>');
+      expect(entries.get("xl/worksheets/sheet2.xml")).toContain(
+        '<c r="B2" t="inlineStr"><is><t xml:space="preserve">Ann</t></is></c>'
+      );
+    });
+
+    it("should fail an Excel query without graph context", async () => {
+      const result = await handler.execute(
+        {
+          config: {
+            template: REPORT,
+            outputPath: resolve(testDir, "report.xlsx"),
+            query: "SELECT * WHERE { ?s ?p ?o }",
+          },
+        },
+        {},
+        {}
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(
+        "Excel output with a query requires graph context"
+      );
+    });
+
+    it("should write one slide per section", async () => {
+      const result = await generate("pptx");
+      const entries = readPackage(
+        result.data.outputPath,
+        "ppt/presentation.xml"
+      );
+      const slides = [...entries.keys()].filter((name) =>
+        /^ppt\/slides\/slide\d+\.xml$/.test(name)
+      );
+
+      expect(result.data.pages).toBe(3);
+      expect(slides).toHaveLength(3);
+      expect(
+        entries.get("ppt/presentation.xml").match(/<p:sldId /g)
+      ).toHaveLength(3);
+      expect(entries.get("ppt/slides/slide1.xml")).toContain(
+        "<a:t>Quarterly Report</a:t>"
+      );
+      expect(entries.get("ppt/slides/slide1.xml")).toContain(
+        '<a:buChar char="•"/>'
+      );
+      expect(entries.get("ppt/slides/slide2.xml")).toContain("<a:tbl>");
+      expect(entries.get("ppt/slides/slide3.xml")).toContain(
+        "<a:t>Steady &lt;growth&gt; expected.</a:t>"
+      );
+    });
+  });
 });
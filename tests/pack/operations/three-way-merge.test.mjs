@@ -0,0 +1,287 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { PackManager } from "../../../src/pack/manager.mjs";
+import {
+  mergeThreeWay,
+  formatRejects,
+} from "../../../src/pack/operations/three-way-merge.mjs";
+import {
+  existsSync,
+  readFileSync,
+  writeFileSync,
+  mkdirSync,
+  mkdtempSync,
+  rmSync,
+} from "node:fs";
+import { createHash } from "node:crypto";
+import { tmpdir } from "node:os";
+import { join } from "pathe";
+
+const lines = (...items) => items.join("\n") + "\n";
+
+describe("Three-way merge", () => {
+  it("should merge changes to different lines cleanly", async () => {
+    const result = await mergeThreeWay({
+      base: lines("a", "b", "c"),
+      local: lines("a (local)", "b", "c"),
+      incoming: lines("a", "b", "c (pack)"),
+    });
+
+    expect(result.clean).toBe(true);
+    expect(result.content).toBe(lines("a (local)", "b", "c (pack)"));
+  });
+
+  it("should report conflicting hunks as markers or rejects", async () => {
+    const input = {
+      base: lines("a", "b", "c"),
+      local: lines("a", "b (local)", "c"),
+      incoming: lines("a", "b (pack)", "c"),
+    };
+
+    const markers = await mergeThreeWay(input);
+    expect(markers.clean).toBe(false);
+    expect(markers.conflicts).toEqual([
+      { line: 2, local: ["b (local)"], incoming: ["b (pack)"] },
+    ]);
+    expect(markers.content).toContain("<<<<<<< local\nb (local)\n=======");
+
+    const rej = await mergeThreeWay({ ...input, style: "rej" });
+    expect(rej.content).toBe(input.local);
+    expect(
+      formatRejects("notes.txt", rej.conflicts, {
+        pack: "demo",
+        version: "1.1.0",
+      })
+    ).toBe(
+      lines(
+        "--- notes.txt (local)",
+        "+++ notes.txt (demo@1.1.0)",
+        "@@ -2,1 +2,1 @@",
+        "-b (local)",
+        "+b (pack)"
+      )
+    );
+  });
+});
+
+describe("PackManager.update", () => {
+  let workDir;
+  let packDir;
+  let targetDir;
+
+  const writePack = (version, body, template = {}) => {
+    writeFileSync(
+      join(packDir, "pack.json"),
+      JSON.stringify({
+        id: "merge-demo",
+        version,
+        provides: {
+          templates: [{ src: "notes.njk", target: "notes.txt", ...template }],
+        },
+      })
+    );
+    writeFileSync(join(packDir, "templates", "notes.njk"), body);
+  };
+
+  const readReceipt = () =>
+    JSON.parse(
+      readFileSync(
+        join(targetDir, ".gitvan", "packs", "merge-demo", "receipt.json"),
+        "utf8"
+      )
+    );
+
+  const target = () => join(targetDir, "notes.txt");
+
+  beforeEach(async () => {
+    workDir = mkdtempSync(join(tmpdir(), "gitvan-merge-"));
+    packDir = join(workDir, "pack");
+    targetDir = join(workDir, "target");
+    mkdirSync(join(packDir, "templates"), { recursive: true });
+    mkdirSync(targetDir, { recursive: true });
+
+    writePack("1.0.0", lines("title", "intro", "body", "outro", "footer"));
+    const result = await new PackManager().applier.apply(packDir, targetDir);
+    expect(result.status).toBe("OK");
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it("should record install-time content in the receipt", () => {
+    const [artifact] = readReceipt().artifacts;
+    expect(artifact).toMatchObject({
+      type: "file",
+      target: "notes.txt",
+      base: lines("title", "intro", "body", "outro", "footer"),
+      hash: createHash("sha256")
+        .update(lines("title", "intro", "body", "outro", "footer"))
+        .digest("hex"),
+    });
+  });
+
+  it("should remove applied artifacts from the target directory", async () => {
+    // Receipt targets are relative to targetDir, not the working directory
+    const result = await new PackManager().remove("merge-demo", targetDir);
+
+    expect(result.removed).toEqual([target()]);
+    expect(existsSync(target())).toBe(false);
+    expect(existsSync(join(targetDir, ".gitvan", "packs", "merge-demo"))).toBe(
+      false
+    );
+  });
+
+  it("should keep the receipt entry of a skipped template", async () => {
+    writeFileSync(
+      target(),
+      lines("title", "intro", "body (local)", "outro", "footer")
+    );
+    writePack("1.1.0", lines("title (v1.1)", "intro", "body", "outro"), {
+      mode: "skip",
+    });
+    await new PackManager().update(packDir, targetDir);
+
+    expect(readReceipt().artifacts).toEqual([
+      expect.objectContaining({
+        target: "notes.txt",
+        base: lines("title", "intro", "body", "outro", "footer"),
+      }),
+    ]);
+
+    // The next update still merges against the install-time content
+    writePack(
+      "1.2.0",
+      lines("title", "intro", "body", "outro", "footer (v1.2)")
+    );
+    const result = await new PackManager().update(packDir, targetDir);
+    expect(result.conflicts).toEqual([]);
+    expect(readFileSync(target(), "utf8")).toBe(
+      lines("title", "intro", "body (local)", "outro", "footer (v1.2)")
+    );
+  });
+
+  it("should keep the receipt entry of a template that fails to render", async () => {
+    writePack("1.1.0", "{{ unclosed");
+    const result = await new PackManager().update(packDir, targetDir);
+
+    expect(result.status).not.toBe("OK");
+    expect(readReceipt().artifacts).toEqual([
+      expect.objectContaining({
+        target: "notes.txt",
+        base: lines("title", "intro", "body", "outro", "footer"),
+      }),
+    ]);
+  });
+
+  it("should keep local edits without a recorded base across updates", async () => {
+    const receiptPath = join(
+      targetDir,
+      ".gitvan",
+      "packs",
+      "merge-demo",
+      "receipt.json"
+    );
+    const receipt = readReceipt();
+    delete receipt.artifacts[0].base;
+    writeFileSync(receiptPath, JSON.stringify(receipt));
+    const local = lines("title", "intro", "body (local)", "outro", "footer");
+    writeFileSync(target(), local);
+    // Files without a recorded base count as overwrite risks
+    const manager = () => new PackManager({ force: true });
+
+    writePack("1.1.0", lines("title (v1.1)", "intro", "body", "outro"));
+    const result = await manager().update(packDir, targetDir);
+    expect(result.conflicts).toHaveLength(1);
+    expect(readFileSync(target(), "utf8")).toBe(local);
+    expect(readReceipt().artifacts[0]).toMatchObject({
+      conflict: true,
+      hash: createHash("sha256")
+        .update(lines("title (v1.1)", "intro", "body", "outro"))
+        .digest("hex"),
+    });
+
+    // The conflicted file is not mistaken for an untouched copy
+    writePack("1.2.0", lines("title (v1.2)", "intro", "body", "outro"));
+    const next = await manager().update(packDir, targetDir);
+    expect(next.conflicts).toHaveLength(1);
+    expect(readFileSync(target(), "utf8")).toBe(local);
+  });
+
+  it("should merge pack changes into local edits and update the receipt", async () => {
+    writeFileSync(
+      target(),
+      lines("title", "intro", "body (local)", "outro", "footer")
+    );
+    writePack(
+      "1.1.0",
+      lines("title (v1.1)", "intro", "body", "outro", "footer")
+    );
+
+    const result = await new PackManager().update(packDir, targetDir);
+
+    expect(result).toMatchObject({
+      status: "OK",
+      updated: true,
+      conflicts: [],
+    });
+    const merged = lines(
+      "title (v1.1)",
+      "intro",
+      "body (local)",
+      "outro",
+      "footer"
+    );
+    expect(readFileSync(target(), "utf8")).toBe(merged);
+
+    const receipt = readReceipt();
+    expect(receipt.version).toBe("1.1.0");
+    expect(receipt.artifacts[0]).toMatchObject({
+      base: lines("title (v1.1)", "intro", "body", "outro", "footer"),
+      hash: createHash("sha256").update(merged).digest("hex"),
+    });
+  });
+
+  it("should write conflict markers or a .rej report for unmergeable hunks", async () => {
+    writeFileSync(
+      target(),
+      lines("title", "intro", "body (local)", "outro", "footer")
+    );
+    writePack(
+      "1.1.0",
+      lines("title", "intro", "body (v1.1)", "outro", "footer")
+    );
+
+    const result = await new PackManager({ conflictStyle: "rej" }).update(
+      packDir,
+      targetDir
+    );
+
+    expect(result.conflicts).toEqual([
+      {
+        target: target(),
+        hunks: 1,
+        style: "rej",
+        rej: `${target()}.rej`,
+      },
+    ]);
+    expect(readFileSync(target(), "utf8")).toBe(
+      lines("title", "intro", "body (local)", "outro", "footer")
+    );
+    expect(readFileSync(`${target()}.rej`, "utf8")).toContain(
+      "-body (local)\n+body (v1.1)\n"
+    );
+    expect(readReceipt().artifacts[0].conflict).toBe(true);
+
+    // The next update merges against the version that conflicted
+    writePack(
+      "1.2.0",
+      lines("title", "intro", "body (v1.1)", "outro", "footer (v1.2)")
+    );
+    const next = await new PackManager().update(packDir, targetDir);
+    expect(next.conflicts).toEqual([]);
+    expect(readFileSync(target(), "utf8")).toBe(
+      lines("title", "intro", "body (local)", "outro", "footer (v1.2)")
+    );
+    expect(existsSync(`${target()}.rej`)).toBe(true);
+  });
+});
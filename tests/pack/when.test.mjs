@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { evaluateWhen } from "../../src/pack/when.mjs";
+import { PackPlanner } from "../../src/pack/planner.mjs";
+import { PackApplier } from "../../src/pack/applier.mjs";
+import {
+  existsSync,
+  writeFileSync,
+  mkdirSync,
+  mkdtempSync,
+  rmSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "pathe";
+
+describe("Pack when conditions", () => {
+  let workDir;
+  let targetDir;
+
+  beforeEach(() => {
+    workDir = mkdtempSync(join(tmpdir(), "gitvan-when-"));
+    targetDir = join(workDir, "target");
+    mkdirSync(targetDir, { recursive: true });
+    writeFileSync(
+      join(targetDir, "package.json"),
+      JSON.stringify({
+        dependencies: { react: "^18.2.0" },
+        devDependencies: { vitest: "^1.0.0" },
+      })
+    );
+  });
+
+  afterEach(() => {
+    rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const context = (inputs = {}) => ({
+    inputs,
+    mode: "existing-repo",
+    targetDir,
+  });
+
+  it("should evaluate comparisons and boolean logic over inputs", () => {
+    const when = 'inputs.db == "postgres" && !exists("docker-compose.yml")';
+
+    expect(evaluateWhen(when, context({ db: "postgres" }))).toBe(true);
+    expect(evaluateWhen(when, context({ db: "sqlite" }))).toBe(false);
+
+    writeFileSync(join(targetDir, "docker-compose.yml"), "services: {}\n");
+    expect(evaluateWhen(when, context({ db: "postgres" }))).toBe(false);
+
+    expect(evaluateWhen(undefined, context())).toBe(true);
+    expect(evaluateWhen(false, context())).toBe(false);
+    expect(evaluateWhen('mode == "existing-repo"', context())).toBe(true);
+  });
+
+  it("should probe package.json dependencies", () => {
+    expect(evaluateWhen('hasDependency("react")', context())).toBe(true);
+    expect(evaluateWhen('hasDependency("vitest")', context())).toBe(true);
+    expect(evaluateWhen('hasDependency("vue")', context())).toBe(false);
+    expect(evaluateWhen('dependency("react") == "^18.2.0"', context())).toBe(
+      true
+    );
+  });
+
+  it("should reject invalid expressions and paths outside the target", () => {
+    expect(() => evaluateWhen('inputs.db = "pg"', context())).toThrow(
+      /Invalid expression "inputs.db = "pg"": unexpected character '='/
+    );
+    expect(() => evaluateWhen('require("fs")', context())).toThrow(
+      /unknown function 'require'/
+    );
+    expect(() => evaluateWhen('exists("../secret")', context())).toThrow(
+      /must stay inside the target/
+    );
+  });
+
+  it("should skip entries in plans and applies and report why", async () => {
+    const packDir = join(workDir, "pack");
+    mkdirSync(join(packDir, "templates"), { recursive: true });
+    writeFileSync(join(packDir, "templates", "pg.njk"), "postgres\n");
+    writeFileSync(join(packDir, "templates", "sqlite.njk"), "sqlite\n");
+    writeFileSync(
+      join(packDir, "pack.json"),
+      JSON.stringify({
+        id: "when-demo",
+        version: "1.0.0",
+        inputs: [{ key: "db", type: "string", default: "sqlite" }],
+        provides: {
+          templates: [
+            {
+              src: "pg.njk",
+              target: "db/pg.sql",
+              when: 'inputs.db == "postgres"',
+            },
+            {
+              src: "sqlite.njk",
+              target: "db/sqlite.sql",
+              when: 'inputs.db == "sqlite"',
+            },
+          ],
+        },
+      })
+    );
+
+    const plan = await new PackPlanner().plan(packDir, targetDir, {
+      db: "postgres",
+    });
+    expect(plan.plan.steps.map((step) => step.target)).toEqual([
+      join(targetDir, "db/pg.sql"),
+    ]);
+    expect(plan.plan.skipped).toEqual([
+      {
+        type: "template",
+        src: "sqlite.njk",
+        target: "db/sqlite.sql",
+        when: 'inputs.db == "sqlite"',
+        reason: 'when condition is false: inputs.db == "sqlite"',
+      },
+    ]);
+
+    const result = await new PackApplier().apply(packDir, targetDir, {
+      db: "postgres",
+    });
+    expect(result.status).toBe("OK");
+    expect(existsSync(join(targetDir, "db/pg.sql"))).toBe(true);
+    expect(existsSync(join(targetDir, "db/sqlite.sql"))).toBe(false);
+  });
+});
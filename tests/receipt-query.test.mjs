@@ -0,0 +1,245 @@
+// Tests for querying, exporting and aggregating receipts stored in git notes
+import { describe, it, expect, beforeAll, afterAll, vi } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { execFileSync } from "node:child_process";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  queryReceipts,
+  aggregateReceipts,
+  formatRows,
+  parseReceiptTime,
+  RECEIPT_COLUMNS,
+  AGGREGATE_COLUMNS,
+} from "../src/runtime/receipt-query.mjs";
+import { receiptsCommand } from "../src/cli/commands/receipts.mjs";
+
+describe("receipt queries", () => {
+  let repoDir;
+  let commits;
+
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: repoDir, encoding: "utf8" }).trim();
+
+  const note = (ref, commit, receipts) =>
+    git(
+      "notes",
+      `--ref=${ref}`,
+      "append",
+      "-m",
+      receipts.map((receipt) => JSON.stringify(receipt)).join("\n"),
+      commit
+    );
+
+  beforeAll(() => {
+    repoDir = mkdtempSync(join(tmpdir(), "gitvan-receipts-"));
+    git("init", "-q", "-b", "main");
+    git("config", "user.email", "test@example.com");
+    git("config", "user.name", "Test");
+
+    commits = [];
+    for (const name of ["first", "second", "third"]) {
+      git("commit", "-q", "--allow-empty", "-m", name);
+      commits.push(git("rev-parse", "HEAD"));
+    }
+    git("checkout", "-q", "-b", "feature", commits[1]);
+    git("commit", "-q", "--allow-empty", "-m", "feature");
+    commits.push(git("rev-parse", "HEAD"));
+
+    // Job receipts written by writeReceipt()
+    note("refs/notes/gitvan/results", commits[0], [
+      {
+        id: "cron-backup",
+        status: "success",
+        ts: "2026-10-01T10:00:00.000Z",
+        result: { duration: 100 },
+      },
+      {
+        id: "cron-backup",
+        status: "error",
+        ts: "2026-10-02T10:00:00.000Z",
+        result: { duration: 300 },
+      },
+    ]);
+    note("refs/notes/gitvan/results", commits[2], [
+      {
+        id: "cron-backup",
+        status: "OK",
+        ts: "2026-10-03T10:00:00.000Z",
+        result: { duration: 200 },
+      },
+      { id: "docs", status: "SKIP", ts: "2026-10-03T11:00:00.000Z" },
+    ]);
+
+    // Hook receipts written by the git-native ReceiptWriter
+    note("refs/gitvan/notes", commits[3], [
+      {
+        hookId: "hook:lint",
+        timestamp: "2026-10-04T09:00:00.000Z",
+        result: { success: false, error: "lint failed" },
+        metadata: { duration: 50, error: "lint failed" },
+        commit: commits[3],
+        branch: "feature",
+      },
+    ]);
+    note("refs/gitvan/notes", commits[1], ["not a receipt"]);
+  });
+
+  afterAll(() => {
+    rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it("should read and normalize receipts from every notes ref", async () => {
+    const receipts = await queryReceipts({ cwd: repoDir });
+
+    expect(
+      receipts.map(({ id, status, duration }) => [id, status, duration])
+    ).toEqual([
+      ["cron-backup", "success", 100],
+      ["cron-backup", "error", 300],
+      ["cron-backup", "success", 200],
+      ["docs", "skipped", null],
+      ["hook:lint", "error", 50],
+    ]);
+    expect(receipts[0]).toMatchObject({
+      commit: commits[0],
+      ref: "refs/notes/gitvan/results",
+    });
+    expect(receipts[4]).toMatchObject({
+      branch: "feature",
+      ref: "refs/gitvan/notes",
+    });
+  });
+
+  it("should filter by ID, status and time", async () => {
+    const ids = async (options) =>
+      (await queryReceipts({ cwd: repoDir, ...options })).map((r) => r.id);
+
+    expect(await ids({ id: "hook:*" })).toEqual(["hook:lint"]);
+    expect(await ids({ status: "error" })).toEqual([
+      "cron-backup",
+      "hook:lint",
+    ]);
+    expect(
+      await ids({
+        since: "2026-10-03T00:00:00Z",
+        until: "2026-10-03T23:59:59Z",
+      })
+    ).toEqual(["cron-backup", "docs"]);
+    expect(
+      await ids({ since: "1d", now: new Date("2026-10-05T00:00:00Z") })
+    ).toEqual(["hook:lint"]);
+    await expect(
+      queryReceipts({ cwd: repoDir, status: "maybe" })
+    ).rejects.toThrow(
+      'Invalid status "maybe", expected one of: success, error, skipped'
+    );
+    expect(() => parseReceiptTime("yesterday")).toThrow(
+      'Invalid time "yesterday"'
+    );
+  });
+
+  it("should filter by commit range and branch", async () => {
+    const range = await queryReceipts({
+      cwd: repoDir,
+      range: `${commits[0]}..main`,
+    });
+    expect(range.map((r) => r.commit)).toEqual([commits[2], commits[2]]);
+
+    const feature = await queryReceipts({ cwd: repoDir, branch: "feature" });
+    expect(new Set(feature.map((r) => r.commit))).toEqual(
+      new Set([commits[0], commits[3]])
+    );
+
+    await expect(
+      queryReceipts({ cwd: repoDir, branch: "missing" })
+    ).rejects.toThrow('Invalid revision "missing"');
+  });
+
+  it("should compute success rate and duration percentiles per ID", async () => {
+    const stats = aggregateReceipts(await queryReceipts({ cwd: repoDir }));
+
+    expect(stats[0]).toEqual({
+      id: "cron-backup",
+      total: 3,
+      success: 2,
+      error: 1,
+      skipped: 0,
+      successRate: 2 / 3,
+      p50: 200,
+      p95: 300,
+    });
+    expect(stats.find((row) => row.id === "docs")).toMatchObject({
+      skipped: 1,
+      p50: null,
+    });
+  });
+
+  it("should render table, JSON, NDJSON and CSV", () => {
+    const rows = [
+      { id: "build, test", status: "success", duration: 12, successRate: 0.5 },
+      { id: 'say "hi"', status: "error", duration: null, successRate: 1 },
+    ];
+    const columns = ["id", "status", "duration"];
+
+    expect(formatRows(rows, columns, "csv")).toBe(
+      'id,status,duration\n"build, test",success,12\n"say ""hi""",error,'
+    );
+    expect(formatRows(rows, columns, "ndjson").split("\n")[1]).toBe(
+      '{"id":"say \\"hi\\"","status":"error","duration":null}'
+    );
+    expect(JSON.parse(formatRows(rows, columns, "json"))).toHaveLength(2);
+    expect(formatRows(rows, ["id", "successRate"], "table")).toBe(
+      [
+        "id           successRate",
+        "-----------  -----------",
+        "build, test  50.0%",
+        'say "hi"     100.0%',
+      ].join("\n")
+    );
+    expect(() => formatRows(rows, columns, "xml")).toThrow(
+      'Invalid format "xml", expected one of: table, json, ndjson, csv'
+    );
+  });
+
+  it("should print receipts and statistics from the CLI", async () => {
+    const run = async (args) => {
+      const lines = [];
+      const spy = vi.spyOn(console, "log").mockImplementation((...values) => {
+        lines.push(values.join(" "));
+      });
+      try {
+        await receiptsCommand.run({
+          args: {
+            "root-dir": repoDir,
+            ref: "refs/notes/gitvan/results,refs/gitvan/notes",
+            format: "table",
+            stats: false,
+            ...args,
+          },
+        });
+      } finally {
+        spy.mockRestore();
+      }
+      return lines.join("\n");
+    };
+
+    const csv = await run({ format: "csv", id: "cron-*" });
+    expect(csv.split("\n")[0]).toBe(RECEIPT_COLUMNS.join(","));
+    expect(csv.split("\n")).toHaveLength(4);
+
+    const stats = await run({ format: "ndjson", stats: true });
+    expect(JSON.parse(stats.split("\n")[0])).toEqual(
+      expect.objectContaining({ id: "cron-backup", p95: 300 })
+    );
+    expect(Object.keys(JSON.parse(stats.split("\n")[0]))).toEqual(
+      AGGREGATE_COLUMNS
+    );
+
+    const table = await run({ stats: true });
+    expect(table).toContain("📊 GitVan Receipt Statistics");
+    expect(table).toMatch(
+      /cron-backup\s+3\s+2\s+1\s+0\s+66\.7%\s+200ms\s+300ms/
+    );
+  });
+});
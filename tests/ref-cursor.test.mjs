@@ -0,0 +1,237 @@
+// Tests for the daemon's per-worktree ref cursor and ref watcher
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { execFileSync } from "node:child_process";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { RefCursor } from "../src/runtime/ref-cursor.mjs";
+import { watchRefs } from "../src/runtime/ref-watcher.mjs";
+import {
+  processCommit,
+  loopWorktree,
+  startDaemon,
+} from "../src/runtime/daemon.mjs";
+import { withGitVan } from "../src/composables/ctx.mjs";
+
+describe("daemon ref cursor", () => {
+  let repoDir;
+  let cursor;
+
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: repoDir, encoding: "utf8" }).trim();
+
+  const commit = (message) => {
+    git("commit", "-q", "--allow-empty", "-m", message);
+    return git("rev-parse", "HEAD");
+  };
+
+  beforeEach(() => {
+    repoDir = mkdtempSync(join(tmpdir(), "gitvan-cursor-"));
+    git("init", "-q", "-b", "main");
+    git("config", "user.email", "test@example.com");
+    git("config", "user.name", "Test");
+    cursor = new RefCursor({ cwd: repoDir });
+  });
+
+  afterEach(() => {
+    rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it("should start from the last `lookback` commits and then see only new ones", async () => {
+    const shas = ["a", "b", "c", "d"].map(commit);
+
+    let tips = await cursor.tips(["HEAD"]);
+    const state = await cursor.start("wt", tips, 2);
+    expect(await cursor.pending(state, tips)).toEqual(shas.slice(2));
+
+    await cursor.save("wt", tips);
+    expect(await cursor.get("wt")).toMatchObject({
+      worktreeId: "wt",
+      refs: { HEAD: shas[3] },
+      boundary: [],
+    });
+
+    const next = commit("e");
+    tips = await cursor.tips(["HEAD"]);
+    expect(await cursor.pending(await cursor.get("wt"), tips)).toEqual([next]);
+  });
+
+  it("should catch up over several ticks without repeating commits", async () => {
+    const base = commit("base");
+    await cursor.save("wt", { HEAD: base });
+    const shas = ["a", "b", "c"].map(commit);
+    const tips = await cursor.tips(["HEAD"]);
+
+    const first = await cursor.pending(await cursor.get("wt"), tips);
+    expect(first).toEqual(shas);
+
+    // Process two, keep them as the boundary of the unchanged cursor
+    await cursor.save("wt", { HEAD: base }, first.slice(0, 2));
+    expect(await cursor.pending(await cursor.get("wt"), tips)).toEqual([
+      shas[2],
+    ]);
+  });
+
+  it("should follow tags and branches and survive rewritten history", async () => {
+    const base = commit("base");
+    git("tag", "-a", "v1", "-m", "release");
+    git("branch", "feature");
+
+    const tips = await cursor.tips(["refs/tags/*", "refs/heads/*"]);
+    expect(tips).toEqual({
+      "refs/tags/v1": base,
+      "refs/heads/feature": base,
+      "refs/heads/main": base,
+    });
+
+    const amended = commit("to be amended");
+    await cursor.save("wt", { HEAD: amended });
+    git("commit", "-q", "--amend", "--allow-empty", "-m", "amended");
+    git("reflog", "expire", "--expire=now", "--all");
+    git("gc", "-q", "--prune=now");
+
+    const head = git("rev-parse", "HEAD");
+    expect(
+      await cursor.pending(await cursor.get("wt"), { HEAD: head })
+    ).toEqual([base, head]);
+  });
+
+  it("should wake up when a branch moves but not for GitVan refs", async () => {
+    commit("base");
+    let changes = 0;
+    const watcher = await watchRefs(repoDir, () => changes++, {
+      debounceMs: 20,
+    });
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 200));
+
+    try {
+      await settle();
+      await cursor.save("wt", {});
+      git("notes", "--ref=gitvan/results", "add", "-m", "receipt");
+      await settle();
+      expect(changes).toBe(0);
+
+      commit("next");
+      await settle();
+      expect(changes).toBe(1);
+    } finally {
+      watcher.close();
+    }
+  });
+});
+
+describe("daemon processCommit", () => {
+  let repoDir;
+
+  const git = (...args) =>
+    execFileSync("git", args, { cwd: repoDir, encoding: "utf8" }).trim();
+
+  beforeEach(() => {
+    repoDir = mkdtempSync(join(tmpdir(), "gitvan-daemon-"));
+    git("init", "-q", "-b", "main");
+    git("config", "user.email", "test@example.com");
+    git("config", "user.name", "Test");
+  });
+
+  afterEach(() => {
+    rmSync(repoDir, { recursive: true, force: true });
+  });
+
+  it("should run matching hooks under a per-hook lock and record them", async () => {
+    writeFileSync(join(repoDir, "README.md"), "# Docs\n");
+    git("add", "README.md");
+    git("commit", "-q", "-m", "docs");
+    const sha = git("rev-parse", "HEAD");
+
+    const run = vi.fn(async () => ({ ok: true }));
+    const registry = {
+      hooks: [
+        { id: "path/README", type: "path", pattern: "README.md", job: "docs" },
+      ],
+      jobs: { docs: { run } },
+    };
+    const wt = { path: repoDir, branch: "main" };
+    const ctx = {
+      cwd: repoDir,
+      root: repoDir,
+      payload: {},
+      worktree: { id: repoDir.replace(/[:/\\]/g, "-"), branch: "main" },
+    };
+
+    await withGitVan(ctx, () => processCommit({}, registry, ctx, wt, sha));
+
+    expect(run).toHaveBeenCalledTimes(1);
+    const receipts = git(
+      "notes",
+      "--ref=refs/notes/gitvan/results",
+      "show",
+      sha
+    )
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => JSON.parse(line));
+    expect(
+      receipts.find((r) => r.id === "path/README@" + ctx.worktree.id)
+    ).toMatchObject({ status: "OK", commit: sha });
+    expect(receipts.find((r) => r.id.startsWith("daemon@"))).toMatchObject({
+      status: "OK",
+      hooks: { ran: ["path/README"], failed: [] },
+    });
+    // The lock is released once the hook has run
+    expect(git("for-each-ref", "refs/gitvan/locks")).toBe("");
+  });
+
+  it("should evaluate commits of the looped worktree, not the current directory", async () => {
+    writeFileSync(join(repoDir, "README.md"), "# Docs\n");
+    git("add", "README.md");
+    git("commit", "-q", "-m", "docs");
+    const sha = git("rev-parse", "HEAD");
+    expect(repoDir).not.toBe(process.cwd());
+
+    const controller = new AbortController();
+    // Stop the loop even if the hook never fires
+    const timer = setTimeout(() => controller.abort(), 5000);
+    const run = vi.fn(async () => {
+      controller.abort();
+      return { ok: true };
+    });
+    const registry = {
+      hooks: [
+        { id: "path/README", type: "path", pattern: "README.md", job: "docs" },
+      ],
+      jobs: { docs: { run } },
+    };
+
+    await loopWorktree(
+      { daemon: { rescanMs: 50 }, signal: controller.signal },
+      registry,
+      { path: repoDir, branch: "main" }
+    );
+    clearTimeout(timer);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    const receipts = git(
+      "notes",
+      "--ref=refs/notes/gitvan/results",
+      "show",
+      sha
+    );
+    expect(receipts).toContain('"id":"daemon@');
+  });
+
+  it("should resolve startDaemon once its signal is aborted", async () => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 200);
+
+    // No worktree is selected, so only the queue loop runs
+    const daemon = startDaemon(
+      { rootDir: repoDir, daemon: { pollMs: 50 }, signal: controller.signal },
+      { hooks: [], jobs: {} },
+      []
+    );
+
+    await expect(daemon).resolves.toBeUndefined();
+    expect(controller.signal.aborted).toBe(true);
+    clearTimeout(timer);
+  });
+});
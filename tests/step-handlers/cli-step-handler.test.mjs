@@ -4,6 +4,10 @@
  */
 
 import { describe, it, expect } from "vitest";
+import { spawn } from "node:child_process";
+import { existsSync, mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 import { CliStepHandler } from "../../src/workflow/step-handlers/cli-step-handler.mjs";
 
 describe("CliStepHandler", () => {
@@ -132,3 +136,231 @@ describe("CliStepHandler", () => {
     expect(() => handler.validate(step)).not.toThrow();
   });
 });
+
+describe("CliStepHandler execution", () => {
+  const silentLogger = {
+    info: () => {},
+    warn: () => {},
+    error: () => {},
+    debug: () => {},
+  };
+  const handler = new CliStepHandler({ logger: silentLogger });
+  const run = (config, inputs = {}) =>
+    handler.execute({ id: "test", type: "cli", config }, inputs, {});
+
+  it("should split quoted arguments without a shell", async () => {
+    const result = await run({
+      command: `printf '%s|' "two words" 'single quoted' plain\\ escaped`,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.argv).toEqual([
+      "printf",
+      "%s|",
+      "two words",
+      "single quoted",
+      "plain escaped",
+    ]);
+    expect(result.data.stdout).toBe("two words|single quoted|plain escaped|");
+  });
+
+  it("should render template values into single arguments", async () => {
+    const result = await run(
+      { command: "printf '%s|' {{ name }} {{ path | upper }}" },
+      { name: "John; rm -rf /", path: "a b" }
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.data.stdout).toBe("John; rm -rf /|A B|");
+  });
+
+  it("should reject shell operators outside shell mode", async () => {
+    const result = await run({ command: "ls | wc -l" });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("shell operator '|'");
+  });
+
+  it("should run pipes in explicit shell mode", async () => {
+    const result = await run({
+      command: "printf 'a\\nb\\nc\\n' | wc -l",
+      shell: true,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.stdout).toBe("3");
+  });
+
+  it("should quote template values in shell mode unless marked safe", async () => {
+    const inputs = { name: "John'; echo injected", pattern: "*.md" };
+
+    const quoted = await run(
+      { command: "printf '%s|' {{ name }} {{ pattern }}", shell: true },
+      inputs
+    );
+    expect(quoted.success).toBe(true);
+    expect(quoted.data.stdout).toBe("John'; echo injected|*.md|");
+
+    const raw = await run(
+      { command: "echo {{ pattern | safe }} | wc -w", shell: true },
+      { pattern: "one two three" }
+    );
+    expect(raw.data.stdout).toBe("3");
+  });
+
+  it("should stop the whole process group on timeout", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "gitvan-cli-timeout-"));
+    try {
+      const result = await run({
+        command: "(sleep 0.3; touch finished) & wait",
+        shell: true,
+        cwd: dir,
+        timeout: 50,
+      });
+      await new Promise((resolve) => setTimeout(resolve, 500));
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain("Command timed out");
+      expect(existsSync(join(dir, "finished"))).toBe(false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should stop running commands when gitvan is terminated", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "gitvan-cli-parent-"));
+    const handlerUrl = new URL(
+      "../../src/workflow/step-handlers/cli-step-handler.mjs",
+      import.meta.url
+    ).href;
+    // A separate gitvan process, so the test runner is not signalled
+    const parent = spawn(
+      process.execPath,
+      [
+        "--input-type=module",
+        "-e",
+        `import { CliStepHandler } from ${JSON.stringify(handlerUrl)};
+        await new CliStepHandler({ logger: console }).execute(
+          { id: "test", type: "cli", config: {
+            command: "touch started; sleep 0.5; touch finished",
+            shell: true,
+            cwd: ${JSON.stringify(dir)},
+          } },
+          {},
+          {}
+        );`,
+      ],
+      { stdio: "ignore" }
+    );
+    try {
+      for (let i = 0; i < 100 && !existsSync(join(dir, "started")); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      expect(existsSync(join(dir, "started"))).toBe(true);
+
+      const exited = new Promise((resolve) => parent.on("exit", resolve));
+      parent.kill("SIGTERM");
+      await exited;
+      await new Promise((resolve) => setTimeout(resolve, 800));
+
+      expect(existsSync(join(dir, "finished"))).toBe(false);
+    } finally {
+      parent.kill("SIGKILL");
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should pass an argv list verbatim", async () => {
+    const result = await run({ argv: ["printf", "%s", "$HOME * `x`"] });
+
+    expect(result.success).toBe(true);
+    expect(result.data.stdout).toBe("$HOME * `x`");
+  });
+
+  it("should control environment, working directory and stdin", async () => {
+    const env = await run(
+      {
+        argv: ["/bin/sh", "-c", 'printf "%s:%s" "$GREETING" "$HOME"'],
+        env: ["GREETING=hello {{ name }}"],
+        inheritEnv: false,
+      },
+      { name: "John" }
+    );
+    expect(env.data.stdout).toBe("hello John:");
+
+    const cwd = await run({ command: "pwd", cwd: "/tmp" });
+    expect(cwd.data.stdout).toBe("/tmp");
+
+    const stdin = await run(
+      { command: "cat", stdin: "from {{ name }}" },
+      { name: "John" }
+    );
+    expect(stdin.data.stdout).toBe("from John");
+  });
+
+  it("should fail on unexpected exit codes", async () => {
+    const failed = await run({ argv: ["sh", "-c", "echo oops >&2; exit 3"] });
+    expect(failed.success).toBe(false);
+    expect(failed.data.exitCode).toBe(3);
+    expect(failed.error).toBe(
+      "CLI command exited with code 3 (expected 0): oops"
+    );
+
+    const accepted = await run({
+      argv: ["sh", "-c", "exit 3"],
+      expectExitCode: [0, 3],
+    });
+    expect(accepted.success).toBe(true);
+  });
+
+  it("should truncate output beyond the capture limit", async () => {
+    const result = await run({
+      command: "printf 0123456789",
+      maxOutputBytes: 4,
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.stdout).toBe("0123");
+    expect(result.data.stdoutTruncated).toBe(true);
+  });
+
+  it("should parse stdout as JSON or lines", async () => {
+    const json = await run({
+      argv: ["printf", '{"count": 2}'],
+      parseOutput: "json",
+    });
+    expect(json.data.output).toEqual({ count: 2 });
+
+    const lines = await run({
+      argv: ["printf", "a\\nb\\n\\nc"],
+      parseOutput: "lines",
+    });
+    expect(lines.data.output).toEqual(["a", "b", "c"]);
+
+    const invalid = await run({
+      argv: ["printf", "not json"],
+      parseOutput: "json",
+    });
+    expect(invalid.success).toBe(false);
+    expect(invalid.error).toContain("Failed to parse stdout as JSON");
+    expect(invalid.data.stdout).toBe("not json");
+  });
+
+  it("should validate process settings", () => {
+    const validate = (config) =>
+      handler.validate({ id: "test", type: "cli", config });
+
+    expect(() => validate({ argv: ["ls"], shell: true })).toThrow(
+      "CLI step argv cannot be combined with shell mode"
+    );
+    expect(() => validate({ command: "ls", argv: ["ls"] })).toThrow(
+      "CLI step must define either command or argv, not both"
+    );
+    expect(() => validate({ command: "ls", parseOutput: "xml" })).toThrow(
+      "CLI step parseOutput must be one of: text, json, lines"
+    );
+    expect(() => validate({ command: "ls", expectExitCode: "0" })).toThrow(
+      "CLI step expectExitCode must be an integer or a list"
+    );
+  });
+});
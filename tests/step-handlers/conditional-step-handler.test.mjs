@@ -0,0 +1,158 @@
+/**
+ * ConditionalStepHandler Individual Test
+ * Tests branching on SPARQL ASK conditions and expressions over prior outputs
+ */
+
+import { describe, it, expect } from "vitest";
+import N3 from "n3";
+import { StepRunner } from "../../src/workflow/step-runner.mjs";
+import { BaseStepHandler } from "../../src/workflow/step-handlers/base-step-handler.mjs";
+import { ContextManager } from "../../src/workflow/context-manager.mjs";
+import { useGraph } from "../../src/composables/graph.mjs";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const graph = useGraph(
+  new N3.Store(
+    new N3.Parser().parse(`
+@prefix ex: <http://example.org/> .
+ex:release ex:approved true .
+`)
+  )
+);
+
+// Echoes its configured message and inputs, or fails when asked to
+class EchoStepHandler extends BaseStepHandler {
+  getStepType() {
+    return "echo";
+  }
+
+  async execute(step, inputs) {
+    if (step.config.fail) {
+      return this.createResult(null, false, "echo failed");
+    }
+    return this.createResult({ message: step.config.message, inputs });
+  }
+}
+
+const createRunner = () => {
+  const runner = new StepRunner({ logger: silentLogger });
+  runner.registerHandler("echo", new EchoStepHandler({ logger: silentLogger }));
+  return runner;
+};
+
+const echoStep = (id, message, fail = false) => ({
+  id,
+  type: "echo",
+  config: { message, fail },
+});
+
+describe("ConditionalStepHandler", () => {
+  it("should take the then branch when the ASK condition holds", async () => {
+    const runner = createRunner();
+    const step = {
+      id: "check-release",
+      type: "conditional",
+      config: {
+        condition:
+          "PREFIX ex: <http://example.org/> ASK { ex:release ex:approved true }",
+        thenSteps: [echoStep("deploy", "deploy")],
+        elseSteps: [echoStep("hold", "hold")],
+      },
+    };
+
+    const result = await runner.executeStep(
+      step,
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.outputs.condition).toMatchObject({
+      type: "ask",
+      result: true,
+    });
+    expect(result.outputs.branch).toBe("then");
+    expect(result.outputs.steps).toHaveLength(1);
+    expect(result.outputs.steps[0].stepId).toBe("deploy");
+    expect(result.outputs.steps[0].outputs.message).toBe("deploy");
+  });
+
+  it("should evaluate expressions over previous step outputs", async () => {
+    const runner = createRunner();
+    const contextManager = new ContextManager({ logger: silentLogger });
+    await runner.executeStep(
+      echoStep("status", "failing"),
+      contextManager,
+      graph,
+      null
+    );
+
+    const result = await runner.executeStep(
+      {
+        id: "gate",
+        type: "conditional",
+        config: {
+          expression: 'outputs.status.message == "passing"',
+          thenSteps: [echoStep("publish", "publish")],
+          elseSteps: [echoStep("notify", "notify")],
+        },
+      },
+      contextManager,
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.outputs.condition.result).toBe(false);
+    expect(result.outputs.branch).toBe("else");
+    expect(result.outputs.steps[0].stepId).toBe("notify");
+  });
+
+  it("should fail when a branch step fails", async () => {
+    const runner = createRunner();
+    const result = await runner.executeStep(
+      {
+        id: "gate",
+        type: "conditional",
+        config: {
+          expression: "true",
+          thenSteps: [echoStep("broken", "", true), echoStep("after", "after")],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("broken");
+    expect(result.outputs.steps).toHaveLength(1);
+  });
+
+  it("should reject invalid expressions", async () => {
+    const runner = createRunner();
+    const result = await runner.executeStep(
+      {
+        id: "gate",
+        type: "conditional",
+        config: {
+          expression: "inputs.mode ==",
+          thenSteps: [echoStep("noop", "noop")],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Invalid expression");
+  });
+});
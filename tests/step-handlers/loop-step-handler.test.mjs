@@ -0,0 +1,161 @@
+/**
+ * LoopStepHandler Individual Test
+ * Tests iterating child steps over SPARQL result rows
+ */
+
+import { describe, it, expect } from "vitest";
+import N3 from "n3";
+import { StepRunner } from "../../src/workflow/step-runner.mjs";
+import { BaseStepHandler } from "../../src/workflow/step-handlers/base-step-handler.mjs";
+import { ContextManager } from "../../src/workflow/context-manager.mjs";
+import { useGraph } from "../../src/composables/graph.mjs";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const graph = useGraph(
+  new N3.Store(
+    new N3.Parser().parse(`
+@prefix ex: <http://example.org/> .
+ex:alpha a ex:Package ; ex:name "alpha" .
+ex:beta a ex:Package ; ex:name "beta" .
+ex:gamma a ex:Package ; ex:name "gamma" .
+`)
+  )
+);
+
+// Echoes its configured message and inputs, or fails when asked to
+class EchoStepHandler extends BaseStepHandler {
+  getStepType() {
+    return "echo";
+  }
+
+  async execute(step, inputs) {
+    if (step.config.fail) {
+      return this.createResult(null, false, "echo failed");
+    }
+    return this.createResult({ message: step.config.message, inputs });
+  }
+}
+
+const createRunner = () => {
+  const runner = new StepRunner({ logger: silentLogger });
+  runner.registerHandler("echo", new EchoStepHandler({ logger: silentLogger }));
+  return runner;
+};
+
+const echoStep = (id, message, fail = false) => ({
+  id,
+  type: "echo",
+  config: { message, fail },
+});
+
+const PACKAGES_QUERY = `
+  PREFIX ex: <http://example.org/>
+  SELECT ?pkg ?name WHERE { ?pkg a ex:Package ; ex:name ?name } ORDER BY ?name
+`;
+
+describe("LoopStepHandler", () => {
+  it("should run child steps once per result row", async () => {
+    const runner = createRunner();
+    const result = await runner.executeStep(
+      {
+        id: "each-package",
+        type: "loop",
+        config: {
+          query: PACKAGES_QUERY,
+          itemVariable: "pkg",
+          steps: [echoStep("build", "build"), echoStep("test", "test")],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.outputs.count).toBe(3);
+    expect(result.outputs.completed).toBe(3);
+    expect(result.outputs.iterations.map((it) => it.item.name)).toEqual([
+      "alpha",
+      "beta",
+      "gamma",
+    ]);
+
+    const [first] = result.outputs.iterations;
+    expect(first.index).toBe(0);
+    expect(first.steps.map((step) => step.stepId)).toEqual(["build", "test"]);
+    expect(first.steps[0].outputs.inputs.pkg).toEqual({
+      pkg: "http://example.org/alpha",
+      name: "alpha",
+    });
+    expect(first.steps[0].outputs.inputs.pkgIndex).toBe(0);
+  });
+
+  it("should stop at the first failing iteration", async () => {
+    const runner = createRunner();
+    const result = await runner.executeStep(
+      {
+        id: "each-package",
+        type: "loop",
+        config: {
+          query: PACKAGES_QUERY,
+          steps: [echoStep("broken", "", true)],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("Iteration 0 failed");
+    expect(result.outputs.iterations).toHaveLength(1);
+    expect(result.outputs.iterations[0].success).toBe(false);
+  });
+
+  it("should refuse to exceed maxIterations", async () => {
+    const runner = createRunner();
+    const result = await runner.executeStep(
+      {
+        id: "each-package",
+        type: "loop",
+        config: {
+          query: PACKAGES_QUERY,
+          maxIterations: 2,
+          steps: [echoStep("build", "build")],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("exceeding maxIterations (2)");
+  });
+
+  it("should reject loops without a SELECT query", async () => {
+    const runner = createRunner();
+    const result = await runner.executeStep(
+      {
+        id: "each-package",
+        type: "loop",
+        config: {
+          query: "ASK { ?s ?p ?o }",
+          steps: [echoStep("build", "build")],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("SELECT");
+  });
+});
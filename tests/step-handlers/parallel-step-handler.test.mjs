@@ -0,0 +1,139 @@
+/**
+ * ParallelStepHandler Individual Test
+ * Tests running child steps concurrently and joining their results
+ */
+
+import { describe, it, expect } from "vitest";
+import N3 from "n3";
+import { StepRunner } from "../../src/workflow/step-runner.mjs";
+import { BaseStepHandler } from "../../src/workflow/step-handlers/base-step-handler.mjs";
+import { ContextManager } from "../../src/workflow/context-manager.mjs";
+import { useGraph } from "../../src/composables/graph.mjs";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const graph = useGraph(new N3.Store());
+
+// Sleeps for its configured delay while tracking how many run at once
+class SleepStepHandler extends BaseStepHandler {
+  constructor(options) {
+    super(options);
+    this.running = 0;
+    this.peak = 0;
+  }
+
+  getStepType() {
+    return "sleep";
+  }
+
+  async execute(step) {
+    this.running++;
+    this.peak = Math.max(this.peak, this.running);
+    await new Promise((resolve) => setTimeout(resolve, step.config.ms));
+    this.running--;
+
+    if (step.config.fail) {
+      return this.createResult(null, false, "sleep failed");
+    }
+    return this.createResult({ slept: step.config.ms });
+  }
+}
+
+const setup = () => {
+  const runner = new StepRunner({ logger: silentLogger });
+  const sleeper = new SleepStepHandler({ logger: silentLogger });
+  runner.registerHandler("sleep", sleeper);
+  return { runner, sleeper };
+};
+
+const sleepStep = (id, ms, fail = false) => ({
+  id,
+  type: "sleep",
+  config: { ms, fail },
+});
+
+describe("ParallelStepHandler", () => {
+  it("should run child steps concurrently and keep declared order", async () => {
+    const { runner, sleeper } = setup();
+    const result = await runner.executeStep(
+      {
+        id: "fan-out",
+        type: "parallel",
+        config: {
+          steps: [
+            sleepStep("slow", 60),
+            sleepStep("medium", 30),
+            sleepStep("fast", 5),
+          ],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(true);
+    expect(sleeper.peak).toBe(3);
+    expect(result.outputs.succeeded).toBe(3);
+    expect(result.outputs.branches.map((branch) => branch.stepId)).toEqual([
+      "slow",
+      "medium",
+      "fast",
+    ]);
+  });
+
+  it("should honour maxConcurrency", async () => {
+    const { runner, sleeper } = setup();
+    const result = await runner.executeStep(
+      {
+        id: "fan-out",
+        type: "parallel",
+        config: {
+          maxConcurrency: 2,
+          steps: [
+            sleepStep("a", 10),
+            sleepStep("b", 10),
+            sleepStep("c", 10),
+            sleepStep("d", 10),
+          ],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(true);
+    expect(sleeper.peak).toBe(2);
+    expect(result.outputs.branches).toHaveLength(4);
+  });
+
+  it("should wait for every branch and fail if any branch failed", async () => {
+    const { runner } = setup();
+    const result = await runner.executeStep(
+      {
+        id: "fan-out",
+        type: "parallel",
+        config: {
+          steps: [sleepStep("broken", 5, true), sleepStep("ok", 20)],
+        },
+      },
+      new ContextManager({ logger: silentLogger }),
+      graph,
+      null
+    );
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("broken");
+    expect(result.outputs.failed).toBe(1);
+    expect(result.outputs.branches[1]).toMatchObject({
+      stepId: "ok",
+      success: true,
+    });
+  });
+});
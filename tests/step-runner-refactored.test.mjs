@@ -72,14 +72,14 @@ ex:test-project rdf:type ex:Project ;
 
       // Create a mock context manager
       const contextManager = {
-        get: async (key) => {
+        getOutput: async (key) => {
           const context = {
             projectName: "Test Project",
             status: "active",
           };
           return context[key] || null;
         },
-        set: async (key, value) => {
+        setOutput: async (key, value) => {
           // Mock set operation
         },
       };
@@ -143,7 +143,7 @@ Generated at: {{ timestamp }}
 
       // Create mock context manager
       const contextManager = {
-        get: async (key) => {
+        getOutput: async (key) => {
           const context = {
             projectName: "Test Project",
             status: "active",
@@ -151,7 +151,7 @@ Generated at: {{ timestamp }}
           };
           return context[key] || null;
         },
-        set: async (key, value) => {
+        setOutput: async (key, value) => {
           // Mock set operation
         },
       };
@@ -209,14 +209,14 @@ Generated at: {{ timestamp }}
     await withMemFSTestEnvironment({}, async (env) => {
       // Create mock context manager
       const contextManager = {
-        get: async (key) => {
+        getOutput: async (key) => {
           const context = {
             projectName: "Test Project",
             content: "This is test content",
           };
           return context[key] || null;
         },
-        set: async (key, value) => {
+        setOutput: async (key, value) => {
           // Mock set operation
         },
       };
@@ -268,8 +268,8 @@ Generated at: {{ timestamp }}
     };
 
     const contextManager = {
-      get: async () => null,
-      set: async () => {},
+      getOutput: async () => null,
+      setOutput: async () => {},
     };
 
     const result = await stepRunner.executeStep(
@@ -296,8 +296,8 @@ Generated at: {{ timestamp }}
     };
 
     const contextManager = {
-      get: async () => null,
-      set: async () => {},
+      getOutput: async () => null,
+      setOutput: async () => {},
     };
 
     const result = await stepRunner.executeStep(
@@ -99,6 +99,8 @@ describe("Workflow System - Minimal Fix Validation", () => {
         const fileStep = {
           id: "test-file",
           type: "file",
+          // Failed renders fail the step, so the template needs its input
+          inputMapping: { content: "content" },
           config: {
             filePath: "./output/test-file.txt",
             operation: "write",
@@ -0,0 +1,95 @@
+// tests/workflow/cli-steps.test.mjs
+// CLI step process settings declared in Turtle
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { WorkflowEngine } from "../../src/workflow/workflow-engine.mjs";
+import { WorkflowParser } from "../../src/workflow/workflow-parser.mjs";
+import { useTurtle } from "../../src/composables/turtle.mjs";
+import N3 from "n3";
+
+const EX = "http://example.org/";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const WORKFLOW = `
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+@prefix op: <https://gitvan.dev/op#> .
+@prefix ex: <http://example.org/> .
+
+ex:report a gh:Hook ;
+  gv:title "Report" ;
+  gh:orderedPipelines ex:pipeline .
+
+ex:pipeline a op:Pipeline ;
+  op:steps ex:count, ex:announce .
+
+ex:count a gv:CliStep ;
+  gv:argv ( "/bin/sh" "-c" "printf '{\\"files\\": %s}' \\"$FILES\\"; exit 2" ) ;
+  gv:env "FILES=3", "UNUSED=1" ;
+  gv:inheritEnv false ;
+  gv:expectExitCode 0, 2 ;
+  gv:parseOutput "json" ;
+  gv:outputMapping "{\\"stats\\": \\"output\\"}" .
+
+ex:announce a gv:CliStep ;
+  gv:cliCommand "printf '%s files' {{ stats.files }}" ;
+  gv:inputMapping "{\\"stats\\": \\"stats\\"}" ;
+  gv:maxOutputBytes 64 .
+`;
+
+describe("CLI steps in Turtle workflows", () => {
+  let graphDir;
+
+  beforeAll(() => {
+    graphDir = mkdtempSync(join(tmpdir(), "gitvan-cli-steps-"));
+    writeFileSync(join(graphDir, "workflow.ttl"), WORKFLOW);
+  });
+
+  afterAll(() => {
+    rmSync(graphDir, { recursive: true, force: true });
+  });
+
+  it("should parse process settings", async () => {
+    const turtle = await useTurtle({ graphDir });
+    const parser = new WorkflowParser({ logger: silentLogger });
+    const step = await parser._parseStep(
+      turtle,
+      N3.DataFactory.namedNode(EX + "count")
+    );
+
+    expect(step.config).toMatchObject({
+      argv: ["/bin/sh", "-c", `printf '{"files": %s}' "$FILES"; exit 2`],
+      env: ["FILES=3", "UNUSED=1"],
+      inheritEnv: false,
+      expectExitCode: [0, 2],
+      parseOutput: "json",
+    });
+  });
+
+  it("should pass parsed output to later steps", async () => {
+    const engine = new WorkflowEngine({ graphDir, checkpoints: false });
+    engine.logger = silentLogger;
+    engine.planner.logger = silentLogger;
+    engine.stepRunner.logger = silentLogger;
+    engine.contextManager.logger = silentLogger;
+
+    const result = await engine.executeWorkflow(EX + "report");
+    const byId = Object.fromEntries(
+      result.steps.map((step) => [step.stepId.replace(EX, ""), step])
+    );
+
+    expect(result.status).toBe("completed");
+    expect(byId.count.outputs.exitCode).toBe(2);
+    expect(byId.count.outputs.output).toEqual({ files: 3 });
+    expect(byId.announce.outputs.stdout).toBe("3 files");
+  });
+});
@@ -0,0 +1,217 @@
+// tests/workflow/control-flow-steps.test.mjs
+// Parsing, validation and execution of conditional, loop and parallel steps
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { WorkflowEngine } from "../../src/workflow/workflow-engine.mjs";
+import { WorkflowParser } from "../../src/workflow/workflow-parser.mjs";
+import { useTurtle } from "../../src/composables/turtle.mjs";
+import N3 from "n3";
+
+const EX = "http://example.org/";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const WORKFLOW = `
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+@prefix op: <https://gitvan.dev/op#> .
+@prefix ex: <http://example.org/> .
+
+ex:alpha a ex:Package ; ex:name "alpha" .
+ex:beta a ex:Package ; ex:name "beta" .
+ex:release ex:approved true .
+
+ex:release-workflow a gh:Hook ;
+  gv:title "Release" ;
+  gh:orderedPipelines ex:pipeline .
+
+ex:pipeline a op:Pipeline ;
+  op:steps ex:each-package, ex:gate, ex:fan-out .
+
+ex:each-package a gv:LoopStep ;
+  gv:text "PREFIX ex: <http://example.org/> SELECT ?name WHERE { ?p a ex:Package ; ex:name ?name } ORDER BY ?name" ;
+  gv:steps ( ex:build ) .
+
+ex:build a gv:CliStep ;
+  gv:cliCommand "echo built-{{ item.name }}" .
+
+ex:gate a gv:ConditionalStep ;
+  gv:condition "PREFIX ex: <http://example.org/> ASK { ex:release ex:approved true }" ;
+  gv:thenSteps ( ex:deploy ) ;
+  gv:elseSteps ( ex:hold ) .
+
+ex:deploy a gv:CliStep ; gv:cliCommand "echo deploy" .
+ex:hold a gv:CliStep ; gv:cliCommand "echo hold" .
+
+ex:fan-out a gv:ParallelStep ;
+  gv:maxConcurrency 2 ;
+  gv:steps ( ex:left ex:right ) .
+
+ex:left a gv:CliStep ; gv:cliCommand "echo left" .
+ex:right a gv:CliStep ; gv:cliCommand "echo right" .
+
+ex:recursive-workflow a gh:Hook ;
+  gv:title "Recursive" ;
+  gh:orderedPipelines ex:recursive-pipeline .
+
+ex:recursive-pipeline a op:Pipeline ;
+  op:steps ex:outer .
+
+ex:outer a gv:ParallelStep ;
+  gv:steps ( ex:inner ) .
+
+ex:inner a gv:ConditionalStep ;
+  gv:expression "true" ;
+  gv:thenSteps ( ex:left ) ;
+  gv:elseSteps ( ex:outer ) .
+
+ex:again a gv:ParallelStep ;
+  gv:steps ( ex:left ex:again ) .
+`;
+
+describe("Control-flow workflow steps", () => {
+  let graphDir;
+
+  beforeAll(() => {
+    graphDir = mkdtempSync(join(tmpdir(), "gitvan-control-flow-"));
+    writeFileSync(join(graphDir, "workflow.ttl"), WORKFLOW);
+  });
+
+  afterAll(() => {
+    rmSync(graphDir, { recursive: true, force: true });
+  });
+
+  it("should execute loop, conditional and parallel steps with nested results", async () => {
+    const engine = new WorkflowEngine({ graphDir });
+    engine.logger = silentLogger;
+    engine.stepRunner.logger = silentLogger;
+
+    const result = await engine.executeWorkflow(
+      "http://example.org/release-workflow"
+    );
+
+    const byId = Object.fromEntries(
+      result.steps.map((step) => [step.stepId.split("/").pop(), step])
+    );
+
+    const loop = byId["each-package"];
+    expect(loop.success).toBe(true);
+    expect(
+      loop.outputs.iterations.map((it) => it.steps[0].outputs.stdout)
+    ).toEqual(["built-alpha", "built-beta"]);
+
+    const gate = byId.gate;
+    expect(gate.outputs.branch).toBe("then");
+    expect(gate.outputs.steps[0].outputs.stdout).toBe("deploy");
+
+    const fanOut = byId["fan-out"];
+    expect(fanOut.success).toBe(true);
+    expect(
+      fanOut.outputs.branches.map((branch) => branch.outputs.stdout)
+    ).toEqual(["left", "right"]);
+  });
+
+  it("should parse nested child steps in the workflow parser", async () => {
+    const turtle = await useTurtle({ graphDir });
+    const parser = new WorkflowParser({ logger: silentLogger });
+    const steps = await Promise.all(
+      ["each-package", "gate", "fan-out"].map((name) =>
+        parser._parseStep(turtle, N3.DataFactory.namedNode(EX + name))
+      )
+    );
+    await parser._validateWorkflow(steps);
+
+    const [loop, gate, fanOut] = steps;
+    expect(loop.type).toBe("loop");
+    expect(loop.config.query).toContain("SELECT");
+    expect(loop.config.steps.map((step) => step.id)).toEqual(["build"]);
+    expect(gate.type).toBe("conditional");
+    expect(gate.config.thenSteps[0].id).toBe("deploy");
+    expect(gate.config.elseSteps[0].id).toBe("hold");
+    expect(fanOut.type).toBe("parallel");
+    expect(fanOut.config.maxConcurrency).toBe(2);
+    expect(fanOut.config.steps).toHaveLength(2);
+  });
+
+  it("should reject steps that contain themselves", async () => {
+    const engine = new WorkflowEngine({ graphDir });
+    engine.logger = silentLogger;
+    engine.stepRunner.logger = silentLogger;
+
+    await expect(
+      engine.executeWorkflow("http://example.org/recursive-workflow")
+    ).rejects.toThrow(
+      `Step cycle through onFailure or child steps: ${EX}outer -> ${EX}inner -> ${EX}outer`
+    );
+
+    const turtle = await useTurtle({ graphDir });
+    const parser = new WorkflowParser({ logger: silentLogger });
+    await expect(
+      parser._parseStep(turtle, N3.DataFactory.namedNode(EX + "again"))
+    ).rejects.toThrow(
+      `Step cycle through onFailure or child steps: ${EX}again -> ${EX}again`
+    );
+  });
+
+  it("should reject invalid control-flow steps during validation", async () => {
+    const parser = new WorkflowParser({ logger: silentLogger });
+    const child = { id: "noop", type: "cli", config: { command: "true" } };
+
+    await expect(
+      parser._validateWorkflow([
+        { id: "gate", type: "conditional", config: { thenSteps: [child] } },
+      ])
+    ).rejects.toThrow("missing condition or expression");
+
+    await expect(
+      parser._validateWorkflow([
+        {
+          id: "gate",
+          type: "conditional",
+          config: { expression: "inputs.mode ===", thenSteps: [child] },
+        },
+      ])
+    ).rejects.toThrow("Invalid expression");
+
+    await expect(
+      parser._validateWorkflow([
+        {
+          id: "loop",
+          type: "loop",
+          config: { query: "ASK { ?s ?p ?o }", steps: [child] },
+        },
+      ])
+    ).rejects.toThrow("must be a SELECT query");
+
+    await expect(
+      parser._validateWorkflow([
+        { id: "fan-out", type: "parallel", config: { steps: [] } },
+      ])
+    ).rejects.toThrow("has no child steps");
+
+    await expect(
+      parser._validateWorkflow([
+        {
+          id: "fan-out",
+          type: "parallel",
+          config: { steps: [{ id: "bad", type: "cli", config: {} }] },
+        },
+      ])
+    ).rejects.toThrow("CLI step bad missing command configuration");
+
+    await expect(
+      parser._validateWorkflow([
+        child,
+        { id: "fan-out", type: "parallel", config: { steps: [child] } },
+      ])
+    ).rejects.toThrow("Duplicate step IDs");
+  });
+});
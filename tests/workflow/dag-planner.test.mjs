@@ -0,0 +1,289 @@
+// tests/workflow/dag-planner.test.mjs
+// Dependency levels, critical path and concurrent execution of planned steps
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { DAGPlanner } from "../../src/workflow/dag-planner.mjs";
+import { executeLevels } from "../../src/workflow/level-executor.mjs";
+import { WorkflowEngine } from "../../src/workflow/workflow-engine.mjs";
+import { BaseStepHandler } from "../../src/workflow/step-handlers/base-step-handler.mjs";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const step = (id, options = {}) => ({
+  id,
+  type: "cli",
+  config: { estimatedDuration: 100, ...options.config },
+  dependsOn: options.dependsOn || [],
+});
+
+// Tracks how many steps run at the same time
+class ProbeStepHandler extends BaseStepHandler {
+  constructor(options) {
+    super(options);
+    this.active = 0;
+    this.maxActive = 0;
+    this.started = [];
+  }
+
+  getStepType() {
+    return "probe";
+  }
+
+  async execute(step) {
+    this.started.push(step.id.split("/").pop());
+    this.active++;
+    this.maxActive = Math.max(this.maxActive, this.active);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    this.active--;
+    return this.createResult({ ok: true });
+  }
+}
+
+describe("DAGPlanner", () => {
+  const planner = new DAGPlanner({ logger: silentLogger });
+
+  it("should group steps into dependency levels", async () => {
+    const plan = await planner.createPlan([
+      step("fetch"),
+      step("lint"),
+      step("build", { dependsOn: ["fetch"] }),
+      step("test", { dependsOn: ["build", "lint"] }),
+    ]);
+
+    const levels = planner
+      .getLevels(plan)
+      .map((level) => level.map((entry) => entry.id));
+    expect(levels).toEqual([["fetch", "lint"], ["build"], ["test"]]);
+    expect(plan.find((entry) => entry.id === "fetch").dependents).toEqual([
+      "build",
+    ]);
+    expect(plan.find((entry) => entry.id === "lint").canRunInParallel).toBe(
+      true
+    );
+    expect(plan.find((entry) => entry.id === "build").canRunInParallel).toBe(
+      false
+    );
+  });
+
+  it("should derive dependencies from input and output mappings", async () => {
+    const plan = await planner.createPlan([
+      step("report", {
+        config: { inputMapping: '{"rows": "queryRows"}' },
+      }),
+      step("query", {
+        config: { outputMapping: '{"queryRows": "results"}' },
+      }),
+    ]);
+
+    const report = plan.find((entry) => entry.id === "report");
+    expect(plan.map((entry) => entry.id)).toEqual(["query", "report"]);
+    expect(report.level).toBe(1);
+    expect(report.dependsOn).toEqual(["query"]);
+    expect(report.dataDependencies).toEqual(["query"]);
+  });
+
+  it("should read an overwritten key from the closest earlier producer", async () => {
+    const plan = await planner.createPlan([
+      step("s1", { config: { outputMapping: '{"k": "value"}' } }),
+      step("s2", {
+        config: {
+          inputMapping: '{"value": "k"}',
+          outputMapping: '{"k2": "value"}',
+        },
+      }),
+      step("s3", {
+        config: {
+          inputMapping: '{"value": "k2"}',
+          outputMapping: '{"k": "value"}',
+        },
+      }),
+    ]);
+
+    expect(plan.map((entry) => entry.id)).toEqual(["s1", "s2", "s3"]);
+    expect(plan.find((entry) => entry.id === "s2").dependsOn).toEqual(["s1"]);
+    expect(plan.find((entry) => entry.id === "s3").dependsOn).toEqual(["s2"]);
+  });
+
+  it("should reject unknown dependencies and cycles", async () => {
+    await expect(
+      planner.createPlan([step("a", { dependsOn: ["missing"] })])
+    ).rejects.toThrow("Step a depends on unknown step: missing");
+
+    await expect(
+      planner.createPlan([
+        step("a", { dependsOn: ["b"] }),
+        step("b", { dependsOn: ["a"] }),
+      ])
+    ).rejects.toThrow("Circular dependency detected");
+  });
+
+  it("should find the critical path by estimated duration", async () => {
+    const plan = await planner.createPlan([
+      step("fetch", { config: { estimatedDuration: 300 } }),
+      step("lint", { config: { estimatedDuration: 50 } }),
+      step("build", { dependsOn: ["fetch"] }),
+      step("test", { dependsOn: ["lint", "build"] }),
+    ]);
+
+    expect(planner.getCriticalPath(plan)).toEqual({
+      steps: ["fetch", "build", "test"],
+      duration: 500,
+    });
+    expect(planner.getExecutionStats(plan)).toMatchObject({
+      levels: 3,
+      estimatedDuration: 500,
+      sequentialDuration: 550,
+    });
+  });
+
+  it("should render the plan as text and DOT", async () => {
+    const plan = await planner.createPlan([
+      step("http://example.org/fetch"),
+      step("http://example.org/build", {
+        dependsOn: ["http://example.org/fetch"],
+      }),
+    ]);
+
+    const text = planner.formatText(plan);
+    expect(text).toContain("Level 0 (1 step)");
+    expect(text).toContain("  * build [cli] ~100ms after fetch");
+    expect(text).toContain("Critical path (200ms): fetch -> build");
+
+    const dot = planner.formatDot(plan, "Build");
+    expect(dot).toMatch(/^digraph "Build" \{/);
+    expect(dot).toContain('label="fetch\\ncli ~100ms"');
+    expect(dot).toContain(
+      '"http://example.org/fetch" -> "http://example.org/build" [color=red, penwidth=2];'
+    );
+  });
+});
+
+describe("executeLevels", () => {
+  it("should respect the concurrency limit and stop after a failure", async () => {
+    let active = 0;
+    let maxActive = 0;
+    const started = [];
+
+    const failedStep = await executeLevels(
+      [[{ id: "a" }, { id: "b" }, { id: "c" }], [{ id: "d" }]],
+      {
+        maxConcurrency: 2,
+        runStep: async (step) => {
+          started.push(step.id);
+          active++;
+          maxActive = Math.max(maxActive, active);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          active--;
+          return { success: step.id !== "c" };
+        },
+      }
+    );
+
+    expect(maxActive).toBe(2);
+    expect(failedStep).toBe("c");
+    expect(started).toEqual(["a", "b", "c"]);
+  });
+
+  it("should reject an invalid concurrency limit", async () => {
+    await expect(
+      executeLevels([], { maxConcurrency: 0, runStep: async () => ({}) })
+    ).rejects.toThrow("maxConcurrency must be a positive integer");
+  });
+});
+
+describe("WorkflowEngine planning", () => {
+  let graphDir;
+
+  const WORKFLOW = `
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+@prefix op: <https://gitvan.dev/op#> .
+@prefix ex: <http://example.org/> .
+
+ex:ci a gh:Hook ;
+  gv:title "CI" ;
+  gh:orderedPipelines ex:pipeline .
+
+ex:pipeline a op:Pipeline ;
+  op:steps ex:test, ex:fetch, ex:lint, ex:build .
+
+ex:fetch a gv:ProbeStep ;
+  gv:estimatedDuration 400 .
+
+ex:lint a gv:ProbeStep .
+
+ex:build a gv:ProbeStep ;
+  gv:dependsOn ex:fetch .
+
+ex:test a gv:ProbeStep ;
+  gv:dependsOn ( ex:build ex:lint ) .
+`;
+
+  beforeAll(() => {
+    graphDir = mkdtempSync(join(tmpdir(), "gitvan-dag-planner-"));
+    writeFileSync(join(graphDir, "workflow.ttl"), WORKFLOW);
+  });
+
+  afterAll(() => {
+    rmSync(graphDir, { recursive: true, force: true });
+  });
+
+  const createEngine = (options = {}) => {
+    const engine = new WorkflowEngine({
+      graphDir,
+      checkpoints: false,
+      ...options,
+    });
+    engine.logger = silentLogger;
+    engine.planner.logger = silentLogger;
+    engine.stepRunner.logger = silentLogger;
+    engine.contextManager.logger = silentLogger;
+    const probe = new ProbeStepHandler({ logger: silentLogger });
+    engine.stepRunner.registerHandler("probe", probe);
+    return { engine, probe };
+  };
+
+  it("should plan levels from gv:dependsOn", async () => {
+    const { engine } = createEngine();
+    const { levels, criticalPath } = await engine.planWorkflow(
+      "http://example.org/ci"
+    );
+
+    const names = levels.map((level) =>
+      level.map((entry) => entry.id.split("/").pop()).sort()
+    );
+    expect(names).toEqual([["fetch", "lint"], ["build"], ["test"]]);
+    expect(criticalPath.steps.map((id) => id.split("/").pop())).toEqual([
+      "fetch",
+      "build",
+      "test",
+    ]);
+    expect(criticalPath.duration).toBe(2400);
+  });
+
+  it("should run independent steps concurrently in dependency order", async () => {
+    const { engine, probe } = createEngine({ maxConcurrency: 2 });
+    const result = await engine.executeWorkflow("http://example.org/ci");
+
+    expect(result.status).toBe("completed");
+    expect(result.steps).toHaveLength(4);
+    expect(probe.maxActive).toBe(2);
+    expect(probe.started.slice(2)).toEqual(["build", "test"]);
+  });
+
+  it("should run one step at a time in declaration order by default", async () => {
+    const { engine, probe } = createEngine();
+    await engine.executeWorkflow("http://example.org/ci");
+
+    expect(probe.maxActive).toBe(1);
+    expect(probe.started).toEqual(["fetch", "lint", "build", "test"]);
+  });
+});
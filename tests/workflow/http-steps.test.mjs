@@ -0,0 +1,430 @@
+// tests/workflow/http-steps.test.mjs
+// HTTP step authentication, JSONPath extraction, assertions and record/replay
+
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import { createServer } from "node:http";
+import {
+  mkdtempSync,
+  mkdirSync,
+  writeFileSync,
+  readFileSync,
+  rmSync,
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { HttpStepHandler } from "../../src/workflow/step-handlers/http-step-handler.mjs";
+import { WorkflowEngine } from "../../src/workflow/workflow-engine.mjs";
+import { WorkflowParser } from "../../src/workflow/workflow-parser.mjs";
+import { useTurtle } from "../../src/composables/turtle.mjs";
+import { queryJsonPath, extractJsonPath } from "../../src/utils/json-path.mjs";
+import N3 from "n3";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const BOOKS = {
+  store: {
+    books: [
+      { title: "Dune", price: 9, isbn: "0441013597" },
+      { title: "Emma", price: 14 },
+      { title: "Ubik", price: 7, isbn: "0547572298" },
+    ],
+  },
+};
+
+describe("queryJsonPath", () => {
+  it("should evaluate members, indexes, wildcards, slices and filters", () => {
+    expect(queryJsonPath(BOOKS, "$.store.books[*].title")).toEqual([
+      "Dune",
+      "Emma",
+      "Ubik",
+    ]);
+    expect(queryJsonPath(BOOKS, "$..price")).toEqual([9, 14, 7]);
+    expect(queryJsonPath(BOOKS, "$['store']['books'][-1].title")).toEqual([
+      "Ubik",
+    ]);
+    expect(queryJsonPath(BOOKS, "$.store.books[0:2].price")).toEqual([9, 14]);
+    expect(
+      queryJsonPath(BOOKS, "$.store.books[?(@.price < 10)].title")
+    ).toEqual(["Dune", "Ubik"]);
+    expect(queryJsonPath(BOOKS, "$.store.books[?(@.isbn)].title")).toEqual([
+      "Dune",
+      "Ubik",
+    ]);
+  });
+
+  it("should return single values for definite paths", () => {
+    expect(extractJsonPath(BOOKS, "$.store.books[1].title")).toBe("Emma");
+    expect(extractJsonPath(BOOKS, "$.store.missing")).toBeUndefined();
+    expect(extractJsonPath(BOOKS, "$.store.books[*].isbn")).toEqual([
+      "0441013597",
+      "0547572298",
+    ]);
+  });
+
+  it("should report invalid paths", () => {
+    expect(() => queryJsonPath(BOOKS, "store.books")).toThrow(
+      'Invalid JSONPath "store.books": must start with $'
+    );
+    expect(() => queryJsonPath(BOOKS, "$.store[0")).toThrow(
+      "unclosed '[' at position 7"
+    );
+  });
+});
+
+describe("HttpStepHandler", () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let fixturesDir;
+  const handler = new HttpStepHandler({ logger: silentLogger });
+
+  beforeAll(async () => {
+    server = createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      if (req.url === "/missing") {
+        res.writeHead(404, { "content-type": "application/json" });
+        res.end(JSON.stringify({ error: "not found" }));
+        return;
+      }
+      res.writeHead(200, {
+        "content-type": "application/json",
+        "set-cookie": "session=abc123",
+      });
+      res.end(JSON.stringify(BOOKS));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    fixturesDir = mkdtempSync(join(tmpdir(), "gitvan-http-fixtures-"));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    delete process.env.GITVAN_TEST_TOKEN;
+  });
+
+  const run = (config, inputs = {}) => {
+    requests = [];
+    return handler.execute(
+      { id: "books", type: "http", config: { method: "GET", ...config } },
+      inputs,
+      {}
+    );
+  };
+
+  it("should send a bearer token from the environment", async () => {
+    process.env.GITVAN_TEST_TOKEN = "s3cret";
+    const result = await run({
+      url: `${baseUrl}/books`,
+      auth: { type: "bearer", tokenEnv: "GITVAN_TEST_TOKEN" },
+    });
+
+    expect(result.success).toBe(true);
+    expect(requests[0].headers.authorization).toBe("Bearer s3cret");
+  });
+
+  it("should send basic credentials and fail on a missing variable", async () => {
+    await run(
+      {
+        url: `${baseUrl}/books`,
+        auth: { type: "basic", username: "{{ user }}", password: "pw" },
+      },
+      { user: "ann" }
+    );
+    expect(requests[0].headers.authorization).toBe(
+      `Basic ${Buffer.from("ann:pw").toString("base64")}`
+    );
+
+    const result = await run({
+      url: `${baseUrl}/books`,
+      auth: '{"type": "bearer", "tokenEnv": "GITVAN_TEST_TOKEN"}',
+    });
+    expect(result.success).toBe(false);
+    expect(result.error).toBe(
+      "HTTP request failed: HTTP auth environment variable GITVAN_TEST_TOKEN is not set"
+    );
+  });
+
+  it("should extract JSONPath values into named outputs", async () => {
+    const result = await run({
+      url: `${baseUrl}/books`,
+      extract: {
+        firstTitle: "$.store.books[0].title",
+        cheap: "$.store.books[?(@.price < 10)].title",
+      },
+    });
+
+    expect(result.data.firstTitle).toBe("Dune");
+    expect(result.data.cheap).toEqual(["Dune", "Ubik"]);
+    expect(result.data.extracted).toEqual({
+      firstTitle: "Dune",
+      cheap: ["Dune", "Ubik"],
+    });
+  });
+
+  it("should reject extract names that shadow result fields", async () => {
+    const result = await run({
+      url: `${baseUrl}/books`,
+      extract: { status: "$.store" },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain(
+      "HTTP step extract name 'status' is reserved"
+    );
+  });
+
+  it("should check status, body and header assertions", async () => {
+    const passing = await run({
+      url: `${baseUrl}/books`,
+      assert: {
+        status: "2xx",
+        body: {
+          "$.store.books": { length: 3 },
+          "$.store.books[0].title": "Dune",
+          "$..price": { contains: 14 },
+          "$.store.books[1].price": { gt: 10, lte: 14 },
+        },
+        headers: { "Content-Type": { matches: "^application/json" } },
+      },
+    });
+    expect(passing.success).toBe(true);
+    expect(passing.data.assertions.every((a) => a.passed)).toBe(true);
+
+    const failing = await run({
+      url: `${baseUrl}/books`,
+      assert:
+        '{"body": {"$.store.books[0].title": "Emma", "$.total": {"exists": true}}}',
+    });
+    expect(failing.success).toBe(false);
+    expect(failing.error).toBe(
+      'HTTP assertion failed: $.store.books[0].title expected equals "Emma", got "Dune"; ' +
+        "$.total expected exists true, got undefined"
+    );
+  });
+
+  it("should accept an expected error status", async () => {
+    const accepted = await run({
+      url: `${baseUrl}/missing`,
+      expectStatus: 404,
+      extract: { message: "$.error" },
+    });
+    expect(accepted.success).toBe(true);
+    expect(accepted.data.message).toBe("not found");
+
+    const rejected = await run({ url: `${baseUrl}/missing` });
+    expect(rejected.success).toBe(false);
+    expect(rejected.error).toBe("HTTP 404: Not Found");
+  });
+
+  it("should record fixtures and replay them without the server", async () => {
+    process.env.GITVAN_TEST_TOKEN = "s3cret";
+    const config = {
+      url: `${baseUrl}/books`,
+      auth: { type: "bearer", tokenEnv: "GITVAN_TEST_TOKEN" },
+      fixture: "books",
+      fixturesDir,
+      extract: { firstTitle: "$.store.books[0].title" },
+    };
+
+    const recorded = await run({ ...config, recordMode: "record" });
+    expect(recorded.success).toBe(true);
+    expect(recorded.data.fixture).toBe("books");
+
+    const fixture = JSON.parse(
+      readFileSync(join(fixturesDir, "books.json"), "utf8")
+    );
+    expect(fixture.request.headers.Authorization).toBe("[REDACTED]");
+    expect(fixture.response.headers["set-cookie"]).toBe("[REDACTED]");
+    expect(fixture.response.status).toBe(200);
+    expect(fixture.response.json).toEqual(BOOKS);
+
+    const replayed = await run({
+      ...config,
+      url: "http://127.0.0.1:9/unreachable",
+      recordMode: "replay",
+    });
+    expect(requests).toHaveLength(0);
+    expect(replayed.success).toBe(true);
+    expect(replayed.data.firstTitle).toBe("Dune");
+    expect(replayed.data.responseData).toEqual(BOOKS);
+  });
+
+  it("should redact custom auth headers when recording", async () => {
+    process.env.GITVAN_TEST_TOKEN = "s3cret";
+    const result = await run({
+      url: `${baseUrl}/books`,
+      headers: { Accept: "application/json" },
+      auth: {
+        type: "header",
+        name: "Private-Token",
+        valueEnv: "GITVAN_TEST_TOKEN",
+      },
+      fixture: "private-books",
+      fixturesDir,
+      recordMode: "record",
+    });
+
+    expect(result.success).toBe(true);
+    expect(requests[0].headers["private-token"]).toBe("s3cret");
+
+    const text = readFileSync(join(fixturesDir, "private-books.json"), "utf8");
+    expect(text).not.toContain("s3cret");
+    expect(JSON.parse(text).request.headers).toEqual({
+      Accept: "application/json",
+      "Private-Token": "[REDACTED]",
+    });
+  });
+
+  it("should redact secret query parameters before naming and saving fixtures", async () => {
+    const config = {
+      url: `${baseUrl}/books?q=dune&api_key={{ key }}&Session={{ key }}`,
+      secretParams: "session",
+      fixturesDir,
+    };
+
+    const recorded = await run(
+      { ...config, recordMode: "record" },
+      { key: "s3cret" }
+    );
+    expect(recorded.success).toBe(true);
+    expect(requests[0].url).toBe("/books?q=dune&api_key=s3cret&Session=s3cret");
+
+    const name = recorded.data.fixture;
+    const text = readFileSync(join(fixturesDir, `${name}.json`), "utf8");
+    expect(text).not.toContain("s3cret");
+    expect(JSON.parse(text).request.url).toBe(
+      `${baseUrl}/books?q=dune&api_key=[REDACTED]&Session=[REDACTED]`
+    );
+
+    // A rotated key still replays the same fixture
+    const replayed = await run(
+      { ...config, recordMode: "replay" },
+      { key: "rotated" }
+    );
+    expect(requests).toHaveLength(0);
+    expect(replayed.success).toBe(true);
+    expect(replayed.data.fixture).toBe(name);
+  });
+
+  it("should fail replay when no fixture was recorded", async () => {
+    const result = await run({
+      url: "https://api.example.com/books",
+      fixturesDir,
+      recordMode: "replay",
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(
+      /^HTTP request failed: No HTTP fixture recorded for GET https:\/\/api\.example\.com\/books \(expected .*get-api\.example\.com-books-[0-9a-f]{8}\.json\)$/
+    );
+  });
+});
+
+describe("HTTP steps in Turtle workflows", () => {
+  let graphDir;
+
+  const WORKFLOW = `
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+@prefix op: <https://gitvan.dev/op#> .
+@prefix ex: <http://example.org/> .
+
+ex:catalog a gh:Hook ;
+  gv:title "Catalog" ;
+  gh:orderedPipelines ex:pipeline .
+
+ex:pipeline a op:Pipeline ;
+  op:steps ex:fetchBooks, ex:announce .
+
+ex:fetchBooks a gv:HttpStep ;
+  gv:httpUrl "https://books.example.org/catalog" ;
+  gv:httpMethod "GET" ;
+  gv:auth [ gv:authType "bearer" ; gv:tokenEnv "GITVAN_TEST_TOKEN" ] ;
+  gv:extract "{\\"firstTitle\\": \\"$.store.books[0].title\\"}" ;
+  gv:assert "{\\"body\\": {\\"$.store.books\\": {\\"length\\": 3}}}" ;
+  gv:expectStatus 200 ;
+  gv:recordMode "replay" ;
+  gv:fixture "catalog" ;
+  gv:fixturesDir "FIXTURES" ;
+  gv:outputMapping "{\\"title\\": \\"firstTitle\\"}" .
+
+ex:announce a gv:CliStep ;
+  gv:argv ( "printf" "%s" "{{ title }}" ) ;
+  gv:inputMapping "{\\"title\\": \\"title\\"}" .
+`;
+
+  beforeAll(() => {
+    graphDir = mkdtempSync(join(tmpdir(), "gitvan-http-steps-"));
+    const fixturesDir = join(graphDir, "fixtures");
+    writeFileSync(
+      join(graphDir, "workflow.ttl"),
+      WORKFLOW.replace("FIXTURES", fixturesDir)
+    );
+    mkdirSync(fixturesDir);
+    writeFileSync(
+      join(fixturesDir, "catalog.json"),
+      JSON.stringify({
+        request: { method: "GET", url: "https://books.example.org/catalog" },
+        response: {
+          status: 200,
+          statusText: "OK",
+          headers: { "content-type": "application/json" },
+          json: BOOKS,
+        },
+      })
+    );
+  });
+
+  afterAll(() => {
+    rmSync(graphDir, { recursive: true, force: true });
+  });
+
+  it("should parse auth, extraction, assertions and fixture settings", async () => {
+    const turtle = await useTurtle({ graphDir });
+    const parser = new WorkflowParser({ logger: silentLogger });
+    const step = await parser._parseStep(
+      turtle,
+      N3.DataFactory.namedNode("http://example.org/fetchBooks")
+    );
+
+    expect(step.config).toMatchObject({
+      url: "https://books.example.org/catalog",
+      auth: { type: "bearer", tokenEnv: "GITVAN_TEST_TOKEN" },
+      extract: '{"firstTitle": "$.store.books[0].title"}',
+      expectStatus: 200,
+      recordMode: "replay",
+      fixture: "catalog",
+    });
+  });
+
+  it("should run offline from a recorded fixture", async () => {
+    process.env.GITVAN_TEST_TOKEN = "s3cret";
+    const engine = new WorkflowEngine({ graphDir, checkpoints: false });
+    engine.logger = silentLogger;
+    engine.planner.logger = silentLogger;
+    engine.stepRunner.logger = silentLogger;
+    engine.contextManager.logger = silentLogger;
+
+    try {
+      const result = await engine.executeWorkflow("http://example.org/catalog");
+      const byId = Object.fromEntries(
+        result.steps.map((step) => [step.stepId.split("/").pop(), step])
+      );
+
+      expect(result.status).toBe("completed");
+      expect(byId.fetchBooks.outputs.fixture).toBe("catalog");
+      expect(byId.announce.outputs.stdout).toBe("Dune");
+    } finally {
+      delete process.env.GITVAN_TEST_TOKEN;
+    }
+  });
+});
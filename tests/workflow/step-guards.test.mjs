@@ -0,0 +1,124 @@
+// tests/workflow/step-guards.test.mjs
+// Step-level SPARQL ASK guards (gv:when)
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { WorkflowEngine } from "../../src/workflow/workflow-engine.mjs";
+import { WorkflowParser } from "../../src/workflow/workflow-parser.mjs";
+import { bindValues } from "../../src/workflow/step-guard.mjs";
+import { useTurtle } from "../../src/composables/turtle.mjs";
+import N3 from "n3";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+const WORKFLOW = `
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+@prefix op: <https://gitvan.dev/op#> .
+@prefix ex: <http://example.org/> .
+
+ex:release ex:approved false ; ex:channel "stable" .
+
+ex:release-workflow a gh:Hook ;
+  gv:title "Guarded release" ;
+  gh:orderedPipelines ex:pipeline .
+
+ex:pipeline a op:Pipeline ;
+  op:steps ex:version, ex:deploy, ex:announce, ex:notify-beta .
+
+ex:version a gv:CliStep ;
+  gv:cliCommand "echo v1.2.0" ;
+  gv:outputMapping "{\\"tag\\": \\"stdout\\"}" .
+
+ex:deploy a gv:CliStep ;
+  gv:cliCommand "echo deploy" ;
+  gv:when "PREFIX ex: <http://example.org/> ASK { ex:release ex:approved true }" ;
+  gv:dependsOn ex:version .
+
+ex:announce a gv:CliStep ;
+  gv:cliCommand "echo announce {{ tag }}" ;
+  gv:inputMapping "{\\"tag\\": \\"tag\\"}" ;
+  gv:when "PREFIX ex: <http://example.org/> ASK { ex:release ex:channel ?channel . FILTER(STRSTARTS(?tag, \\"v1.\\")) }" ;
+  gv:dependsOn ex:version .
+
+ex:notify-beta a gv:CliStep ;
+  gv:cliCommand "echo beta" ;
+  gv:when "PREFIX ex: <http://example.org/> ASK { ex:release ex:channel \\"beta\\" }" ;
+  gv:dependsOn ex:announce .
+`;
+
+describe("Step guards (gv:when)", () => {
+  let graphDir;
+
+  beforeAll(() => {
+    graphDir = mkdtempSync(join(tmpdir(), "gitvan-step-guards-"));
+    writeFileSync(join(graphDir, "workflow.ttl"), WORKFLOW);
+  });
+
+  afterAll(() => {
+    rmSync(graphDir, { recursive: true, force: true });
+  });
+
+  it("should bind scalar context values the query mentions", () => {
+    const query = "ASK { ?s ?p ?tag FILTER(?count > 1) }";
+
+    expect(
+      bindValues(query, {
+        tag: 'v"1',
+        count: 2,
+        unused: "x",
+        nested: { a: 1 },
+        "not a var": "y",
+      })
+    ).toBe(
+      'ASK { VALUES (?tag ?count) { ("v\\"1" 2) } ?s ?p ?tag FILTER(?count > 1) }'
+    );
+    expect(bindValues(query, { unused: "x" })).toBe(query);
+  });
+
+  it("should skip steps whose guard is false and report them", async () => {
+    const engine = new WorkflowEngine({ graphDir, checkpoints: false });
+    engine.logger = silentLogger;
+    engine.stepRunner.logger = silentLogger;
+
+    const result = await engine.executeWorkflow(
+      "http://example.org/release-workflow"
+    );
+
+    const byId = Object.fromEntries(
+      result.steps.map((step) => [step.stepId.split("/").pop(), step])
+    );
+
+    expect(result.status).toBe("completed");
+    expect(result.skippedSteps.map((id) => id.split("/").pop()).sort()).toEqual(
+      ["deploy", "notify-beta"]
+    );
+    expect(byId.deploy).toMatchObject({
+      success: true,
+      skipped: true,
+      attempts: [],
+    });
+
+    // Prior outputs are bound as VALUES, so ?tag holds the version step stdout
+    expect(byId.announce.skipped).toBeUndefined();
+    expect(byId.announce.outputs.stdout).toBe("announce v1.2.0");
+  });
+
+  it("should parse gv:when in the workflow parser", async () => {
+    const turtle = await useTurtle({ graphDir });
+    const parser = new WorkflowParser({ logger: silentLogger });
+    const step = await parser._parseStep(
+      turtle,
+      N3.DataFactory.namedNode("http://example.org/deploy")
+    );
+
+    expect(step.config.when).toContain("ASK { ex:release ex:approved true }");
+  });
+});
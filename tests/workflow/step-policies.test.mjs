@@ -0,0 +1,357 @@
+// tests/workflow/step-policies.test.mjs
+// Retry, backoff, timeout, continueOnError and compensation policies
+
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, mkdtempSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { StepRunner } from "../../src/workflow/step-runner.mjs";
+import { ContextManager } from "../../src/workflow/context-manager.mjs";
+import { WorkflowEngine } from "../../src/workflow/workflow-engine.mjs";
+import { WorkflowParser } from "../../src/workflow/workflow-parser.mjs";
+import { BaseStepHandler } from "../../src/workflow/step-handlers/base-step-handler.mjs";
+import { useTurtle } from "../../src/composables/turtle.mjs";
+import N3 from "n3";
+
+const EX = "http://example.org/";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+// Fails a configured number of times before succeeding
+class FlakyStepHandler extends BaseStepHandler {
+  constructor(options) {
+    super(options);
+    this.calls = new Map();
+    this.signals = [];
+  }
+
+  getStepType() {
+    return "flaky";
+  }
+
+  async execute(step, inputs, context) {
+    const calls = (this.calls.get(step.id) || 0) + 1;
+    this.calls.set(step.id, calls);
+    this.signals.push(context.signal);
+
+    if (step.config.delay) {
+      await new Promise((resolve) => setTimeout(resolve, step.config.delay));
+    }
+    if (calls <= step.config.failures) {
+      return this.createResult(null, false, `failure ${calls}`);
+    }
+    return this.createResult({ calls });
+  }
+}
+
+const setup = () => {
+  const runner = new StepRunner({ logger: silentLogger });
+  const flaky = new FlakyStepHandler({ logger: silentLogger });
+  runner.registerHandler("flaky", flaky);
+  return { runner, flaky };
+};
+
+const run = (runner, step) =>
+  runner.executeStep(
+    step,
+    new ContextManager({ logger: silentLogger }),
+    null,
+    null
+  );
+
+describe("Step execution policies", () => {
+  it("should retry with exponential backoff and record each attempt", async () => {
+    const { runner } = setup();
+    const start = Date.now();
+
+    const result = await run(runner, {
+      id: "fetch",
+      type: "flaky",
+      config: { failures: 2, retries: 3, backoff: 20 },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.outputs.calls).toBe(3);
+    expect(result.attempts.map((attempt) => attempt.success)).toEqual([
+      false,
+      false,
+      true,
+    ]);
+    expect(result.attempts[0].error).toBe("failure 1");
+    // 20ms before the second attempt, 40ms before the third
+    expect(Date.now() - start).toBeGreaterThanOrEqual(55);
+  });
+
+  it("should fail once retries are exhausted", async () => {
+    const { runner, flaky } = setup();
+
+    const result = await run(runner, {
+      id: "fetch",
+      type: "flaky",
+      config: { failures: 5, retries: 1 },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("failure 2");
+    expect(result.attempts).toHaveLength(2);
+    expect(flaky.calls.get("fetch")).toBe(2);
+  });
+
+  it("should enforce the step timeout on every attempt", async () => {
+    const { runner } = setup();
+
+    const result = await run(runner, {
+      id: "slow",
+      type: "flaky",
+      config: { failures: 0, delay: 200, timeout: 20, retries: 1 },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe("Step slow timed out after 20ms");
+    expect(result.attempts).toHaveLength(2);
+  });
+
+  it("should abort the timed-out attempt's signal", async () => {
+    const { runner, flaky } = setup();
+
+    await run(runner, {
+      id: "slow",
+      type: "flaky",
+      config: { failures: 0, delay: 200, timeout: 20 },
+    });
+
+    expect(flaky.signals).toHaveLength(1);
+    expect(flaky.signals[0].aborted).toBe(true);
+    expect(flaky.signals[0].reason.message).toBe(
+      "Step slow timed out after 20ms"
+    );
+  });
+
+  it("should only time out steps that set a timeout", async () => {
+    const runner = new StepRunner({ logger: silentLogger, defaultTimeout: 20 });
+    runner.registerHandler(
+      "flaky",
+      new FlakyStepHandler({ logger: silentLogger, defaultTimeout: 20 })
+    );
+
+    const result = await run(runner, {
+      id: "slow",
+      type: "flaky",
+      config: { failures: 0, delay: 60 },
+    });
+
+    expect(result.success).toBe(true);
+  });
+
+  it("should kill the process of a timed-out CLI step", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "gitvan-step-timeout-"));
+    const runner = new StepRunner({ logger: silentLogger });
+
+    try {
+      const result = await run(runner, {
+        id: "slow",
+        type: "cli",
+        config: {
+          command: "sh -c 'sleep 0.3 && touch finished'",
+          cwd: dir,
+          timeout: 50,
+        },
+      });
+      await new Promise((resolve) => setTimeout(resolve, 500));
+
+      expect(result.error).toBe("Step slow timed out after 50ms");
+      expect(existsSync(join(dir, "finished"))).toBe(false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("should run the compensation step after the final failure", async () => {
+    const { runner } = setup();
+
+    const result = await run(runner, {
+      id: "deploy",
+      type: "flaky",
+      config: {
+        failures: 5,
+        retries: 1,
+        onFailure: { id: "rollback", type: "flaky", config: { failures: 0 } },
+      },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.compensation).toMatchObject({
+      stepId: "rollback",
+      success: true,
+    });
+  });
+
+  it("should not run the compensation step when the step succeeds", async () => {
+    const { runner, flaky } = setup();
+
+    const result = await run(runner, {
+      id: "deploy",
+      type: "flaky",
+      config: {
+        failures: 0,
+        onFailure: { id: "rollback", type: "flaky", config: { failures: 0 } },
+      },
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.compensation).toBeUndefined();
+    expect(flaky.calls.has("rollback")).toBe(false);
+  });
+
+  it("should validate policies in the workflow parser", async () => {
+    const parser = new WorkflowParser({ logger: silentLogger });
+    const step = (config) => ({
+      id: "deploy",
+      type: "cli",
+      config: { command: "deploy", ...config },
+    });
+
+    await expect(
+      parser._validateWorkflow([step({ retries: -1 })])
+    ).rejects.toThrow("retries must be a non-negative integer");
+
+    await expect(
+      parser._validateWorkflow([
+        step({ onFailure: { id: "rollback", type: "cli", config: {} } }),
+      ])
+    ).rejects.toThrow("CLI step rollback missing command configuration");
+
+    await expect(
+      parser._validateWorkflow([step({ retries: 2, backoff: 100 })])
+    ).resolves.toBeUndefined();
+  });
+
+  describe("WorkflowEngine", () => {
+    let graphDir;
+
+    const WORKFLOW = `
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+@prefix op: <https://gitvan.dev/op#> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+@prefix ex: <http://example.org/> .
+
+ex:release a gh:Hook ;
+  gv:title "Release" ;
+  gh:orderedPipelines ex:pipeline .
+
+ex:pipeline a op:Pipeline ;
+  op:steps ex:deploy .
+
+ex:checks a gh:Hook ;
+  gv:title "Checks" ;
+  gh:orderedPipelines ex:checks-pipeline .
+
+ex:checks-pipeline a op:Pipeline ;
+  op:steps ex:lint, ex:test .
+
+ex:lint a gv:CliStep ;
+  gv:cliCommand "gitvan-missing-linter" ;
+  gv:continueOnError true .
+
+ex:test a gv:CliStep ;
+  gv:cliCommand "echo tested" .
+
+ex:deploy a gv:CliStep ;
+  gv:cliCommand "gitvan-missing-deployer" ;
+  gv:retries 1 ;
+  gv:backoff 10 ;
+  gv:onFailure ex:rollback .
+
+ex:rollback a gv:CliStep ;
+  gv:cliCommand "echo rolled-back" .
+
+ex:retry-forever a gh:Hook ;
+  gv:title "Retry forever" ;
+  gh:orderedPipelines ex:retry-pipeline .
+
+ex:retry-pipeline a op:Pipeline ;
+  op:steps ex:undo .
+
+ex:undo a gv:CliStep ;
+  gv:cliCommand "echo undo" ;
+  gv:onFailure ex:undo .
+
+ex:ping a gv:CliStep ;
+  gv:cliCommand "echo ping" ;
+  gv:onFailure ex:pong .
+
+ex:pong a gv:CliStep ;
+  gv:cliCommand "echo pong" ;
+  gv:onFailure ex:ping .
+`;
+
+    beforeAll(() => {
+      graphDir = mkdtempSync(join(tmpdir(), "gitvan-step-policies-"));
+      writeFileSync(join(graphDir, "workflow.ttl"), WORKFLOW);
+    });
+
+    afterAll(() => {
+      rmSync(graphDir, { recursive: true, force: true });
+    });
+
+    const execute = async (workflowId) => {
+      const engine = new WorkflowEngine({ graphDir });
+      engine.logger = silentLogger;
+      engine.stepRunner.logger = silentLogger;
+
+      const result = await engine.executeWorkflow(workflowId);
+      const byId = Object.fromEntries(
+        result.steps.map((step) => [step.stepId.split("/").pop(), step])
+      );
+      return { result, byId };
+    };
+
+    it("should retry and compensate a failing step from Turtle", async () => {
+      const { result, byId } = await execute("http://example.org/release");
+
+      expect(result.status).toBe("failed");
+      expect(result.failedStep).toBe("http://example.org/deploy");
+      expect(byId.deploy.attempts).toHaveLength(2);
+      expect(byId.deploy.compensation.success).toBe(true);
+      expect(byId.deploy.compensation.outputs.stdout).toBe("rolled-back");
+    });
+
+    it("should keep going after a step marked continueOnError", async () => {
+      const { result, byId } = await execute("http://example.org/checks");
+
+      expect(result.status).toBe("completed");
+      expect(result.steps).toHaveLength(2);
+      expect(byId.lint.success).toBe(false);
+      expect(byId.lint.continuedOnError).toBe(true);
+      expect(byId.test.success).toBe(true);
+    });
+
+    it("should reject compensation cycles", async () => {
+      await expect(execute("http://example.org/retry-forever")).rejects.toThrow(
+        "Step cycle through onFailure or child steps: http://example.org/undo -> http://example.org/undo"
+      );
+
+      const turtle = await useTurtle({ graphDir });
+      const parser = new WorkflowParser({ logger: silentLogger });
+      const parse = (name) =>
+        parser._parseStep(turtle, N3.DataFactory.namedNode(EX + name));
+
+      await expect(parse("undo")).rejects.toThrow(
+        `Step cycle through onFailure or child steps: ${EX}undo -> ${EX}undo`
+      );
+      await expect(parse("ping")).rejects.toThrow(
+        `Step cycle through onFailure or child steps: ${EX}ping -> ${EX}pong -> ${EX}ping`
+      );
+      await expect(parse("deploy")).resolves.toMatchObject({
+        id: "deploy",
+        config: { onFailure: { id: "rollback" } },
+      });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+// tests/workflow/workflow-resume.test.mjs
+// Checkpointed workflow executions and resume from the first incomplete step
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { WorkflowEngine } from "../../src/workflow/workflow-engine.mjs";
+import { WorkflowCheckpoints } from "../../src/workflow/workflow-checkpoints.mjs";
+import { WorkflowCLI } from "../../src/cli/workflow.mjs";
+import { workflowCommand } from "../../src/cli/commands/workflow.mjs";
+
+const silentLogger = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+  debug: () => {},
+};
+
+describe("Workflow resume", () => {
+  let root;
+  let graphDir;
+
+  // `verify` fails until its executable is created
+  const workflow = (root) => `
+@prefix gh: <https://gitvan.dev/graph-hook#> .
+@prefix gv: <https://gitvan.dev/ontology#> .
+@prefix op: <https://gitvan.dev/op#> .
+@prefix ex: <http://example.org/> .
+
+ex:build a gh:Hook ;
+  gv:title "Build" ;
+  gh:orderedPipelines ex:pipeline .
+
+ex:pipeline a op:Pipeline ;
+  op:steps ex:prepare, ex:verify .
+
+ex:prepare a gv:CliStep ;
+  gv:cliCommand "echo prepared" .
+
+ex:verify a gv:CliStep ;
+  gv:cliCommand "${join(root, "verify.sh")}" .
+`;
+
+  const createEngine = () => {
+    const engine = new WorkflowEngine({ graphDir, cwd: root });
+    engine.logger = silentLogger;
+    engine.stepRunner.logger = silentLogger;
+    engine.contextManager.logger = silentLogger;
+    engine.checkpoints = new WorkflowCheckpoints({
+      cwd: root,
+      logger: silentLogger,
+    });
+    engine.checkpoints.snapshots.logger = silentLogger;
+    return engine;
+  };
+
+  const fixVerify = () =>
+    writeFileSync(join(root, "verify.sh"), "#!/bin/sh\nexit 0\n", {
+      mode: 0o755,
+    });
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), "gitvan-workflow-resume-"));
+    graphDir = join(root, "workflows");
+    mkdirSync(graphDir);
+    writeFileSync(join(graphDir, "workflow.ttl"), workflow(root));
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it("should checkpoint a failed execution and resume it", async () => {
+    const failed = await createEngine().executeWorkflow(
+      "http://example.org/build"
+    );
+
+    expect(failed.status).toBe("failed");
+    expect(failed.failedStep).toBe("http://example.org/verify");
+    expect(failed.executionId).toMatch(/^exec_/);
+
+    const checkpoint = await createEngine().checkpoints.load(
+      failed.executionId
+    );
+    expect(checkpoint.status).toBe("failed");
+    expect(checkpoint.workflowId).toBe("http://example.org/build");
+    expect(checkpoint.completedSteps).not.toContain(
+      "http://example.org/verify"
+    );
+
+    // Fix the failing step and resume in a fresh engine
+    fixVerify();
+    const resumed = await createEngine().resumeWorkflow(failed.executionId);
+
+    expect(resumed.status).toBe("completed");
+    expect(resumed.executionId).toBe(failed.executionId);
+    expect(resumed.steps.map((step) => step.stepId).sort()).toEqual([
+      "http://example.org/prepare",
+      "http://example.org/verify",
+    ]);
+    expect(resumed.steps.every((step) => step.success)).toBe(true);
+
+    // The completed step is carried over from the checkpoint, not re-run
+    const prepare = (result) =>
+      result.steps.find((step) => step.stepId === "http://example.org/prepare");
+    if (prepare(failed)) {
+      expect(prepare(resumed).timestamp).toBe(prepare(failed).timestamp);
+    }
+
+    // Completed executions cannot be resumed, so their checkpoint is removed
+    expect(await createEngine().checkpoints.load(failed.executionId)).toBe(
+      null
+    );
+  });
+
+  it("should keep a single checkpoint per execution", async () => {
+    const engine = createEngine();
+    const listSnapshots = vi.spyOn(
+      engine.checkpoints.snapshots,
+      "listSnapshots"
+    );
+    const result = await engine.executeWorkflow("http://example.org/build");
+
+    // Saving after each step never scans the snapshot store
+    expect(listSnapshots).not.toHaveBeenCalled();
+    const executions = await engine.checkpoints.list();
+    expect(executions).toHaveLength(1);
+    expect(executions[0]).toMatchObject({
+      executionId: result.executionId,
+      status: "failed",
+    });
+  });
+
+  it("should remove the checkpoint of a completed execution", async () => {
+    fixVerify();
+    const engine = createEngine();
+    const result = await engine.executeWorkflow("http://example.org/build");
+
+    expect(result.status).toBe("completed");
+    expect(await engine.checkpoints.list()).toEqual([]);
+    expect(await engine.checkpoints.snapshots.listSnapshots()).toEqual([]);
+  });
+
+  it("should refuse to resume unknown or completed executions", async () => {
+    const engine = createEngine();
+    await expect(engine.resumeWorkflow("exec_missing")).rejects.toThrow(
+      "No checkpoint found for execution: exec_missing"
+    );
+
+    fixVerify();
+    const result = await engine.executeWorkflow("http://example.org/build");
+    await expect(
+      createEngine().resumeWorkflow(result.executionId)
+    ).rejects.toThrow(
+      `No checkpoint found for execution: ${result.executionId}`
+    );
+  });
+
+  it("should report a failed execution as failed in the CLI", async () => {
+    const engine = createEngine();
+    const result = await engine.executeWorkflow("http://example.org/build");
+
+    const lines = [];
+    const record = (line) => lines.push(line);
+    const cli = new WorkflowCLI({
+      logger: { info: record, warn: record, error: record },
+    });
+    cli._printResult(result, 10);
+
+    expect(lines[0]).toBe(
+      "❌ Workflow execution failed at http://example.org/verify"
+    );
+    expect(lines).not.toContain("✅ Workflow execution completed");
+    expect(lines).toContain(
+      `   Resume with: gitvan workflow resume ${result.executionId}`
+    );
+  });
+
+  it("should exit with status 1 when the resumed run fails", async () => {
+    vi.spyOn(WorkflowCLI.prototype, "initialize").mockResolvedValue();
+    vi.spyOn(WorkflowCLI.prototype, "resume").mockResolvedValue({
+      status: "failed",
+    });
+    const exit = vi.spyOn(process, "exit").mockImplementation(() => {});
+
+    try {
+      await workflowCommand.subCommands.resume.run({
+        args: { executionId: "exec_1", verbose: false },
+      });
+      expect(exit).toHaveBeenCalledWith(1);
+    } finally {
+      vi.restoreAllMocks();
+    }
+  });
+});